@@ -0,0 +1,52 @@
+const os = require('os');
+const { createAdapter } = require('@socket.io/redis-adapter');
+
+/**
+ * Adaptador de Socket.io sobre Redis Pub/Sub
+ *
+ * Con el adaptador en memoria por defecto, io.to(room).emit() solo llega
+ * a los sockets conectados al mismo proceso. Con este adaptador cada
+ * broadcast (mensajes, typing, notificaciones a salas o a sockets
+ * concretos) se publica en Redis y lo reenvían todas las instancias.
+ *
+ * Necesita dos conexiones propias: una suscrita (que ya no puede lanzar
+ * otros comandos) y otra para publicar. Ambas se duplican del cliente
+ * principal para reutilizar su configuración.
+ *
+ * Canales usados en Redis:
+ * - socket.io#/#... → Broadcasts entre instancias
+ * - socket.io-request#/# y socket.io-response#/# → Peticiones entre
+ *   instancias (fetchSockets, serverSideEmit...)
+ */
+
+// Identificador de esta instancia (SERVER_ID, o host:puerto:pid por defecto)
+const getInstanceId = () => {
+  return process.env.SERVER_ID || `${os.hostname()}:${process.env.PORT || 3000}:${process.pid}`;
+};
+
+/**
+ * Conecta las conexiones Pub/Sub y crea el adaptador
+ *
+ * @param {Object} redisClient - Cliente Redis principal
+ * @returns {Promise<{adapter: Function, close: Function}>} Adaptador para
+ *   io.adapter() y función para cerrar sus conexiones al apagar
+ */
+const createRedisAdapter = async (redisClient) => {
+  const pubClient = redisClient.duplicate();
+  const subClient = redisClient.duplicate();
+
+  pubClient.on('error', (err) => console.error('❌ Error de Redis (pub):', err));
+  subClient.on('error', (err) => console.error('❌ Error de Redis (sub):', err));
+
+  await Promise.all([pubClient.connect(), subClient.connect()]);
+
+  return {
+    adapter: createAdapter(pubClient, subClient),
+    close: () => Promise.all([pubClient.quit(), subClient.quit()])
+  };
+};
+
+module.exports = {
+  createRedisAdapter,
+  getInstanceId
+};
@@ -11,23 +11,93 @@
  * 5. Maneja errores y notifica al cliente
  * 
  * Eventos manejados:
- * - user:join → Usuario se conecta al chat
- * - room:join → Usuario se une a una sala  
- * - message:send → Usuario envía mensaje
- * - typing:start/stop → Indicadores de escritura
- * - room:leave → Usuario sale de sala
+ * - user:join → Usuario autenticado se conecta al chat
+ * - session:resume → Conexión nueva reanuda la sesión de una que se cayó
+ * - room:join → Usuario se une a una sala (puede estar en varias a la vez)
+ * - message:send → Usuario envía mensaje a una de sus salas (con texto, adjunto o ambos)
+ * - typing:start/stop → Indicadores de escritura en una de sus salas
+ * - room:role:set → Owner asigna rol de moderador/miembro
+ * - room:invite / room:uninvite → Gestión de la allowlist de salas privadas
+ * - dm:send / dm:history → Mensajes directos entre dos usuarios
+ * - message:edit → Autor o moderador edita un mensaje
+ * - message:delete → Autor o moderador elimina un mensaje (tombstone o definitivo)
+ * - message:report → Usuario reporta un mensaje a los moderadores de la sala
+ * - room:kick / room:mute / room:ban → Owner o moderador sanciona a un usuario
+ * - room:unmute / room:unban → Owner o moderador levanta una sanción
+ * - reaction:add / reaction:remove → Reacciones con emoji a mensajes
+ * - thread:reply → Respuesta en el hilo de un mensaje
+ * - room:read → Usuario marca hasta qué mensaje ha leído una sala
+ * - history:load → Historial paginado por cursor (before/after)
+ * - room:leave → Usuario sale de una de sus salas
+ * - presence:heartbeat → Mantiene viva la presencia de la conexión
+ * - presence:set → Usuario elige su estado (online, away, busy, idle)
  * - disconnect → Usuario se desconecta
  * 
  * Patrones de respuesta:
  * - socket.emit() → Respuesta solo al cliente que envió el evento
  * - socket.to(room).emit() → Broadcast a otros usuarios en la sala
  * - io.to(room).emit() → Broadcast a todos los usuarios en la sala
+ * - notificationService.toUser() → A todas las conexiones de un usuario
+ * 
+ * Notas por funcionalidad:
+ * - Permisos: 'error' { code: 'forbidden', action } si el rol en la sala
+ *   no permite la acción (ver utils/permissions.js)
+ * - Varias instancias: los broadcasts pasan por el adaptador Redis
+ *   (config/socketAdapter.js) y user:join recupera el estado del socket
+ *   de una instancia caída (SocketStateService)
+ * - Moderación: 'error' { code: 'moderation_rejected', ruleId } o
+ *   'message:held' al emisor; 'moderation:held' / 'moderation:flagged' a
+ *   los moderadores de la sala
+ * - Reportes: 'report:new' a los moderadores; la cola se resuelve por REST
+ * - Sanciones: 'error' { code: 'muted', retryAfter } al publicar
+ *   silenciado; expulsados y vetados salen de la sala en todas sus conexiones
+ * - Presencia: 'presence:update' a las salas del usuario al conectarse la
+ *   primera conexión, al cambiar de estado y al cerrarse la última
+ * - Sesiones: user:joined incluye resumeToken; session:resume antes de
+ *   SESSION_GRACE_SECONDS vuelve a las salas y repite lo perdido
+ * - Varias salas: son del usuario (chat:user_rooms) y todas sus conexiones
+ *   están en ellas; los eventos de sala llevan roomId
+ * - Adjuntos: se suben por REST (POST /api/attachments) y se envían con
+ *   message:send { roomId, attachmentId }
+ * - Menciones: 'mention:new' en todas las conexiones del mencionado; la
+ *   bandeja se consulta por REST
  */
 
+const { v4: uuidv4 } = require('uuid');
 const MessageService = require('../services/MessageService');
 const UserService = require('../services/UserService');
 const RoomService = require('../services/RoomService');
-const { validateMessage, validateJoinRoom } = require('../utils/validators');
+const ConversationService = require('../services/ConversationService');
+const NotificationService = require('../services/NotificationService');
+const SocketStateService = require('../services/SocketStateService');
+const ModerationService = require('../services/ModerationService');
+const { describeModeration } = ModerationService;
+const ReportService = require('../services/ReportService');
+const SanctionService = require('../services/SanctionService');
+const { formatRemaining } = SanctionService;
+const RoomModerationService = require('../services/RoomModerationService');
+const PresenceService = require('../services/PresenceService');
+const SessionService = require('../services/SessionService');
+const AttachmentService = require('../services/AttachmentService');
+const MentionService = require('../services/MentionService');
+const { toPresence, HEARTBEAT_INTERVAL } = PresenceService;
+const {
+  validateMessage,
+  validateJoinRoom,
+  validateRoleUpdate,
+  validateInvitation,
+  validateDirectMessage,
+  validateDirectHistory,
+  validateEditMessage,
+  validateReaction,
+  validateThreadReply,
+  validateHistoryQuery,
+  validateReport,
+  validateSanction,
+  validatePresence,
+  validateSessionResume
+} = require('../utils/validators');
+const { ROLES } = require('../utils/permissions');
 
 /**
  * Factory function que retorna los manejadores de eventos para un socket
@@ -40,57 +110,322 @@ module.exports = (socket, io, redisClient) => {
   const messageService = new MessageService(redisClient);
   const userService = new UserService(redisClient);
   const roomService = new RoomService(redisClient);
+  const conversationService = new ConversationService(redisClient);
+  const notificationService = new NotificationService(redisClient, io);
+  const socketStateService = new SocketStateService(redisClient);
+  const moderationService = new ModerationService(redisClient);
+  const reportService = new ReportService(redisClient);
+  const sanctionService = new SanctionService(redisClient);
+  const roomModerationService = new RoomModerationService(redisClient, io);
+  const presenceService = new PresenceService(redisClient);
+  const sessionService = new SessionService(redisClient);
+  const attachmentService = new AttachmentService(redisClient);
+  const mentionService = new MentionService(redisClient);
+
+  // Notificar al cliente que su rol no permite la acción
+  const emitForbidden = (action) => {
+    socket.emit('error', {
+      code: 'forbidden',
+      message: 'No tienes permiso para realizar esta acción',
+      action
+    });
+  };
+
+  /**
+   * Comprueba si el socket está en una sala
+   *
+   * Si un moderador expulsó o vetó al usuario, sus sockets ya no están en
+   * la sala de Socket.io (socketsLeave, desde cualquier instancia).
+   *
+   * @param {string} roomId - ID de la sala
+   * @returns {boolean}
+   */
+  const isInRoom = (roomId) => !!roomId && socket.rooms.has(roomId);
+
+  /**
+   * Anuncia el estado de presencia del usuario en sus salas
+   *
+   * @param {User} user - Usuario (id, username, lastSeen)
+   * @param {string} status - Estado a anunciar
+   * @param {string[]} [roomIds] - Salas de destino (por defecto, las suyas)
+   */
+  const broadcastPresence = async (user, status, roomIds) => {
+    const targets = roomIds || await userService.getUserRooms(user.id);
+    if (targets.length > 0) {
+      io.to(targets).emit('presence:update', toPresence(user, status));
+    }
+  };
+
+  /**
+   * Comprueba si el usuario está silenciado en la sala
+   *
+   * @returns {Promise<boolean>} true si está silenciado (ya se avisó al cliente)
+   */
+  const rejectIfMuted = async (roomId, action) => {
+    if (conversationService.isConversationId(roomId)) {
+      return false;
+    }
+
+    const mute = await sanctionService.getSanction(roomId, 'mute', socket.userId);
+    if (!mute) {
+      return false;
+    }
+
+    socket.emit('error', {
+      code: 'muted',
+      message: `Estás silenciado en esta sala: quedan ${formatRemaining(mute.remaining)}`,
+      action,
+      retryAfter: mute.remaining
+    });
+    return true;
+  };
+
+  /**
+   * Pasa un contenido por la moderación antes de guardarlo
+   *
+   * En conversaciones directas solo se aplican las reglas globales. Si
+   * una regla rechaza el mensaje, se explica el motivo al emisor.
+   *
+   * @param {string} content - Contenido a publicar
+   * @param {string} roomId - Sala o conversación de destino
+   * @param {string} action - Evento que publica ('message:send'...)
+   * @param {boolean} [allowHold=false] - Solo message:send admite retener
+   * @returns {Promise<Object|null>} Resultado de moderate(), o null si se rechazó
+   */
+  const moderateContent = async (content, roomId, action, allowHold = false) => {
+    const result = await moderationService.moderate(content, {
+      roomId: conversationService.isConversationId(roomId) ? null : roomId,
+      allowHold
+    });
+
+    if (result.action === 'reject') {
+      socket.emit('error', {
+        code: 'moderation_rejected',
+        message: describeModeration(result),
+        action,
+        ruleId: result.rule.id
+      });
+      return null;
+    }
+
+    return result;
+  };
+
+  // Marcar para los moderadores de la sala un mensaje que activó reglas 'flag'
+  const flagIfNeeded = async (message, moderation) => {
+    if (moderation.flags.length === 0 || conversationService.isConversationId(message.roomId)) {
+      return;
+    }
+
+    const flag = await moderationService.flagMessage(message, moderation.flags, messageService.getMessageTTL());
+    await notificationService.toRoomModerators(message.roomId, 'moderation:flagged', { roomId: message.roomId, ...flag });
+  };
+
+  // Guardar las menciones de un mensaje de sala y avisar a los mencionados
+  const notifyMentions = async (message) => {
+    const mentions = await mentionService.createMentions(message);
+    for (const { userId, mention } of mentions) {
+      await notificationService.toUser(userId, 'mention:new', mention);
+    }
+  };
+
+  /**
+   * Olvida la conexión anterior del cliente si su instancia cayó
+   *
+   * Si la instancia que atendía al cliente cayó, su disconnect nunca se
+   * ejecutó: el usuario sigue en sus salas en Redis y el estado del socket
+   * anterior sigue en chat:socket_state. El cliente envía ese socket ID
+   * en el handshake (auth.previousSocketId) y aquí se limpia; las salas se
+   * recuperan como las de cualquier conexión nueva (joinUserRooms), sin
+   * los mensajes de salida y entrada.
+   *
+   * @returns {Promise<boolean>} true si se recuperó la conexión anterior
+   */
+  const restorePreviousSocket = async () => {
+    const { previousSocketId } = socket.handshake.auth || {};
+    if (!previousSocketId || previousSocketId === socket.id) {
+      return false;
+    }
+
+    // Solo el mismo usuario puede recuperar el estado
+    const previous = await socketStateService.getState(previousSocketId);
+    if (!previous || previous.userId !== socket.userId) {
+      return false;
+    }
+
+    // Si el socket anterior sigue conectado (en esta u otra instancia),
+    // su instancia no ha caído y se encargará de su desconexión
+    const stillConnected = await io.in(previousSocketId).fetchSockets();
+    if (stillConnected.length > 0) {
+      return false;
+    }
+
+    await forgetSocket(previousSocketId);
+
+    console.log(`Usuario ${socket.username} recuperó su conexión anterior (socket en ${previous.instanceId})`);
+    return true;
+  };
+
+  // Un invitado solo conserva su nombre mientras la reserva sea suya; cada
+  // conexión la renueva (los nombres de las cuentas no caducan)
+  const keepGuestName = async () => {
+    return !socket.user.guest || await userService.renewGuestReservation(socket.user);
+  };
+
+  /**
+   * Registra la conexión del usuario autenticado (user:join y session:resume)
+   *
+   * Crea o actualiza su perfil con el socket actual, replica el estado del
+   * socket en Redis y lo cuenta para la presencia.
+   *
+   * @returns {Promise<{user: User, firstConnection: boolean}>}
+   */
+  const registerConnection = async () => {
+    // Crear usuario en Redis con mapeo bidireccional socket ↔ user
+    const user = await userService.saveUser({
+      id: socket.user.id,
+      username: socket.user.username,
+      socketId: socket.id // Crucial para encontrar usuario en otros eventos
+    });
+
+    // Almacenar datos en el socket para acceso rápido en otros handlers
+    // Evita consultas a Redis en cada operación
+    socket.userId = user.id;
+    socket.username = user.username;
+
+    // Replicar el estado en Redis para que otra instancia pueda recuperarlo
+    await socketStateService.saveState(socket.id, {
+      userId: user.id,
+      username: user.username
+    });
+
+    // La conexión se registra antes de olvidar la anterior, para que
+    // el usuario no pase por offline al reconectar
+    const { firstConnection } = await presenceService.addConnection(user.id, socket.id);
+
+    return { user, firstConnection };
+  };
+
+  // Olvidar un socket anterior del usuario que ya no lo representa
+  const forgetSocket = async (socketId) => {
+    await socketStateService.deleteState(socketId);
+    await userService.deleteSocketMapping(socketId);
+    await presenceService.removeConnection(socket.userId, socketId);
+  };
+
+  /**
+   * Une la conexión a las salas en las que ya está el usuario
+   *
+   * Las salas son del usuario: una pestaña nueva o una conexión que
+   * reanuda la sesión entra en todas, sin mensajes de entrada. Se
+   * respetan los permisos: la sala debe existir, el usuario debe poder
+   * verla (salas privadas) y no tener la entrada vetada; si no, se quita
+   * de sus salas.
+   *
+   * @returns {Promise<Room[]>} Las salas en las que entró la conexión
+   */
+  const joinUserRooms = async () => {
+    const rooms = [];
+
+    for (const roomId of await userService.getUserRooms(socket.userId)) {
+      const room = await roomService.getRoom(roomId);
+      const allowed = room &&
+        (!room.isPrivate || await roomService.isRoomMember(roomId, socket.userId)) &&
+        !(await sanctionService.getSanction(roomId, 'ban', socket.userId));
+
+      if (!allowed) {
+        await userService.removeUserFromRoom(socket.userId, roomId);
+        if (room) {
+          await roomService.updateUserCount(roomId, await userService.countRoomUsers(roomId));
+        }
+        continue;
+      }
+
+      socket.join(roomId);
+      rooms.push(room);
+    }
+
+    return rooms;
+  };
 
   /**
-   * Handler: Usuario se une al chat (autenticación básica)
+   * Handler: Usuario se une al chat
    * 
    * Este es el primer evento que debe enviar un cliente para usar el chat.
-   * Crea o actualiza el perfil del usuario en Redis y establece la sesión.
+   * La identidad ya fue verificada en el handshake (middleware authenticateSocket),
+   * por lo que aquí solo se crea o actualiza el perfil del usuario en Redis
+   * y se establece la sesión.
    * 
    * Flujo:
-   * 1. Validar que el username no esté vacío
+   * 1. Tomar la identidad del token verificado (socket.user)
    * 2. Crear usuario en Redis con socket ID actual
    * 3. Almacenar datos del usuario en el socket para uso posterior
    * 4. Confirmar conexión exitosa al cliente
    * 5. Log de auditoria
    * 
-   * @param {Object} data - Datos del evento
-   * @param {string} data.username - Nombre visible del usuario (requerido)
+   * La conexión entra en las salas en las que ya estaba el usuario (otra
+   * pestaña abierta, o una conexión anterior cuya instancia cayó: ver
+   * restorePreviousSocket) y se indican en rooms.
+   *
+   * Cada conexión cuenta para la presencia del usuario. Si es la primera
+   * (estaba offline) se anuncia 'presence:update' en sus salas.
+   *
+   * Los invitados (POST /api/auth/guest) renuevan aquí la reserva de su
+   * nombre; si caducó, la conexión se rechaza y deben volver a entrar.
+   * 
+   * El cliente no puede elegir su identidad: cualquier `username`
+   * enviado en el evento se ignora en favor del que contiene el token.
    * 
    * Emite:
-   * - 'user:joined' → Confirmación exitosa con datos del usuario
-   * - 'error' → Si hay error de validación o servidor
+   * - 'user:joined' → Confirmación exitosa con datos del usuario, rooms
+   *   ([{ roomId, roomName }]), status, heartbeatInterval (segundos entre
+   *   presence:heartbeat) y resumeToken (para session:resume)
+   * - 'error' → Si hay error de validación o servidor (code
+   *   'guest_name_expired' si la reserva del invitado caducó)
    * 
    * Estado del socket después:
-   * - socket.userId → ID único del usuario
+   * - socket.userId → ID único del usuario (el de sus credenciales)
    * - socket.username → Nombre visible del usuario
-   * - socket.currentRoom → undefined (aún no está en ninguna sala)
    */
-  socket.on('user:join', async (data) => {
+  socket.on('user:join', async () => {
     try {
-      const { username } = data;
-      
-      // Validación básica de entrada
-      if (!username || username.trim().length === 0) {
-        socket.emit('error', { message: 'Nombre de usuario requerido' });
+      // Identidad verificada en el handshake
+      if (!socket.user) {
+        socket.emit('error', { message: 'No autenticado' });
         return;
       }
 
-      // Crear usuario en Redis con mapeo bidireccional socket ↔ user
-      const user = await userService.saveUser({
-        username: username.trim(),
-        socketId: socket.id // Crucial para encontrar usuario en otros eventos
-      });
+      if (!(await keepGuestName())) {
+        socket.emit('error', {
+          code: 'guest_name_expired',
+          message: 'Tu nombre de invitado ha caducado: vuelve a entrar'
+        });
+        return;
+      }
+
+      const { user, firstConnection } = await registerConnection();
+
+      // Sesión reanudable de esta conexión
+      if (!socket.resumeToken) {
+        socket.resumeToken = await sessionService.createSession(user.id, socket.id);
+      }
 
-      // Almacenar datos en el socket para acceso rápido en otros handlers
-      // Evita consultas a Redis en cada operación
-      socket.userId = user.id;
-      socket.username = user.username;
+      await restorePreviousSocket();
+      const rooms = await joinUserRooms();
+      const status = await presenceService.getStatus(user.id);
+
+      if (firstConnection) {
+        await broadcastPresence(user, status);
+      }
 
       // Confirmar al cliente que la conexión fue exitosa
       socket.emit('user:joined', {
         userId: user.id,
         username: user.username,
+        rooms: rooms.map(room => ({ roomId: room.id, roomName: room.name })),
+        status,
+        heartbeatInterval: HEARTBEAT_INTERVAL,
+        resumeToken: socket.resumeToken,
         message: 'Conectado exitosamente'
       });
 
@@ -103,39 +438,144 @@ module.exports = (socket, io, redisClient) => {
     }
   });
 
+  /**
+   * Handler: Conexión nueva reanuda una sesión anterior
+   *
+   * Alternativa a user:join tras una reconexión: el cliente envía el
+   * resumeToken de su conexión anterior. Se puede reanudar una sesión en
+   * periodo de gracia (su socket se cayó hace menos de
+   * SESSION_GRACE_SECONDS) o una cuyo socket el servidor aún no ha dado
+   * por caído, que se desconecta al reanudarla.
+   *
+   * @param {Object} data - Datos del evento
+   * @param {string} data.resumeToken - Token recibido en user:joined o session:resumed
+   * @param {Object} [data.lastMessageIds] - Último mensaje que recibió el
+   *   cliente en cada sala (roomId → messageId); para las salas que no
+   *   aparecen se reenvía desde que se cayó la conexión
+   *
+   * Emite:
+   * - 'session:resumed' → Como user:joined, con los mensajes perdidos en
+   *   cada sala: rooms ([{ roomId, roomName, missedMessages, nextCursor,
+   *   hasMore }]; el resto se pide con history:load y after)
+   * - 'session:resume_failed' → La sesión no existe o ya terminó; el
+   *   cliente debe hacer user:join
+   */
+  socket.on('session:resume', async (data) => {
+    try {
+      if (!socket.user) {
+        socket.emit('error', { message: 'No autenticado' });
+        return;
+      }
+
+      const validation = validateSessionResume(data);
+      if (!validation.isValid) {
+        socket.emit('error', { message: validation.error });
+        return;
+      }
+
+      const { resumeToken, lastMessageIds = {} } = data;
+      const session = await sessionService.getSession(resumeToken);
+      if (!session || session.userId !== socket.user.id || session.socketId === socket.id) {
+        socket.emit('session:resume_failed', { message: 'Sesión no encontrada' });
+        return;
+      }
+
+      // Antes de reclamar la sesión: si falla, la desconexión del socket
+      // anterior sigue su curso y lo saca de sus salas al caducar
+      if (!(await keepGuestName())) {
+        socket.emit('session:resume_failed', { message: 'Tu nombre de invitado ha caducado' });
+        return;
+      }
+
+      // La sesión debe seguir en periodo de gracia o con su socket conectado
+      const previousSocketId = session.socketId;
+      const claimed = await sessionService.claimGrace(previousSocketId);
+      const stillConnected = !claimed && (await io.in(previousSocketId).fetchSockets()).length > 0;
+      if (!claimed && !stillConnected) {
+        socket.emit('session:resume_failed', { message: 'La sesión ha caducado' });
+        return;
+      }
+
+      // Desde aquí el disconnect del socket anterior no saca al usuario de sus salas
+      await sessionService.attachSocket(resumeToken, socket.id);
+      socket.resumeToken = resumeToken;
+      if (stillConnected) {
+        io.in(previousSocketId).disconnectSockets(true);
+      }
+
+      const { user } = await registerConnection();
+      await forgetSocket(previousSocketId);
+
+      const rooms = await joinUserRooms();
+
+      // Mensajes publicados en cada sala mientras el cliente no estaba
+      const disconnectedAt = session.disconnectedAt ? String(session.disconnectedAt) : null;
+      const pages = await Promise.all(rooms.map(room => {
+        const after = lastMessageIds[room.id] || disconnectedAt;
+        return after ? messageService.getRoomMessagesPage(room.id, { limit: 100, after }) : null;
+      }));
+
+      socket.emit('session:resumed', {
+        userId: user.id,
+        username: user.username,
+        rooms: rooms.map((room, i) => ({
+          roomId: room.id,
+          roomName: room.name,
+          missedMessages: pages[i] ? pages[i].messages : [],
+          nextCursor: pages[i] ? pages[i].nextCursor : null,
+          hasMore: pages[i] ? pages[i].hasMore : false
+        })),
+        status: await presenceService.getStatus(user.id),
+        heartbeatInterval: HEARTBEAT_INTERVAL,
+        resumeToken
+      });
+
+      console.log(`Usuario ${user.username} reanudó su sesión en ${rooms.length} sala(s)`);
+
+    } catch (error) {
+      console.error('Error en session:resume:', error);
+      socket.emit('error', { message: 'Error al reanudar la sesión' });
+    }
+  });
+
   /**
    * Handler: Usuario se une a una sala de chat
    * 
    * Este evento maneja toda la lógica de unión a salas, incluyendo:
    * - Validaciones de permisos y capacidad
-   * - Salida automática de sala anterior
+   * - Entrada de todas las conexiones del usuario
    * - Actualización de contadores y estado
    * - Notificaciones a otros usuarios
    * - Carga de historial de mensajes
    * 
    * Es una operación compleja que debe ser atómica: o todo funciona o nada cambia.
    * 
+   * El usuario sigue en las salas en las que ya estaba. Unirse a una de
+   * ellas otra vez solo devuelve room:joined (sin avisos ni comprobación
+   * de capacidad): así abre una pestaña la sala a la que entró otra.
+   * 
    * @param {Object} data - Datos del evento
    * @param {string} data.roomId - ID de la sala a la que unirse (requerido)
    * 
    * Validaciones realizadas:
    * 1. Usuario debe estar autenticado (user:join previo)
    * 2. La sala debe existir en Redis
-   * 3. La sala no debe estar llena
+   * 3. La sala no debe estar llena (si el usuario aún no estaba)
    * 4. Datos de entrada válidos (roomId formato correcto)
    * 
    * Operaciones realizadas:
-   * 1. Salir de sala anterior (si existe)
-   * 2. Unirse a nueva sala en Socket.io (para broadcasts)
-   * 3. Añadir usuario a la sala en Redis
-   * 4. Actualizar contadores
-   * 5. Obtener datos para el cliente (usuarios, mensajes)
-   * 6. Notificar a todos los usuarios relevantes
-   * 7. Crear mensaje del sistema
+   * 1. Unirse a la sala en Socket.io (para broadcasts), desde todas las
+   *    conexiones del usuario
+   * 2. Añadir usuario a la sala en Redis
+   * 3. Actualizar contadores
+   * 4. Obtener datos para el cliente (usuarios, mensajes)
+   * 5. Notificar a todos los usuarios relevantes
+   * 6. Crear mensaje del sistema
    * 
    * Emite:
-   * - 'room:joined' → Al usuario que se une (datos completos de la sala)
-   * - 'user:entered' → A otros usuarios en la sala (notificación)
+   * - 'room:joined' → Al socket que se une (datos completos de la sala)
+   * - 'user:entered' → A otros usuarios en la sala ({ roomId, userId, username,
+   *   userCount }; también a las otras conexiones del usuario)
    * - 'message:new' → A todos en la sala (mensaje del sistema)
    * - 'error' → Si hay error en cualquier paso
    */
@@ -163,27 +603,28 @@ module.exports = (socket, io, redisClient) => {
         return;
       }
 
-      // Verificar permisos y capacidad de la sala
-      const canJoin = await roomService.canUserJoinRoom(roomId, socket.userId);
-      if (!canJoin.canJoin) {
-        socket.emit('error', { message: canJoin.reason });
-        return;
-      }
-
-      // Salir de sala anterior automáticamente
-      // Esto mantiene la regla: un usuario solo puede estar en una sala
-      if (socket.currentRoom) {
-        await handleLeaveRoom(socket.currentRoom);
+      // Verificar permisos y capacidad de la sala (si aún no estaba en ella)
+      if (!(await userService.isUserInRoom(socket.userId, roomId))) {
+        const canJoin = await roomService.canUserJoinRoom(roomId, socket.userId);
+        if (!canJoin.canJoin) {
+          socket.emit('error', { message: canJoin.reason });
+          return;
+        }
       }
 
       // === OPERACIONES DE UNIÓN ===
       
       // 1. Unirse a la sala en Socket.io (para recibir broadcasts)
+      // Las otras conexiones del usuario también entran, estén en la instancia que estén
       socket.join(roomId);
-      socket.currentRoom = roomId; // Trackear sala actual en el socket
+      const socketIds = await userService.getUserSocketIds(socket.userId);
+      if (socketIds.length > 0) {
+        io.in(socketIds).socketsJoin(roomId);
+      }
 
       // 2. Añadir usuario a la sala en Redis (persistencia)
-      await userService.addUserToRoom(socket.userId, roomId);
+      // false si ya estaba: no hay nada que anunciar
+      const joined = await userService.addUserToRoom(socket.userId, roomId);
       
       // 3. Actualizar contador de usuarios en tiempo real
       const userCount = await userService.countRoomUsers(roomId);
@@ -191,11 +632,20 @@ module.exports = (socket, io, redisClient) => {
 
       // === PREPARAR DATOS PARA EL CLIENTE ===
       
-      // Obtener lista de usuarios activos en la sala
-      const users = await userService.getRoomUsers(roomId);
-      
-      // Obtener historial reciente de mensajes (50 más recientes)
-      const messages = await messageService.getRoomMessages(roomId, 50);
+      // Las tres lecturas son independientes: se lanzan a la vez para que
+      // el cliente de Redis las envíe juntas
+      const [users, { messages, nextCursor, hasMore }, readPositions] = await Promise.all([
+        // Lista de usuarios activos en la sala
+        userService.getRoomUsers(roomId),
+        // Historial reciente (50 más recientes); nextCursor permite
+        // pedir los anteriores con history:load
+        messageService.getRoomMessagesPage(roomId, { limit: 50 }),
+        // Posiciones de lectura para mostrar "visto por"
+        messageService.getReadPositions(roomId)
+      ]);
+
+      // Estado de presencia de cada usuario
+      const statuses = await presenceService.getStatuses(users.map(u => u.id));
 
       // === NOTIFICACIONES ===
       
@@ -206,14 +656,23 @@ module.exports = (socket, io, redisClient) => {
         users: users.map(u => ({ 
           id: u.id, 
           username: u.username, 
-          isOnline: u.isOnline 
+          isOnline: u.isOnline,
+          status: statuses[u.id]
         })),
         messages,
+        nextCursor,
+        hasMore,
+        readPositions,
         userCount
       });
 
+      if (!joined) {
+        return;
+      }
+
       // Notificar a otros usuarios en la sala (sin incluir al que se une)
       socket.to(roomId).emit('user:entered', {
+        roomId,
         userId: socket.userId,
         username: socket.username,
         userCount
@@ -231,6 +690,12 @@ module.exports = (socket, io, redisClient) => {
       // Broadcast del mensaje del sistema a todos (incluyendo al que se une)
       io.to(roomId).emit('message:new', systemMessage);
 
+      // Al entrar, el usuario ha leído todo el historial
+      const readPosition = await messageService.markAsRead(roomId, { id: socket.userId, username: socket.username }, systemMessage.id);
+      if (readPosition) {
+        io.to(roomId).emit('room:read_updated', { roomId, ...readPosition });
+      }
+
       console.log(`Usuario ${socket.username} se unió a la sala ${room.name}`);
 
     } catch (error) {
@@ -240,7 +705,7 @@ module.exports = (socket, io, redisClient) => {
   });
 
   /**
-   * Handler: Usuario envía un mensaje a la sala actual
+   * Handler: Usuario envía un mensaje a una de sus salas
    * 
    * Este es el evento más frecuente del sistema. Debe ser:
    * - Rápido: Mínima latencia entre envío y recepción
@@ -249,27 +714,40 @@ module.exports = (socket, io, redisClient) => {
    * 
    * Flujo optimizado:
    * 1. Validar datos y permisos
-   * 2. Persistir mensaje en Redis (con TTL)
-   * 3. Broadcast inmediato a todos los usuarios de la sala
-   * 4. Log para auditorra/debugging
+   * 2. Moderación (rechazar, retener, enmascarar o marcar)
+   * 3. Persistir mensaje en Redis (con TTL)
+   * 4. Broadcast inmediato a todos los usuarios de la sala
+   * 5. Menciones (@usuario) a los usuarios de la sala que se nombran
+   * 6. Log para auditorra/debugging
    * 
    * @param {Object} data - Datos del evento
-   * @param {string} data.content - Contenido del mensaje (requerido, max 500 chars)
+   * @param {string} data.roomId - Sala de destino (requerido, el usuario debe estar en ella)
+   * @param {string} [data.content] - Contenido del mensaje (max 500 chars; opcional con adjunto)
+   * @param {string} [data.attachmentId] - Adjunto subido con POST /api/attachments
+   *   para esta sala; el mensaje pasa a ser de tipo 'image' o 'file'
    * 
    * Validaciones realizadas:
    * 1. Usuario autenticado (socket.userId existe)
-   * 2. Usuario en una sala (socket.currentRoom existe)
+   * 2. Usuario en la sala (el socket está en ella)
    * 3. Contenido válido (no vacío, longitud adecuada)
    * 4. Esquema Joi para estructura de datos
+   * 5. Adjunto subido por el usuario para esta sala y sin enviar
    * 
    * Optimizaciones implementadas:
-   * - Usa datos cacheados en socket (userId, username, currentRoom)
+   * - Usa datos cacheados en socket (userId, username, salas de Socket.io)
    * - Broadcast simultáneo con persistencia (no espera confirmación)
    * - Validación temprana para fallar rápido
    * 
    * Emite:
    * - 'message:new' → A todos los usuarios en la sala (incluye al emisor)
-   * - 'error' → Solo al emisor si hay error
+   * - 'message:held' → Solo al emisor, si una regla lo retiene para revisión
+   * - 'mention:new' → A todas las conexiones de cada usuario mencionado
+   *   (la mención de su bandeja, con el mensaje)
+   * - 'error' → Solo al emisor si hay error (code 'moderation_rejected' si
+   *   una regla lo bloquea, 'muted' si está silenciado en la sala)
+   * 
+   * El adjunto se asigna antes de retener el mensaje, con el ID que tendrá
+   * al aprobarse, para que no caduque mientras espera la revisión.
    * 
    * Nota: El mensaje se envía también al emisor para confirmación visual
    * y para mantener consistencia en la UI (todos ven lo mismo).
@@ -283,29 +761,93 @@ module.exports = (socket, io, redisClient) => {
         return;
       }
 
-      const { content } = data;
+      const { roomId, content = '', attachmentId } = data;
+
+      // Verificar estado del usuario (autenticado y en la sala)
+      if (!socket.userId || !isInRoom(roomId)) {
+        socket.emit('error', { message: 'Debes unirte a la sala para enviar mensajes' });
+        return;
+      }
+
+      // Verificar que el rol del usuario permite enviar mensajes
+      const canSend = await roomService.hasPermission(roomId, socket.userId, 'message:send');
+      if (!canSend) {
+        emitForbidden('message:send');
+        return;
+      }
+
+      if (await rejectIfMuted(roomId, 'message:send')) {
+        return;
+      }
+
+      // Moderación: puede rechazar, retener o enmascarar el contenido
+      const moderation = await moderateContent(content.trim(), roomId, 'message:send', true);
+      if (!moderation) {
+        return;
+      }
+
+      // El adjunto pasa a ser del mensaje (y a tener su misma retención)
+      const messageId = uuidv4();
+      let attachment = null;
+      if (attachmentId) {
+        attachment = await attachmentService.claimAttachment(attachmentId, {
+          userId: socket.userId,
+          roomId,
+          messageId
+        }, messageService.getMessageTTL());
+
+        if (!attachment) {
+          socket.emit('error', { message: 'Adjunto no encontrado o ya enviado' });
+          return;
+        }
+      }
+
+      if (moderation.action === 'hold') {
+        const held = await moderationService.holdMessage({
+          roomId,
+          messageId,
+          userId: socket.userId,
+          username: socket.username,
+          content: moderation.content,
+          type: attachment ? attachment.getMessageType() : 'text',
+          attachment: attachment ? attachment.toMetadata() : null
+        }, moderation.rule, messageService.getMessageTTL());
 
-      // Verificar estado del usuario (autenticado y en sala)
-      if (!socket.userId || !socket.currentRoom) {
-        socket.emit('error', { message: 'Debes estar en una sala para enviar mensajes' });
+        socket.emit('message:held', {
+          heldId: held.id,
+          roomId: held.roomId,
+          message: describeModeration(moderation)
+        });
+        await notificationService.toRoomModerators(held.roomId, 'moderation:held', held);
         return;
       }
 
       // Crear y persistir mensaje en Redis
-      // Incluye generación de ID, timestamp, y configuración de TTL
+      // Incluye timestamp y configuración de TTL
       const message = await messageService.saveMessage({
-        roomId: socket.currentRoom,   // Sala actual del usuario
+        id: messageId,
+        roomId,                       // Sala de destino
         userId: socket.userId,        // ID único del emisor
         username: socket.username,    // Nombre visible del emisor
-        content: content.trim()       // Contenido limpio (sin espacios extra)
+        content: moderation.content,  // Contenido limpio y moderado
+        type: attachment ? attachment.getMessageType() : 'text',
+        attachment: attachment ? attachment.toMetadata() : null
       });
 
       // Broadcast inmediato a TODOS los usuarios de la sala
       // Incluye al emisor para confirmación visual
-      io.to(socket.currentRoom).emit('message:new', message);
+      io.to(roomId).emit('message:new', message);
+      await flagIfNeeded(message, moderation);
+      await notifyMentions(message);
+
+      // El emisor ha leído, como mínimo, su propio mensaje
+      const readPosition = await messageService.markAsRead(message.roomId, { id: socket.userId, username: socket.username }, message.id);
+      if (readPosition) {
+        io.to(message.roomId).emit('room:read_updated', { roomId: message.roomId, ...readPosition });
+      }
 
       // Log de auditoria (puede ser importante para moderación)
-      console.log(`Mensaje de ${socket.username} en sala ${socket.currentRoom}: ${content}`);
+      console.log(`Mensaje de ${socket.username} en sala ${roomId}: ${message.content}`);
 
     } catch (error) {
       console.error('Error en message:send:', error);
@@ -313,90 +855,1008 @@ module.exports = (socket, io, redisClient) => {
     }
   });
 
-  // Usuario está escribiendo
-  socket.on('typing:start', () => {
-    if (socket.currentRoom && socket.username) {
-      socket.to(socket.currentRoom).emit('user:typing', {
-        userId: socket.userId,
-        username: socket.username
-      });
+  /**
+   * Handler: Owner asigna un rol a otro usuario de la sala
+   * 
+   * @param {Object} data - Datos del evento
+   * @param {string} data.roomId - ID de la sala
+   * @param {string} data.userId - ID del usuario al que se asigna el rol
+   * @param {string} data.role - 'moderator' o 'member'
+   * 
+   * Emite:
+   * - 'room:role_updated' → A todos en la sala
+   * - 'error' → Validación, permisos ({ code: 'forbidden' }) o servidor
+   */
+  socket.on('room:role:set', async (data) => {
+    try {
+      const { roomId, userId, role } = data || {};
+
+      if (!socket.userId) {
+        socket.emit('error', { message: 'Debes identificarte primero' });
+        return;
+      }
+
+      if (!roomId || !userId) {
+        socket.emit('error', { message: 'roomId y userId son requeridos' });
+        return;
+      }
+
+      const validation = validateRoleUpdate({ role });
+      if (!validation.isValid) {
+        socket.emit('error', { message: validation.error });
+        return;
+      }
+
+      const canManage = await roomService.hasPermission(roomId, socket.userId, 'room:manage_roles');
+      if (!canManage) {
+        emitForbidden('room:manage_roles');
+        return;
+      }
+
+      // El rol del owner no se puede cambiar
+      const currentRole = await roomService.getUserRole(roomId, userId);
+      if (currentRole === ROLES.OWNER) {
+        socket.emit('error', { message: 'No se puede cambiar el rol del owner' });
+        return;
+      }
+
+      await roomService.setUserRole(roomId, userId, role);
+
+      io.to(roomId).emit('room:role_updated', { roomId, userId, role });
+
+      console.log(`Usuario ${socket.username} asignó rol ${role} a ${userId} en sala ${roomId}`);
+
+    } catch (error) {
+      console.error('Error en room:role:set:', error);
+      socket.emit('error', { message: 'Error al asignar rol' });
     }
   });
 
-  // Usuario dejó de escribir
-  socket.on('typing:stop', () => {
-    if (socket.currentRoom && socket.username) {
-      socket.to(socket.currentRoom).emit('user:stopped_typing', {
-        userId: socket.userId,
-        username: socket.username
-      });
-    }
+  /**
+   * Handler: Invitar a un usuario a una sala (owner o moderador)
+   * 
+   * Añade al usuario a la allowlist de la sala y, si está conectado,
+   * le notifica directamente en su socket.
+   * 
+   * @param {Object} data - Datos del evento
+   * @param {string} data.roomId - ID de la sala
+   * @param {string} data.userId - ID del usuario invitado
+   * 
+   * Emite:
+   * - 'room:invitation_updated' → Al que invita (confirmación)
+   * - 'room:invited' → Al socket del usuario invitado, si está conectado
+   * - 'error' → Validación, permisos ({ code: 'forbidden' }) o servidor
+   */
+  socket.on('room:invite', async (data) => {
+    await handleInvitation(data, true);
   });
 
-  // Usuario sale de una sala
-  socket.on('room:leave', async () => {
-    if (socket.currentRoom) {
-      await handleLeaveRoom(socket.currentRoom);
-    }
+  // Retirar la invitación de un usuario (owner o moderador). En una sala
+  // privada sale de ella y recibe 'room:uninvited' en todas sus conexiones
+  socket.on('room:uninvite', async (data) => {
+    await handleInvitation(data, false);
   });
 
-  // Función para manejar salida de sala
-  const handleLeaveRoom = async (roomId) => {
+  // Función común para invitar / retirar invitación
+  const handleInvitation = async (data, invited) => {
     try {
-      if (!socket.userId) return;
+      const { roomId, userId } = data || {};
 
-      // Salir de la sala de Socket.io
-      socket.leave(roomId);
+      if (!socket.userId) {
+        socket.emit('error', { message: 'Debes identificarte primero' });
+        return;
+      }
 
-      // Remover usuario de la sala en Redis
-      await userService.removeUserFromRoom(socket.userId, roomId);
-      
-      // Actualizar contador de usuarios
-      const userCount = await userService.countRoomUsers(roomId);
-      await roomService.updateUserCount(roomId, userCount);
+      const validation = validateInvitation({ userId });
+      if (!validation.isValid || !roomId) {
+        socket.emit('error', { message: validation.error || 'roomId es requerido' });
+        return;
+      }
 
-      // Notificar a otros usuarios
-      socket.to(roomId).emit('user:left', {
-        userId: socket.userId,
-        username: socket.username,
-        userCount
-      });
+      const room = await roomService.getRoom(roomId);
+      if (!room) {
+        socket.emit('error', { message: 'Sala no encontrada' });
+        return;
+      }
 
-      // Mensaje del sistema
-      if (socket.username) {
-        const systemMessage = await messageService.saveMessage({
+      const canInvite = await roomService.hasPermission(roomId, socket.userId, 'room:invite');
+      if (!canInvite) {
+        emitForbidden('room:invite');
+        return;
+      }
+
+      if (invited) {
+        await roomService.inviteUser(roomId, userId);
+
+        // Avisar al usuario invitado si está conectado
+        await notificationService.toUser(userId, 'room:invited', {
           roomId,
-          userId: 'system',
-          username: 'Sistema',
-          content: `${socket.username} salió de la sala`,
-          type: 'system'
+          roomName: room.name,
+          by: socket.username
         });
-
-        io.to(roomId).emit('message:new', systemMessage);
+      } else {
+        await roomModerationService.revokeInvitation(room, userId, socket.username);
       }
 
-      socket.currentRoom = null;
+      socket.emit('room:invitation_updated', { roomId, userId, invited });
 
-      console.log(`Usuario ${socket.username || socket.userId} salió de la sala ${roomId}`);
+      console.log(`Usuario ${socket.username} ${invited ? 'invitó a' : 'retiró la invitación de'} ${userId} en sala ${room.name}`);
 
     } catch (error) {
-      console.error('Error al salir de sala:', error);
+      console.error('Error gestionando invitación:', error);
+      socket.emit('error', { message: 'Error al gestionar invitación' });
     }
   };
 
-  // Cuando se desconecta el usuario
-  socket.on('disconnect', async () => {
-    try {
-      if (socket.currentRoom) {
-        await handleLeaveRoom(socket.currentRoom);
-      }
+  /**
+   * Handler: Expulsar, silenciar o vetar a un usuario de una sala
+   * (owner o moderador)
+   *
+   * - room:kick → Sale de la sala, pero puede volver a entrar
+   * - room:mute → No puede publicar en la sala durante `duration`
+   *   segundos (1 hora por defecto)
+   * - room:ban → Sale de la sala y no puede volver a unirse durante
+   *   `duration` segundos (sin duración, permanente)
+   *
+   * @param {Object} data - Datos del evento
+   * @param {string} data.roomId - ID de la sala
+   * @param {string} data.userId - ID del usuario sancionado
+   * @param {number} [data.duration] - Segundos (mute y ban)
+   * @param {string} [data.reason] - Motivo (max 300 chars)
+   *
+   * Emite:
+   * - 'room:sanction_applied' → Al moderador (confirmación)
+   * - 'message:new' → A la sala, con el mensaje del sistema que lo anuncia
+   * - 'room:kicked' / 'room:muted' / 'room:banned' → Al usuario sancionado
+   * - 'error' → Validación, permisos ({ code: 'forbidden' }) o servidor
+   */
+  socket.on('room:kick', async (data) => {
+    await handleSanction(data, 'kick');
+  });
 
-      // Limpiar datos del usuario
-      if (socket.id) {
-        await userService.cleanupUser(socket.id);
-      }
+  socket.on('room:mute', async (data) => {
+    await handleSanction(data, 'mute');
+  });
+
+  socket.on('room:ban', async (data) => {
+    await handleSanction(data, 'ban');
+  });
+
+  // Levantar un silencio o un veto antes de que caduque
+  socket.on('room:unmute', async (data) => {
+    await handleSanction(data, 'mute', true);
+  });
 
-      console.log(`Usuario ${socket.username || 'desconocido'} se desconectó`);
+  socket.on('room:unban', async (data) => {
+    await handleSanction(data, 'ban', true);
+  });
+
+  // Función común para aplicar / levantar sanciones
+  const handleSanction = async (data, type, lift = false) => {
+    try {
+      const { roomId, userId, duration, reason } = data || {};
+
+      if (!socket.userId) {
+        socket.emit('error', { message: 'Debes identificarte primero' });
+        return;
+      }
+
+      const validation = validateSanction(lift ? { userId, type } : { userId, type, duration, reason });
+      if (!validation.isValid || !roomId) {
+        socket.emit('error', { message: validation.error || 'roomId es requerido' });
+        return;
+      }
+
+      const room = await roomService.getRoom(roomId);
+      if (!room) {
+        socket.emit('error', { message: 'Sala no encontrada' });
+        return;
+      }
+
+      const canSanction = await roomService.hasPermission(roomId, socket.userId, 'room:sanction');
+      if (!canSanction) {
+        emitForbidden('room:sanction');
+        return;
+      }
+
+      const target = await userService.getIdentity(userId);
+      if (!target) {
+        socket.emit('error', { message: 'Usuario no encontrado' });
+        return;
+      }
+
+      if (lift) {
+        const lifted = await roomModerationService.liftSanction(roomId, target, type);
+        if (!lifted) {
+          socket.emit('error', { message: 'El usuario no tiene esa sanción activa' });
+          return;
+        }
+
+        socket.emit('room:sanction_lifted', { roomId, userId, type });
+        console.log(`Usuario ${socket.username} levantó ${type} a ${target.username} en sala ${room.name}`);
+        return;
+      }
+
+      if (!(await roomModerationService.canBeSanctioned(roomId, userId))) {
+        socket.emit('error', { message: 'No se puede sancionar al owner ni a los moderadores de la sala' });
+        return;
+      }
+
+      const sanction = await roomModerationService.applySanction(roomId, target, type, {
+        duration,
+        reason: reason && reason.trim()
+      }, socket.userId);
+
+      socket.emit('room:sanction_applied', sanction);
+
+      console.log(`Usuario ${socket.username} aplicó ${type} a ${target.username} en sala ${room.name}`);
+
+    } catch (error) {
+      console.error('Error gestionando sanción:', error);
+      socket.emit('error', { message: 'Error al gestionar sanción' });
+    }
+  };
+
+  /**
+   * Handler: Usuario envía un mensaje directo a otro usuario
+   * 
+   * Los mensajes directos no pasan por salas de Socket.io: se entregan
+   * a los sockets del destinatario obtenidos de UserService. El mensaje
+   * se persiste con MessageService bajo el ID de conversación.
+   * 
+   * @param {Object} data - Datos del evento
+   * @param {string} data.toUserId - ID del destinatario (requerido)
+   * @param {string} data.content - Contenido del mensaje (requerido, max 500 chars)
+   * 
+   * Emite:
+   * - 'dm:new' → Al emisor y a los sockets del destinatario
+   * - 'error' → Si hay error de validación o servidor
+   */
+  socket.on('dm:send', async (data) => {
+    try {
+      const validation = validateDirectMessage(data);
+      if (!validation.isValid) {
+        socket.emit('error', { message: validation.error });
+        return;
+      }
+
+      if (!socket.userId) {
+        socket.emit('error', { message: 'Debes identificarte primero' });
+        return;
+      }
+
+      const { toUserId, content } = data;
+
+      if (toUserId === socket.userId) {
+        socket.emit('error', { message: 'No puedes enviarte mensajes a ti mismo' });
+        return;
+      }
+
+      // Identidad permanente: se puede escribir a quien lleva días sin conectarse
+      const recipient = await userService.getIdentity(toUserId);
+      if (!recipient) {
+        socket.emit('error', { message: 'Usuario no encontrado' });
+        return;
+      }
+
+      const conversationId = conversationService.getConversationId(socket.userId, toUserId);
+      const moderation = await moderateContent(content.trim(), conversationId, 'dm:send');
+      if (!moderation) {
+        return;
+      }
+
+      const message = await conversationService.sendMessage(
+        { id: socket.userId, username: socket.username },
+        toUserId,
+        moderation.content
+      );
+
+      const payload = {
+        conversationId: message.roomId,
+        message
+      };
+
+      // Confirmación al emisor y entrega al destinatario (si está conectado)
+      socket.emit('dm:new', payload);
+      await notificationService.toUser(toUserId, 'dm:new', payload);
+
+      console.log(`Mensaje directo de ${socket.username} a ${recipient.username}`);
+
+    } catch (error) {
+      console.error('Error en dm:send:', error);
+      socket.emit('error', { message: 'Error al enviar mensaje directo' });
+    }
+  });
+
+  /**
+   * Handler: Cargar historial de una conversación directa
+   * 
+   * Marca la conversación como leída para el usuario que la abre.
+   * 
+   * @param {Object} data - Datos del evento
+   * @param {string} data.userId - ID del otro participante (requerido)
+   * @param {number} [data.limit=50] - Número máximo de mensajes (máx. 100)
+   * @param {number} [data.offset=0] - Mensajes a saltar (paginación)
+   * 
+   * Emite:
+   * - 'dm:history_loaded' → Al solicitante, con { conversationId, userId, messages }
+   * - 'error' → Si hay error de validación o servidor
+   */
+  socket.on('dm:history', async (data) => {
+    try {
+      if (!socket.userId) {
+        socket.emit('error', { message: 'Debes identificarte primero' });
+        return;
+      }
+
+      const validation = validateDirectHistory(data || {});
+      if (!validation.isValid) {
+        socket.emit('error', { message: validation.error });
+        return;
+      }
+
+      const { userId, limit = 50, offset = 0 } = data;
+
+      const conversationId = conversationService.getConversationId(socket.userId, userId);
+      const messages = await conversationService.getHistory(
+        conversationId,
+        parseInt(limit),
+        parseInt(offset)
+      );
+      await conversationService.markAsRead(socket.userId, conversationId);
+
+      socket.emit('dm:history_loaded', { conversationId, userId, messages });
+
+    } catch (error) {
+      console.error('Error en dm:history:', error);
+      socket.emit('error', { message: 'Error al cargar conversación' });
+    }
+  });
+
+  /**
+   * Handler: Editar un mensaje
+   * 
+   * Solo el autor (o un moderador de la sala) puede editar, y solo dentro
+   * del plazo configurado en MESSAGE_EDIT_WINDOW_MINUTES. La versión
+   * anterior se conserva en Redis (GET /api/messages/:messageId/history).
+   * 
+   * @param {Object} data - Datos del evento
+   * @param {string} data.messageId - ID del mensaje (requerido)
+   * @param {string} data.content - Nuevo contenido (requerido, max 500 chars)
+   * 
+   * Emite:
+   * - 'message:updated' → A la sala o conversación del mensaje
+   * - 'error' → Con code 'forbidden' o 'edit_window_expired' si no se puede editar
+   */
+  socket.on('message:edit', async (data) => {
+    try {
+      const validation = validateEditMessage(data);
+      if (!validation.isValid) {
+        socket.emit('error', { message: validation.error });
+        return;
+      }
+
+      if (!socket.userId) {
+        socket.emit('error', { message: 'Debes identificarte primero' });
+        return;
+      }
+
+      const { messageId, content } = data;
+
+      const message = await messageService.getMessage(messageId);
+      if (!message) {
+        socket.emit('error', { message: 'Mensaje no encontrado' });
+        return;
+      }
+
+      const check = await messageService.canUserEditMessage(message, socket.userId);
+      if (!check.canEdit) {
+        socket.emit('error', { code: check.code, message: check.reason, action: 'message:edit' });
+        return;
+      }
+
+      if (await rejectIfMuted(message.roomId, 'message:edit')) {
+        return;
+      }
+
+      const moderation = await moderateContent(content.trim(), message.roomId, 'message:edit');
+      if (!moderation) {
+        return;
+      }
+
+      const updated = await messageService.editMessage(messageId, moderation.content, socket.userId);
+
+      await notificationService.toRoom(updated.roomId, 'message:updated', updated);
+      await flagIfNeeded(updated, moderation);
+
+      console.log(`Usuario ${socket.username} editó el mensaje ${messageId}`);
+
+    } catch (error) {
+      console.error('Error en message:edit:', error);
+      socket.emit('error', { message: 'Error al editar mensaje' });
+    }
+  });
+
+  /**
+   * Handler: Eliminar un mensaje
+   * 
+   * Por defecto deja un tombstone en la sala ("mensaje eliminado");
+   * con hard: true lo elimina por completo del historial.
+   * 
+   * @param {Object} data - Datos del evento
+   * @param {string} data.messageId - ID del mensaje (requerido)
+   * @param {boolean} [data.hard=false] - Borrado definitivo
+   * 
+   * Emite:
+   * - 'message:deleted' → A la sala o conversación del mensaje
+   * - 'error' → Con code 'forbidden' si no es el autor ni moderador
+   */
+  socket.on('message:delete', async (data) => {
+    try {
+      const { messageId, hard = false } = data || {};
+
+      if (!socket.userId) {
+        socket.emit('error', { message: 'Debes identificarte primero' });
+        return;
+      }
+
+      if (!messageId) {
+        socket.emit('error', { message: 'messageId es requerido' });
+        return;
+      }
+
+      const message = await messageService.getMessage(messageId);
+      if (!message) {
+        socket.emit('error', { message: 'Mensaje no encontrado' });
+        return;
+      }
+
+      const check = await messageService.canUserDeleteMessage(message, socket.userId);
+      if (!check.canDelete) {
+        socket.emit('error', { code: check.code, message: check.reason, action: 'message:delete' });
+        return;
+      }
+
+      const deleted = await messageService.deleteMessage(messageId, {
+        hard: hard === true,
+        deletedBy: socket.userId
+      });
+
+      await notificationService.toRoom(deleted.roomId, 'message:deleted', deleted.toDeletionEvent(hard === true));
+
+      console.log(`Usuario ${socket.username} eliminó el mensaje ${messageId}`);
+
+    } catch (error) {
+      console.error('Error en message:delete:', error);
+      socket.emit('error', { message: 'Error al eliminar mensaje' });
+    }
+  });
+
+  /**
+   * Handler: Reportar un mensaje de sala a sus moderadores
+   *
+   * Cada usuario cuenta una vez por mensaje; repetir el reporte solo
+   * actualiza el motivo.
+   *
+   * @param {Object} data - Datos del evento
+   * @param {string} data.messageId - ID del mensaje (requerido)
+   * @param {string} [data.reason] - Motivo (max 300 chars)
+   *
+   * Emite:
+   * - 'message:reported' → Al emisor, como confirmación
+   * - 'report:new' → Al owner y moderadores de la sala (solo reportes nuevos)
+   * - 'error' → Si hay error de validación, acceso o servidor
+   */
+  socket.on('message:report', async (data) => {
+    try {
+      const validation = validateReport(data);
+      if (!validation.isValid) {
+        socket.emit('error', { message: validation.error });
+        return;
+      }
+
+      if (!socket.userId) {
+        socket.emit('error', { message: 'Debes identificarte primero' });
+        return;
+      }
+
+      const { messageId, reason } = data;
+
+      const message = await messageService.getMessage(messageId);
+      if (!message || !(await conversationService.canUserViewMessages(message.roomId, socket.userId))) {
+        socket.emit('error', { message: 'Mensaje no encontrado' });
+        return;
+      }
+
+      const check = reportService.canUserReportMessage(message, socket.userId);
+      if (!check.canReport) {
+        socket.emit('error', { message: check.reason, action: 'message:report' });
+        return;
+      }
+
+      const { report, created, reportCount } = await reportService.reportMessage(message, {
+        id: socket.userId,
+        username: socket.username
+      }, reason && reason.trim());
+
+      socket.emit('message:reported', { messageId, roomId: message.roomId });
+
+      if (created) {
+        await notificationService.toRoomModerators(message.roomId, 'report:new', {
+          roomId: message.roomId,
+          messageId,
+          report,
+          reportCount
+        });
+      }
+
+      console.log(`Usuario ${socket.username} reportó el mensaje ${messageId}`);
+
+    } catch (error) {
+      console.error('Error en message:report:', error);
+      socket.emit('error', { message: 'Error al reportar mensaje' });
+    }
+  });
+
+  /**
+   * Handler: Añadir una reacción a un mensaje
+   * 
+   * @param {Object} data - Datos del evento
+   * @param {string} data.messageId - ID del mensaje (requerido)
+   * @param {string} data.emoji - Emoji de la reacción (requerido)
+   * 
+   * Emite:
+   * - 'message:reactions' → A la sala o conversación, con las reacciones agregadas
+   * - 'error' → Si hay error de validación, acceso o servidor
+   */
+  socket.on('reaction:add', async (data) => {
+    await handleReaction(data, true);
+  });
+
+  // Quitar una reacción propia de un mensaje
+  socket.on('reaction:remove', async (data) => {
+    await handleReaction(data, false);
+  });
+
+  // Función común para añadir / quitar reacciones
+  const handleReaction = async (data, added) => {
+    try {
+      const validation = validateReaction(data);
+      if (!validation.isValid) {
+        socket.emit('error', { message: validation.error });
+        return;
+      }
+
+      if (!socket.userId) {
+        socket.emit('error', { message: 'Debes identificarte primero' });
+        return;
+      }
+
+      const { messageId, emoji } = data;
+
+      // Solo quien puede ver el mensaje puede reaccionar
+      const message = await messageService.getMessage(messageId);
+      if (!message || message.isDeleted() ||
+          !(await conversationService.canUserViewMessages(message.roomId, socket.userId))) {
+        socket.emit('error', { message: 'Mensaje no encontrado' });
+        return;
+      }
+
+      const reactions = added
+        ? await messageService.addReaction(messageId, emoji, socket.userId)
+        : await messageService.removeReaction(messageId, emoji, socket.userId);
+
+      await notificationService.toRoom(message.roomId, 'message:reactions', {
+        messageId,
+        roomId: message.roomId,
+        reactions
+      });
+
+    } catch (error) {
+      console.error('Error actualizando reacción:', error);
+      socket.emit('error', { message: 'Error al actualizar reacción' });
+    }
+  };
+
+  /**
+   * Handler: Responder en el hilo de un mensaje
+   * 
+   * La respuesta no aparece en el historial de la sala: se indexa en el
+   * hilo del mensaje raíz (GET /api/messages/:messageId/thread). Solo se
+   * permite un nivel de hilos: no se puede responder a una respuesta.
+   * 
+   * @param {Object} data - Datos del evento
+   * @param {string} data.parentId - ID del mensaje raíz (requerido)
+   * @param {string} data.content - Contenido de la respuesta (requerido, max 500 chars)
+   * 
+   * Emite:
+   * - 'thread:new_reply' → A los sockets de todos los participantes del hilo
+   * - 'message:thread_updated' → A la sala, con replyCount y lastReplyAt del raíz
+   * - 'error' → Si hay error de validación, permisos o servidor
+   */
+  socket.on('thread:reply', async (data) => {
+    try {
+      const validation = validateThreadReply(data);
+      if (!validation.isValid) {
+        socket.emit('error', { message: validation.error });
+        return;
+      }
+
+      if (!socket.userId) {
+        socket.emit('error', { message: 'Debes identificarte primero' });
+        return;
+      }
+
+      const { parentId, content } = data;
+
+      const parent = await messageService.getMessage(parentId);
+      if (!parent || !(await conversationService.canUserViewMessages(parent.roomId, socket.userId))) {
+        socket.emit('error', { message: 'Mensaje no encontrado' });
+        return;
+      }
+
+      if (parent.parentId || parent.type === 'system' || parent.isDeleted()) {
+        socket.emit('error', { message: 'No se puede responder a este mensaje' });
+        return;
+      }
+
+      // En salas, responder requiere el mismo permiso que enviar mensajes
+      if (!conversationService.isConversationId(parent.roomId)) {
+        const canSend = await roomService.hasPermission(parent.roomId, socket.userId, 'message:send');
+        if (!canSend) {
+          emitForbidden('message:send');
+          return;
+        }
+
+        if (await rejectIfMuted(parent.roomId, 'thread:reply')) {
+          return;
+        }
+      }
+
+      const moderation = await moderateContent(content.trim(), parent.roomId, 'thread:reply');
+      if (!moderation) {
+        return;
+      }
+
+      const { reply, parent: updatedParent } = await messageService.saveReply(parent, {
+        userId: socket.userId,
+        username: socket.username,
+        content: moderation.content
+      });
+      await flagIfNeeded(reply, moderation);
+
+      // Notificar a los participantes del hilo, estén o no en la sala
+      const participants = await messageService.getThreadParticipants(parentId);
+      for (const userId of participants) {
+        await notificationService.toUser(userId, 'thread:new_reply', { parentId, reply });
+      }
+
+      // Actualizar el resumen del hilo para toda la sala
+      await notificationService.toRoom(parent.roomId, 'message:thread_updated', {
+        messageId: parentId,
+        roomId: parent.roomId,
+        replyCount: updatedParent.replyCount,
+        lastReplyAt: updatedParent.lastReplyAt
+      });
+
+      console.log(`Usuario ${socket.username} respondió en el hilo ${parentId}`);
+
+    } catch (error) {
+      console.error('Error en thread:reply:', error);
+      socket.emit('error', { message: 'Error al responder en el hilo' });
+    }
+  });
+
+  /**
+   * Handler: Usuario marca hasta qué mensaje ha leído una de sus salas
+   * 
+   * El marcador solo avanza; marcar un mensaje anterior al actual no
+   * tiene efecto ni genera broadcast.
+   * 
+   * @param {Object} data - Datos del evento
+   * @param {string} data.roomId - ID de la sala (el usuario debe estar en ella)
+   * @param {string} data.messageId - ID del último mensaje leído
+   * 
+   * Emite:
+   * - 'room:read_updated' → A todos en la sala ({ roomId, userId, username, messageId, readAt })
+   * - 'error' → Si hay error de validación o servidor
+   */
+  socket.on('room:read', async (data) => {
+    try {
+      const { roomId, messageId } = data || {};
+
+      if (!socket.userId || !isInRoom(roomId)) {
+        socket.emit('error', { message: 'Debes estar en la sala para marcarla como leída' });
+        return;
+      }
+
+      if (!messageId) {
+        socket.emit('error', { message: 'messageId es requerido' });
+        return;
+      }
+
+      const readPosition = await messageService.markAsRead(
+        roomId,
+        { id: socket.userId, username: socket.username },
+        messageId
+      );
+
+      if (readPosition) {
+        io.to(roomId).emit('room:read_updated', { roomId, ...readPosition });
+      }
+
+    } catch (error) {
+      console.error('Error en room:read:', error);
+      socket.emit('error', { message: 'Error al marcar la sala como leída' });
+    }
+  });
+
+  /**
+   * Handler: Cargar historial paginado por cursor
+   * 
+   * Pensado para "cargar anteriores": se pasa como before el nextCursor
+   * de la página previa. Los mensajes nuevos que lleguen entre medias no
+   * desplazan la ventana.
+   * 
+   * @param {Object} data - Datos del evento
+   * @param {string} data.roomId - Sala o conversación
+   * @param {string} [data.before] - Cursor: mensajes más antiguos que este ID/timestamp
+   * @param {string} [data.after] - Cursor: mensajes más recientes que este ID/timestamp
+   * @param {number} [data.limit=50] - Máximo de mensajes (1-100)
+   * 
+   * Emite:
+   * - 'history:loaded' → Al cliente ({ roomId, messages, nextCursor, hasMore })
+   * - 'error' → Si hay error de validación, cursor inválido o sin acceso
+   */
+  socket.on('history:load', async (data) => {
+    try {
+      if (!socket.userId) {
+        socket.emit('error', { message: 'Debes identificarte primero' });
+        return;
+      }
+
+      const validation = validateHistoryQuery(data || {});
+      if (!validation.isValid || (data && data.offset !== undefined)) {
+        socket.emit('error', { message: validation.error || 'Usa before/after en lugar de offset' });
+        return;
+      }
+
+      const { roomId, before, after, limit = 50 } = data || {};
+
+      if (!roomId || !(await conversationService.canUserViewMessages(roomId, socket.userId))) {
+        socket.emit('error', { message: 'Sala no encontrada' });
+        return;
+      }
+
+      const page = await messageService.getRoomMessagesPage(roomId, {
+        limit: parseInt(limit),
+        before,
+        after
+      });
+
+      if (!page) {
+        socket.emit('error', { message: 'Cursor no válido' });
+        return;
+      }
+
+      socket.emit('history:loaded', { roomId, ...page });
+
+    } catch (error) {
+      console.error('Error en history:load:', error);
+      socket.emit('error', { message: 'Error al cargar historial' });
+    }
+  });
+
+  // Usuario está escribiendo en una de sus salas ({ roomId })
+  socket.on('typing:start', (data) => {
+    const { roomId } = data || {};
+    if (isInRoom(roomId) && socket.username) {
+      socket.to(roomId).emit('user:typing', {
+        roomId,
+        userId: socket.userId,
+        username: socket.username
+      });
+    }
+  });
+
+  // Usuario dejó de escribir ({ roomId })
+  socket.on('typing:stop', (data) => {
+    const { roomId } = data || {};
+    if (isInRoom(roomId) && socket.username) {
+      socket.to(roomId).emit('user:stopped_typing', {
+        roomId,
+        userId: socket.userId,
+        username: socket.username
+      });
+    }
+  });
+
+  /**
+   * Handler: Heartbeat de presencia
+   *
+   * El cliente lo envía cada heartbeatInterval segundos. Sin heartbeats,
+   * la conexión deja de contar para la presencia al cabo de PRESENCE_TTL
+   * aunque el socket siga abierto.
+   */
+  socket.on('presence:heartbeat', async () => {
+    try {
+      if (!socket.userId) return;
+
+      const revived = await presenceService.heartbeat(socket.userId, socket.id);
+      if (revived) {
+        const user = await userService.setUserOnline(socket.userId, socket.id);
+        if (user) {
+          await broadcastPresence(user, await presenceService.getStatus(socket.userId));
+        }
+      }
+    } catch (error) {
+      console.error('Error en presence:heartbeat:', error);
+    }
+  });
+
+  /**
+   * Handler: Usuario cambia su estado de presencia
+   *
+   * El estado es del usuario, no de la conexión: se aplica a todas sus
+   * pestañas y dispositivos.
+   *
+   * @param {Object} data - { status: 'online' | 'away' | 'busy' | 'idle' }
+   *
+   * Emite:
+   * - 'presence:update' → A las salas del usuario (también a sus otras conexiones
+   *   que estén en ellas)
+   * - 'error' → Si el estado no es válido
+   */
+  socket.on('presence:set', async (data) => {
+    try {
+      const validation = validatePresence(data);
+      if (!validation.isValid) {
+        socket.emit('error', { message: validation.error });
+        return;
+      }
+
+      if (!socket.userId) {
+        socket.emit('error', { message: 'Debes identificarte primero' });
+        return;
+      }
+
+      await presenceService.setStatus(socket.userId, data.status);
+
+      const user = await userService.getUser(socket.userId);
+      if (user) {
+        await broadcastPresence(user, data.status);
+      }
+    } catch (error) {
+      console.error('Error en presence:set:', error);
+      socket.emit('error', { message: 'Error al cambiar el estado' });
+    }
+  });
+
+  // Usuario sale de una de sus salas ({ roomId })
+  socket.on('room:leave', async (data) => {
+    const { roomId } = data || {};
+    if (isInRoom(roomId)) {
+      await handleLeaveRoom(roomId);
+    }
+  });
+
+  /**
+   * Saca al usuario de una sala, desde todas sus conexiones
+   *
+   * Emite:
+   * - 'user:left' → A los demás usuarios de la sala ({ roomId, userId, username, userCount })
+   * - 'room:left' → A todas las conexiones del usuario ({ roomId }), para
+   *   que cierren la sala
+   */
+  const handleLeaveRoom = async (roomId) => {
+    try {
+      if (!socket.userId) return;
+
+      // Salir de la sala de Socket.io (también las otras conexiones del usuario)
+      socket.leave(roomId);
+      const socketIds = await userService.getUserSocketIds(socket.userId);
+      if (socketIds.length > 0) {
+        io.in(socketIds).socketsLeave(roomId);
+      }
+
+      // Remover usuario de la sala en Redis
+      const removed = await userService.removeUserFromRoom(socket.userId, roomId);
+      if (!removed) return;
+      
+      // Actualizar contador de usuarios
+      const userCount = await userService.countRoomUsers(roomId);
+      await roomService.updateUserCount(roomId, userCount);
+
+      // Notificar a otros usuarios
+      socket.to(roomId).emit('user:left', {
+        roomId,
+        userId: socket.userId,
+        username: socket.username,
+        userCount
+      });
+
+      // Mensaje del sistema
+      if (socket.username) {
+        const systemMessage = await messageService.saveMessage({
+          roomId,
+          userId: 'system',
+          username: 'Sistema',
+          content: `${socket.username} salió de la sala`,
+          type: 'system'
+        });
+
+        io.to(roomId).emit('message:new', systemMessage);
+      }
+
+      await notificationService.toUser(socket.userId, 'room:left', { roomId });
+
+      console.log(`Usuario ${socket.username || socket.userId} salió de la sala ${roomId}`);
+
+    } catch (error) {
+      console.error('Error al salir de sala:', error);
+    }
+  };
+
+  // Limpiar los datos de la conexión; si era la última del usuario, salir de sus salas
+  const finishDisconnect = async () => {
+    // Limpiar datos del usuario
+    const user = await userService.cleanupUser(socket.id);
+    await socketStateService.deleteState(socket.id);
+
+    // Era su última conexión: deja sus salas y se avisa en ellas
+    if (user && !user.isOnline) {
+      const roomIds = await userService.getUserRooms(user.id);
+      for (const roomId of roomIds) {
+        await handleLeaveRoom(roomId);
+      }
+      if (roomIds.length > 0) {
+        await broadcastPresence(user, 'offline', roomIds);
+      }
+    }
+
+    console.log(`Usuario ${socket.username || 'desconocido'} se desconectó`);
+  };
+
+  /**
+   * Completa la desconexión al acabar el periodo de gracia
+   *
+   * Si otra conexión reanudó la sesión, ya se hizo cargo de este socket.
+   */
+  const expireSession = async (resumeToken) => {
+    try {
+      if (!(await sessionService.claimGrace(socket.id))) {
+        return;
+      }
+
+      await sessionService.deleteSession(resumeToken);
+      await finishDisconnect();
+    } catch (error) {
+      console.error('Error completando desconexión:', error);
+    }
+  };
+
+  // Cuando se desconecta el usuario
+  socket.on('disconnect', async () => {
+    try {
+      const session = socket.resumeToken ? await sessionService.getSession(socket.resumeToken) : null;
+
+      // Otra conexión reanudó la sesión y ya olvidó este socket
+      if (session && session.socketId !== socket.id) {
+        console.log(`Usuario ${socket.username} cambió de conexión`);
+        return;
+      }
+
+      // Dar tiempo al cliente para reanudar la sesión antes de salir de sus salas
+      if (session && sessionService.GRACE_PERIOD > 0) {
+        await sessionService.suspend(socket.resumeToken, socket.id);
+        setTimeout(() => expireSession(socket.resumeToken), sessionService.GRACE_PERIOD * 1000);
+        return;
+      }
+
+      if (session) {
+        await sessionService.deleteSession(socket.resumeToken);
+      }
+      await finishDisconnect();
 
     } catch (error) {
       console.error('Error en disconnect:', error);
@@ -0,0 +1,68 @@
+const { verifyToken } = require('../utils/auth');
+const UserService = require('../services/UserService');
+const redisClient = require('../config/redis');
+
+/**
+ * Middlewares de autenticación para Express y Socket.io
+ *
+ * Ambos aceptan el token firmado emitido por /api/auth/login:
+ * - Express: cabecera `Authorization: Bearer <token>`
+ * - Socket.io: `io({ auth: { token } })` en el handshake
+ *
+ * La identidad verificada queda disponible como `req.user` o
+ * `socket.user` con la forma { id, username } (y guest: true para los
+ * invitados de /api/auth/guest).
+ */
+
+const userService = new UserService(redisClient);
+
+// Extraer token de la cabecera Authorization
+const getBearerToken = (header) => {
+  if (!header) return null;
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+// Middleware Express: rechaza peticiones sin token válido, o de un
+// invitado cuyo nombre ya no está reservado a su ID (la reserva caducó o
+// la tiene otro), aunque el token no haya caducado
+const authenticate = async (req, res, next) => {
+  const token = getBearerToken(req.headers.authorization);
+  const user = token ? verifyToken(token) : null;
+
+  try {
+    if (!user || (user.guest && !(await userService.hasGuestReservation(user)))) {
+      return res.status(401).json({
+        success: false,
+        error: 'No autenticado'
+      });
+    }
+  } catch (error) {
+    console.error('Error verificando autenticación:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Error al verificar autenticación'
+    });
+  }
+
+  req.user = user;
+  next();
+};
+
+// Middleware Socket.io: rechaza conexiones sin token válido en el handshake
+const authenticateSocket = (socket, next) => {
+  const { token } = socket.handshake.auth || {};
+  const user = token ? verifyToken(token) : null;
+
+  if (!user) {
+    return next(new Error('No autenticado'));
+  }
+
+  socket.user = user;
+  next();
+};
+
+module.exports = {
+  authenticate,
+  authenticateSocket
+};
@@ -0,0 +1,64 @@
+const { isGlobalModerator } = require('../utils/permissions');
+
+/**
+ * Middleware Express de permisos por sala
+ *
+ * Requiere que `authenticate` se haya ejecutado antes (usa req.user)
+ * y que la ruta tenga el parámetro :roomId.
+ *
+ * @param {RoomService} roomService - Servicio para consultar salas y roles
+ * @param {string} action - Acción de la matriz de permisos
+ *
+ * Respuestas:
+ * - 404 → La sala no existe
+ * - 403 → El rol del usuario no permite la acción
+ */
+const requireRoomPermission = (roomService, action) => async (req, res, next) => {
+  try {
+    const { roomId } = req.params;
+
+    const room = await roomService.getRoom(roomId);
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sala no encontrada'
+      });
+    }
+
+    const allowed = await roomService.hasPermission(roomId, req.user.id, action);
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        error: 'No tienes permiso para realizar esta acción',
+        action
+      });
+    }
+
+    req.room = room;
+    next();
+  } catch (error) {
+    console.error('Error verificando permisos:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al verificar permisos'
+    });
+  }
+};
+
+// Middleware Express: solo moderadores globales (GLOBAL_MODERATORS)
+const requireGlobalModerator = (req, res, next) => {
+  if (!isGlobalModerator(req.user.id)) {
+    return res.status(403).json({
+      success: false,
+      error: 'No tienes permiso para realizar esta acción',
+      action: 'moderation:global'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  requireRoomPermission,
+  requireGlobalModerator
+};
@@ -0,0 +1,98 @@
+/**
+ * Middlewares de rate limiting para Express y Socket.io
+ *
+ * Ambos usan RateLimitService, con una regla por ruta o por evento
+ * (ver DEFAULT_RULES). Una regla que tiene evento y ruta (message:edit,
+ * reaction:add...) comparte el contador: cambiar de transporte no da más
+ * peticiones. Si Redis falla la petición se deja pasar: un problema del
+ * limitador no debe tumbar el chat.
+ *
+ * Respuestas al superar el límite:
+ * - Express: 429 con { success: false, error, retryAfter } y cabecera Retry-After
+ * - Socket.io: 'error' con { code: 'rate_limited', message, event, retryAfter };
+ *   el evento se descarta sin llegar a su handler
+ */
+
+// Identidad a la que se aplica la regla: conexión, usuario autenticado o IP
+const getIdentity = (rule, user, ip, socketId) => {
+  if (rule.by === 'socket' && socketId) {
+    return socketId;
+  }
+  return rule.by === 'ip' || !user ? ip : user.id;
+};
+
+/**
+ * Middleware Express para una ruta
+ *
+ * Con 'user' requiere que `authenticate` se haya ejecutado antes (usa req.user).
+ *
+ * @param {RateLimitService} rateLimitService - Servicio de rate limiting
+ * @param {string} name - Nombre de la regla
+ */
+const rateLimit = (rateLimitService, name) => async (req, res, next) => {
+  const rule = rateLimitService.getRule(name);
+  if (!rule) {
+    return next();
+  }
+
+  let result;
+  try {
+    result = await rateLimitService.consume(name, getIdentity(rule, req.user, req.ip));
+  } catch (error) {
+    return next();
+  }
+
+  res.set('X-RateLimit-Limit', String(result.limit));
+  res.set('X-RateLimit-Remaining', String(result.remaining));
+
+  if (!result.allowed) {
+    res.set('Retry-After', String(result.retryAfter));
+    return res.status(429).json({
+      success: false,
+      error: 'Demasiadas peticiones, inténtalo más tarde',
+      retryAfter: result.retryAfter
+    });
+  }
+
+  next();
+};
+
+/**
+ * Middleware Socket.io por paquete: socket.use(rateLimitSocket(service, socket))
+ *
+ * Solo se limitan los eventos con regla; el resto pasa sin consultar Redis.
+ *
+ * @param {RateLimitService} rateLimitService - Servicio de rate limiting
+ * @param {Object} socket - Socket autenticado (usa socket.user)
+ */
+const rateLimitSocket = (rateLimitService, socket) => async ([event], next) => {
+  const rule = rateLimitService.getRule(event);
+  if (!rule) {
+    return next();
+  }
+
+  let result;
+  try {
+    result = await rateLimitService.consume(
+      event, getIdentity(rule, socket.user, socket.handshake.address, socket.id)
+    );
+  } catch (error) {
+    return next();
+  }
+
+  if (!result.allowed) {
+    return socket.emit('error', {
+      code: 'rate_limited',
+      message: `Demasiadas peticiones: espera ${result.retryAfter} s`,
+      event,
+      retryAfter: result.retryAfter
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  rateLimit,
+  rateLimitSocket
+};
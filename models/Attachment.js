@@ -0,0 +1,67 @@
+const { v4: uuidv4 } = require('uuid');
+
+class Attachment {
+  constructor(data) {
+    this.id = data.id || uuidv4();
+    this.roomId = data.roomId;
+    this.userId = data.userId; // Quién lo subió (solo él puede enviarlo)
+    this.name = data.name; // Nombre original del archivo
+    this.size = parseInt(data.size) || 0; // Bytes
+    this.mime = data.mime;
+    // Dimensiones en píxeles (solo imágenes)
+    this.width = parseInt(data.width) || null;
+    this.height = parseInt(data.height) || null;
+    this.storageKey = data.storageKey || `${this.id}/original`; // Clave en el driver de almacenamiento
+    this.thumbnailKey = data.thumbnailKey || null; // Miniatura WebP (solo imágenes)
+    this.messageId = data.messageId || null; // Mensaje que lo envió (null = pendiente)
+    this.createdAt = data.createdAt || new Date().toISOString();
+  }
+
+  // Convertir a objeto plano para almacenar en Redis
+  toRedisObject() {
+    return {
+      id: this.id,
+      roomId: this.roomId,
+      userId: this.userId,
+      name: this.name,
+      size: this.size,
+      mime: this.mime,
+      width: this.width || '',
+      height: this.height || '',
+      storageKey: this.storageKey,
+      thumbnailKey: this.thumbnailKey || '',
+      createdAt: this.createdAt
+    };
+  }
+
+  // Crear instancia desde datos de Redis
+  static fromRedisObject(data) {
+    return new Attachment(data);
+  }
+
+  // Verificar si es una imagen (con dimensiones y miniatura)
+  isImage() {
+    return !!this.thumbnailKey;
+  }
+
+  // Tipo del mensaje que lo envía ('image' o 'file', ver Message.type)
+  getMessageType() {
+    return this.isImage() ? 'image' : 'file';
+  }
+
+  // Metadatos que se guardan con el mensaje y reciben los clientes
+  toMetadata() {
+    return {
+      id: this.id,
+      name: this.name,
+      size: this.size,
+      mime: this.mime,
+      width: this.width,
+      height: this.height,
+      storageKey: this.storageKey,
+      thumbnailKey: this.thumbnailKey
+    };
+  }
+}
+
+module.exports = Attachment;
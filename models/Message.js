@@ -9,6 +9,21 @@ class Message {
     this.content = data.content;
     this.timestamp = data.timestamp || new Date().toISOString();
     this.type = data.type || 'text'; // text, image, file, system
+    this.editedAt = data.editedAt || null; // Fecha de la última edición
+    this.editedBy = data.editedBy || null; // Autor de la última edición (autor o moderador)
+    this.deletedAt = data.deletedAt || null; // Marca de borrado lógico (tombstone)
+    this.deletedBy = data.deletedBy || null; // Quién lo eliminó (autor o moderador)
+    this.reactions = data.reactions || []; // Reacciones agregadas (no se guardan en el Hash)
+    this.parentId = data.parentId || null; // Mensaje raíz si es una respuesta en hilo
+    this.replyCount = parseInt(data.replyCount) || 0; // Respuestas en su hilo (solo mensajes raíz)
+    this.lastReplyAt = data.lastReplyAt || null; // Fecha de la última respuesta del hilo
+    this.attachment = Message.parseAttachment(data.attachment); // Metadatos del adjunto (image, file)
+  }
+
+  // Los metadatos del adjunto se guardan en Redis como JSON ('' = sin adjunto)
+  static parseAttachment(attachment) {
+    if (!attachment) return null;
+    return typeof attachment === 'string' ? JSON.parse(attachment) : attachment;
   }
 
   // Convertir a objeto plano para almacenar en Redis
@@ -20,7 +35,15 @@ class Message {
       username: this.username,
       content: this.content,
       timestamp: this.timestamp,
-      type: this.type
+      type: this.type,
+      editedAt: this.editedAt || '',
+      editedBy: this.editedBy || '',
+      deletedAt: this.deletedAt || '',
+      deletedBy: this.deletedBy || '',
+      parentId: this.parentId || '',
+      replyCount: this.replyCount,
+      lastReplyAt: this.lastReplyAt || '',
+      attachment: this.attachment ? JSON.stringify(this.attachment) : ''
     };
   }
 
@@ -29,15 +52,40 @@ class Message {
     return new Message(data);
   }
 
-  // Validar mensaje
+  // Verificar si el mensaje sigue dentro del plazo de edición
+  isEditable(now = Date.now()) {
+    const windowMinutes = parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES) || 15;
+    return this.type !== 'system' &&
+      !this.isDeleted() &&
+      now - new Date(this.timestamp).getTime() <= windowMinutes * 60 * 1000;
+  }
+
+  // Verificar si el mensaje fue eliminado (tombstone)
+  isDeleted() {
+    return !!this.deletedAt;
+  }
+
+  // Datos del evento 'message:deleted' para los clientes
+  toDeletionEvent(hard = false) {
+    return {
+      messageId: this.id,
+      roomId: this.roomId,
+      hard,
+      deletedAt: this.deletedAt,
+      deletedBy: this.deletedBy,
+      byModerator: !!this.deletedBy && this.deletedBy !== this.userId
+    };
+  }
+
+  // Validar mensaje (con adjunto, el texto es opcional)
   isValid() {
+    const hasContent = !!this.content && this.content.trim().length > 0;
     return !!(
       this.roomId && 
       this.userId && 
       this.username && 
-      this.content && 
-      this.content.trim().length > 0 &&
-      this.content.length <= (process.env.MAX_MESSAGE_LENGTH || 500)
+      (hasContent || this.attachment) &&
+      (this.content || '').length <= (process.env.MAX_MESSAGE_LENGTH || 500)
     );
   }
 }
@@ -7,9 +7,36 @@ class Room {
     this.description = data.description || '';
     this.createdAt = data.createdAt || new Date().toISOString();
     this.createdBy = data.createdBy;
-    this.isPrivate = data.isPrivate || false;
-    this.maxUsers = data.maxUsers || parseInt(process.env.MAX_USERS_PER_ROOM) || 50;
-    this.userCount = data.userCount || 0;
+    // Redis devuelve todos los campos como strings: normalizar tipos
+    this.isPrivate = data.isPrivate === true || data.isPrivate === 'true';
+    this.maxUsers = parseInt(data.maxUsers) || parseInt(process.env.MAX_USERS_PER_ROOM) || 50;
+    this.userCount = parseInt(data.userCount) || 0;
+    this.tags = Room.normalizeTags(data.tags); // Categorías del directorio de salas
+    this.lastActivityAt = data.lastActivityAt || this.createdAt; // Último mensaje
+  }
+
+  /**
+   * Normaliza las etiquetas de una sala
+   *
+   * Acepta un array o el string separado por comas que se guarda en Redis.
+   * Cada etiqueta queda en minúsculas, sin tildes y con guiones en lugar
+   * de espacios ("Programación Web" → "programacion-web"); se descartan
+   * vacías y repetidas y se conservan como mucho MAX_TAGS.
+   */
+  static normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    const normalized = list
+      .map(tag => String(tag)
+        .normalize('NFD')
+        .replace(/\p{M}/gu, '')
+        .toLowerCase()
+        .trim()
+        .replace(/[\s_]+/g, '-')
+        .replace(/[^a-z0-9-]/g, '')
+        .replace(/-+/g, '-')
+        .replace(/^-|-$/g, ''))
+      .filter(tag => tag.length > 0);
+    return [...new Set(normalized)].slice(0, Room.MAX_TAGS);
   }
 
   // Convertir a objeto plano para almacenar en Redis
@@ -20,9 +47,11 @@ class Room {
       description: this.description,
       createdAt: this.createdAt,
       createdBy: this.createdBy,
-      isPrivate: this.isPrivate,
+      isPrivate: this.isPrivate ? 'true' : 'false', // Redis no acepta booleanos
       maxUsers: this.maxUsers,
-      userCount: this.userCount
+      userCount: this.userCount,
+      tags: this.tags.join(','), // Redis no acepta arrays
+      lastActivityAt: this.lastActivityAt
     };
   }
 
@@ -59,4 +88,6 @@ class Room {
   }
 }
 
+Room.MAX_TAGS = 5;
+
 module.exports = Room;
\ No newline at end of file
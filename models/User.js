@@ -5,9 +5,9 @@ class User {
     this.id = data.id || uuidv4();
     this.username = data.username;
     this.socketId = data.socketId;
-    this.roomId = data.roomId;
     this.joinedAt = data.joinedAt || new Date().toISOString();
-    this.isOnline = data.isOnline !== undefined ? data.isOnline : true;
+    // Redis devuelve 'true'/'false' como strings
+    this.isOnline = data.isOnline !== undefined ? (data.isOnline === true || data.isOnline === 'true') : true;
     this.lastSeen = data.lastSeen || new Date().toISOString();
   }
 
@@ -17,9 +17,8 @@ class User {
       id: this.id,
       username: this.username,
       socketId: this.socketId,
-      roomId: this.roomId,
       joinedAt: this.joinedAt,
-      isOnline: this.isOnline,
+      isOnline: this.isOnline ? 'true' : 'false', // Redis no acepta booleanos
       lastSeen: this.lastSeen
     };
   }
@@ -1,86 +1,345 @@
 // Variables globales
 let socket = null;
+let authToken = null;
 let currentUserId = null;
 let currentUsername = null;
-let currentRoomId = null;
+let currentRoomId = null; // Sala a la vista (hay un panel por cada sala abierta)
+let openRooms = {}; // roomId → estado de la sala abierta (ver openRoomPane)
+let requestedRoomId = null; // Sala pedida desde esta pestaña: se muestra al unirse
 let typingTimer = null;
 let isTyping = false;
+let typingRoomId = null; // Sala en la que se está escribiendo
+let isLoadingHistory = false;
+let previousSocketId = null; // Conexión anterior, para recuperar las salas al reconectar
+let resumeToken = null; // Sesión que se reanuda al reconectar (session:resume)
+
+// Secretos de reconexión de los nombres de invitado usados en este navegador
+const GUEST_SECRETS_KEY = 'chatGuestSecrets';
+let usernameCheckTimer = null; // Espera antes de comprobar si el nombre está libre
+let heartbeatTimer = null; // Heartbeat de presencia mientras hay conexión
+let idleTimer = null; // Pasa a 'idle' tras un rato sin actividad
+let presenceStatus = 'online'; // Estado elegido por el usuario
+let userStatuses = {}; // userId → estado de presencia conocido
+let unreadMentions = {}; // roomId → IDs de los mensajes con menciones sin leer
+
+// Minutos sin actividad antes de mostrarse como inactivo
+const IDLE_MINUTES = 5;
+
+// Reacciones rápidas disponibles en cada mensaje
+const QUICK_REACTIONS = ['👍', '❤️', '😂', '😮', '😢'];
 
 // Inicializar cuando se carga la página
 document.addEventListener('DOMContentLoaded', () => {
-    initializeSocketConnection();
     setupEventListeners();
-    loadRooms();
 });
 
-// Configurar conexión Socket.io
+// Configurar conexión Socket.io (requiere token de sesión)
 function initializeSocketConnection() {
-    socket = io();
+    // auth se evalúa en cada (re)conexión: si la instancia del servidor que
+    // atendía la conexión anterior cayó, otra recupera sus salas
+    socket = io({
+        auth: (cb) => cb({ token: authToken, previousSocketId })
+    });
 
     // Eventos de conexión
     socket.on('connect', () => {
         console.log('Conectado al servidor');
+        if (resumeToken) {
+            socket.emit('session:resume', { resumeToken, lastMessageIds: getLastMessageIds() });
+        } else {
+            socket.emit('user:join');
+        }
+    });
+
+    socket.on('connect_error', (error) => {
+        console.error('Error de conexión:', error.message);
+        showError(error.message);
     });
 
     socket.on('disconnect', () => {
         console.log('Desconectado del servidor');
+        clearInterval(heartbeatTimer);
         showError('Conexión perdida con el servidor');
     });
 
     // Eventos de usuario
     socket.on('user:joined', (data) => {
         console.log('Usuario conectado:', data);
-        currentUserId = data.userId;
-        currentUsername = data.username;
+        startSession(data);
+
+        // Salas en las que ya estaba el usuario (otras pestañas o una
+        // conexión anterior): se abren de nuevo con room:join
+        const roomIds = data.rooms.map(room => room.roomId);
+        Object.keys(openRooms)
+            .filter(roomId => !roomIds.includes(roomId))
+            .forEach(roomId => closeRoomPane(roomId));
+        roomIds.forEach(roomId => socket.emit('room:join', { roomId }));
+
         document.getElementById('currentUsername').textContent = currentUsername;
         document.getElementById('loginContainer').classList.add('hidden');
+        loadRooms();
+    });
+
+    // Sesión reanudada tras reconectar: mismas salas, sin recargarlas
+    socket.on('session:resumed', (data) => {
+        console.log('Sesión reanudada:', data);
+        startSession(data);
+
+        // Un moderador nos sacó de alguna sala mientras no estábamos
+        const roomIds = data.rooms.map(room => room.roomId);
+        Object.keys(openRooms)
+            .filter(roomId => !roomIds.includes(roomId))
+            .forEach(roomId => leaveRemovedRoom(roomId, 'Ya no estás en la sala'));
+
+        data.rooms.forEach(room => {
+            // Sala en la que se entró desde otra pestaña: se abre entera
+            if (!openRooms[room.roomId]) {
+                socket.emit('room:join', { roomId: room.roomId });
+                return;
+            }
+
+            appendMissedMessages(room.roomId, room.missedMessages);
+            if (room.hasMore) {
+                openRooms[room.roomId].isReplaying = true;
+                socket.emit('history:load', { roomId: room.roomId, after: room.nextCursor, limit: 100 });
+            }
+        });
+    });
+
+    socket.on('session:resume_failed', () => {
+        resumeToken = null;
+        socket.emit('user:join');
     });
 
     // Eventos de sala
     socket.on('room:joined', (data) => {
         console.log('Unido a sala:', data);
-        currentRoomId = data.roomId;
-        document.getElementById('currentRoomName').textContent = data.roomName;
-        document.getElementById('roomUserCount').textContent = `${data.userCount} usuarios`;
-        
-        // Limpiar mensajes y cargar los nuevos
-        clearMessages();
-        data.messages.forEach(message => displayMessage(message));
+        data.users.forEach(user => {
+            userStatuses[user.id] = user.status;
+        });
         
-        // Habilitar input de mensajes
-        document.getElementById('messageInput').disabled = false;
-        document.getElementById('sendButton').disabled = false;
+        // Cargar los mensajes en el panel de la sala
+        openRoomPane(data);
+
+        // Mostrarla si la pidió esta pestaña (o si no hay ninguna a la vista)
+        if (data.roomId === requestedRoomId || !currentRoomId) {
+            requestedRoomId = null;
+            showRoom(data.roomId);
+        } else {
+            renderRoomTabs();
+        }
         
-        // Actualizar lista de salas
-        updateRoomActiveState(data.roomId);
+        // Actualizar lista de salas (y sus contadores de no leídos)
+        loadRooms();
+    });
+
+    // Salimos de una sala (desde esta pestaña o desde otra)
+    socket.on('room:left', (data) => {
+        closeRoomPane(data.roomId);
+        loadRooms();
+    });
+
+    // Mensajes anteriores (scroll hacia arriba)
+    socket.on('history:loaded', (data) => {
+        const room = openRooms[data.roomId];
+        if (room && room.isReplaying) {
+            room.isReplaying = false;
+            appendMissedMessages(data.roomId, data.messages);
+            if (data.hasMore) {
+                room.isReplaying = true;
+                socket.emit('history:load', { roomId: data.roomId, after: data.nextCursor, limit: 100 });
+            }
+            return;
+        }
+
+        isLoadingHistory = false;
+        if (!room || data.roomId !== currentRoomId) return;
+
+        const messagesContainer = document.getElementById('messagesContainer');
+        const previousHeight = messagesContainer.scrollHeight;
+
+        // Insertar de más reciente a más antiguo al principio
+        data.messages.slice().reverse().forEach(message => displayMessage(message, true));
+        room.historyCursor = data.hasMore ? data.nextCursor : null;
+        renderSeenBy();
+
+        // Mantener a la vista el mensaje que se estaba leyendo
+        messagesContainer.scrollTop = messagesContainer.scrollHeight - previousHeight;
     });
 
     // Eventos de mensajes
     socket.on('message:new', (message) => {
+        const room = openRooms[message.roomId];
+        if (!room) return;
+
         displayMessage(message);
-        scrollToBottom();
+        room.lastMessageId = message.id;
+
+        if (message.userId === currentUserId) return;
+
+        // La sala está a la vista: el mensaje queda leído
+        if (message.roomId === currentRoomId) {
+            socket.emit('room:read', { roomId: currentRoomId, messageId: message.id });
+        } else {
+            room.unread++;
+            renderRoomTabs();
+        }
+    });
+
+    socket.on('room:read_updated', (position) => {
+        const room = openRooms[position.roomId];
+        if (!room) return;
+
+        room.readPositions[position.userId] = position;
+        if (position.roomId === currentRoomId) {
+            renderSeenBy();
+        }
+    });
+
+    socket.on('message:updated', (message) => {
+        updateMessage(message);
+    });
+
+    socket.on('message:deleted', (data) => {
+        markMessageDeleted(data);
+    });
+
+    socket.on('message:reactions', (data) => {
+        const messageElement = document.querySelector(`[data-message-id="${data.messageId}"]`);
+        if (messageElement) {
+            renderReactions(messageElement, data.messageId, data.reactions);
+        }
+    });
+
+    // Menciones (@usuario) en cualquiera de las salas del usuario
+    socket.on('mention:new', (mention) => {
+        // La sala está a la vista: la mención queda leída
+        if (mention.roomId === currentRoomId) {
+            markMentionsRead([mention.messageId]);
+            return;
+        }
+
+        addUnreadMention(mention);
+        renderRoomTabs();
+        if (!openRooms[mention.roomId]) {
+            showNotice(`${mention.fromUsername} te ha mencionado en ${mention.roomName}`);
+        }
+    });
+
+    // Menciones leídas (también desde otras pestañas)
+    socket.on('mention:read', (data) => {
+        if (!data.messageIds) {
+            unreadMentions = {};
+        } else {
+            Object.keys(unreadMentions).forEach(roomId => {
+                unreadMentions[roomId] = unreadMentions[roomId].filter(id => !data.messageIds.includes(id));
+            });
+        }
+        renderRoomTabs();
+    });
+
+    // Moderación: mensajes propios retenidos para revisión
+    socket.on('message:held', (data) => {
+        showNotice(data.message);
+    });
+
+    socket.on('message:held_resolved', (data) => {
+        if (!data.approved) {
+            showNotice('Un moderador ha descartado tu mensaje retenido');
+        }
+    });
+
+    socket.on('message:reported', () => {
+        showNotice('Mensaje reportado a los moderadores');
+    });
+
+    socket.on('room:kicked', (data) => {
+        leaveRemovedRoom(data.roomId, 'Un moderador te ha expulsado de la sala');
+    });
+
+    // Sin invitación ya no se puede estar en una sala privada
+    socket.on('room:uninvited', (data) => {
+        if (openRooms[data.roomId]) {
+            leaveRemovedRoom(data.roomId, `Ya no tienes acceso a la sala ${data.roomName}`);
+        } else {
+            loadRooms();
+        }
+    });
+
+    socket.on('room:banned', (data) => {
+        leaveRemovedRoom(data.roomId, 'Un moderador te ha vetado la entrada a la sala');
+    });
+
+    socket.on('room:muted', (data) => {
+        const until = new Date(data.expiresAt).toLocaleTimeString('es-ES', {
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+        showNotice(`Un moderador te ha silenciado en esta sala hasta las ${until}`);
+    });
+
+    // Presencia de los usuarios de la sala (también la propia, desde otras pestañas)
+    socket.on('presence:update', (data) => {
+        userStatuses[data.userId] = data.status;
+        if (data.userId === currentUserId && data.status !== 'offline') {
+            presenceStatus = data.status;
+            if (data.status !== 'idle') {
+                document.getElementById('presenceStatus').value = data.status;
+            }
+        }
     });
 
     // Eventos de usuarios entrando/saliendo
     socket.on('user:entered', (data) => {
-        document.getElementById('roomUserCount').textContent = `${data.userCount} usuarios`;
+        // Otra pestaña del usuario entró en la sala: abrirla también aquí
+        if (data.userId === currentUserId && !openRooms[data.roomId]) {
+            socket.emit('room:join', { roomId: data.roomId });
+            return;
+        }
+        updateRoomUserCount(data.roomId, data.userCount);
     });
 
     socket.on('user:left', (data) => {
-        document.getElementById('roomUserCount').textContent = `${data.userCount} usuarios`;
+        if (openRooms[data.roomId]) {
+            delete openRooms[data.roomId].typing[data.userId];
+        }
+        updateRoomUserCount(data.roomId, data.userCount);
+        if (data.roomId === currentRoomId) {
+            renderTypingIndicator();
+        }
     });
 
-    // Eventos de escritura
+    // Eventos de escritura (cada sala lleva su lista de quién escribe)
     socket.on('user:typing', (data) => {
-        showTypingIndicator(`${data.username} está escribiendo...`);
+        const room = openRooms[data.roomId];
+        if (!room) return;
+
+        room.typing[data.userId] = data.username;
+        if (data.roomId === currentRoomId) {
+            renderTypingIndicator();
+        }
     });
 
     socket.on('user:stopped_typing', (data) => {
-        hideTypingIndicator();
+        const room = openRooms[data.roomId];
+        if (!room) return;
+
+        delete room.typing[data.userId];
+        if (data.roomId === currentRoomId) {
+            renderTypingIndicator();
+        }
     });
 
     // Eventos de error
     socket.on('error', (data) => {
+        isLoadingHistory = false;
+
+        // La reserva del nombre de invitado caducó: volver al formulario
+        if (data.code === 'guest_name_expired') {
+            resumeToken = null;
+            socket.disconnect();
+            document.getElementById('loginContainer').classList.remove('hidden');
+        }
         showError(data.message);
     });
 }
@@ -96,8 +355,14 @@ function setupEventListeners() {
         }
     });
 
+    // Comprobar si el nombre está libre mientras se escribe
+    document.getElementById('usernameInput').addEventListener('input', () => {
+        clearTimeout(usernameCheckTimer);
+        usernameCheckTimer = setTimeout(checkUsernameAvailability, 400);
+    });
+
     // Enter para unirse
-    document.getElementById('usernameInput').addEventListener('keypress', (e) => {
+    document.getElementById('passwordInput').addEventListener('keypress', (e) => {
         if (e.key === 'Enter') {
             joinChat();
         }
@@ -112,11 +377,222 @@ function setupEventListeners() {
 
     // Detectar cuando para de escribir
     document.getElementById('messageInput').addEventListener('input', handleTyping);
+
+    // Cualquier actividad devuelve de 'idle' al estado normal
+    ['mousemove', 'keydown', 'click'].forEach(event => {
+        document.addEventListener(event, resetIdleTimer);
+    });
+
+    // Cargar mensajes anteriores al llegar arriba del todo
+    document.getElementById('messagesContainer').addEventListener('scroll', (e) => {
+        if (e.target.scrollTop === 0) {
+            loadOlderMessages();
+        }
+    });
+}
+
+// Datos de la conexión confirmada (user:joined o session:resumed)
+function startSession(data) {
+    currentUserId = data.userId;
+    currentUsername = data.username;
+    previousSocketId = socket.id;
+    resumeToken = data.resumeToken;
+
+    // La presencia de esta conexión caduca si deja de enviar heartbeats
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = setInterval(() => socket.emit('presence:heartbeat'), data.heartbeatInterval * 1000);
+    presenceStatus = data.status;
+    document.getElementById('presenceStatus').value = presenceStatus === 'busy' || presenceStatus === 'away' ? presenceStatus : 'online';
+    resetIdleTimer();
+    loadUnreadMentions();
+}
+
+// Menciones sin leer de la bandeja (las que llegaron sin conexión)
+async function loadUnreadMentions() {
+    try {
+        const response = await authFetch(`/api/users/${currentUserId}/mentions?unread=true&limit=100`);
+        const data = await response.json();
+        if (!data.success) return;
+
+        unreadMentions = {};
+        data.data.forEach(addUnreadMention);
+        renderRoomTabs();
+    } catch (error) {
+        console.error('Error cargando menciones:', error);
+    }
 }
 
-// Unirse al chat
+function addUnreadMention(mention) {
+    const ids = unreadMentions[mention.roomId] || (unreadMentions[mention.roomId] = []);
+    if (!ids.includes(mention.messageId)) {
+        ids.push(mention.messageId);
+    }
+}
+
+// Marcar menciones como leídas (las demás pestañas reciben mention:read)
+function markMentionsRead(messageIds) {
+    authFetch(`/api/users/${currentUserId}/mentions/read`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ messageIds })
+    }).catch(error => console.error('Error marcando menciones:', error));
+}
+
+// ¿Menciona el texto al usuario actual? (mismo criterio que el servidor)
+function mentionsCurrentUser(content) {
+    if (!currentUsername || !content || !content.includes('@')) return false;
+
+    const escaped = currentUsername.normalize('NFKC').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}_])@${escaped}(?![\\p{L}\\p{N}_])`, 'iu');
+    return pattern.test(content.normalize('NFKC'));
+}
+
+// Último mensaje recibido en cada sala abierta (para session:resume)
+function getLastMessageIds() {
+    const lastMessageIds = {};
+    Object.entries(openRooms).forEach(([roomId, room]) => {
+        if (room.lastMessageId) {
+            lastMessageIds[roomId] = room.lastMessageId;
+        }
+    });
+    return lastMessageIds;
+}
+
+// Añadir a una sala los mensajes publicados mientras la conexión estaba caída
+function appendMissedMessages(roomId, messages) {
+    const room = openRooms[roomId];
+    if (!room) return;
+
+    messages.forEach(message => {
+        if (!document.querySelector(`[data-message-id="${message.id}"]`)) {
+            displayMessage(message);
+            if (roomId !== currentRoomId) {
+                room.unread++;
+            }
+        }
+        room.lastMessageId = message.id;
+    });
+    renderRoomTabs();
+}
+
+// Cambiar el estado de presencia (lo ven todas las pestañas y salas)
+function setPresenceStatus(status) {
+    presenceStatus = status;
+    if (socket) {
+        socket.emit('presence:set', { status });
+    }
+}
+
+// Reiniciar la cuenta de inactividad (y salir de 'idle' si hacía falta)
+function resetIdleTimer() {
+    if (!socket || !currentUserId) return;
+
+    clearTimeout(idleTimer);
+    if (presenceStatus === 'idle') {
+        setPresenceStatus('online');
+    }
+
+    idleTimer = setTimeout(() => {
+        // Ausente u ocupado los elige el usuario: no se pisan
+        if (presenceStatus === 'online') {
+            setPresenceStatus('idle');
+        }
+    }, IDLE_MINUTES * 60 * 1000);
+}
+
+// Pedir la página anterior del historial de la sala a la vista
+function loadOlderMessages() {
+    const room = openRooms[currentRoomId];
+    if (!socket || !room || !room.historyCursor || isLoadingHistory) return;
+
+    isLoadingHistory = true;
+    socket.emit('history:load', { roomId: currentRoomId, before: room.historyCursor });
+}
+
+// Unirse al chat (iniciar sesión)
 function joinChat() {
+    authenticate('/api/auth/login');
+}
+
+// Registrar usuario nuevo e iniciar sesión
+function registerUser() {
+    authenticate('/api/auth/register');
+}
+
+// Entrar sin cuenta: el nombre queda reservado mientras se use y este
+// navegador guarda el secreto para recuperarlo al volver
+async function joinAsGuest() {
     const username = document.getElementById('usernameInput').value.trim();
+
+    if (!username) {
+        showError('Por favor ingresa un nombre de usuario');
+        return;
+    }
+
+    const secrets = JSON.parse(localStorage.getItem(GUEST_SECRETS_KEY) || '{}');
+    const secretKey = username.normalize('NFKC').toLowerCase();
+
+    try {
+        const response = await fetch('/api/auth/guest', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ username, reconnectSecret: secrets[secretKey] })
+        });
+
+        const data = await response.json();
+
+        if (data.success) {
+            secrets[secretKey] = data.data.reconnectSecret;
+            localStorage.setItem(GUEST_SECRETS_KEY, JSON.stringify(secrets));
+            authToken = data.data.token;
+            initializeSocketConnection();
+        } else {
+            showError(data.error || 'Error de autenticación');
+        }
+    } catch (error) {
+        console.error('Error de autenticación:', error);
+        showError('Error de conexión');
+    }
+}
+
+// Indicar bajo el formulario si el nombre está libre o ya registrado
+async function checkUsernameAvailability() {
+    const hint = document.getElementById('usernameHint');
+    const username = document.getElementById('usernameInput').value.trim();
+
+    if (!username) {
+        hint.textContent = '';
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/users/available?username=${encodeURIComponent(username)}`);
+        const data = await response.json();
+
+        // Ignorar respuestas de un nombre que ya se ha cambiado
+        if (username !== document.getElementById('usernameInput').value.trim()) return;
+
+        if (!data.success) {
+            hint.textContent = data.error;
+            hint.style.color = '#e74c3c';
+        } else if (data.data.available) {
+            hint.textContent = 'Nombre disponible: regístrate o entra como invitado';
+            hint.style.color = '#27ae60';
+        } else {
+            hint.textContent = 'Nombre en uso: conecta con su contraseña (o como invitado si lo reservaste aquí)';
+            hint.style.color = '#7f8c8d';
+        }
+    } catch (error) {
+        hint.textContent = '';
+    }
+}
+
+// Obtener token de sesión y abrir la conexión Socket.io
+async function authenticate(endpoint) {
+    const username = document.getElementById('usernameInput').value.trim();
+    const password = document.getElementById('passwordInput').value;
     
     if (!username) {
         showError('Por favor ingresa un nombre de usuario');
@@ -128,13 +604,50 @@ function joinChat() {
         return;
     }
 
-    socket.emit('user:join', { username });
+    if (password.length < 8) {
+        showError('La contraseña debe tener al menos 8 caracteres');
+        return;
+    }
+
+    try {
+        const response = await fetch(endpoint, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ username, password })
+        });
+
+        const data = await response.json();
+
+        if (data.success) {
+            authToken = data.data.token;
+            initializeSocketConnection();
+        } else {
+            showError(data.error || 'Error de autenticación');
+        }
+    } catch (error) {
+        console.error('Error de autenticación:', error);
+        showError('Error de conexión');
+    }
+}
+
+// fetch con la cabecera de autenticación
+function authFetch(url, options = {}) {
+    return fetch(url, {
+        ...options,
+        headers: {
+            ...(options.headers || {}),
+            'Authorization': `Bearer ${authToken}`
+        }
+    });
 }
 
 // Cargar lista de salas
 async function loadRooms() {
     try {
-        const response = await fetch('/api/rooms');
+        // Salas con actividad más reciente primero
+        const response = await authFetch('/api/rooms?sort=active&limit=100');
         const data = await response.json();
         
         if (data.success) {
@@ -157,25 +670,187 @@ function displayRooms(rooms) {
         const roomItem = document.createElement('li');
         roomItem.className = 'room-item';
         roomItem.setAttribute('data-room-id', room.id);
+        if (room.id === currentRoomId) {
+            roomItem.classList.add('active');
+        }
+
+        const unread = !openRooms[room.id] && room.unreadCount > 0
+            ? `<span class="unread-badge">${room.unreadCount}</span>`
+            : '';
+        const tags = (room.tags || []).map(tag => `#${escapeHtml(tag)}`).join(' ');
         roomItem.innerHTML = `
-            <div><strong>${room.name}</strong></div>
+            <div><strong>${escapeHtml(room.name)}</strong>${unread}</div>
             <div style="font-size: 12px; opacity: 0.8;">${room.userCount}/${room.maxUsers} usuarios</div>
+            ${tags ? `<div style="font-size: 11px; opacity: 0.7;">${tags}</div>` : ''}
         `;
         roomItem.onclick = () => joinRoom(room.id, room.name);
         roomsList.appendChild(roomItem);
     });
 }
 
-// Unirse a una sala
+// Unirse a una sala (o mostrarla, si ya está abierta)
 function joinRoom(roomId, roomName) {
     if (!currentUserId) {
         showError('Debes conectarte primero');
         return;
     }
 
+    if (openRooms[roomId]) {
+        showRoom(roomId);
+        return;
+    }
+
+    requestedRoomId = roomId;
     socket.emit('room:join', { roomId });
 }
 
+// Salir de una sala (el panel se cierra con room:left, en todas las pestañas)
+function leaveRoom(roomId) {
+    socket.emit('room:leave', { roomId });
+}
+
+// Panel de mensajes de una sala abierta
+function getRoomPane(roomId) {
+    return document.querySelector(`[data-room-pane="${roomId}"]`);
+}
+
+// Crear (o reiniciar) el panel de una sala con los datos de room:joined
+function openRoomPane(data) {
+    let pane = getRoomPane(data.roomId);
+    if (!pane) {
+        pane = document.createElement('div');
+        pane.className = 'room-pane hidden';
+        pane.setAttribute('data-room-pane', data.roomId);
+        document.getElementById('messagesContainer').appendChild(pane);
+    }
+    pane.innerHTML = '';
+
+    const room = openRooms[data.roomId] = {
+        name: data.roomName,
+        userCount: data.userCount,
+        historyCursor: data.hasMore ? data.nextCursor : null, // Cursor para cargar mensajes anteriores
+        lastMessageId: data.messages.length > 0 ? data.messages[data.messages.length - 1].id : null,
+        readPositions: {}, // userId → última posición leída, para "visto por"
+        typing: {}, // userId → username de quien está escribiendo
+        unread: 0, // Mensajes recibidos mientras la sala no estaba a la vista
+        isReplaying: false // history:loaded trae mensajes perdidos, no anteriores
+    };
+    (data.readPositions || []).forEach(position => {
+        room.readPositions[position.userId] = position;
+    });
+
+    data.messages.forEach(message => displayMessage(message));
+}
+
+// Poner a la vista una de las salas abiertas
+function showRoom(roomId) {
+    const room = openRooms[roomId];
+    if (!room) return;
+
+    // Se deja de escribir en la sala que estaba a la vista
+    stopTyping();
+    currentRoomId = roomId;
+
+    document.querySelectorAll('.room-pane').forEach(pane => {
+        pane.classList.toggle('hidden', pane.getAttribute('data-room-pane') !== roomId);
+    });
+    document.getElementById('noRoomNotice').classList.add('hidden');
+    document.getElementById('currentRoomName').textContent = room.name;
+    document.getElementById('roomUserCount').textContent = `${room.userCount} usuarios`;
+    renderTypingIndicator();
+    renderSeenBy();
+    scrollToBottom();
+
+    // Lo que llegó mientras no estaba a la vista queda leído
+    if (room.unread > 0 && room.lastMessageId) {
+        socket.emit('room:read', { roomId, messageId: room.lastMessageId });
+    }
+    room.unread = 0;
+
+    const mentionIds = unreadMentions[roomId] || [];
+    if (mentionIds.length > 0) {
+        markMentionsRead(mentionIds);
+        delete unreadMentions[roomId];
+    }
+
+    // Habilitar input de mensajes
+    document.getElementById('messageInput').disabled = false;
+    document.getElementById('sendButton').disabled = false;
+    document.getElementById('attachButton').disabled = false;
+
+    renderRoomTabs();
+    updateRoomActiveState(roomId);
+}
+
+// Cerrar el panel de una sala que el usuario ha dejado
+function closeRoomPane(roomId) {
+    if (!openRooms[roomId]) return;
+
+    delete openRooms[roomId];
+    const pane = getRoomPane(roomId);
+    if (pane) {
+        pane.remove();
+    }
+
+    if (roomId === currentRoomId) {
+        currentRoomId = null;
+        isTyping = false;
+
+        // Pasar a otra sala abierta, si queda alguna
+        const nextRoomId = Object.keys(openRooms)[0];
+        if (nextRoomId) {
+            showRoom(nextRoomId);
+            return;
+        }
+
+        document.getElementById('noRoomNotice').classList.remove('hidden');
+        document.getElementById('currentRoomName').textContent = 'Selecciona una sala';
+        document.getElementById('roomUserCount').textContent = '0 usuarios';
+        document.getElementById('messageInput').disabled = true;
+        document.getElementById('sendButton').disabled = true;
+        document.getElementById('attachButton').disabled = true;
+        hideTypingIndicator();
+        updateRoomActiveState(null);
+    }
+
+    renderRoomTabs();
+}
+
+// Pestañas de las salas abiertas (× para salir de la sala)
+function renderRoomTabs() {
+    const tabs = document.getElementById('roomTabs');
+    const roomIds = Object.keys(openRooms);
+    tabs.innerHTML = '';
+    tabs.classList.toggle('hidden', roomIds.length === 0);
+
+    roomIds.forEach(roomId => {
+        const room = openRooms[roomId];
+        const tab = document.createElement('div');
+        tab.className = `room-tab${roomId === currentRoomId ? ' active' : ''}`;
+        const mentioned = (unreadMentions[roomId] || []).length > 0
+            ? '<span class="mention-badge" title="Te han mencionado">@</span>'
+            : '';
+        tab.innerHTML = `${escapeHtml(room.name)}${room.unread > 0 ? ` (${room.unread})` : ''}${mentioned}<span class="tab-close" title="Salir de la sala">×</span>`;
+        tab.onclick = () => showRoom(roomId);
+        tab.querySelector('.tab-close').onclick = (e) => {
+            e.stopPropagation();
+            leaveRoom(roomId);
+        };
+        tabs.appendChild(tab);
+    });
+}
+
+// Actualizar el contador de usuarios de una sala abierta
+function updateRoomUserCount(roomId, userCount) {
+    const room = openRooms[roomId];
+    if (!room) return;
+
+    room.userCount = userCount;
+    if (roomId === currentRoomId) {
+        document.getElementById('roomUserCount').textContent = `${userCount} usuarios`;
+    }
+}
+
 // Crear nueva sala
 async function createRoom() {
     const roomName = document.getElementById('newRoomName').value.trim();
@@ -191,14 +866,13 @@ async function createRoom() {
     }
 
     try {
-        const response = await fetch('/api/rooms', {
+        const response = await authFetch('/api/rooms', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify({
-                name: roomName,
-                createdBy: currentUserId
+                name: roomName
             })
         });
 
@@ -231,27 +905,98 @@ function sendMessage() {
         return;
     }
 
-    socket.emit('message:send', { content });
+    socket.emit('message:send', { roomId: currentRoomId, content });
     messageInput.value = '';
     
     // Parar indicador de escritura
-    if (isTyping) {
-        socket.emit('typing:stop');
-        isTyping = false;
+    stopTyping();
+}
+
+// Subir un archivo y enviarlo a la sala a la vista (el texto escrito va como pie)
+async function sendAttachment(file) {
+    const attachmentInput = document.getElementById('attachmentInput');
+    attachmentInput.value = '';
+
+    if (!file || !currentRoomId) {
+        return;
+    }
+
+    const roomId = currentRoomId;
+    const formData = new FormData();
+    formData.append('roomId', roomId);
+    formData.append('file', file);
+
+    try {
+        const response = await authFetch('/api/attachments', {
+            method: 'POST',
+            body: formData
+        });
+
+        const data = await response.json();
+        if (!data.success) {
+            showError(data.error || 'Error subiendo archivo');
+            return;
+        }
+
+        const messageInput = document.getElementById('messageInput');
+        socket.emit('message:send', {
+            roomId,
+            content: messageInput.value.trim(),
+            attachmentId: data.data.id
+        });
+        messageInput.value = '';
+        stopTyping();
+    } catch (error) {
+        console.error('Error subiendo archivo:', error);
+        showError('Error de conexión');
     }
 }
 
-// Mostrar mensaje en el chat
-function displayMessage(message) {
-    const messagesContainer = document.getElementById('messagesContainer');
-    
-    // Si el contenedor está vacío, limpiar mensaje inicial
-    if (messagesContainer.children.length === 1 && 
-        messagesContainer.children[0].style.textAlign === 'center') {
-        messagesContainer.innerHTML = '';
+// Tamaño legible de un archivo
+function formatFileSize(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${bytes} B`;
+}
+
+// Mostrar el adjunto de un mensaje: miniatura (imágenes) o enlace de descarga
+// Las URLs van firmadas y caducan, así que se piden al mostrarlo
+async function renderAttachment(messageElement, attachment) {
+    const container = messageElement.querySelector('.message-attachment');
+    container.textContent = `📎 ${attachment.name} (${formatFileSize(attachment.size)})`;
+
+    try {
+        const response = await authFetch(`/api/attachments/${attachment.id}`);
+        const data = await response.json();
+        if (!data.success || !container.isConnected) return;
+
+        const { url, thumbnailUrl } = data.data;
+        container.innerHTML = '';
+
+        if (thumbnailUrl) {
+            const image = document.createElement('img');
+            image.src = thumbnailUrl;
+            image.alt = attachment.name;
+            image.onclick = () => window.open(url, '_blank');
+            container.appendChild(image);
+        } else {
+            const link = document.createElement('a');
+            link.href = url;
+            link.textContent = `📎 ${attachment.name} (${formatFileSize(attachment.size)})`;
+            container.appendChild(link);
+        }
+    } catch (error) {
+        console.error('Error cargando adjunto:', error);
     }
+}
+
+// Mostrar mensaje en el panel de su sala (al final, o al principio si es historial)
+function displayMessage(message, prepend = false) {
+    const pane = getRoomPane(message.roomId);
+    if (!pane) return;
 
     const messageElement = document.createElement('div');
+    messageElement.setAttribute('data-message-id', message.id);
     
     if (message.type === 'system') {
         messageElement.className = 'message system';
@@ -259,6 +1004,9 @@ function displayMessage(message) {
     } else {
         const isOwnMessage = message.userId === currentUserId;
         messageElement.className = `message ${isOwnMessage ? 'own' : 'other'}`;
+        if (!isOwnMessage && mentionsCurrentUser(message.content)) {
+            messageElement.classList.add('mentioned');
+        }
         
         const timestamp = new Date(message.timestamp).toLocaleTimeString('es-ES', {
             hour: '2-digit',
@@ -267,19 +1015,155 @@ function displayMessage(message) {
         
         messageElement.innerHTML = `
             <div class="message-header">
-                ${isOwnMessage ? 'Tú' : escapeHtml(message.username)} - ${timestamp}
+                ${isOwnMessage ? 'Tú' : escapeHtml(message.username)} - ${timestamp}${message.editedAt ? ' (editado)' : ''}
             </div>
             <div class="message-content">${escapeHtml(message.content)}</div>
+            <div class="message-attachment"></div>
+            <div class="message-reactions"></div>
         `;
+
+        if (message.deletedAt) {
+            renderTombstone(messageElement, message.deletedBy !== message.userId);
+        } else {
+            renderReactions(messageElement, message.id, message.reactions || []);
+            if (message.attachment) {
+                renderAttachment(messageElement, message.attachment);
+            }
+        }
     }
     
-    messagesContainer.appendChild(messageElement);
-    scrollToBottom();
+    if (prepend) {
+        pane.insertBefore(messageElement, pane.firstChild);
+        return;
+    }
+
+    pane.appendChild(messageElement);
+    if (message.roomId === currentRoomId) {
+        scrollToBottom();
+    }
+}
+
+// Actualizar un mensaje ya mostrado (tras una edición)
+function updateMessage(message) {
+    const messageElement = document.querySelector(`[data-message-id="${message.id}"]`);
+    if (!messageElement) return;
+
+    const content = messageElement.querySelector('.message-content');
+    content.textContent = message.content;
+    messageElement.classList.toggle('mentioned', message.userId !== currentUserId && mentionsCurrentUser(message.content));
+
+    const header = messageElement.querySelector('.message-header');
+    if (header && message.editedAt && !header.textContent.includes('(editado)')) {
+        header.textContent = `${header.textContent.trim()} (editado)`;
+    }
+}
+
+// Reflejar el borrado de un mensaje ya mostrado
+function markMessageDeleted(data) {
+    const messageElement = document.querySelector(`[data-message-id="${data.messageId}"]`);
+    if (!messageElement) return;
+
+    if (data.hard) {
+        messageElement.remove();
+    } else {
+        renderTombstone(messageElement, data.byModerator);
+    }
 }
 
-// Limpiar mensajes
-function clearMessages() {
-    document.getElementById('messagesContainer').innerHTML = '';
+// Mostrar un mensaje como eliminado manteniendo su posición
+function renderTombstone(messageElement, byModerator) {
+    messageElement.classList.add('deleted');
+    messageElement.classList.remove('mentioned');
+    messageElement.querySelector('.message-content').textContent = byModerator
+        ? 'Mensaje eliminado por un moderador'
+        : 'Mensaje eliminado';
+
+    const reactionsContainer = messageElement.querySelector('.message-reactions');
+    if (reactionsContainer) {
+        reactionsContainer.innerHTML = '';
+    }
+
+    const attachmentContainer = messageElement.querySelector('.message-attachment');
+    if (attachmentContainer) {
+        attachmentContainer.remove();
+    }
+}
+
+// Mostrar reacciones de un mensaje (clic para añadir/quitar la propia)
+function renderReactions(messageElement, messageId, reactions) {
+    const container = messageElement.querySelector('.message-reactions');
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    reactions.forEach(reaction => {
+        const reacted = reaction.userIds.includes(currentUserId);
+        const chip = document.createElement('button');
+        chip.className = `reaction${reacted ? ' own' : ''}`;
+        chip.textContent = `${reaction.emoji} ${reaction.count}`;
+        chip.onclick = () => toggleReaction(messageId, reaction.emoji, reacted);
+        container.appendChild(chip);
+    });
+
+    // Botones para reacciones rápidas que aún no tiene el mensaje
+    QUICK_REACTIONS
+        .filter(emoji => !reactions.some(reaction => reaction.emoji === emoji))
+        .forEach(emoji => {
+            const button = document.createElement('button');
+            button.className = 'reaction quick';
+            button.textContent = emoji;
+            button.onclick = () => toggleReaction(messageId, emoji, false);
+            container.appendChild(button);
+        });
+
+    // Reportar mensajes de otros usuarios a los moderadores
+    if (messageElement.classList.contains('other')) {
+        const reportButton = document.createElement('button');
+        reportButton.className = 'reaction quick';
+        reportButton.textContent = '⚑';
+        reportButton.title = 'Reportar mensaje';
+        reportButton.onclick = () => reportMessage(messageId);
+        container.appendChild(reportButton);
+    }
+}
+
+// Reportar un mensaje (el motivo es opcional)
+function reportMessage(messageId) {
+    const reason = prompt('¿Por qué reportas este mensaje? (opcional)');
+    if (reason === null) return;
+
+    socket.emit('message:report', { messageId, reason: reason.trim() });
+}
+
+// Añadir o quitar la reacción del usuario actual
+function toggleReaction(messageId, emoji, reacted) {
+    socket.emit(reacted ? 'reaction:remove' : 'reaction:add', { messageId, emoji });
+}
+
+// Mostrar "visto por" bajo el último mensaje leído por cada usuario (sala a la vista)
+function renderSeenBy() {
+    const pane = getRoomPane(currentRoomId);
+    if (!pane) return;
+
+    pane.querySelectorAll('.seen-by').forEach(element => element.remove());
+
+    const readersByMessage = {};
+    Object.values(openRooms[currentRoomId].readPositions)
+        .filter(position => position.userId !== currentUserId)
+        .forEach(position => {
+            (readersByMessage[position.messageId] = readersByMessage[position.messageId] || [])
+                .push(position.username);
+        });
+
+    Object.entries(readersByMessage).forEach(([messageId, usernames]) => {
+        const messageElement = pane.querySelector(`[data-message-id="${messageId}"]`);
+        if (!messageElement) return;
+
+        const seenBy = document.createElement('div');
+        seenBy.className = 'seen-by';
+        seenBy.textContent = `Visto por ${usernames.join(', ')}`;
+        messageElement.after(seenBy);
+    });
 }
 
 // Scroll al final
@@ -288,20 +1172,39 @@ function scrollToBottom() {
     container.scrollTop = container.scrollHeight;
 }
 
-// Manejar indicador de escritura
+// Manejar indicador de escritura (en la sala a la vista)
 function handleTyping() {
     if (!currentRoomId) return;
 
     if (!isTyping) {
-        socket.emit('typing:start');
+        socket.emit('typing:start', { roomId: currentRoomId });
+        typingRoomId = currentRoomId;
         isTyping = true;
     }
 
     clearTimeout(typingTimer);
-    typingTimer = setTimeout(() => {
-        socket.emit('typing:stop');
+    typingTimer = setTimeout(stopTyping, 1000);
+}
+
+// Dejar de escribir en la sala en la que se estaba escribiendo
+function stopTyping() {
+    clearTimeout(typingTimer);
+    if (isTyping) {
+        socket.emit('typing:stop', { roomId: typingRoomId });
         isTyping = false;
-    }, 1000);
+    }
+}
+
+// Mostrar quién está escribiendo en la sala a la vista
+function renderTypingIndicator() {
+    const room = openRooms[currentRoomId];
+    const usernames = room ? Object.values(room.typing) : [];
+    if (usernames.length === 0) {
+        hideTypingIndicator();
+        return;
+    }
+
+    showTypingIndicator(`${usernames.join(', ')} ${usernames.length === 1 ? 'está' : 'están'} escribiendo...`);
 }
 
 // Mostrar indicador de escritura
@@ -327,12 +1230,25 @@ function updateRoomActiveState(activeRoomId) {
     });
 }
 
+// Dejar la sala de la que un moderador ha sacado al usuario
+function leaveRemovedRoom(roomId, notice) {
+    closeRoomPane(roomId);
+
+    showNotice(notice);
+    loadRooms();
+}
+
 // Mostrar error
 function showError(message) {
     // Simple alert por ahora, puedes mejorarlo con un toast
     alert('Error: ' + message);
 }
 
+// Mostrar aviso (no es un error)
+function showNotice(message) {
+    alert(message);
+}
+
 // Escapar HTML para prevenir XSS
 function escapeHtml(text) {
     const div = document.createElement('div');
@@ -0,0 +1,252 @@
+const express = require('express');
+const multer = require('multer');
+const AttachmentService = require('../services/AttachmentService');
+const ConversationService = require('../services/ConversationService');
+const RoomService = require('../services/RoomService');
+const UserService = require('../services/UserService');
+const RateLimitService = require('../services/RateLimitService');
+const SanctionService = require('../services/SanctionService');
+const { formatRemaining } = SanctionService;
+const redisClient = require('../config/redis');
+const { validateAttachmentUpload } = require('../utils/validators');
+const { verifyDownload } = require('../utils/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { authenticate } = require('../middleware/auth');
+
+// Rutas de archivos adjuntos. Subir y pedir URLs de descarga requiere
+// token; las descargas no (las hace el navegador con <img> o un enlace),
+// van firmadas y caducan (ver AttachmentService.getDownloadUrls).
+const router = express.Router();
+const attachmentService = new AttachmentService(redisClient);
+const conversationService = new ConversationService(redisClient);
+const roomService = new RoomService(redisClient);
+const userService = new UserService(redisClient);
+const rateLimitService = new RateLimitService(redisClient);
+const sanctionService = new SanctionService(redisClient);
+
+// El archivo se recibe en memoria: su tamaño está limitado por UPLOAD_MAX_BYTES
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: attachmentService.MAX_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!attachmentService.isAllowedType(file.mimetype)) {
+      const error = new Error(`Tipo de archivo no permitido: ${file.mimetype}`);
+      error.code = 'UNSUPPORTED_TYPE';
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+// Tamaño legible para los mensajes de error ("10 MB", "500 KB")
+const formatSize = (bytes) => {
+  return bytes >= 1024 * 1024
+    ? `${Math.round(bytes / 1024 / 1024)} MB`
+    : `${Math.round(bytes / 1024)} KB`;
+};
+
+// Recibir el campo 'file' del formulario y responder a los errores de multer
+const receiveFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        success: false,
+        error: `El archivo supera el tamaño máximo (${formatSize(attachmentService.MAX_SIZE)})`
+      });
+    }
+
+    if (error.code === 'UNSUPPORTED_TYPE') {
+      return res.status(415).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('Error recibiendo archivo:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al recibir archivo'
+    });
+  });
+};
+
+// Datos de un adjunto para los clientes, con sus URLs de descarga
+const toResponse = (attachment) => ({
+  ...attachment,
+  ...attachmentService.getDownloadUrls(attachment)
+});
+
+// Subir un archivo para enviarlo en una sala (multipart: file + roomId)
+// Queda pendiente hasta que se envía con message:send { roomId, attachmentId }
+router.post('/', authenticate, rateLimit(rateLimitService, 'attachment:upload'), receiveFile, async (req, res) => {
+  try {
+    const validation = validateAttachmentUpload(req.body);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'Falta el archivo (campo file)'
+      });
+    }
+
+    const { roomId } = req.body;
+
+    const room = await roomService.getRoom(roomId);
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sala no encontrada'
+      });
+    }
+
+    // Las mismas comprobaciones que message:send
+    if (!(await userService.isUserInRoom(req.user.id, roomId))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Debes unirte a la sala para enviar archivos'
+      });
+    }
+
+    if (!(await roomService.hasPermission(roomId, req.user.id, 'message:send'))) {
+      return res.status(403).json({
+        success: false,
+        error: 'No tienes permiso para realizar esta acción',
+        action: 'message:send'
+      });
+    }
+
+    const mute = await sanctionService.getSanction(roomId, 'mute', req.user.id);
+    if (mute) {
+      return res.status(403).json({
+        success: false,
+        error: `Estás silenciado en esta sala: quedan ${formatRemaining(mute.remaining)}`,
+        code: 'muted',
+        retryAfter: mute.remaining
+      });
+    }
+
+    const attachment = await attachmentService.createAttachment({
+      roomId,
+      userId: req.user.id,
+      file: req.file
+    });
+
+    if (!attachment) {
+      return res.status(400).json({
+        success: false,
+        error: 'La imagen no es válida o está dañada'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: toResponse(attachment)
+    });
+
+  } catch (error) {
+    console.error('Error subiendo archivo:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al subir archivo'
+    });
+  }
+});
+
+// Metadatos de un adjunto con URLs de descarga nuevas
+// Solo para quien puede leer el historial de su sala (o su autor, si aún está pendiente)
+router.get('/:attachmentId', authenticate, async (req, res) => {
+  try {
+    const attachment = await attachmentService.getAttachment(req.params.attachmentId);
+
+    const canView = attachment && (attachment.messageId
+      ? await conversationService.canUserViewMessages(attachment.roomId, req.user.id)
+      : attachment.userId === req.user.id);
+
+    if (!canView) {
+      return res.status(404).json({
+        success: false,
+        error: 'Archivo no encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: toResponse(attachment)
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo archivo:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al obtener archivo'
+    });
+  }
+});
+
+// Descargar el original o la miniatura (?expires=&signature= de getDownloadUrls)
+router.get('/:attachmentId/:variant(file|thumbnail)', async (req, res) => {
+  try {
+    const { attachmentId, variant } = req.params;
+    const { expires, signature } = req.query;
+
+    if (!verifyDownload(`${req.baseUrl}${req.path}`, expires, signature)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Enlace de descarga no válido o caducado'
+      });
+    }
+
+    const attachment = await attachmentService.getAttachment(attachmentId);
+    const stream = attachment && await attachmentService.openFile(attachment, variant);
+    if (!stream) {
+      return res.status(404).json({
+        success: false,
+        error: 'Archivo no encontrado'
+      });
+    }
+
+    // Solo las imágenes se muestran en el navegador; el resto se descarga
+    const disposition = attachment.isImage() ? 'inline' : 'attachment';
+    res.set({
+      'Content-Type': variant === 'thumbnail' ? 'image/webp' : attachment.mime,
+      'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(attachment.name)}`,
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private, max-age=300'
+    });
+    if (variant === 'file') {
+      res.set('Content-Length', String(attachment.size));
+    }
+
+    stream.on('error', (error) => {
+      console.error('Error enviando archivo:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+
+  } catch (error) {
+    console.error('Error descargando archivo:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al descargar archivo'
+    });
+  }
+});
+
+module.exports = router;
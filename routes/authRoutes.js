@@ -0,0 +1,131 @@
+const express = require('express');
+const UserService = require('../services/UserService');
+const RateLimitService = require('../services/RateLimitService');
+const redisClient = require('../config/redis');
+const { validateCredentials, validateGuest } = require('../utils/validators');
+const { signToken } = require('../utils/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+
+const router = express.Router();
+const userService = new UserService(redisClient);
+const rateLimitService = new RateLimitService(redisClient);
+
+// Registrar un nuevo usuario
+router.post('/register', rateLimit(rateLimitService, 'auth:register'), async (req, res) => {
+  try {
+    const validation = validateCredentials(req.body);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error
+      });
+    }
+
+    const { username, password } = req.body;
+    const user = await userService.registerCredentials(username, password);
+
+    if (!user) {
+      return res.status(409).json({
+        success: false,
+        error: 'El nombre de usuario ya está registrado'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        token: signToken(user),
+        user
+      },
+      message: 'Usuario registrado exitosamente'
+    });
+
+  } catch (error) {
+    console.error('Error registrando usuario:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al registrar usuario'
+    });
+  }
+});
+
+// Iniciar sesión y obtener token
+router.post('/login', rateLimit(rateLimitService, 'auth:login'), async (req, res) => {
+  try {
+    const validation = validateCredentials(req.body);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error
+      });
+    }
+
+    const { username, password } = req.body;
+    const user = await userService.verifyCredentials(username, password);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Credenciales incorrectas'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        token: signToken(user),
+        user
+      }
+    });
+
+  } catch (error) {
+    console.error('Error iniciando sesión:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al iniciar sesión'
+    });
+  }
+});
+
+// Entrar como invitado: reservar un nombre sin cuenta, o recuperarlo con
+// el secreto de reconexión
+router.post('/guest', rateLimit(rateLimitService, 'auth:guest'), async (req, res) => {
+  try {
+    const validation = validateGuest(req.body);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error
+      });
+    }
+
+    const { username, reconnectSecret } = validation.value;
+    const guest = await userService.reserveGuestName(username, reconnectSecret);
+
+    if (!guest) {
+      return res.status(409).json({
+        success: false,
+        error: 'El nombre de usuario está en uso'
+      });
+    }
+
+    const user = { id: guest.id, username: guest.username };
+    res.json({
+      success: true,
+      data: {
+        token: signToken({ ...user, guest: true }),
+        user,
+        reconnectSecret: guest.reconnectSecret
+      }
+    });
+
+  } catch (error) {
+    console.error('Error entrando como invitado:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al entrar como invitado'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,84 @@
+const express = require('express');
+const ConversationService = require('../services/ConversationService');
+const UserService = require('../services/UserService');
+const redisClient = require('../config/redis');
+const { validateDirectHistory } = require('../utils/validators');
+
+const router = express.Router();
+const conversationService = new ConversationService(redisClient);
+const userService = new UserService(redisClient);
+
+// Listar conversaciones del usuario autenticado
+router.get('/', async (req, res) => {
+  try {
+    const conversations = await conversationService.getUserConversations(req.user.id);
+
+    // Añadir el nombre visible del otro participante
+    const data = await Promise.all(
+      conversations.map(async (conversation) => {
+        const user = await userService.getIdentity(conversation.userId);
+        return {
+          ...conversation,
+          username: user ? user.username : conversation.lastMessage.username
+        };
+      })
+    );
+
+    res.json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo conversaciones:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al obtener conversaciones'
+    });
+  }
+});
+
+// Obtener mensajes de la conversación con otro usuario
+router.get('/:userId/messages', async (req, res) => {
+  try {
+    const validation = validateDirectHistory({ ...req.query, userId: req.params.userId });
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error
+      });
+    }
+
+    const { userId } = req.params;
+    const { limit = 50, offset = 0 } = req.query;
+
+    const conversationId = conversationService.getConversationId(req.user.id, userId);
+    const messages = await conversationService.getHistory(
+      conversationId,
+      parseInt(limit),
+      parseInt(offset)
+    );
+
+    // Abrir la conversación la marca como leída
+    await conversationService.markAsRead(req.user.id, conversationId);
+
+    res.json({
+      success: true,
+      data: messages,
+      conversationId,
+      pagination: {
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo mensajes de conversación:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al obtener mensajes'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,29 +1,102 @@
 const express = require('express');
 const MessageService = require('../services/MessageService');
+const ConversationService = require('../services/ConversationService');
+const NotificationService = require('../services/NotificationService');
+const RateLimitService = require('../services/RateLimitService');
+const ModerationService = require('../services/ModerationService');
+const { describeModeration } = ModerationService;
+const ReportService = require('../services/ReportService');
+const SanctionService = require('../services/SanctionService');
+const { formatRemaining } = SanctionService;
 const redisClient = require('../config/redis');
+const {
+  validateEditMessage,
+  validateReaction,
+  validateHistoryQuery,
+  validateSearchQuery,
+  validateReport
+} = require('../utils/validators');
+const { rateLimit } = require('../middleware/rateLimit');
 
 const router = express.Router();
 const messageService = new MessageService(redisClient);
+const conversationService = new ConversationService(redisClient);
+const rateLimitService = new RateLimitService(redisClient);
+const moderationService = new ModerationService(redisClient);
+const reportService = new ReportService(redisClient);
+const sanctionService = new SanctionService(redisClient);
+
+// Verificar si un usuario puede ver los mensajes de una sala o conversación
+const canViewMessages = (roomId, userId) => conversationService.canUserViewMessages(roomId, userId);
 
 // Obtener mensajes de una sala
+// - ?before=<cursor> / ?after=<cursor>: paginación por cursor (ID o timestamp)
+// - ?offset=N: paginación por offset (compatibilidad)
+// - Sin ninguno: los mensajes más recientes, con nextCursor para seguir
 router.get('/room/:roomId', async (req, res) => {
   try {
+    const validation = validateHistoryQuery(req.query);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error
+      });
+    }
+
     const { roomId } = req.params;
-    const { limit = 50, offset = 0 } = req.query;
+    const { limit = 50, offset, before, after } = req.query;
 
-    const messages = await messageService.getRoomMessages(
-      roomId, 
-      parseInt(limit), 
-      parseInt(offset)
-    );
+    // El historial de salas privadas solo es visible para sus miembros
+    if (!(await canViewMessages(roomId, req.user.id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sala no encontrada'
+      });
+    }
+
+    const total = await messageService.countRoomMessages(roomId);
+
+    // Paginación por offset (compatibilidad con clientes anteriores)
+    if (offset !== undefined) {
+      const messages = await messageService.getRoomMessages(
+        roomId, 
+        parseInt(limit), 
+        parseInt(offset)
+      );
+
+      return res.json({
+        success: true,
+        data: messages,
+        pagination: {
+          limit: parseInt(limit),
+          offset: parseInt(offset),
+          total
+        }
+      });
+    }
+
+    // Paginación por cursor: estable aunque lleguen mensajes nuevos
+    const page = await messageService.getRoomMessagesPage(roomId, {
+      limit: parseInt(limit),
+      before,
+      after
+    });
+
+    if (!page) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cursor no válido'
+      });
+    }
 
     res.json({
       success: true,
-      data: messages,
+      data: page.messages,
       pagination: {
         limit: parseInt(limit),
-        offset: parseInt(offset),
-        total: await messageService.countRoomMessages(roomId)
+        nextCursor: page.nextCursor,
+        hasMore: page.hasMore,
+        total
       }
     });
 
@@ -36,19 +109,76 @@ router.get('/room/:roomId', async (req, res) => {
   }
 });
 
+// Buscar mensajes por texto
+// - ?q=: texto (sin distinguir mayúsculas ni tildes)
+// - ?roomId= / ?userId=: solo una sala o conversación / un autor
+// - ?from= / ?to=: rango de fechas (ISO 8601 o milisegundos)
+// - ?limit= / ?offset=: paginación sobre los resultados ordenados
+// Solo devuelve mensajes de salas y conversaciones que el usuario puede ver
+router.get('/search', rateLimit(rateLimitService, 'message:search'), async (req, res) => {
+  try {
+    const validation = validateSearchQuery(req.query);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error
+      });
+    }
+
+    const { q, roomId, userId, from, to, limit = 20, offset = 0 } = validation.value;
+
+    if (roomId && !(await canViewMessages(roomId, req.user.id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sala no encontrada'
+      });
+    }
+
+    const { hits, total } = await messageService.searchMessages(q, {
+      roomId,
+      userId,
+      from: from ? from.getTime() : undefined,
+      to: to ? to.getTime() : undefined,
+      canViewRoom: id => canViewMessages(id, req.user.id),
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      data: hits,
+      pagination: {
+        limit,
+        offset,
+        total
+      }
+    });
+
+  } catch (error) {
+    console.error('Error buscando mensajes:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al buscar mensajes'
+    });
+  }
+});
+
 // Obtener un mensaje específico
 router.get('/:messageId', async (req, res) => {
   try {
     const { messageId } = req.params;
     const message = await messageService.getMessage(messageId);
 
-    if (!message) {
+    // Ocultar mensajes de salas privadas y conversaciones ajenas
+    if (!message || !(await canViewMessages(message.roomId, req.user.id))) {
       return res.status(404).json({
         success: false,
         error: 'Mensaje no encontrado'
       });
     }
 
+    message.reactions = await messageService.getReactions(messageId);
+
     res.json({
       success: true,
       data: message
@@ -63,21 +193,306 @@ router.get('/:messageId', async (req, res) => {
   }
 });
 
-// Eliminar un mensaje (solo para admin o el autor)
+// Editar un mensaje (autor o moderador, dentro del plazo de edición)
+router.patch('/:messageId', rateLimit(rateLimitService, 'message:edit'), async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const { content } = req.body;
+
+    const validation = validateEditMessage({ messageId, content });
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error
+      });
+    }
+
+    const message = await messageService.getMessage(messageId);
+    if (!message || !(await canViewMessages(message.roomId, req.user.id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Mensaje no encontrado'
+      });
+    }
+
+    const check = await messageService.canUserEditMessage(message, req.user.id);
+    if (!check.canEdit) {
+      return res.status(403).json({
+        success: false,
+        error: check.reason,
+        code: check.code
+      });
+    }
+
+    // Un usuario silenciado no puede cambiar lo que ya publicó en la sala
+    const isConversation = conversationService.isConversationId(message.roomId);
+    const mute = !isConversation && await sanctionService.getSanction(message.roomId, 'mute', req.user.id);
+    if (mute) {
+      return res.status(403).json({
+        success: false,
+        error: `Estás silenciado en esta sala: quedan ${formatRemaining(mute.remaining)}`,
+        code: 'muted',
+        retryAfter: mute.remaining
+      });
+    }
+
+    // Moderación del nuevo contenido (en conversaciones directas, solo reglas globales)
+    const moderation = await moderationService.moderate(content.trim(), {
+      roomId: isConversation ? null : message.roomId
+    });
+    if (moderation.action === 'reject') {
+      return res.status(400).json({
+        success: false,
+        error: describeModeration(moderation),
+        code: 'moderation_rejected',
+        ruleId: moderation.rule.id
+      });
+    }
+
+    const updated = await messageService.editMessage(messageId, moderation.content, req.user.id);
+
+    // Notificar la edición a la sala o conversación
+    const notificationService = new NotificationService(redisClient, req.app.get('io'));
+    await notificationService.toRoom(updated.roomId, 'message:updated', updated);
+
+    if (moderation.flags.length > 0 && !isConversation) {
+      const flag = await moderationService.flagMessage(updated, moderation.flags, messageService.getMessageTTL());
+      await notificationService.toRoomModerators(updated.roomId, 'moderation:flagged', { roomId: updated.roomId, ...flag });
+    }
+
+    res.json({
+      success: true,
+      data: updated,
+      message: 'Mensaje editado'
+    });
+
+  } catch (error) {
+    console.error('Error editando mensaje:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al editar mensaje'
+    });
+  }
+});
+
+// Reportar un mensaje de sala a sus moderadores
+router.post('/:messageId/report', rateLimit(rateLimitService, 'message:report'), async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const { reason } = req.body;
+
+    const validation = validateReport({ messageId, reason });
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error
+      });
+    }
+
+    const message = await messageService.getMessage(messageId);
+    if (!message || !(await canViewMessages(message.roomId, req.user.id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Mensaje no encontrado'
+      });
+    }
+
+    const check = reportService.canUserReportMessage(message, req.user.id);
+    if (!check.canReport) {
+      return res.status(400).json({
+        success: false,
+        error: check.reason
+      });
+    }
+
+    const { report, created, reportCount } = await reportService.reportMessage(message, req.user, reason && reason.trim());
+
+    if (created) {
+      const notificationService = new NotificationService(redisClient, req.app.get('io'));
+      await notificationService.toRoomModerators(message.roomId, 'report:new', {
+        roomId: message.roomId,
+        messageId,
+        report,
+        reportCount
+      });
+    }
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      data: report,
+      message: 'Mensaje reportado'
+    });
+
+  } catch (error) {
+    console.error('Error reportando mensaje:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al reportar mensaje'
+    });
+  }
+});
+
+// Obtener versiones anteriores de un mensaje
+router.get('/:messageId/history', async (req, res) => {
+  try {
+    const { messageId } = req.params;
+
+    const message = await messageService.getMessage(messageId);
+    if (!message || !(await canViewMessages(message.roomId, req.user.id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Mensaje no encontrado'
+      });
+    }
+
+    const versions = await messageService.getMessageHistory(messageId);
+
+    res.json({
+      success: true,
+      data: {
+        current: message,
+        versions
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo historial de mensaje:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al obtener historial'
+    });
+  }
+});
+
+// Obtener las respuestas del hilo de un mensaje
+router.get('/:messageId/thread', async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const { limit = 50, offset = 0 } = req.query;
+
+    const parent = await messageService.getMessage(messageId);
+    if (!parent || !(await canViewMessages(parent.roomId, req.user.id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Mensaje no encontrado'
+      });
+    }
+
+    const { replies, total } = await messageService.getThreadReplies(
+      messageId,
+      parseInt(limit),
+      parseInt(offset)
+    );
+
+    res.json({
+      success: true,
+      data: {
+        parent,
+        replies
+      },
+      pagination: {
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        total
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo hilo:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al obtener hilo'
+    });
+  }
+});
+
+// Añadir o quitar la reacción del usuario autenticado
+const handleReaction = async (req, res, added) => {
+  try {
+    const { messageId } = req.params;
+    const emoji = added ? req.body.emoji : req.params.emoji;
+
+    const validation = validateReaction({ messageId, emoji });
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error
+      });
+    }
+
+    const message = await messageService.getMessage(messageId);
+    if (!message || message.isDeleted() || !(await canViewMessages(message.roomId, req.user.id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Mensaje no encontrado'
+      });
+    }
+
+    const reactions = added
+      ? await messageService.addReaction(messageId, emoji, req.user.id)
+      : await messageService.removeReaction(messageId, emoji, req.user.id);
+
+    // Notificar las reacciones actualizadas a la sala o conversación
+    const notificationService = new NotificationService(redisClient, req.app.get('io'));
+    await notificationService.toRoom(message.roomId, 'message:reactions', {
+      messageId,
+      roomId: message.roomId,
+      reactions
+    });
+
+    res.json({
+      success: true,
+      data: reactions
+    });
+
+  } catch (error) {
+    console.error('Error actualizando reacción:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al actualizar reacción'
+    });
+  }
+};
+
+// Reaccionar a un mensaje
+router.post('/:messageId/reactions', rateLimit(rateLimitService, 'reaction:add'), (req, res) => handleReaction(req, res, true));
+
+// Quitar una reacción (el emoji va codificado en la URL)
+router.delete('/:messageId/reactions/:emoji', (req, res) => handleReaction(req, res, false));
+
+// Eliminar un mensaje (solo el autor o un moderador de la sala)
+// Por defecto deja un tombstone; con ?hard=true lo elimina por completo
 router.delete('/:messageId', async (req, res) => {
   try {
     const { messageId } = req.params;
-    
-    // Aquí podrías añadir validación de permisos
-    const deleted = await messageService.deleteMessage(messageId);
+    const hard = req.query.hard === 'true';
 
-    if (!deleted) {
+    const message = await messageService.getMessage(messageId);
+    if (!message || !(await canViewMessages(message.roomId, req.user.id))) {
       return res.status(404).json({
         success: false,
         error: 'Mensaje no encontrado'
       });
     }
 
+    const check = await messageService.canUserDeleteMessage(message, req.user.id);
+    if (!check.canDelete) {
+      return res.status(403).json({
+        success: false,
+        error: check.reason,
+        code: check.code
+      });
+    }
+
+    const deleted = await messageService.deleteMessage(messageId, {
+      hard,
+      deletedBy: req.user.id
+    });
+
+    // Notificar el borrado a la sala o conversación
+    const notificationService = new NotificationService(redisClient, req.app.get('io'));
+    await notificationService.toRoom(deleted.roomId, 'message:deleted', deleted.toDeletionEvent(hard));
+
     res.json({
       success: true,
       message: 'Mensaje eliminado'
@@ -0,0 +1,126 @@
+const express = require('express');
+const ModerationService = require('../services/ModerationService');
+const ReportService = require('../services/ReportService');
+const RoomService = require('../services/RoomService');
+const redisClient = require('../config/redis');
+const { validateModerationRule } = require('../utils/validators');
+const { requireGlobalModerator } = require('../middleware/permissions');
+
+const router = express.Router();
+const moderationService = new ModerationService(redisClient);
+const reportService = new ReportService(redisClient);
+const roomService = new RoomService(redisClient);
+
+// Reglas de moderación globales (todas las salas y conversaciones directas)
+router.get('/rules', requireGlobalModerator, async (req, res) => {
+  try {
+    const rules = await moderationService.getRules(null);
+
+    res.json({
+      success: true,
+      data: rules
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo reglas globales:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al obtener reglas de moderación'
+    });
+  }
+});
+
+// Crear una regla global
+router.post('/rules', requireGlobalModerator, async (req, res) => {
+  try {
+    const validation = validateModerationRule(req.body);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error
+      });
+    }
+
+    const rule = await moderationService.addRule(null, req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: rule,
+      message: 'Regla creada exitosamente'
+    });
+
+  } catch (error) {
+    console.error('Error creando regla global:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al crear regla de moderación'
+    });
+  }
+});
+
+// Eliminar una regla global
+router.delete('/rules/:ruleId', requireGlobalModerator, async (req, res) => {
+  try {
+    const removed = await moderationService.removeRule(null, req.params.ruleId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Regla no encontrada'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Regla eliminada exitosamente'
+    });
+
+  } catch (error) {
+    console.error('Error eliminando regla global:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al eliminar regla de moderación'
+    });
+  }
+});
+
+// Cola de reportes de todas las salas que modera el usuario, agrupada por sala
+router.get('/reports', async (req, res) => {
+  try {
+    const roomIds = await reportService.getQueueRooms();
+    const rooms = [];
+
+    for (const roomId of roomIds) {
+      if (!(await roomService.hasPermission(roomId, req.user.id, 'room:moderate'))) {
+        continue;
+      }
+
+      const room = await roomService.getRoom(roomId);
+      const queue = room ? await reportService.getRoomQueue(roomId) : [];
+      if (queue.length === 0) {
+        continue;
+      }
+
+      rooms.push({
+        roomId,
+        roomName: room.name,
+        reportCount: queue.reduce((total, item) => total + item.reportCount, 0),
+        messages: queue
+      });
+    }
+
+    res.json({
+      success: true,
+      data: rooms
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo cola de reportes:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al obtener reportes'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,32 +1,76 @@
 const express = require('express');
 const RoomService = require('../services/RoomService');
+const RateLimitService = require('../services/RateLimitService');
+const ModerationService = require('../services/ModerationService');
+const NotificationService = require('../services/NotificationService');
+const ReportService = require('../services/ReportService');
+const SanctionService = require('../services/SanctionService');
+const { DEFAULT_MUTE_DURATION } = SanctionService;
+const RoomModerationService = require('../services/RoomModerationService');
 const UserService = require('../services/UserService');
+const MessageService = require('../services/MessageService');
+const MentionService = require('../services/MentionService');
+const AttachmentService = require('../services/AttachmentService');
 const redisClient = require('../config/redis');
-const { validateCreateRoom } = require('../utils/validators');
+const {
+  validateCreateRoom,
+  validateUpdateRoom,
+  validateRoleUpdate,
+  validateInvitation,
+  validateRoomDirectoryQuery,
+  validateRoomModerationRule,
+  validateReportResolution,
+  validateSanction
+} = require('../utils/validators');
+const { requireRoomPermission } = require('../middleware/permissions');
+const { rateLimit } = require('../middleware/rateLimit');
+const { ROLES } = require('../utils/permissions');
 
 const router = express.Router();
 const roomService = new RoomService(redisClient);
 const userService = new UserService(redisClient);
+const messageService = new MessageService(redisClient);
+const rateLimitService = new RateLimitService(redisClient);
+const moderationService = new ModerationService(redisClient);
+const reportService = new ReportService(redisClient);
+const sanctionService = new SanctionService(redisClient);
+const mentionService = new MentionService(redisClient);
+const attachmentService = new AttachmentService(redisClient);
 
-// Obtener todas las salas públicas
+// Directorio de salas públicas (filtro por etiqueta, orden y paginación por cursor)
 router.get('/', async (req, res) => {
   try {
-    const { search } = req.query;
-    
-    let rooms;
-    if (search) {
-      rooms = await roomService.searchRooms(search);
-    } else {
-      rooms = await roomService.getPublicRooms();
+    const validation = validateRoomDirectoryQuery(req.query);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error
+      });
     }
 
+    const { tag, sort = 'newest', search, cursor, limit = 20 } = validation.value;
+
+    const page = await roomService.listRooms({ tag, sort, search, cursor, limit });
+    if (!page) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cursor no válido'
+      });
+    }
+
+    const { rooms, nextCursor, hasMore } = page;
+
     // Obtener información adicional de cada sala
+    // (incluye los mensajes no leídos del usuario autenticado)
     const roomsWithInfo = await Promise.all(
       rooms.map(async (room) => {
         const userCount = await userService.countRoomUsers(room.id);
+        const unreadCount = await messageService.countUnread(room.id, req.user.id);
         return {
           ...room.toRedisObject(),
+          tags: room.tags,
           userCount,
+          unreadCount,
           isFull: userCount >= room.maxUsers
         };
       })
@@ -34,7 +78,12 @@ router.get('/', async (req, res) => {
 
     res.json({
       success: true,
-      data: roomsWithInfo
+      data: roomsWithInfo,
+      pagination: {
+        limit,
+        nextCursor: hasMore ? nextCursor : null,
+        hasMore
+      }
     });
 
   } catch (error) {
@@ -52,7 +101,8 @@ router.get('/:roomId', async (req, res) => {
     const { roomId } = req.params;
     const room = await roomService.getRoom(roomId);
 
-    if (!room) {
+    // Las salas privadas no existen para quien no es miembro
+    if (!room || !(await roomService.canViewRoom(room, req.user.id))) {
       return res.status(404).json({
         success: false,
         error: 'Sala no encontrada'
@@ -67,6 +117,7 @@ router.get('/:roomId', async (req, res) => {
       success: true,
       data: {
         ...room.toRedisObject(),
+        tags: room.tags,
         users: users.map(u => ({
           id: u.id,
           username: u.username,
@@ -88,7 +139,7 @@ router.get('/:roomId', async (req, res) => {
 });
 
 // Crear una nueva sala
-router.post('/', async (req, res) => {
+router.post('/', rateLimit(rateLimitService, 'room:create'), async (req, res) => {
   try {
     const validation = validateCreateRoom(req.body);
     if (!validation.isValid) {
@@ -98,19 +149,21 @@ router.post('/', async (req, res) => {
       });
     }
 
-    const { name, description, isPrivate, maxUsers, createdBy } = req.body;
+    const { name, description, isPrivate, maxUsers, tags } = req.body;
 
+    // El creador es siempre el usuario autenticado, nunca el body
     const room = await roomService.createRoom({
       name: name.trim(),
       description: description?.trim() || '',
       isPrivate: isPrivate || false,
       maxUsers: maxUsers || 50,
-      createdBy
+      tags: tags || [],
+      createdBy: req.user.id
     });
 
     res.status(201).json({
       success: true,
-      data: room.toRedisObject(),
+      data: { ...room.toRedisObject(), tags: room.tags },
       message: 'Sala creada exitosamente'
     });
 
@@ -124,16 +177,25 @@ router.post('/', async (req, res) => {
 });
 
 // Actualizar una sala
-router.put('/:roomId', async (req, res) => {
+router.put('/:roomId', requireRoomPermission(roomService, 'room:update'), async (req, res) => {
   try {
+    const validation = validateUpdateRoom(req.body);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error
+      });
+    }
+
     const { roomId } = req.params;
-    const { name, description, maxUsers, isPrivate } = req.body;
+    const { name, description, maxUsers, isPrivate, tags } = req.body;
 
     const updateData = {};
     if (name !== undefined) updateData.name = name.trim();
     if (description !== undefined) updateData.description = description.trim();
     if (maxUsers !== undefined) updateData.maxUsers = parseInt(maxUsers);
     if (isPrivate !== undefined) updateData.isPrivate = isPrivate;
+    if (tags !== undefined) updateData.tags = tags;
 
     const updatedRoom = await roomService.updateRoom(roomId, updateData);
 
@@ -146,7 +208,7 @@ router.put('/:roomId', async (req, res) => {
 
     res.json({
       success: true,
-      data: updatedRoom.toRedisObject(),
+      data: { ...updatedRoom.toRedisObject(), tags: updatedRoom.tags },
       message: 'Sala actualizada exitosamente'
     });
 
@@ -160,7 +222,7 @@ router.put('/:roomId', async (req, res) => {
 });
 
 // Eliminar una sala
-router.delete('/:roomId', async (req, res) => {
+router.delete('/:roomId', requireRoomPermission(roomService, 'room:delete'), async (req, res) => {
   try {
     const { roomId } = req.params;
     
@@ -194,7 +256,7 @@ router.get('/:roomId/users', async (req, res) => {
     
     // Verificar que la sala existe
     const room = await roomService.getRoom(roomId);
-    if (!room) {
+    if (!room || !(await roomService.canViewRoom(room, req.user.id))) {
       return res.status(404).json({
         success: false,
         error: 'Sala no encontrada'
@@ -223,4 +285,610 @@ router.get('/:roomId/users', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// Obtener roles de una sala (owner y moderadores)
+router.get('/:roomId/roles', async (req, res) => {
+  try {
+    const { roomId } = req.params;
+
+    const room = await roomService.getRoom(roomId);
+    if (!room || !(await roomService.canViewRoom(room, req.user.id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sala no encontrada'
+      });
+    }
+
+    const roles = await roomService.getRoomRoles(roomId);
+
+    res.json({
+      success: true,
+      data: Object.entries(roles).map(([userId, role]) => ({ userId, role }))
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo roles:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al obtener roles'
+    });
+  }
+});
+
+// Asignar rol a un usuario (solo el owner)
+router.put('/:roomId/roles/:userId', requireRoomPermission(roomService, 'room:manage_roles'), async (req, res) => {
+  try {
+    const validation = validateRoleUpdate(req.body);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error
+      });
+    }
+
+    const { roomId, userId } = req.params;
+    const { role } = req.body;
+
+    // El owner no puede cambiar su propio rol
+    const currentRole = await roomService.getUserRole(roomId, userId);
+    if (currentRole === ROLES.OWNER) {
+      return res.status(400).json({
+        success: false,
+        error: 'No se puede cambiar el rol del owner'
+      });
+    }
+
+    await roomService.setUserRole(roomId, userId, role);
+
+    res.json({
+      success: true,
+      data: { userId, role },
+      message: 'Rol actualizado exitosamente'
+    });
+
+  } catch (error) {
+    console.error('Error actualizando rol:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al actualizar rol'
+    });
+  }
+});
+
+// Listar usuarios invitados a una sala
+router.get('/:roomId/invitations', requireRoomPermission(roomService, 'room:invite'), async (req, res) => {
+  try {
+    const members = await roomService.getRoomMembers(req.params.roomId);
+
+    res.json({
+      success: true,
+      data: members
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo invitaciones:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al obtener invitaciones'
+    });
+  }
+});
+
+// Invitar a un usuario a una sala
+router.post('/:roomId/invitations', requireRoomPermission(roomService, 'room:invite'), async (req, res) => {
+  try {
+    const validation = validateInvitation(req.body);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error
+      });
+    }
+
+    const { roomId } = req.params;
+    const { userId } = req.body;
+
+    const room = await roomService.getRoom(roomId);
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sala no encontrada'
+      });
+    }
+
+    await roomService.inviteUser(roomId, userId);
+
+    // Avisar al usuario invitado si está conectado, como con room:invite
+    const notificationService = new NotificationService(redisClient, req.app.get('io'));
+    await notificationService.toUser(userId, 'room:invited', {
+      roomId,
+      roomName: room.name,
+      by: req.user.username
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { roomId, userId },
+      message: 'Usuario invitado exitosamente'
+    });
+
+  } catch (error) {
+    console.error('Error invitando usuario:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al invitar usuario'
+    });
+  }
+});
+
+// Retirar la invitación de un usuario (en una sala privada, sale de ella)
+router.delete('/:roomId/invitations/:userId', requireRoomPermission(roomService, 'room:invite'), async (req, res) => {
+  try {
+    const { roomId, userId } = req.params;
+
+    const room = await roomService.getRoom(roomId);
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sala no encontrada'
+      });
+    }
+
+    const roomModerationService = new RoomModerationService(redisClient, req.app.get('io'));
+    const removed = await roomModerationService.revokeInvitation(room, userId, req.user.username);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invitación no encontrada'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invitación retirada exitosamente'
+    });
+
+  } catch (error) {
+    console.error('Error retirando invitación:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al retirar invitación'
+    });
+  }
+});
+
+// Reglas de moderación de la sala (las globales están en /api/moderation/rules)
+router.get('/:roomId/moderation/rules', requireRoomPermission(roomService, 'room:moderate'), async (req, res) => {
+  try {
+    const rules = await moderationService.getRules(req.params.roomId);
+
+    res.json({
+      success: true,
+      data: rules
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo reglas de moderación:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al obtener reglas de moderación'
+    });
+  }
+});
+
+// Crear una regla de moderación en la sala
+router.post('/:roomId/moderation/rules', requireRoomPermission(roomService, 'room:moderate'), async (req, res) => {
+  try {
+    const validation = validateRoomModerationRule(req.body);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error
+      });
+    }
+
+    const rule = await moderationService.addRule(req.params.roomId, req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: rule,
+      message: 'Regla creada exitosamente'
+    });
+
+  } catch (error) {
+    console.error('Error creando regla de moderación:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al crear regla de moderación'
+    });
+  }
+});
+
+// Eliminar una regla de moderación de la sala
+router.delete('/:roomId/moderation/rules/:ruleId', requireRoomPermission(roomService, 'room:moderate'), async (req, res) => {
+  try {
+    const { roomId, ruleId } = req.params;
+
+    const removed = await moderationService.removeRule(roomId, ruleId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Regla no encontrada'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Regla eliminada exitosamente'
+    });
+
+  } catch (error) {
+    console.error('Error eliminando regla de moderación:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al eliminar regla de moderación'
+    });
+  }
+});
+
+// Mensajes retenidos pendientes de revisión
+router.get('/:roomId/moderation/held', requireRoomPermission(roomService, 'room:moderate'), async (req, res) => {
+  try {
+    const held = await moderationService.getHeldMessages(req.params.roomId);
+
+    res.json({
+      success: true,
+      data: held
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo mensajes retenidos:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al obtener mensajes retenidos'
+    });
+  }
+});
+
+/**
+ * Resolver un mensaje retenido
+ *
+ * approve → Se publica en la sala como un mensaje normal (con sus menciones
+ *   y su adjunto, que ya estaba asignado al ID del mensaje)
+ * reject → Se descarta, y con él su adjunto
+ *
+ * En ambos casos se notifica al autor con 'message:held_resolved'.
+ */
+const resolveHeldMessage = async (req, res, approve) => {
+  try {
+    const { roomId, heldId } = req.params;
+
+    const held = await moderationService.takeHeldMessage(roomId, heldId);
+    if (!held) {
+      return res.status(404).json({
+        success: false,
+        error: 'Mensaje retenido no encontrado'
+      });
+    }
+
+    const notificationService = new NotificationService(redisClient, req.app.get('io'));
+    let message = null;
+
+    if (approve) {
+      message = await messageService.saveMessage({
+        id: held.messageId,
+        roomId,
+        userId: held.userId,
+        username: held.username,
+        content: held.content,
+        type: held.type,
+        attachment: held.attachment
+      });
+      await notificationService.toRoom(roomId, 'message:new', message);
+
+      const mentions = await mentionService.createMentions(message);
+      for (const { userId, mention } of mentions) {
+        await notificationService.toUser(userId, 'mention:new', mention);
+      }
+    } else if (held.attachment) {
+      await attachmentService.deleteAttachment(held.attachment.id);
+    }
+
+    await notificationService.toUser(held.userId, 'message:held_resolved', {
+      heldId,
+      roomId,
+      approved: approve,
+      messageId: message ? message.id : null
+    });
+
+    res.json({
+      success: true,
+      data: message,
+      message: approve ? 'Mensaje aprobado' : 'Mensaje descartado'
+    });
+
+  } catch (error) {
+    console.error('Error resolviendo mensaje retenido:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al resolver mensaje retenido'
+    });
+  }
+};
+
+router.post('/:roomId/moderation/held/:heldId/approve', requireRoomPermission(roomService, 'room:moderate'), (req, res) => resolveHeldMessage(req, res, true));
+router.delete('/:roomId/moderation/held/:heldId', requireRoomPermission(roomService, 'room:moderate'), (req, res) => resolveHeldMessage(req, res, false));
+
+// Mensajes marcados por reglas 'flag'
+router.get('/:roomId/moderation/flags', requireRoomPermission(roomService, 'room:moderate'), async (req, res) => {
+  try {
+    const flags = await moderationService.getFlags(req.params.roomId);
+
+    res.json({
+      success: true,
+      data: flags
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo mensajes marcados:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al obtener mensajes marcados'
+    });
+  }
+});
+
+// Quitar la marca de un mensaje ya revisado
+router.delete('/:roomId/moderation/flags/:messageId', requireRoomPermission(roomService, 'room:moderate'), async (req, res) => {
+  try {
+    const { roomId, messageId } = req.params;
+
+    const removed = await moderationService.clearFlag(roomId, messageId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Marca no encontrada'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Marca eliminada'
+    });
+
+  } catch (error) {
+    console.error('Error quitando marca:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al quitar marca'
+    });
+  }
+});
+
+// Cola de reportes de la sala, agrupados por mensaje
+router.get('/:roomId/moderation/reports', requireRoomPermission(roomService, 'room:moderate'), async (req, res) => {
+  try {
+    const queue = await reportService.getRoomQueue(req.params.roomId);
+
+    res.json({
+      success: true,
+      data: queue
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo reportes:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al obtener reportes'
+    });
+  }
+});
+
+// Reportes ya resueltos (registro de decisiones de los moderadores)
+router.get('/:roomId/moderation/reports/resolved', requireRoomPermission(roomService, 'room:moderate'), async (req, res) => {
+  try {
+    const resolutions = await reportService.getResolutions(req.params.roomId);
+
+    res.json({
+      success: true,
+      data: resolutions
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo resoluciones:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al obtener resoluciones'
+    });
+  }
+});
+
+/**
+ * Resolver los reportes de un mensaje
+ *
+ * Acciones:
+ * - dismiss → Se cierran sin más
+ * - delete → Se elimina el mensaje (tombstone)
+ * - mute → Se silencia al autor en la sala durante `duration` segundos
+ *   (1 hora por defecto)
+ *
+ * La resolución queda registrada y se notifica a los moderadores con
+ * 'report:resolved'.
+ */
+router.post('/:roomId/moderation/reports/:messageId/resolve', requireRoomPermission(roomService, 'room:moderate'), async (req, res) => {
+  try {
+    const { roomId, messageId } = req.params;
+    const { action, duration = DEFAULT_MUTE_DURATION, note } = req.body;
+
+    const validation = validateReportResolution(req.body);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error
+      });
+    }
+
+    const message = await messageService.getMessage(messageId);
+    if (!message || message.roomId !== roomId) {
+      return res.status(404).json({
+        success: false,
+        error: 'Mensaje no encontrado'
+      });
+    }
+
+    const roomModerationService = new RoomModerationService(redisClient, req.app.get('io'));
+
+    if (action === 'mute' && !(await roomModerationService.canBeSanctioned(roomId, message.userId))) {
+      return res.status(400).json({
+        success: false,
+        error: 'No se puede sancionar al owner ni a los moderadores de la sala'
+      });
+    }
+
+    const resolution = await reportService.resolveReports(message, { action, duration, note }, req.user.id);
+    if (!resolution) {
+      return res.status(404).json({
+        success: false,
+        error: 'El mensaje no tiene reportes abiertos'
+      });
+    }
+
+    const notificationService = new NotificationService(redisClient, req.app.get('io'));
+
+    if (action === 'delete' && !message.isDeleted()) {
+      const deleted = await messageService.deleteMessage(messageId, { deletedBy: req.user.id });
+      await notificationService.toRoom(roomId, 'message:deleted', deleted.toDeletionEvent(false));
+    }
+
+    if (action === 'mute') {
+      await roomModerationService.applySanction(roomId, {
+        id: message.userId,
+        username: message.username
+      }, 'mute', { duration, reason: note }, req.user.id);
+    }
+
+    await notificationService.toRoomModerators(roomId, 'report:resolved', resolution);
+
+    res.json({
+      success: true,
+      data: resolution,
+      message: 'Reportes resueltos'
+    });
+
+  } catch (error) {
+    console.error('Error resolviendo reportes:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al resolver reportes'
+    });
+  }
+});
+
+// Sanciones activas de la sala (silencios y vetos)
+router.get('/:roomId/sanctions', requireRoomPermission(roomService, 'room:sanction'), async (req, res) => {
+  try {
+    const sanctions = await sanctionService.getActiveSanctions(req.params.roomId);
+    // chat:identities sobrevive al perfil: el nombre aparece aunque el
+    // sancionado lleve tiempo sin conectarse
+    const identities = await Promise.all(sanctions.map(sanction => userService.getIdentity(sanction.userId)));
+
+    res.json({
+      success: true,
+      data: sanctions.map((sanction, i) => ({
+        ...sanction,
+        username: identities[i] ? identities[i].username : null
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo sanciones:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al obtener sanciones'
+    });
+  }
+});
+
+// Expulsar, silenciar o vetar a un usuario (type: kick, mute o ban)
+router.post('/:roomId/sanctions', requireRoomPermission(roomService, 'room:sanction'), async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const { userId, type, duration, reason } = req.body;
+
+    const validation = validateSanction(req.body);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error
+      });
+    }
+
+    const target = await userService.getIdentity(userId);
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        error: 'Usuario no encontrado'
+      });
+    }
+
+    const roomModerationService = new RoomModerationService(redisClient, req.app.get('io'));
+
+    if (!(await roomModerationService.canBeSanctioned(roomId, userId))) {
+      return res.status(400).json({
+        success: false,
+        error: 'No se puede sancionar al owner ni a los moderadores de la sala'
+      });
+    }
+
+    const sanction = await roomModerationService.applySanction(roomId, target, type, {
+      duration,
+      reason: reason && reason.trim()
+    }, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: sanction,
+      message: 'Sanción aplicada'
+    });
+
+  } catch (error) {
+    console.error('Error aplicando sanción:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al aplicar sanción'
+    });
+  }
+});
+
+// Levantar un silencio o veto antes de que caduque
+router.delete('/:roomId/sanctions/:type/:userId', requireRoomPermission(roomService, 'room:sanction'), async (req, res) => {
+  try {
+    const { roomId, type, userId } = req.params;
+
+    const target = ['mute', 'ban'].includes(type) ? await userService.getIdentity(userId) : null;
+    const roomModerationService = new RoomModerationService(redisClient, req.app.get('io'));
+
+    if (!target || !(await roomModerationService.liftSanction(roomId, target, type))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sanción no encontrada'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Sanción levantada'
+    });
+
+  } catch (error) {
+    console.error('Error levantando sanción:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al levantar sanción'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,166 @@
+const express = require('express');
+const UserService = require('../services/UserService');
+const PresenceService = require('../services/PresenceService');
+const { toPresence } = PresenceService;
+const RateLimitService = require('../services/RateLimitService');
+const MentionService = require('../services/MentionService');
+const NotificationService = require('../services/NotificationService');
+const redisClient = require('../config/redis');
+const {
+  validateUsernameAvailability,
+  validateMentionsQuery,
+  validateMentionsRead
+} = require('../utils/validators');
+const { rateLimit } = require('../middleware/rateLimit');
+const { authenticate } = require('../middleware/auth');
+
+// Rutas de usuarios. /available es pública (la usa el formulario de
+// registro antes de tener token); el resto debe añadir `authenticate`.
+const router = express.Router();
+const userService = new UserService(redisClient);
+const rateLimitService = new RateLimitService(redisClient);
+const presenceService = new PresenceService(redisClient);
+const mentionService = new MentionService(redisClient);
+
+// La bandeja de menciones solo la ve su dueño
+const requireSelf = (req, res, next) => {
+  if (req.params.userId !== req.user.id) {
+    return res.status(403).json({
+      success: false,
+      error: 'Solo puedes ver tus propias menciones'
+    });
+  }
+  next();
+};
+
+// Comprobar si un nombre de usuario está libre
+router.get('/available', rateLimit(rateLimitService, 'users:available'), async (req, res) => {
+  try {
+    const validation = validateUsernameAvailability(req.query);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error
+      });
+    }
+
+    const { username } = validation.value;
+    const available = await userService.isUsernameAvailable(username);
+
+    res.json({
+      success: true,
+      data: {
+        username,
+        available
+      }
+    });
+
+  } catch (error) {
+    console.error('Error comprobando nombre de usuario:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al comprobar nombre de usuario'
+    });
+  }
+});
+
+// Usuarios online en todo el chat, el de actividad más reciente primero
+router.get('/online', authenticate, async (req, res) => {
+  try {
+    const online = await presenceService.getOnlineUsers();
+    const users = await userService.getUsers(online.map(entry => entry.userId));
+    const usersById = new Map(users.map(user => [user.id, user]));
+
+    res.json({
+      success: true,
+      data: online
+        .filter(entry => usersById.has(entry.userId))
+        .map(entry => toPresence(usersById.get(entry.userId), entry.status))
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo usuarios online:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al obtener usuarios online'
+    });
+  }
+});
+
+// Bandeja de menciones (@usuario), la más reciente primero
+// - ?unread=true: solo las no leídas
+// - ?limit= / ?offset=: paginación
+// Cada mención lleva read y el mensaje actual
+router.get('/:userId/mentions', authenticate, requireSelf, async (req, res) => {
+  try {
+    const validation = validateMentionsQuery(req.query);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error
+      });
+    }
+
+    const { limit = 20, offset = 0, unread = false } = validation.value;
+    const { mentions, total, unreadCount } = await mentionService.getMentions(req.user.id, {
+      limit,
+      offset,
+      unread
+    });
+
+    res.json({
+      success: true,
+      data: mentions,
+      unreadCount,
+      pagination: {
+        limit,
+        offset,
+        total
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo menciones:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al obtener menciones'
+    });
+  }
+});
+
+// Marcar menciones como leídas ({ messageIds }, o todas si no se indica)
+router.post('/:userId/mentions/read', authenticate, requireSelf, async (req, res) => {
+  try {
+    const validation = validateMentionsRead(req.body);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error
+      });
+    }
+
+    const { messageIds } = req.body;
+    const unreadCount = await mentionService.markAsRead(req.user.id, messageIds);
+
+    // Sincronizar el resto de conexiones del usuario
+    const notificationService = new NotificationService(redisClient, req.app.get('io'));
+    await notificationService.toUser(req.user.id, 'mention:read', {
+      messageIds: messageIds || null,
+      unreadCount
+    });
+
+    res.json({
+      success: true,
+      data: { unreadCount }
+    });
+
+  } catch (error) {
+    console.error('Error marcando menciones como leídas:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al marcar menciones como leídas'
+    });
+  }
+});
+
+module.exports = router;
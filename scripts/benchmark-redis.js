@@ -0,0 +1,278 @@
+/**
+ * Benchmark de acceso a Redis en las rutas calientes de los servicios
+ *
+ * Compara, contra un Redis real (REDIS_HOST/REDIS_PORT), la forma anterior
+ * de acceder a los datos (un await por elemento) con la actual (pipelines
+ * y transacciones MULTI). Para cada operación mide:
+ * - Viajes de ida y vuelta a Redis por llamada (comandos sueltos + EXEC)
+ * - Tiempo medio por llamada
+ *
+ * Uso:
+ *   npm run benchmark
+ *   npm run benchmark -- --users=500 --messages=50 --iterations=20
+ *
+ * Crea una sala temporal con sus usuarios y mensajes y la borra al terminar.
+ * La referencia secuencial reproduce el modo de almacenamiento 'list'.
+ */
+
+process.env.MESSAGE_STORAGE = 'list';
+
+const { v4: uuidv4 } = require('uuid');
+const redisClient = require('../config/redis');
+const MessageService = require('../services/MessageService');
+const UserService = require('../services/UserService');
+const RoomService = require('../services/RoomService');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const Room = require('../models/Room');
+
+// Leer opciones --nombre=valor de la línea de comandos
+function getOption(name, defaultValue) {
+  const arg = process.argv.find(a => a.startsWith(`--${name}=`));
+  return arg ? parseInt(arg.split('=')[1]) || defaultValue : defaultValue;
+}
+
+/**
+ * Envuelve el cliente Redis para contar viajes de ida y vuelta
+ *
+ * Cada comando suelto cuenta uno; una transacción o pipeline cuenta uno
+ * al ejecutarse (si tiene comandos), independientemente de su tamaño.
+ */
+function createCountingClient(client) {
+  const counter = { roundTrips: 0 };
+  const notCommands = ['on', 'connect', 'quit', 'disconnect', 'duplicate'];
+
+  const wrapMulti = (multi) => {
+    let queued = 0;
+    const wrapped = new Proxy(multi, {
+      get(target, prop) {
+        const value = target[prop];
+        if (typeof value !== 'function') return value;
+
+        return (...args) => {
+          if (prop === 'exec' || prop === 'execAsPipeline') {
+            if (queued > 0) counter.roundTrips++;
+          } else {
+            queued++;
+          }
+          const result = value.apply(target, args);
+          return result === target ? wrapped : result;
+        };
+      }
+    });
+    return wrapped;
+  };
+
+  const proxy = new Proxy(client, {
+    get(target, prop) {
+      const value = target[prop];
+      if (typeof value !== 'function' || notCommands.includes(prop)) return value;
+
+      if (prop === 'multi') {
+        return (...args) => wrapMulti(value.apply(target, args));
+      }
+
+      return (...args) => {
+        counter.roundTrips++;
+        return value.apply(target, args);
+      };
+    }
+  });
+
+  return { client: proxy, counter };
+}
+
+// Implementaciones anteriores (un viaje a Redis por elemento)
+const sequential = {
+  async getRoomUsers(redis, roomId) {
+    const userIds = await redis.sMembers(`chat:room_users:${roomId}`);
+    const users = [];
+    for (const userId of userIds) {
+      const data = await redis.hGetAll(`chat:users:${userId}`);
+      if (Object.keys(data).length > 0) users.push(User.fromRedisObject(data));
+    }
+    return users;
+  },
+
+  async getAllRooms(redis) {
+    const roomIds = await redis.sMembers('chat:rooms_list');
+    const rooms = [];
+    for (const roomId of roomIds) {
+      const data = await redis.hGetAll(`chat:rooms:${roomId}`);
+      if (Object.keys(data).length > 0) rooms.push(Room.fromRedisObject(data));
+    }
+    return rooms;
+  },
+
+  async getRoomMessages(redis, roomId, limit) {
+    const messageIds = await redis.lRange(`chat:room_messages:${roomId}`, 0, limit - 1);
+    const messages = [];
+    for (const messageId of messageIds) {
+      const data = await redis.hGetAll(`chat:messages:${messageId}`);
+      if (Object.keys(data).length === 0) continue;
+
+      const message = Message.fromRedisObject(data);
+      const counts = await redis.hGetAll(`chat:message_reactions:${messageId}`);
+      message.reactions = [];
+      for (const [emoji, count] of Object.entries(counts)) {
+        const userIds = await redis.sMembers(`chat:message_reactions:${messageId}:${emoji}`);
+        message.reactions.push({ emoji, count: parseInt(count), userIds });
+      }
+      messages.push(message);
+    }
+    return messages.reverse();
+  },
+
+  async saveMessage(redis, data) {
+    const message = new Message(data);
+    const messageKey = `chat:messages:${message.id}`;
+    const roomMessagesKey = `chat:room_messages:${message.roomId}`;
+    await redis.hSet(messageKey, message.toRedisObject());
+    await redis.lPush(roomMessagesKey, message.id);
+    await redis.lTrim(roomMessagesKey, 0, 999);
+    await redis.expire(messageKey, 604800);
+    return message;
+  },
+
+  async saveUser(redis, data) {
+    const user = new User(data);
+    const userKey = `chat:users:${user.id}`;
+    const socketUserKey = `chat:socket_users:${user.socketId}`;
+    await redis.hSet(userKey, user.toRedisObject());
+    await redis.set(socketUserKey, user.id);
+    await redis.expire(userKey, 86400);
+    await redis.expire(socketUserKey, 86400);
+    return user;
+  }
+};
+
+// Ejecutar una operación N veces y medir viajes y tiempo por llamada
+async function measure(counter, iterations, operation) {
+  const startTrips = counter.roundTrips;
+  const start = process.hrtime.bigint();
+
+  for (let i = 0; i < iterations; i++) {
+    await operation(i);
+  }
+
+  const elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+  return {
+    roundTrips: (counter.roundTrips - startTrips) / iterations,
+    ms: elapsed / iterations
+  };
+}
+
+async function main() {
+  const userCount = getOption('users', 300);
+  const messageCount = getOption('messages', 50);
+  const iterations = getOption('iterations', 20);
+
+  const { client, counter } = createCountingClient(redisClient);
+  const userService = new UserService(client);
+  const roomService = new RoomService(client);
+  const messageService = new MessageService(client);
+
+  const createdUserIds = [];
+  const createdMessageIds = [];
+
+  console.log(`⏱️  Preparando sala con ${userCount} usuarios y ${messageCount} mensajes...`);
+
+  const room = await roomService.createRoom({
+    name: `benchmark-${Date.now()}`,
+    createdBy: 'benchmark',
+    maxUsers: userCount + 1
+  });
+
+  try {
+    for (let i = 0; i < userCount; i++) {
+      const user = await userService.saveUser({ username: `bench${i}`, socketId: `bench-${uuidv4()}` });
+      await userService.addUserToRoom(user.id, room.id);
+      createdUserIds.push(user.id);
+    }
+
+    for (let i = 0; i < messageCount; i++) {
+      const message = await messageService.saveMessage({
+        roomId: room.id,
+        userId: createdUserIds[i % userCount] || 'benchmark',
+        username: `bench${i}`,
+        content: `Mensaje ${i}`
+      });
+      createdMessageIds.push(message.id);
+      if (i % 3 === 0) {
+        await messageService.addReaction(message.id, '👍', 'benchmark');
+      }
+    }
+
+    const results = {};
+    const compare = async (name, before, after) => {
+      const old = await measure(counter, iterations, before);
+      const current = await measure(counter, iterations, after);
+      results[name] = {
+        'viajes antes': old.roundTrips,
+        'viajes ahora': current.roundTrips,
+        'ms antes': old.ms.toFixed(2),
+        'ms ahora': current.ms.toFixed(2)
+      };
+    };
+
+    await compare(
+      'getRoomUsers',
+      () => sequential.getRoomUsers(client, room.id),
+      () => userService.getRoomUsers(room.id)
+    );
+    await compare(
+      'getAllRooms',
+      () => sequential.getAllRooms(client),
+      () => roomService.getAllRooms()
+    );
+    await compare(
+      'getRoomMessages',
+      () => sequential.getRoomMessages(client, room.id, messageCount),
+      () => messageService.getRoomMessages(room.id, messageCount)
+    );
+
+    const messageData = i => ({ roomId: room.id, userId: 'benchmark', username: 'bench', content: `Extra ${i}` });
+    await compare(
+      'saveMessage',
+      async (i) => createdMessageIds.push((await sequential.saveMessage(client, messageData(i))).id),
+      async (i) => createdMessageIds.push((await messageService.saveMessage(messageData(i))).id)
+    );
+
+    const userData = () => ({ username: 'bench', socketId: `bench-${uuidv4()}` });
+    await compare(
+      'saveUser',
+      async () => createdUserIds.push((await sequential.saveUser(client, userData())).id),
+      async () => createdUserIds.push((await userService.saveUser(userData())).id)
+    );
+
+    console.table(results);
+  } finally {
+    // Limpiar todo lo creado por el benchmark
+    for (const messageId of createdMessageIds) {
+      await messageService.searchService.removeMessage(messageId);
+    }
+    const users = await userService.getUsers(createdUserIds);
+    const cleanup = redisClient.multi();
+    users.forEach(user => cleanup.del(`chat:socket_users:${user.socketId}`));
+    createdUserIds.forEach(userId => {
+      cleanup.del(`chat:users:${userId}`);
+      cleanup.del(`chat:user_rooms:${userId}`);
+    });
+    createdMessageIds.forEach(messageId => {
+      cleanup.del(`chat:messages:${messageId}`);
+      cleanup.del(`chat:message_reactions:${messageId}`);
+      cleanup.del(`chat:message_reactions:${messageId}:👍`);
+    });
+    cleanup.del(`chat:room_users:${room.id}`);
+    cleanup.del(`chat:room_messages:${room.id}`);
+    await cleanup.execAsPipeline();
+    await roomService.deleteRoom(room.id);
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error('❌ Error en el benchmark:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => redisClient.quit());
@@ -0,0 +1,81 @@
+/**
+ * Migración de las credenciales a nombres normalizados
+ *
+ * Antes de normalizeUsername la clave de credenciales era el nombre en
+ * minúsculas (chat:credentials:{nombre.trim().toLowerCase()}). Este script
+ * mueve cada cuenta a su clave normalizada, para que el registro de
+ * nombres la vea y nadie pueda registrar un nombre que se ve igual, y
+ * crea el chat:identities:{userId} de las cuentas anteriores a él.
+ *
+ * Uso:
+ *   npm run migrate:credentials              → Migra
+ *   npm run migrate:credentials -- --dry-run → Solo informa de lo que haría
+ *
+ * Si la clave normalizada ya es de otra cuenta (dos nombres que antes se
+ * consideraban distintos y ahora no), la cuenta se deja en su clave y se
+ * informa del conflicto: sigue pudiendo iniciar sesión, porque
+ * verifyCredentials también consulta la clave anterior. Las cuentas ya
+ * migradas se omiten, de modo que se puede volver a lanzar.
+ */
+
+const redisClient = require('../config/redis');
+const UserService = require('../services/UserService');
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const userService = new UserService(redisClient);
+
+  console.log(`🚚 Migrando credenciales a nombres normalizados${dryRun ? ' (simulación)' : ''}...`);
+
+  const totals = { moved: 0, identities: 0, conflicts: 0, skipped: 0 };
+
+  for await (const key of redisClient.scanIterator({ MATCH: `${userService.CREDENTIALS_KEY_PREFIX}*` })) {
+    const credentials = await redisClient.hGetAll(key);
+
+    // Registro interrumpido: no es una cuenta
+    if (!credentials.passwordHash) {
+      totals.skipped++;
+      continue;
+    }
+
+    const identityKey = `${userService.IDENTITY_KEY_PREFIX}${credentials.id}`;
+    if (!(await redisClient.exists(identityKey))) {
+      if (!dryRun) {
+        await redisClient.set(identityKey, credentials.username, { NX: true });
+      }
+      totals.identities++;
+    }
+
+    const targetKey = userService.getCredentialsKey(credentials.username);
+    if (targetKey === key) {
+      continue;
+    }
+
+    const target = await redisClient.hGetAll(targetKey);
+    if (target.passwordHash && target.id !== credentials.id) {
+      console.log(`⚠️  ${credentials.username}: el nombre normalizado ya es de la cuenta ${target.username}, se deja en ${key}`);
+      totals.conflicts++;
+      continue;
+    }
+
+    // RENAME reemplaza un hash sin passwordHash (registro interrumpido)
+    // o la copia de esta misma cuenta
+    if (!dryRun) {
+      await redisClient.rename(key, targetKey);
+    }
+    console.log(`✅ ${credentials.username}: ${key} → ${targetKey}`);
+    totals.moved++;
+  }
+
+  console.log(
+    `🏁 ${totals.moved} cuentas movidas, ${totals.identities} identidades creadas, ` +
+    `${totals.conflicts} conflictos, ${totals.skipped} registros incompletos omitidos`
+  );
+}
+
+main()
+  .catch((error) => {
+    console.error('❌ Error en la migración:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => redisClient.quit());
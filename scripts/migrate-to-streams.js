@@ -0,0 +1,141 @@
+/**
+ * Migración del historial de salas del modo 'list' al modo 'stream'
+ *
+ * Convierte cada chat:room_messages:{roomId} (Lista de IDs + un Hash por
+ * mensaje) en un stream chat:room_stream:{roomId}, conservando el orden,
+ * los IDs de los mensajes y el TTL de cada Hash. Los IDs que ya no tienen
+ * Hash (mensajes expirados) se descartan.
+ *
+ * Uso:
+ *   npm run migrate:streams              → Migra y elimina las listas
+ *   npm run migrate:streams -- --dry-run → Solo informa de lo que haría
+ *
+ * Después de migrar hay que arrancar el servidor con MESSAGE_STORAGE=stream:
+ * los Hash de los mensajes pasan a guardar solo la ubicación en el stream,
+ * así que el modo 'list' ya no puede leerlos. Conviene ejecutarlo con el
+ * servidor parado. Las salas que ya tienen stream se omiten, de modo que
+ * se puede volver a lanzar si se interrumpe.
+ */
+
+const redisClient = require('../config/redis');
+const Message = require('../models/Message');
+const MessageService = require('../services/MessageService');
+const StreamMessageStorage = require('../services/storage/StreamMessageStorage');
+const { toStreamFields } = StreamMessageStorage;
+
+const ROOM_MESSAGES_KEY_PREFIX = 'chat:room_messages:';
+
+/**
+ * Migra el historial de una sala
+ *
+ * Los IDs del stream se calculan a partir del timestamp de cada mensaje
+ * (en vez de '*') para que los cursores por fecha sigan funcionando con
+ * los mensajes antiguos.
+ *
+ * @returns {Promise<{migrated: number, dangling: number}>}
+ */
+async function migrateRoom(storage, roomId, ttl, dryRun) {
+  const listKey = `${ROOM_MESSAGES_KEY_PREFIX}${roomId}`;
+  const streamKey = `${storage.STREAM_KEY_PREFIX}${roomId}`;
+  const updatedKey = `${storage.UPDATED_KEY_PREFIX}${roomId}`;
+
+  // La lista va de más reciente a más antiguo; el stream al revés
+  const messageIds = (await redisClient.lRange(listKey, 0, -1)).reverse();
+
+  let migrated = 0;
+  let dangling = 0;
+  let lastTime = 0;
+  let sequence = 0;
+
+  for (const messageId of messageIds) {
+    const messageKey = `${storage.MESSAGE_KEY_PREFIX}${messageId}`;
+    const data = await redisClient.hGetAll(messageKey);
+    if (Object.keys(data).length === 0) {
+      dangling++;
+      continue;
+    }
+
+    migrated++;
+    if (dryRun) continue;
+
+    // Los IDs del stream deben ser estrictamente crecientes
+    const time = Date.parse(data.timestamp) || lastTime;
+    if (time > lastTime) {
+      lastTime = time;
+      sequence = 0;
+    } else {
+      sequence++;
+    }
+    const streamId = `${lastTime}-${sequence}`;
+
+    const message = Message.fromRedisObject(data);
+    await redisClient.xAdd(streamKey, streamId, toStreamFields(message));
+
+    // El Hash pasa a guardar la ubicación; replyCount se mantiene ahí
+    // porque saveReply lo incrementa sobre el Hash
+    const messageTTL = await redisClient.pTTL(messageKey);
+    const location = { roomId, streamId };
+    if (message.replyCount > 0) {
+      location.replyCount = message.replyCount;
+      location.lastReplyAt = message.lastReplyAt;
+      await redisClient.sAdd(updatedKey, messageId);
+    }
+
+    await redisClient.del(messageKey);
+    await redisClient.hSet(messageKey, location);
+    if (messageTTL > 0) {
+      await redisClient.pExpire(messageKey, messageTTL);
+    }
+  }
+
+  if (!dryRun) {
+    if (migrated > 0) {
+      await redisClient.expire(streamKey, ttl);
+      if (await redisClient.exists(updatedKey)) {
+        await redisClient.expire(updatedKey, ttl);
+      }
+    }
+    await redisClient.del(listKey);
+  }
+
+  return { migrated, dangling };
+}
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const storage = new StreamMessageStorage(redisClient);
+  const ttl = new MessageService(redisClient).getMessageTTL();
+
+  console.log(`🚚 Migrando historial a Redis Streams${dryRun ? ' (simulación)' : ''}...`);
+
+  const totals = { rooms: 0, skipped: 0, migrated: 0, dangling: 0 };
+
+  for await (const listKey of redisClient.scanIterator({ MATCH: `${ROOM_MESSAGES_KEY_PREFIX}*` })) {
+    const roomId = listKey.slice(ROOM_MESSAGES_KEY_PREFIX.length);
+
+    if (await redisClient.exists(`${storage.STREAM_KEY_PREFIX}${roomId}`)) {
+      console.log(`⏭️  ${roomId}: ya tiene stream, se omite`);
+      totals.skipped++;
+      continue;
+    }
+
+    const { migrated, dangling } = await migrateRoom(storage, roomId, ttl, dryRun);
+    console.log(`✅ ${roomId}: ${migrated} mensajes migrados, ${dangling} IDs expirados descartados`);
+
+    totals.rooms++;
+    totals.migrated += migrated;
+    totals.dangling += dangling;
+  }
+
+  console.log(
+    `🏁 ${totals.rooms} salas, ${totals.migrated} mensajes migrados, ` +
+    `${totals.dangling} IDs expirados descartados, ${totals.skipped} salas omitidas`
+  );
+}
+
+main()
+  .catch((error) => {
+    console.error('❌ Error en la migración:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => redisClient.quit());
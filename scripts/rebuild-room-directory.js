@@ -0,0 +1,52 @@
+/**
+ * Reconstrucción de los índices del directorio de salas
+ *
+ * Borra los Sorted Sets chat:room_directory:* y chat:room_names y los
+ * vuelve a generar a partir de las salas de chat:rooms_list. Hace falta
+ * una vez para publicar en el directorio las salas creadas antes de que
+ * existiera, y sirve para reparar los índices si se han desincronizado o
+ * para recalcular los scores cuando cambia su fórmula (el de 'popular'
+ * pasó de milisegundos a segundos de la fecha de creación).
+ *
+ * Uso:
+ *   npm run rebuild:rooms
+ *
+ * Las salas antiguas no tienen lastActivityAt: en el orden 'active'
+ * cuentan desde su creación hasta que reciben un mensaje nuevo.
+ */
+
+const redisClient = require('../config/redis');
+const RoomService = require('../services/RoomService');
+
+async function main() {
+  const roomService = new RoomService(redisClient);
+
+  console.log('🗂️  Reconstruyendo el directorio de salas...');
+
+  // Índices actuales
+  const staleKeys = [roomService.ROOM_NAMES_KEY];
+  for await (const key of redisClient.scanIterator({ MATCH: `${roomService.DIRECTORY_KEY_PREFIX}*` })) {
+    staleKeys.push(key);
+  }
+
+  const roomIds = await redisClient.sMembers(roomService.ROOMS_LIST_KEY);
+  const rooms = await roomService.getRooms(roomIds);
+
+  // Sustituir los índices en una única transacción
+  const transaction = redisClient.multi().del(staleKeys);
+  rooms.forEach(room => roomService.addToDirectory(transaction, room));
+  await transaction.exec();
+
+  const published = rooms.filter(room => !room.isPrivate).length;
+  console.log(
+    `🏁 ${published} salas públicas publicadas, ${rooms.length - published} privadas omitidas, ` +
+    `${staleKeys.length} claves de índice sustituidas`
+  );
+}
+
+main()
+  .catch((error) => {
+    console.error('❌ Error reconstruyendo el directorio:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => redisClient.quit());
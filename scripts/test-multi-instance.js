@@ -0,0 +1,159 @@
+/**
+ * Prueba local con dos instancias del servidor sobre el mismo Redis
+ *
+ * Arranca dos procesos de server.js (nodo A y nodo B) y comprueba que:
+ * 1. Un mensaje enviado por un cliente conectado a A llega a un cliente de B
+ * 2. Los eventos de escritura de B llegan a A
+ * 3. Si A cae, su cliente se reconecta a B con auth.previousSocketId,
+ *    recupera la sala desde Redis y sigue hablando con el otro cliente
+ *
+ * Uso (con Redis en REDIS_HOST/REDIS_PORT):
+ *   npm run test:multi-instance
+ *   npm run test:multi-instance -- --port=4100   → Puertos 4100 y 4101
+ *
+ * Deja en Redis los dos usuarios y la sala que crea, con un sufijo
+ * aleatorio en el nombre para poder repetirla.
+ */
+
+const path = require('path');
+const { spawn } = require('child_process');
+const { io } = require('socket.io-client');
+
+const basePort = parseInt((process.argv.find(a => a.startsWith('--port=')) || '').split('=')[1]) || 3101;
+const TIMEOUT = 5000;
+
+// Arrancar una instancia de server.js y esperar a que responda en /health
+async function startNode(name, port) {
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    env: { ...process.env, PORT: String(port), SERVER_ID: name },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+  child.stdout.on('data', data => {
+    data.toString().trim().split('\n').forEach(line => console.log(`  [${name}] ${line}`));
+  });
+
+  const url = `http://localhost:${port}`;
+  const deadline = Date.now() + TIMEOUT * 2;
+  while (Date.now() < deadline) {
+    try {
+      const res = await fetch(`${url}/health`);
+      if (res.ok) return { name, url, child };
+    } catch (error) {
+      // Aún no escucha
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+
+  child.kill();
+  throw new Error(`${name} no arrancó en el puerto ${port}`);
+}
+
+// Llamada a la API REST que devuelve data o lanza el error
+async function api(url, route, body, token) {
+  const res = await fetch(`${url}${route}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: JSON.stringify(body)
+  });
+  const json = await res.json();
+  if (!json.success) throw new Error(`${route}: ${json.error}`);
+  return json.data;
+}
+
+// Esperar un evento concreto en un socket (opcionalmente filtrado)
+function waitFor(socket, event, predicate = () => true) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.off(event, handler);
+      reject(new Error(`Timeout esperando '${event}'`));
+    }, TIMEOUT);
+    const handler = (data) => {
+      if (!predicate(data)) return;
+      clearTimeout(timer);
+      socket.off(event, handler);
+      resolve(data);
+    };
+    socket.on(event, handler);
+  });
+}
+
+// Conectar un cliente a una instancia y hacer user:join
+async function connectClient(url, auth) {
+  const socket = io(url, { auth, reconnection: false, transports: ['websocket'] });
+  await waitFor(socket, 'connect');
+  const joined = waitFor(socket, 'user:joined');
+  socket.emit('user:join');
+  return { socket, joined: await joined };
+}
+
+function check(condition, description) {
+  if (!condition) throw new Error(`Falló: ${description}`);
+  console.log(`✅ ${description}`);
+}
+
+async function main() {
+  const nodes = [];
+  const sockets = [];
+
+  try {
+    console.log('🚀 Arrancando dos instancias...');
+    const nodeA = await startNode('nodo-A', basePort);
+    nodes.push(nodeA);
+    const nodeB = await startNode('nodo-B', basePort + 1);
+    nodes.push(nodeB);
+
+    const suffix = Date.now().toString(36);
+    const password = 'multi-instance-test';
+    const alice = await api(nodeA.url, '/api/auth/register', { username: `alice_${suffix}`, password });
+    const bob = await api(nodeB.url, '/api/auth/register', { username: `bob_${suffix}`, password });
+    const room = await api(nodeA.url, '/api/rooms', { name: `multi-${suffix}` }, alice.token);
+
+    const aliceClient = await connectClient(nodeA.url, { token: alice.token });
+    const bobClient = await connectClient(nodeB.url, { token: bob.token });
+    sockets.push(aliceClient.socket, bobClient.socket);
+
+    aliceClient.socket.emit('room:join', { roomId: room.id });
+    await waitFor(aliceClient.socket, 'room:joined');
+    const entered = waitFor(aliceClient.socket, 'user:entered');
+    bobClient.socket.emit('room:join', { roomId: room.id });
+    await waitFor(bobClient.socket, 'room:joined');
+    check((await entered).userId === bob.user.id, 'user:entered de B llega a A');
+
+    // 1. Mensaje de A a B
+    const received = waitFor(bobClient.socket, 'message:new', m => m.content === 'hola desde A');
+    aliceClient.socket.emit('message:send', { roomId: room.id, content: 'hola desde A' });
+    check((await received).userId === alice.user.id, 'message:new enviado en A llega a B');
+
+    // 2. Escritura de B a A
+    const typing = waitFor(aliceClient.socket, 'user:typing');
+    bobClient.socket.emit('typing:start', { roomId: room.id });
+    check((await typing).userId === bob.user.id, 'user:typing de B llega a A');
+
+    // 3. Cae A: el cliente de Alice se reconecta a B con su socket anterior
+    const previousSocketId = aliceClient.socket.id;
+    nodeA.child.kill('SIGKILL');
+    nodes.shift();
+    console.log('💥 nodo-A detenido');
+
+    const resumed = await connectClient(nodeB.url, { token: alice.token, previousSocketId });
+    sockets.push(resumed.socket);
+    check(resumed.joined.rooms.some(r => r.roomId === room.id), 'nodo-B recupera la sala de Alice desde Redis');
+
+    const afterFailover = waitFor(bobClient.socket, 'message:new', m => m.content === 'sigo aquí');
+    resumed.socket.emit('message:send', { roomId: room.id, content: 'sigo aquí' });
+    check((await afterFailover).userId === alice.user.id, 'Alice sigue hablando en la sala tras la caída');
+
+    console.log('🏁 Prueba multi-instancia completada');
+  } catch (error) {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  } finally {
+    sockets.forEach(socket => socket.disconnect());
+    nodes.forEach(node => node.child.kill('SIGTERM'));
+  }
+}
+
+main();
@@ -4,9 +4,23 @@ const socketIo = require('socket.io');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const redisClient = require('./config/redis');
+const { createRedisAdapter, getInstanceId } = require('./config/socketAdapter');
 const chatHandlers = require('./handlers/chatHandlers');
+const { authenticate, authenticateSocket } = require('./middleware/auth');
+const { rateLimitSocket } = require('./middleware/rateLimit');
+const RateLimitService = require('./services/RateLimitService');
+const UserService = require('./services/UserService');
+const PresenceService = require('./services/PresenceService');
+const { toPresence, HEARTBEAT_INTERVAL } = PresenceService;
+const AttachmentService = require('./services/AttachmentService');
+const { CLEANUP_INTERVAL } = AttachmentService;
+const authRoutes = require('./routes/authRoutes');
 const messageRoutes = require('./routes/messageRoutes');
 const roomRoutes = require('./routes/roomRoutes');
+const conversationRoutes = require('./routes/conversationRoutes');
+const userRoutes = require('./routes/userRoutes');
+const moderationRoutes = require('./routes/moderationRoutes');
+const attachmentRoutes = require('./routes/attachmentRoutes');
 
 // Cargar variables de entorno
 dotenv.config();
@@ -20,27 +34,49 @@ const io = socketIo(server, {
   }
 });
 
+// Las rutas REST acceden a Socket.io con req.app.get('io') para notificar
+app.set('io', io);
+
+// Detrás de un proxy, req.ip (límites por IP) sale de X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
 app.use(express.static('public'));
 
 // Rutas
-app.use('/api/messages', messageRoutes);
-app.use('/api/rooms', roomRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/messages', authenticate, messageRoutes);
+app.use('/api/rooms', authenticate, roomRoutes);
+app.use('/api/conversations', authenticate, conversationRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/moderation', authenticate, moderationRoutes);
+app.use('/api/attachments', attachmentRoutes);
 
 // Ruta de salud
 app.get('/health', (req, res) => {
   res.json({ 
     status: 'OK', 
     timestamp: new Date().toISOString(),
+    instance: getInstanceId(),
     redis: redisClient.isOpen ? 'connected' : 'disconnected'
   });
 });
 
 // Configurar Socket.io
+// Solo se aceptan conexiones con un token válido en el handshake
+io.use(authenticateSocket);
+
+const rateLimitService = new RateLimitService(redisClient);
+
 io.on('connection', (socket) => {
   console.log(`Usuario conectado: ${socket.id}`);
+
+  // Límite de eventos por usuario (antes de llegar a los handlers)
+  socket.use(rateLimitSocket(rateLimitService, socket));
   
   // Configurar handlers de chat
   chatHandlers(socket, io, redisClient);
@@ -50,24 +86,83 @@ io.on('connection', (socket) => {
   });
 });
 
+const userService = new UserService(redisClient);
+const presenceService = new PresenceService(redisClient);
+
+// Dar por desconectados a los usuarios cuyas conexiones dejaron de enviar
+// heartbeats (por ejemplo, porque su instancia cayó) y avisar en sus salas
+const expirePresence = async () => {
+  try {
+    const expired = await presenceService.expireStale();
+    for (const userId of expired) {
+      const user = await userService.setUserOffline(userId);
+      const roomIds = await userService.getUserRooms(userId);
+      if (user && roomIds.length > 0) {
+        io.to(roomIds).emit('presence:update', toPresence(user, 'offline'));
+      }
+    }
+  } catch (error) {
+    console.error('Error expirando presencia:', error);
+  }
+};
+
+const attachmentService = new AttachmentService(redisClient);
+
+// Eliminar los archivos de adjuntos caducados (mensajes fuera de la
+// retención y subidas que nunca se enviaron)
+const cleanupAttachments = async () => {
+  try {
+    const deleted = await attachmentService.deleteExpired();
+    if (deleted > 0) {
+      console.log(`Adjuntos caducados eliminados: ${deleted}`);
+    }
+  } catch (error) {
+    console.error('Error eliminando adjuntos caducados:', error);
+  }
+};
+
 const PORT = process.env.PORT || 3000;
 
+// Conexiones Pub/Sub del adaptador (se cierran al apagar)
+let socketAdapter = null;
+let presenceTimer = null;
+let attachmentTimer = null;
+
 // Iniciar servidor
-server.listen(PORT, async () => {
+// El adaptador Redis se instala antes de aceptar conexiones, para que
+// ningún broadcast se quede solo en esta instancia
+const start = async () => {
   try {
     // Verificar conexión con Redis
     await redisClient.ping();
     console.log('✅ Conectado a Redis');
-    console.log(`🚀 Servidor corriendo en puerto ${PORT}`);
+
+    socketAdapter = await createRedisAdapter(redisClient);
+    io.adapter(socketAdapter.adapter);
+    console.log(`📡 Adaptador Redis de Socket.io activo (instancia ${getInstanceId()})`);
+
+    server.listen(PORT, () => {
+      console.log(`🚀 Servidor corriendo en puerto ${PORT}`);
+    });
+
+    presenceTimer = setInterval(expirePresence, HEARTBEAT_INTERVAL * 1000);
+    attachmentTimer = setInterval(cleanupAttachments, CLEANUP_INTERVAL * 1000);
   } catch (error) {
     console.error('❌ Error conectando a Redis:', error);
     process.exit(1);
   }
-});
+};
+
+start();
 
 // Manejo de cierre graceful
 process.on('SIGTERM', async () => {
   console.log('Cerrando servidor...');
+  clearInterval(presenceTimer);
+  clearInterval(attachmentTimer);
+  if (socketAdapter) {
+    await socketAdapter.close();
+  }
   await redisClient.quit();
   server.close(() => {
     console.log('Servidor cerrado');
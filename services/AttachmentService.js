@@ -0,0 +1,324 @@
+const sharp = require('sharp');
+const Attachment = require('../models/Attachment');
+const LocalFileStorage = require('./storage/LocalFileStorage');
+const { signDownload } = require('../utils/auth');
+
+// Cada cuánto se eliminan los archivos de adjuntos caducados (segundos)
+const CLEANUP_INTERVAL = 60;
+
+// Tipos que se aceptan si UPLOAD_ALLOWED_TYPES no dice otra cosa
+const DEFAULT_ALLOWED_TYPES = [
+  'image/jpeg',
+  'image/png',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain',
+  'application/zip'
+];
+
+// Imágenes de las que se leen dimensiones y se genera miniatura (MIME → formato de sharp)
+const IMAGE_FORMATS = {
+  'image/jpeg': 'jpeg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp'
+};
+
+class AttachmentService {
+  /**
+   * Constructor del servicio de archivos adjuntos
+   *
+   * Un adjunto se sube primero por REST (POST /api/attachments) y queda
+   * pendiente; después el autor lo envía con message:send y pasa a ser
+   * del mensaje, con la misma retención. Los pendientes que nadie envía
+   * caducan a los PENDING_TTL segundos.
+   *
+   * Redis expira los metadatos solo, pero los archivos no: cada adjunto
+   * se apunta en chat:attachment_expiry con su fecha de caducidad y
+   * deleteExpired (ver server.js) elimina los archivos vencidos.
+   *
+   * Los archivos se guardan con el driver de FILE_STORAGE:
+   * - 'local' (por defecto) → ver services/storage/LocalFileStorage.js
+   *
+   * @param {Object} redisClient - Cliente Redis ya conectado
+   * @param {Object} [storage] - Driver de almacenamiento (por defecto, el de FILE_STORAGE)
+   *
+   * Estructura de datos en Redis:
+   * - chat:attachments:{attachmentId} → Hash con los metadatos del adjunto
+   *   (messageId vacío mientras está pendiente)
+   * - chat:attachment_expiry → Sorted Set de adjuntos (score = caducidad en ms)
+   */
+  constructor(redisClient, storage = createFileStorage()) {
+    this.redis = redisClient;
+    this.storage = storage;
+    this.ATTACHMENT_KEY_PREFIX = 'chat:attachments:';
+    this.EXPIRY_KEY = 'chat:attachment_expiry';
+    this.PENDING_TTL = 3600; // 1 hora para enviar lo que se ha subido
+    this.THUMBNAIL_SIZE = 320; // Lado mayor de las miniaturas en píxeles
+    this.MAX_SIZE = parseInt(process.env.UPLOAD_MAX_BYTES) || 10 * 1024 * 1024;
+    this.ALLOWED_TYPES = process.env.UPLOAD_ALLOWED_TYPES
+      ? process.env.UPLOAD_ALLOWED_TYPES.split(',').map(type => type.trim().toLowerCase())
+      : DEFAULT_ALLOWED_TYPES;
+    this.DOWNLOAD_URL_TTL = parseInt(process.env.DOWNLOAD_URL_TTL) || 300; // 5 minutos
+  }
+
+  // Verificar si se admite un tipo MIME (acepta comodines como 'image/*')
+  isAllowedType(mime) {
+    const type = String(mime || '').toLowerCase();
+    const [family] = type.split('/');
+    return this.ALLOWED_TYPES.includes(type) || this.ALLOWED_TYPES.includes(`${family}/*`);
+  }
+
+  /**
+   * Guarda un archivo subido como adjunto pendiente de una sala
+   *
+   * En las imágenes se comprueba que el contenido es del formato que dice
+   * su tipo MIME, se leen sus dimensiones y se genera una miniatura WebP
+   * (orientada según EXIF) de THUMBNAIL_SIZE píxeles como máximo.
+   *
+   * @param {Object} data
+   * @param {string} data.roomId - Sala en la que se enviará
+   * @param {string} data.userId - Quién lo sube
+   * @param {Object} data.file - Archivo de multer { originalname, mimetype, size, buffer }
+   *
+   * @returns {Promise<Attachment|null>} El adjunto pendiente, o null si es
+   *   una imagen que no se puede leer
+   *
+   * Operaciones realizadas:
+   * 1. storage.put del original (y de la miniatura)
+   * 2. HSET chat:attachments:{id} + EXPIRE PENDING_TTL
+   * 3. ZADD chat:attachment_expiry → Caducidad del pendiente
+   */
+  async createAttachment({ roomId, userId, file }) {
+    try {
+      const attachment = new Attachment({
+        roomId,
+        userId,
+        name: file.originalname,
+        size: file.size,
+        mime: file.mimetype
+      });
+
+      let thumbnail = null;
+      if (IMAGE_FORMATS[attachment.mime]) {
+        const image = await readImage(file.buffer, IMAGE_FORMATS[attachment.mime], this.THUMBNAIL_SIZE);
+        if (!image) {
+          return null;
+        }
+
+        attachment.width = image.width;
+        attachment.height = image.height;
+        attachment.thumbnailKey = `${attachment.id}/thumbnail`;
+        thumbnail = image.thumbnail;
+      }
+
+      await this.storage.put(attachment.storageKey, file.buffer);
+      if (thumbnail) {
+        await this.storage.put(attachment.thumbnailKey, thumbnail);
+      }
+
+      const attachmentKey = `${this.ATTACHMENT_KEY_PREFIX}${attachment.id}`;
+      await this.redis.multi()
+        .hSet(attachmentKey, attachment.toRedisObject())
+        .expire(attachmentKey, this.PENDING_TTL)
+        .zAdd(this.EXPIRY_KEY, { score: Date.now() + this.PENDING_TTL * 1000, value: attachment.id })
+        .exec();
+
+      return attachment;
+    } catch (error) {
+      console.error('Error guardando adjunto:', error);
+      throw error;
+    }
+  }
+
+  // Obtener un adjunto por ID (null si no existe o caducó)
+  async getAttachment(attachmentId) {
+    try {
+      const data = await this.redis.hGetAll(`${this.ATTACHMENT_KEY_PREFIX}${attachmentId}`);
+      return Object.keys(data).length > 0 ? Attachment.fromRedisObject(data) : null;
+    } catch (error) {
+      console.error('Error obteniendo adjunto:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Asigna un adjunto pendiente al mensaje que lo envía
+   *
+   * Solo el autor puede enviarlo, en la sala para la que lo subió y una
+   * sola vez: HSETNX messageId gana solo para el primer mensaje aunque
+   * lleguen dos a la vez.
+   *
+   * @param {string} attachmentId - ID del adjunto
+   * @param {Object} target
+   * @param {string} target.userId - Autor del mensaje
+   * @param {string} target.roomId - Sala del mensaje
+   * @param {string} target.messageId - ID del mensaje
+   * @param {number} ttl - Retención del mensaje en segundos
+   *
+   * @returns {Promise<Attachment|null>} El adjunto, o null si no existe,
+   *   no es del autor o de la sala, o ya se envió
+   */
+  async claimAttachment(attachmentId, { userId, roomId, messageId }, ttl) {
+    try {
+      const attachment = await this.getAttachment(attachmentId);
+      if (!attachment || attachment.userId !== userId || attachment.roomId !== roomId || attachment.messageId) {
+        return null;
+      }
+
+      const attachmentKey = `${this.ATTACHMENT_KEY_PREFIX}${attachmentId}`;
+      const claimed = await this.redis.hSetNX(attachmentKey, 'messageId', messageId);
+      if (!claimed) {
+        return null;
+      }
+
+      await this.redis.multi()
+        .expire(attachmentKey, ttl)
+        .zAdd(this.EXPIRY_KEY, { score: Date.now() + ttl * 1000, value: attachmentId })
+        .exec();
+
+      attachment.messageId = messageId;
+      return attachment;
+    } catch (error) {
+      console.error('Error asignando adjunto:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * URLs de descarga firmadas de un adjunto
+   *
+   * Caducan a los DOWNLOAD_URL_TTL segundos; quien las necesite de nuevo
+   * las pide otra vez a GET /api/attachments/:attachmentId, que comprueba
+   * el acceso a la sala.
+   *
+   * @returns {{url: string, thumbnailUrl: string|null, expiresAt: string}}
+   */
+  getDownloadUrls(attachment) {
+    const expires = Date.now() + this.DOWNLOAD_URL_TTL * 1000;
+    const sign = (variant) => {
+      const path = `/api/attachments/${attachment.id}/${variant}`;
+      return `${path}?expires=${expires}&signature=${signDownload(path, expires)}`;
+    };
+
+    return {
+      url: sign('file'),
+      thumbnailUrl: attachment.isImage() ? sign('thumbnail') : null,
+      expiresAt: new Date(expires).toISOString()
+    };
+  }
+
+  // Stream de lectura del original o de la miniatura (null si no existe)
+  async openFile(attachment, variant = 'file') {
+    try {
+      const key = variant === 'thumbnail' ? attachment.thumbnailKey : attachment.storageKey;
+      return key ? await this.storage.get(key) : null;
+    } catch (error) {
+      console.error('Error leyendo adjunto:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Elimina un adjunto: sus archivos y sus metadatos
+   *
+   * ZREM decide quién lo elimina si dos instancias lo intentan a la vez
+   * (borrado del mensaje y limpieza por caducidad): solo la que lo saca
+   * del índice borra los archivos.
+   *
+   * @returns {Promise<boolean>} true si lo eliminó esta llamada
+   */
+  async deleteAttachment(attachmentId) {
+    try {
+      const removed = await this.redis.zRem(this.EXPIRY_KEY, attachmentId);
+      if (removed === 0) {
+        return false;
+      }
+
+      // Las claves no dependen de los metadatos, que pueden haber expirado ya
+      await this.storage.remove(`${attachmentId}/original`);
+      await this.storage.remove(`${attachmentId}/thumbnail`);
+      await this.redis.del(`${this.ATTACHMENT_KEY_PREFIX}${attachmentId}`);
+      return true;
+    } catch (error) {
+      console.error('Error eliminando adjunto:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Elimina los adjuntos caducados: pendientes que no se enviaron y
+   * adjuntos de mensajes que ya salieron de la retención
+   *
+   * @returns {Promise<number>} Adjuntos eliminados
+   */
+  async deleteExpired() {
+    try {
+      const expired = await this.redis.zRange(this.EXPIRY_KEY, '-inf', Date.now(), { BY: 'SCORE' });
+
+      let deleted = 0;
+      for (const attachmentId of expired) {
+        if (await this.deleteAttachment(attachmentId)) {
+          deleted++;
+        }
+      }
+
+      return deleted;
+    } catch (error) {
+      console.error('Error eliminando adjuntos caducados:', error);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Lee una imagen y genera su miniatura
+ *
+ * @returns {Promise<{width, height, thumbnail: Buffer}|null>} null si el
+ *   contenido no es una imagen del formato esperado
+ */
+async function readImage(buffer, format, size) {
+  try {
+    const metadata = await sharp(buffer).metadata();
+    if (metadata.format !== format) {
+      return null;
+    }
+
+    // Orientación EXIF 5-8: la imagen se muestra girada 90°
+    const rotated = metadata.orientation >= 5;
+    const thumbnail = await sharp(buffer)
+      .rotate()
+      .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+      .webp()
+      .toBuffer();
+
+    return {
+      width: rotated ? metadata.height : metadata.width,
+      height: rotated ? metadata.width : metadata.height,
+      thumbnail
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Crea el driver de almacenamiento de archivos según FILE_STORAGE
+ *
+ * @param {string} [mode] - 'local' (por defecto)
+ */
+function createFileStorage(mode = process.env.FILE_STORAGE) {
+  switch (mode) {
+    case 'local':
+    case undefined:
+    case '':
+      return new LocalFileStorage();
+    default:
+      throw new Error(`FILE_STORAGE no soportado: ${mode}`);
+  }
+}
+
+module.exports = AttachmentService;
+module.exports.CLEANUP_INTERVAL = CLEANUP_INTERVAL;
+module.exports.createFileStorage = createFileStorage;
@@ -0,0 +1,186 @@
+const MessageService = require('./MessageService');
+const RoomService = require('./RoomService');
+
+class ConversationService {
+  /**
+   * Constructor del servicio de mensajes directos (1:1)
+   *
+   * Una conversación entre dos usuarios se identifica con una clave
+   * determinista (ver getConversationId). Los mensajes se guardan con
+   * MessageService usando esa clave como roomId, de modo que comparten
+   * persistencia, límite de historial y TTL con los mensajes de salas.
+   *
+   * @param {Object} redisClient - Cliente Redis ya conectado
+   *
+   * Estructura de datos en Redis:
+   * - chat:room_messages:dm:{userA}:{userB} → Lista de IDs (vía MessageService)
+   * - chat:user_conversations:{userId} → Sorted Set conversationId → timestamp último mensaje
+   * - chat:conversation_unread:{userId} → Hash conversationId → mensajes no leídos
+   */
+  constructor(redisClient) {
+    this.redis = redisClient;
+    this.messageService = new MessageService(redisClient);
+    this.roomService = new RoomService(redisClient);
+    this.CONVERSATION_PREFIX = 'dm:';                                  // Prefijo de IDs de conversación
+    this.USER_CONVERSATIONS_KEY_PREFIX = 'chat:user_conversations:'; // Conversaciones por usuario
+    this.UNREAD_KEY_PREFIX = 'chat:conversation_unread:';            // No leídos por usuario
+  }
+
+  /**
+   * Calcula el ID de conversación para un par de usuarios
+   *
+   * Los IDs se ordenan para que (A, B) y (B, A) den la misma clave.
+   *
+   * @param {string} userIdA - ID de uno de los participantes
+   * @param {string} userIdB - ID del otro participante
+   * @returns {string} ID con formato `dm:{menor}:{mayor}`
+   */
+  getConversationId(userIdA, userIdB) {
+    const [first, second] = [userIdA, userIdB].sort();
+    return `${this.CONVERSATION_PREFIX}${first}:${second}`;
+  }
+
+  // Verificar si un roomId corresponde a una conversación directa
+  isConversationId(id) {
+    return typeof id === 'string' && id.startsWith(this.CONVERSATION_PREFIX);
+  }
+
+  // Obtener los IDs de los dos participantes de una conversación
+  getParticipants(conversationId) {
+    return conversationId.slice(this.CONVERSATION_PREFIX.length).split(':');
+  }
+
+  // Verificar si un usuario participa en una conversación
+  isParticipant(conversationId, userId) {
+    return this.isConversationId(conversationId) &&
+      this.getParticipants(conversationId).includes(userId);
+  }
+
+  /**
+   * Verifica si un usuario puede ver los mensajes de una sala o conversación
+   *
+   * - Conversación directa: solo sus dos participantes
+   * - Sala: debe existir y, si es privada, el usuario debe ser miembro
+   *
+   * @param {string} roomId - ID de sala o de conversación (dm:...)
+   * @param {string} userId - ID del usuario
+   * @returns {Promise<boolean>}
+   */
+  async canUserViewMessages(roomId, userId) {
+    if (this.isConversationId(roomId)) {
+      return this.isParticipant(roomId, userId);
+    }
+
+    const room = await this.roomService.getRoom(roomId);
+    return !!room && await this.roomService.canViewRoom(room, userId);
+  }
+
+  /**
+   * Envía un mensaje directo entre dos usuarios
+   *
+   * @param {Object} sender - Usuario que envía
+   * @param {string} sender.id - ID del emisor
+   * @param {string} sender.username - Nombre visible del emisor
+   * @param {string} recipientId - ID del destinatario
+   * @param {string} content - Contenido del mensaje
+   *
+   * @returns {Promise<Message>} El mensaje guardado (roomId = conversationId)
+   *
+   * Operaciones realizadas en Redis:
+   * 1. Guardar mensaje con MessageService (hash + lista + TTL)
+   * 2. ZADD en las conversaciones de ambos usuarios con el timestamp
+   * 3. HINCRBY del contador de no leídos del destinatario
+   */
+  async sendMessage(sender, recipientId, content) {
+    try {
+      const conversationId = this.getConversationId(sender.id, recipientId);
+
+      const message = await this.messageService.saveMessage({
+        roomId: conversationId,
+        userId: sender.id,
+        username: sender.username,
+        content
+      });
+
+      const score = new Date(message.timestamp).getTime();
+      for (const userId of [sender.id, recipientId]) {
+        await this.redis.zAdd(`${this.USER_CONVERSATIONS_KEY_PREFIX}${userId}`, {
+          score,
+          value: conversationId
+        });
+      }
+
+      await this.redis.hIncrBy(`${this.UNREAD_KEY_PREFIX}${recipientId}`, conversationId, 1);
+
+      return message;
+    } catch (error) {
+      console.error('Error enviando mensaje directo:', error);
+      throw error;
+    }
+  }
+
+  // Obtener historial de una conversación (mismo formato que las salas)
+  async getHistory(conversationId, limit = 50, offset = 0) {
+    try {
+      return await this.messageService.getRoomMessages(conversationId, limit, offset);
+    } catch (error) {
+      console.error('Error obteniendo historial de conversación:', error);
+      throw error;
+    }
+  }
+
+  // Marcar una conversación como leída para un usuario
+  async markAsRead(userId, conversationId) {
+    try {
+      await this.redis.hDel(`${this.UNREAD_KEY_PREFIX}${userId}`, conversationId);
+      return true;
+    } catch (error) {
+      console.error('Error marcando conversación como leída:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lista las conversaciones de un usuario, más recientes primero
+   *
+   * @param {string} userId - ID del usuario
+   *
+   * @returns {Promise<Object[]>} Conversaciones con la forma
+   *   { conversationId, userId, lastMessage, unreadCount, updatedAt }
+   *   donde userId es el otro participante
+   *
+   * Las conversaciones cuyos mensajes ya expiraron (TTL) se omiten.
+   */
+  async getUserConversations(userId) {
+    try {
+      const conversationIds = await this.redis.zRange(
+        `${this.USER_CONVERSATIONS_KEY_PREFIX}${userId}`, 0, -1, { REV: true }
+      );
+      const unread = await this.redis.hGetAll(`${this.UNREAD_KEY_PREFIX}${userId}`);
+
+      const conversations = [];
+      for (const conversationId of conversationIds) {
+        const [lastMessage] = await this.messageService.getRoomMessages(conversationId, 1);
+        if (!lastMessage) {
+          continue;
+        }
+
+        const otherUserId = this.getParticipants(conversationId).find(id => id !== userId) || userId;
+        conversations.push({
+          conversationId,
+          userId: otherUserId,
+          lastMessage,
+          unreadCount: parseInt(unread[conversationId]) || 0,
+          updatedAt: lastMessage.timestamp
+        });
+      }
+
+      return conversations;
+    } catch (error) {
+      console.error('Error obteniendo conversaciones:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = ConversationService;
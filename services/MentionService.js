@@ -0,0 +1,268 @@
+const ConversationService = require('./ConversationService');
+const MessageService = require('./MessageService');
+const RoomService = require('./RoomService');
+const SanctionService = require('./SanctionService');
+const UserService = require('./UserService');
+
+class MentionService {
+  /**
+   * Constructor del servicio de menciones
+   *
+   * Cada usuario tiene una bandeja con los mensajes de sala que le
+   * mencionan (@usuario), la más reciente primero, y el conjunto de los
+   * que aún no ha leído. La bandeja guarda solo la referencia al mensaje:
+   * al listarla se carga el mensaje actual, así que las ediciones se ven y
+   * los mensajes eliminados o caducados desaparecen de ella. Las menciones
+   * de salas a las que el usuario ya no tiene acceso se ocultan mientras
+   * dure la situación.
+   *
+   * @param {Object} redisClient - Cliente Redis ya conectado
+   *
+   * Estructura de datos en Redis:
+   * - chat:mentions:{userId} → Sorted Set de messageIds (score = timestamp en ms)
+   * - chat:mention_data:{userId} → Hash messageId → mención (JSON)
+   * - chat:mentions_unread:{userId} → Set de messageIds sin leer
+   */
+  constructor(redisClient) {
+    this.redis = redisClient;
+    this.conversationService = new ConversationService(redisClient);
+    this.messageService = new MessageService(redisClient);
+    this.roomService = new RoomService(redisClient);
+    this.sanctionService = new SanctionService(redisClient);
+    this.userService = new UserService(redisClient);
+    this.MENTIONS_KEY_PREFIX = 'chat:mentions:';
+    this.DATA_KEY_PREFIX = 'chat:mention_data:';
+    this.UNREAD_KEY_PREFIX = 'chat:mentions_unread:';
+    this.MAX_MENTIONS = 200; // Tamaño máximo de la bandeja de cada usuario
+  }
+
+  // Claves de la bandeja de un usuario
+  getKeys(userId) {
+    return {
+      mentionsKey: `${this.MENTIONS_KEY_PREFIX}${userId}`,
+      dataKey: `${this.DATA_KEY_PREFIX}${userId}`,
+      unreadKey: `${this.UNREAD_KEY_PREFIX}${userId}`
+    };
+  }
+
+  /**
+   * Guarda las menciones de un mensaje de sala recién publicado
+   *
+   * Los @usuario se resuelven entre los usuarios de la sala; el autor no
+   * se menciona a sí mismo.
+   *
+   * @param {Message} message - Mensaje publicado
+   * @returns {Promise<Array<{userId: string, mention: Object}>>} Una entrada
+   *   por usuario mencionado, para notificarle
+   */
+  async createMentions(message) {
+    try {
+      const mentioned = (await this.userService.resolveMentions(message.roomId, message.content))
+        .filter(user => user.id !== message.userId);
+      if (mentioned.length === 0) {
+        return [];
+      }
+
+      const room = await this.roomService.getRoom(message.roomId);
+      const created = [];
+      for (const user of mentioned) {
+        created.push({
+          userId: user.id,
+          mention: await this.addMention(user.id, message, room)
+        });
+      }
+
+      return created;
+    } catch (error) {
+      console.error('Error guardando menciones:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Añade una mención sin leer a la bandeja de un usuario
+   *
+   * La bandeja caduca con la retención de los mensajes y guarda como
+   * mucho MAX_MENTIONS: las más antiguas se descartan.
+   *
+   * @param {string} userId - Usuario mencionado
+   * @param {Message} message - Mensaje que le menciona
+   * @param {Room} room - Sala del mensaje
+   *
+   * @returns {Promise<Object>} La mención, con read: false y el mensaje
+   *
+   * Operaciones realizadas en Redis (una sola transacción MULTI):
+   * 1. HSET chat:mention_data:{userId} → Datos de la mención
+   * 2. ZADD chat:mentions:{userId} → Orden cronológico
+   * 3. SADD chat:mentions_unread:{userId} → Sin leer
+   * 4. EXPIRE de las tres claves
+   * 5. ZRANGE de las que sobran (después se eliminan con ZREM/HDEL/SREM)
+   */
+  async addMention(userId, message, room) {
+    try {
+      const { mentionsKey, dataKey, unreadKey } = this.getKeys(userId);
+      const ttl = this.messageService.getMessageTTL();
+
+      const mention = {
+        messageId: message.id,
+        roomId: message.roomId,
+        roomName: room.name,
+        fromUserId: message.userId,
+        fromUsername: message.username,
+        createdAt: message.timestamp
+      };
+
+      const results = await this.redis.multi()
+        .hSet(dataKey, message.id, JSON.stringify(mention))
+        .zAdd(mentionsKey, { score: new Date(message.timestamp).getTime(), value: message.id })
+        .sAdd(unreadKey, message.id)
+        .expire(dataKey, ttl)
+        .expire(mentionsKey, ttl)
+        .expire(unreadKey, ttl)
+        .zRange(mentionsKey, 0, -this.MAX_MENTIONS - 1)
+        .exec();
+
+      const overflow = results[results.length - 1];
+      if (overflow.length > 0) {
+        await this.removeMentions(userId, overflow);
+      }
+
+      return { ...mention, read: false, message };
+    } catch (error) {
+      console.error('Error guardando mención:', error);
+      throw error;
+    }
+  }
+
+  // Eliminar menciones de la bandeja de un usuario
+  async removeMentions(userId, messageIds) {
+    const { mentionsKey, dataKey, unreadKey } = this.getKeys(userId);
+    await this.redis.multi()
+      .zRem(mentionsKey, messageIds)
+      .hDel(dataKey, messageIds)
+      .sRem(unreadKey, messageIds)
+      .exec();
+  }
+
+  // Salas (de entre roomIds) cuyos mensajes puede ver ahora el usuario:
+  // las privadas exigen seguir invitado y un veto activo las oculta
+  async getVisibleRooms(userId, roomIds) {
+    const visible = await Promise.all(roomIds.map(async roomId => (
+      await this.conversationService.canUserViewMessages(roomId, userId) &&
+      !(await this.sanctionService.getSanction(roomId, 'ban', userId))
+    )));
+    return new Set(roomIds.filter((roomId, i) => visible[i]));
+  }
+
+  /**
+   * Obtiene una página de la bandeja de menciones, la más reciente primero
+   *
+   * Las menciones de mensajes eliminados o caducados se descartan de la
+   * bandeja al encontrarlas. Las de salas que el usuario no puede ver
+   * (privadas de las que ya no es miembro o en las que está vetado) no se
+   * listan ni cuentan, pero se conservan por si recupera el acceso.
+   *
+   * @param {string} userId - Usuario
+   * @param {Object} [options]
+   * @param {number} [options.limit=20] - Menciones por página
+   * @param {number} [options.offset=0] - Menciones a saltar
+   * @param {boolean} [options.unread=false] - Solo las no leídas
+   *
+   * @returns {Promise<{mentions: Object[], total: number, unreadCount: number}>}
+   *   Cada mención lleva read y el mensaje actual
+   */
+  async getMentions(userId, { limit = 20, offset = 0, unread = false } = {}) {
+    try {
+      const { mentionsKey, dataKey, unreadKey } = this.getKeys(userId);
+
+      // La bandeja está limitada a MAX_MENTIONS: se puede leer entera
+      const [ids, data] = await Promise.all([
+        this.redis.zRange(mentionsKey, 0, -1, { REV: true }),
+        this.redis.hGetAll(dataKey)
+      ]);
+
+      // Sin datos de la mención no se puede saber su sala: se descarta
+      const orphaned = ids.filter(messageId => !data[messageId]);
+      const stored = ids.filter(messageId => data[messageId]);
+      const mentionsById = new Map(stored.map(messageId => [messageId, JSON.parse(data[messageId])]));
+
+      const visibleRooms = await this.getVisibleRooms(
+        userId, [...new Set([...mentionsById.values()].map(mention => mention.roomId))]
+      );
+      const messageIds = stored.filter(messageId => visibleRooms.has(mentionsById.get(messageId).roomId));
+
+      const isUnread = messageIds.length > 0
+        ? await this.redis.smIsMember(unreadKey, messageIds)
+        : [];
+
+      const candidates = messageIds.filter((messageId, i) => !unread || isUnread[i]);
+      const page = candidates.slice(offset, offset + limit);
+      const unreadIds = new Set(messageIds.filter((messageId, i) => isUnread[i]));
+
+      const messages = await Promise.all(page.map(messageId => this.messageService.getMessage(messageId)));
+
+      const mentions = [];
+      const gone = [];
+      page.forEach((messageId, i) => {
+        const message = messages[i];
+        if (!message || message.isDeleted()) {
+          gone.push(messageId);
+          return;
+        }
+        mentions.push({ ...mentionsById.get(messageId), read: !unreadIds.has(messageId), message });
+      });
+
+      if (orphaned.length > 0 || gone.length > 0) {
+        await this.removeMentions(userId, [...orphaned, ...gone]);
+        gone.forEach(messageId => unreadIds.delete(messageId));
+      }
+
+      return {
+        mentions,
+        total: candidates.length - gone.length,
+        unreadCount: unreadIds.size
+      };
+    } catch (error) {
+      console.error('Error obteniendo menciones:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Marca menciones como leídas
+   *
+   * @param {string} userId - Usuario
+   * @param {string[]} [messageIds] - Menciones a marcar (todas si no se indican)
+   * @returns {Promise<number>} Menciones que quedan sin leer
+   */
+  async markAsRead(userId, messageIds) {
+    try {
+      const { unreadKey } = this.getKeys(userId);
+
+      if (messageIds) {
+        if (messageIds.length > 0) {
+          await this.redis.sRem(unreadKey, messageIds);
+        }
+      } else {
+        await this.redis.del(unreadKey);
+      }
+
+      return await this.redis.sCard(unreadKey);
+    } catch (error) {
+      console.error('Error marcando menciones como leídas:', error);
+      throw error;
+    }
+  }
+
+  // Contar menciones sin leer
+  async countUnread(userId) {
+    try {
+      return await this.redis.sCard(this.getKeys(userId).unreadKey);
+    } catch (error) {
+      console.error('Error contando menciones:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = MentionService;
@@ -1,4 +1,28 @@
 const Message = require('../models/Message');
+const RoomService = require('./RoomService');
+const SearchService = require('./SearchService');
+const AttachmentService = require('./AttachmentService');
+const { buildSnippet } = SearchService;
+const ListMessageStorage = require('./storage/ListMessageStorage');
+const StreamMessageStorage = require('./storage/StreamMessageStorage');
+
+// Mensajes que searchMessages carga a la vez al descartar resultados obsoletos
+const SEARCH_LOAD_BATCH = 100;
+
+// Añade una reacción y alarga sus claves hasta el final de la retención
+// del mensaje, en un solo paso: el contador solo sube si el usuario no
+// había reaccionado ya con ese emoji (una transacción MULTI no puede
+// condicionar el HINCRBY al resultado del SADD).
+// KEYS: usuarios del emoji, contadores del mensaje
+// ARGV: userId, emoji, milisegundos de retención restantes
+const ADD_REACTION_SCRIPT = `
+if redis.call('SADD', KEYS[1], ARGV[1]) == 1 then
+  redis.call('HINCRBY', KEYS[2], ARGV[2], 1)
+end
+redis.call('PEXPIRE', KEYS[1], ARGV[3])
+redis.call('PEXPIRE', KEYS[2], ARGV[3])
+return 1
+`;
 
 class MessageService {
   /**
@@ -9,9 +33,24 @@ class MessageService {
    * 
    * @param {Object} redisClient - Cliente Redis ya conectado
    * 
+   * El historial de cada sala se guarda según MESSAGE_STORAGE:
+   * - 'list' (por defecto) → ver services/storage/ListMessageStorage.js
+   * - 'stream' → Redis Streams, ver services/storage/StreamMessageStorage.js
+   * 
    * Estructura de datos en Redis:
-   * - chat:messages:{messageId} → Hash con datos completos del mensaje
-   * - chat:room_messages:{roomId} → Lista ordenada de IDs de mensajes por sala
+   * - chat:messages:{messageId} → Hash del mensaje (completo, o solo sus cambios en modo 'stream')
+   * - chat:room_messages:{roomId} → Lista ordenada de IDs de mensajes por sala (modo 'list')
+   * - chat:room_stream:{roomId} → Stream de mensajes por sala (modo 'stream')
+   * - chat:message_history:{messageId} → Lista de versiones anteriores (JSON)
+   * - chat:message_reactions:{messageId} → Hash emoji → número de reacciones
+   * - chat:message_reactions:{messageId}:{emoji} → Set de IDs de usuarios que reaccionaron
+   * - chat:thread_messages:{parentId} → Sorted Set de respuestas (score = timestamp)
+   * - chat:thread_participants:{parentId} → Set de usuarios que participan en el hilo
+   * - chat:room_reads:{roomId} → Hash userId → última posición leída (JSON)
+   * - chat:search_terms:{term} / chat:search_docs:{messageId} → Índice de búsqueda
+   *   (ver services/SearchService.js)
+   * - chat:attachments:{attachmentId} → Adjunto de un mensaje 'image' o 'file'
+   *   (ver services/AttachmentService.js)
    * 
    * Esta separación permite:
    * - Acceso rápido a mensajes individuales (O(1))
@@ -20,8 +59,28 @@ class MessageService {
    */
   constructor(redisClient) {
     this.redis = redisClient;
+    this.roomService = new RoomService(redisClient);
+    this.storage = createMessageStorage(redisClient);
+    this.searchService = new SearchService(redisClient);
+    this.attachmentService = new AttachmentService(redisClient);
     this.MESSAGE_KEY_PREFIX = 'chat:messages:';           // Prefijo para mensajes individuales
-    this.ROOM_MESSAGES_KEY_PREFIX = 'chat:room_messages:'; // Prefijo para listas de mensajes por sala
+    this.MESSAGE_HISTORY_KEY_PREFIX = 'chat:message_history:'; // Prefijo para versiones anteriores
+    this.REACTIONS_KEY_PREFIX = 'chat:message_reactions:';      // Prefijo para reacciones por mensaje
+    this.THREAD_MESSAGES_KEY_PREFIX = 'chat:thread_messages:';  // Prefijo para índices de hilos
+    this.THREAD_PARTICIPANTS_KEY_PREFIX = 'chat:thread_participants:'; // Prefijo para participantes de hilos
+    this.ROOM_READS_KEY_PREFIX = 'chat:room_reads:';            // Prefijo para marcadores de lectura
+  }
+
+  // TTL de los mensajes en segundos (MESSAGE_RETENTION_DAYS, 7 días por defecto)
+  getMessageTTL() {
+    return parseInt(process.env.MESSAGE_RETENTION_DAYS) * 24 * 60 * 60 || 604800;
+  }
+
+  // Milisegundos de vida que le quedan a un mensaje: las claves que
+  // dependen de él (historial de ediciones...) no deben durar más
+  async getRemainingTTL(messageId) {
+    const remaining = await this.redis.pTTL(`${this.MESSAGE_KEY_PREFIX}${messageId}`);
+    return remaining > 0 ? remaining : this.getMessageTTL() * 1000;
   }
 
   /**
@@ -39,16 +98,18 @@ class MessageService {
    * @param {string} messageData.username - Nombre visible del usuario
    * @param {string} messageData.content - Contenido del mensaje
    * @param {string} [messageData.type='text'] - Tipo de mensaje (text, system, image, etc.)
+   * @param {Object} [messageData.attachment] - Metadatos del adjunto (Attachment.toMetadata)
    * 
    * @returns {Promise<Message>} El mensaje creado con ID y timestamp generados
    * 
    * @throws {Error} Si los datos del mensaje son inválidos
    * 
-   * Operaciones realizadas en Redis:
+   * Operaciones realizadas en Redis (modo 'list'; ver storage.append):
    * 1. HSET chat:messages:{id} → Almacena datos completos del mensaje
    * 2. LPUSH chat:room_messages:{roomId} → Añade ID a lista cronológica de la sala  
    * 3. LTRIM chat:room_messages:{roomId} 0 999 → Mantiene solo últimos 1000 mensajes
    * 4. EXPIRE chat:messages:{id} TTL → Programa eliminación automática
+   * 5. Indexar el contenido para búsquedas (ver SearchService.indexMessage)
    */
   async saveMessage(messageData) {
     try {
@@ -60,26 +121,14 @@ class MessageService {
         throw new Error('Datos del mensaje inválidos');
       }
 
-      // Construir claves de Redis para este mensaje específico
-      const messageKey = `${this.MESSAGE_KEY_PREFIX}${message.id}`;
-      const roomMessagesKey = `${this.ROOM_MESSAGES_KEY_PREFIX}${message.roomId}`;
+      // Guardar en el historial de la sala con su retención (TTL y tamaño máximo)
+      await this.storage.append(message, this.getMessageTTL());
+      await this.searchService.indexMessage(message, this.getMessageTTL());
 
-      // 1. Guardar datos completos del mensaje como Hash
-      //    Permite recuperar mensaje completo con una sola operación O(1)
-      await this.redis.hSet(messageKey, message.toRedisObject());
-      
-      // 2. Añadir ID del mensaje al inicio de la lista de la sala
-      //    LPUSH mantiene orden cronológico (más recientes primero)
-      await this.redis.lPush(roomMessagesKey, message.id);
-      
-      // 3. Recortar lista para mantener solo últimos 1000 mensajes
-      //    Previene crecimiento infinito de memoria
-      await this.redis.lTrim(roomMessagesKey, 0, 999);
-      
-      // 4. Configurar TTL (Time To Live) para eliminación automática
-      //    Los mensajes se eliminan automáticamente después del período configurado
-      const ttl = parseInt(process.env.MESSAGE_RETENTION_DAYS) * 24 * 60 * 60 || 604800; // 7 días por defecto
-      await this.redis.expire(messageKey, ttl);
+      // Actividad reciente de la sala (orden 'active' del directorio)
+      if (message.type !== 'system') {
+        await this.roomService.touchRoom(message.roomId, message.timestamp);
+      }
 
       return message;
     } catch (error) {
@@ -101,7 +150,7 @@ class MessageService {
    * 
    * @returns {Promise<Message[]>} Array de mensajes en orden cronológico (más antiguos primero)
    * 
-   * Algoritmo de paginación:
+   * Algoritmo de paginación (modo 'list'):
    * 1. LRANGE para obtener slice de IDs de mensajes de la lista
    * 2. Para cada ID, HGETALL para obtener datos completos del mensaje
    * 3. Filtrar mensajes que puedan haber expirado (TTL)
@@ -111,45 +160,287 @@ class MessageService {
    * - getRoomMessages('room123', 20, 0)  → Primeros 20 mensajes
    * - getRoomMessages('room123', 20, 20) → Siguientes 20 mensajes
    * 
+   * Si llegan mensajes nuevos entre dos peticiones, el offset se desplaza;
+   * para "cargar anteriores" es preferible getRoomMessagesPage (cursores).
+   * 
    * Complejidad: O(limit) - solo consulta mensajes necesarios
    */
   async getRoomMessages(roomId, limit = 50, offset = 0) {
     try {
-      const roomMessagesKey = `${this.ROOM_MESSAGES_KEY_PREFIX}${roomId}`;
-      
-      // Obtener slice de IDs de mensajes desde la lista ordenada
-      // LRANGE es O(N) donde N = limit, no el total de mensajes
-      // Los mensajes están ordenados: [más_reciente, ..., más_antiguo]
-      const messageIds = await this.redis.lRange(roomMessagesKey, offset, offset + limit - 1);
-      
-      // Si no hay mensajes en este rango, retornar array vacío
-      if (messageIds.length === 0) {
-        return [];
-      }
-
-      // Obtener datos completos de cada mensaje
-      const messages = [];
-      for (const messageId of messageIds) {
-        const messageKey = `${this.MESSAGE_KEY_PREFIX}${messageId}`;
-        
-        // Obtener todos los campos del Hash del mensaje
-        const messageData = await this.redis.hGetAll(messageKey);
-        
-        // Verificar que el mensaje aún existe (no expiró por TTL)
-        if (Object.keys(messageData).length > 0) {
-          // Convertir datos de Redis de vuelta a instancia Message
-          messages.push(Message.fromRedisObject(messageData));
+      // Mensajes en orden cronológico (más antiguos primero): así los
+      // nuevos mensajes aparecen al final del chat
+      const messages = await this.storage.getMessages(roomId, limit, offset);
+      return await this.withReactions(messages);
+    } catch (error) {
+      console.error('Error obteniendo mensajes de la sala:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene una página de mensajes a partir de un cursor
+   *
+   * A diferencia de getRoomMessages, la ventana no se desplaza cuando
+   * llegan mensajes nuevos: el cursor fija la posición en la lista, así
+   * que "cargar anteriores" nunca repite ni salta mensajes.
+   *
+   * @param {string} roomId - ID de la sala o conversación
+   * @param {Object} [options]
+   * @param {number} [options.limit=50] - Número máximo de mensajes
+   * @param {string} [options.before] - Mensajes más antiguos que este cursor
+   * @param {string} [options.after] - Mensajes más recientes que este cursor
+   *
+   * El cursor puede ser el ID de un mensaje de la sala o un timestamp
+   * (ISO 8601 o milisegundos). Sin cursor se devuelven los más recientes.
+   *
+   * @returns {Promise<Object|null>} { messages, nextCursor, hasMore }, con
+   *   los mensajes en orden cronológico; null si el cursor no es válido.
+   *   nextCursor es el ID que hay que pasar en la siguiente petición con
+   *   la misma dirección (before o after)
+   */
+  async getRoomMessagesPage(roomId, { limit = 50, before, after } = {}) {
+    try {
+      const page = await this.storage.getPage(roomId, { limit, before, after });
+      if (!page) {
+        return null;
+      }
+
+      page.messages = await this.withReactions(page.messages);
+      return page;
+    } catch (error) {
+      console.error('Error obteniendo página de mensajes:', error);
+      throw error;
+    }
+  }
+
+  // Añadir a cada mensaje sus reacciones agregadas (dos pipelines en total)
+  async withReactions(messages) {
+    const reactions = await this.getReactionsForMessages(messages.map(message => message.id));
+    messages.forEach((message, i) => {
+      message.reactions = reactions[i];
+    });
+    return messages;
+  }
+
+  /**
+   * Guarda una respuesta dentro del hilo de un mensaje
+   *
+   * Las respuestas no se añaden a la lista de la sala: solo aparecen en
+   * el hilo. El mensaje raíz lleva replyCount y lastReplyAt para que los
+   * clientes muestren el resumen del hilo sin cargarlo.
+   *
+   * Retención: la respuesta, el índice del hilo y sus participantes usan
+   * el mismo TTL que los mensajes de la sala, y el hilo se limita a las
+   * últimas 1000 respuestas igual que el historial de la sala.
+   *
+   * @param {Message} parent - Mensaje raíz (ya validado por el caller)
+   * @param {Object} replyData - userId, username y content de la respuesta
+   *
+   * @returns {Promise<{reply: Message, parent: Message}>} La respuesta creada
+   *   y el mensaje raíz con los contadores actualizados
+   *
+   * Operaciones realizadas en Redis (una sola transacción MULTI):
+   * 1. HSET + EXPIRE chat:messages:{replyId} → Datos de la respuesta
+   * 2. ZADD chat:thread_messages:{parentId} → Índice ordenado del hilo
+   * 3. SADD chat:thread_participants:{parentId} → Autor raíz y quien responde
+   * 4. HINCRBY/HSET chat:messages:{parentId} → replyCount y lastReplyAt
+   * 5. PEXPIRE chat:messages:{parentId} → Su propio TTL: si el raíz acaba de
+   *    caducar, HINCRBY lo recrearía como un Hash sin TTL
+   */
+  async saveReply(parent, replyData) {
+    try {
+      const reply = new Message({
+        ...replyData,
+        roomId: parent.roomId,
+        parentId: parent.id
+      });
+
+      if (!reply.isValid()) {
+        throw new Error('Datos del mensaje inválidos');
+      }
+
+      const ttl = this.getMessageTTL();
+      const replyKey = `${this.MESSAGE_KEY_PREFIX}${reply.id}`;
+      const parentKey = `${this.MESSAGE_KEY_PREFIX}${parent.id}`;
+      const threadKey = `${this.THREAD_MESSAGES_KEY_PREFIX}${parent.id}`;
+      const participantsKey = `${this.THREAD_PARTICIPANTS_KEY_PREFIX}${parent.id}`;
+
+      parent.lastReplyAt = reply.timestamp;
+
+      // Los mensajes siempre tienen TTL: sin él (o sin raíz) lo que quede
+      // tras HINCRBY es un resto y debe desaparecer
+      const parentTTL = await this.redis.pTTL(parentKey);
+
+      const results = await this.redis.multi()
+        .hSet(replyKey, reply.toRedisObject())
+        .expire(replyKey, ttl)
+        .zAdd(threadKey, {
+          score: new Date(reply.timestamp).getTime(),
+          value: reply.id
+        })
+        .zRemRangeByRank(threadKey, 0, -1001)
+        .expire(threadKey, ttl)
+        .sAdd(participantsKey, [parent.userId, reply.userId])
+        .expire(participantsKey, ttl)
+        .hIncrBy(parentKey, 'replyCount', 1)
+        .hSet(parentKey, 'lastReplyAt', parent.lastReplyAt)
+        .pExpire(parentKey, parentTTL > 0 ? parentTTL : 1)
+        .exec();
+
+      // Resultado del HINCRBY (octavo comando de la transacción)
+      parent.replyCount = results[7];
+      await this.storage.markUpdated(parent, ttl);
+      await this.searchService.indexMessage(reply, ttl);
+
+      return { reply, parent };
+    } catch (error) {
+      console.error('Error guardando respuesta:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene las respuestas de un hilo con paginación
+   *
+   * @param {string} parentId - ID del mensaje raíz
+   * @param {number} [limit=50] - Número máximo de respuestas
+   * @param {number} [offset=0] - Respuestas a saltar desde la más antigua
+   *
+   * @returns {Promise<{replies: Message[], total: number}>} Respuestas en orden
+   *   cronológico (más antiguas primero) y total de respuestas indexadas
+   */
+  async getThreadReplies(parentId, limit = 50, offset = 0) {
+    try {
+      const threadKey = `${this.THREAD_MESSAGES_KEY_PREFIX}${parentId}`;
+      const replyIds = await this.redis.zRange(threadKey, offset, offset + limit - 1);
+      const total = await this.redis.zCard(threadKey);
+
+      const replies = [];
+      for (const replyId of replyIds) {
+        const reply = await this.getMessage(replyId);
+        // Omitir respuestas que ya expiraron por TTL
+        if (reply) {
+          reply.reactions = await this.getReactions(replyId);
+          replies.push(reply);
         }
-        // Si el mensaje no existe, simplemente lo omitimos
-        // Esto puede pasar si el TTL expiró pero el ID aún está en la lista
       }
 
-      // Revertir el orden para mostrar cronológicamente (más antiguos primero)
-      // Esto facilita la visualización en el chat donde los nuevos mensajes
-      // aparecen al final
-      return messages.reverse();
+      return { replies, total };
     } catch (error) {
-      console.error('Error obteniendo mensajes de la sala:', error);
+      console.error('Error obteniendo hilo:', error);
+      throw error;
+    }
+  }
+
+  // Obtener los IDs de usuarios que participan en un hilo
+  async getThreadParticipants(parentId) {
+    try {
+      const participantsKey = `${this.THREAD_PARTICIPANTS_KEY_PREFIX}${parentId}`;
+      return await this.redis.sMembers(participantsKey);
+    } catch (error) {
+      console.error('Error obteniendo participantes del hilo:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Marca la posición de lectura de un usuario en una sala
+   *
+   * El marcador solo avanza: si el usuario ya había leído un mensaje
+   * más reciente que messageId, no se modifica.
+   *
+   * @param {string} roomId - ID de la sala
+   * @param {Object} user - Usuario que lee ({ id, username })
+   * @param {string} messageId - ID del último mensaje leído
+   *
+   * @returns {Promise<Object|null>} La nueva posición { userId, username, messageId, readAt },
+   *   o null si no cambió (mensaje inexistente en la sala o marcador ya posterior)
+   *
+   * Las posiciones se comparan por el número de mensajes posteriores a
+   * cada una (storage.countNewer): menos mensajes posteriores = más reciente.
+   *
+   * Operaciones realizadas en Redis (modo 'list'):
+   * 1. LPOS chat:room_messages:{roomId} → Posición del mensaje (0 = más reciente)
+   * 2. HGET/HSET chat:room_reads:{roomId} userId → Marcador actual / nuevo
+   */
+  async markAsRead(roomId, user, messageId) {
+    try {
+      const readsKey = `${this.ROOM_READS_KEY_PREFIX}${roomId}`;
+
+      const position = await this.storage.countNewer(roomId, messageId);
+      if (position === null) {
+        return null;
+      }
+
+      const current = await this.redis.hGet(readsKey, user.id);
+      if (current) {
+        const currentPosition = await this.storage.countNewer(roomId, JSON.parse(current).messageId);
+        if (currentPosition !== null && currentPosition <= position) {
+          return null;
+        }
+      }
+
+      const readPosition = {
+        userId: user.id,
+        username: user.username,
+        messageId,
+        readAt: new Date().toISOString()
+      };
+      await this.redis.hSet(readsKey, user.id, JSON.stringify(readPosition));
+
+      return readPosition;
+    } catch (error) {
+      console.error('Error marcando lectura:', error);
+      throw error;
+    }
+  }
+
+  // Marcar como leído el mensaje más reciente de la sala
+  async markLatestAsRead(roomId, user) {
+    try {
+      const latestId = await this.storage.getLatestId(roomId);
+      return latestId ? await this.markAsRead(roomId, user, latestId) : null;
+    } catch (error) {
+      console.error('Error marcando lectura:', error);
+      throw error;
+    }
+  }
+
+  // Obtener las posiciones de lectura de todos los usuarios de una sala
+  async getReadPositions(roomId) {
+    try {
+      const readsKey = `${this.ROOM_READS_KEY_PREFIX}${roomId}`;
+      const reads = await this.redis.hGetAll(readsKey);
+      return Object.values(reads).map(read => JSON.parse(read));
+    } catch (error) {
+      console.error('Error obteniendo posiciones de lectura:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cuenta los mensajes no leídos de un usuario en una sala
+   *
+   * Son los mensajes posteriores al marcador del usuario (storage.countNewer).
+   *
+   * @param {string} roomId - ID de la sala
+   * @param {string} userId - ID del usuario
+   *
+   * @returns {Promise<number>} Mensajes no leídos. 0 si el usuario nunca
+   *   abrió la sala; el total de la lista si su marcador ya salió del historial
+   */
+  async countUnread(roomId, userId) {
+    try {
+      const readsKey = `${this.ROOM_READS_KEY_PREFIX}${roomId}`;
+      const current = await this.redis.hGet(readsKey, userId);
+      if (!current) {
+        return 0;
+      }
+
+      const unread = await this.storage.countNewer(roomId, JSON.parse(current).messageId);
+      return unread !== null ? unread : await this.storage.count(roomId);
+    } catch (error) {
+      console.error('Error contando no leídos:', error);
       throw error;
     }
   }
@@ -157,37 +448,403 @@ class MessageService {
   // Obtener un mensaje específico
   async getMessage(messageId) {
     try {
-      const messageKey = `${this.MESSAGE_KEY_PREFIX}${messageId}`;
-      const messageData = await this.redis.hGetAll(messageKey);
-      
-      if (Object.keys(messageData).length === 0) {
+      return await this.storage.getMessage(messageId);
+    } catch (error) {
+      console.error('Error obteniendo mensaje:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Verifica si un usuario puede editar un mensaje
+   *
+   * Reglas:
+   * - Solo el autor, o quien tenga 'message:edit_any' en la sala (moderadores)
+   * - Solo dentro del plazo de edición (MESSAGE_EDIT_WINDOW_MINUTES)
+   *
+   * @param {Message} message - Mensaje a editar
+   * @param {string} userId - ID del usuario que intenta editar
+   *
+   * @returns {Promise<{canEdit: boolean, code?: string, reason?: string}>}
+   *   code es 'forbidden' o 'edit_window_expired' cuando no puede editar
+   */
+  async canUserEditMessage(message, userId) {
+    try {
+      const isAuthor = message.userId === userId;
+      if (!isAuthor && !(await this.roomService.hasPermission(message.roomId, userId, 'message:edit_any'))) {
+        return { canEdit: false, code: 'forbidden', reason: 'No tienes permiso para editar este mensaje' };
+      }
+
+      if (!message.isEditable()) {
+        return { canEdit: false, code: 'edit_window_expired', reason: 'El plazo para editar este mensaje ha expirado' };
+      }
+
+      return { canEdit: true };
+    } catch (error) {
+      console.error('Error verificando edición de mensaje:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Edita el contenido de un mensaje conservando la versión anterior
+   *
+   * No verifica permisos ni plazo de edición (ver Message.isEditable);
+   * esas validaciones deben hacerse antes de llamar esta función.
+   *
+   * @param {string} messageId - ID del mensaje a editar
+   * @param {string} content - Nuevo contenido
+   * @param {string} editedBy - ID del usuario que edita (autor o moderador)
+   *
+   * @returns {Promise<Message|null>} El mensaje actualizado, o null si no existe
+   *
+   * Operaciones realizadas en Redis (una sola transacción MULTI):
+   * 1. RPUSH chat:message_history:{id} → Guarda la versión anterior como JSON
+   * 2. PEXPIRE chat:message_history:{id} → Caduca con el mensaje
+   * 3. HSET chat:messages:{id} content editedAt → Aplica la edición
+   * 
+   * Después se reindexa el mensaje con el contenido nuevo.
+   */
+  async editMessage(messageId, content, editedBy) {
+    try {
+      const message = await this.getMessage(messageId);
+      if (!message) {
         return null;
       }
 
-      return Message.fromRedisObject(messageData);
+      const historyKey = `${this.MESSAGE_HISTORY_KEY_PREFIX}${messageId}`;
+      const previousVersion = {
+        content: message.content,
+        timestamp: message.editedAt || message.timestamp
+      };
+
+      message.content = content;
+      message.editedAt = new Date().toISOString();
+      message.editedBy = editedBy;
+
+      const messageKey = `${this.MESSAGE_KEY_PREFIX}${messageId}`;
+      const remaining = await this.getRemainingTTL(messageId);
+      await this.redis.multi()
+        .rPush(historyKey, JSON.stringify(previousVersion))
+        .pExpire(historyKey, remaining)
+        .hSet(messageKey, {
+          content: message.content,
+          editedAt: message.editedAt,
+          editedBy: message.editedBy
+        })
+        .exec();
+      await this.storage.markUpdated(message, this.getMessageTTL());
+
+      await this.searchService.removeMessage(messageId);
+      await this.searchService.indexMessage(message, this.getMessageTTL());
+
+      return message;
     } catch (error) {
-      console.error('Error obteniendo mensaje:', error);
+      console.error('Error editando mensaje:', error);
+      throw error;
+    }
+  }
+
+  // Obtener versiones anteriores de un mensaje (más antiguas primero)
+  async getMessageHistory(messageId) {
+    try {
+      const historyKey = `${this.MESSAGE_HISTORY_KEY_PREFIX}${messageId}`;
+      const versions = await this.redis.lRange(historyKey, 0, -1);
+      return versions.map(version => JSON.parse(version));
+    } catch (error) {
+      console.error('Error obteniendo historial de ediciones:', error);
       throw error;
     }
   }
 
-  // Eliminar un mensaje
-  async deleteMessage(messageId) {
+  /**
+   * Añade la reacción de un usuario a un mensaje
+   *
+   * Cada usuario reacciona como máximo una vez por emoji: el Set de
+   * usuarios hace la operación idempotente y solo se incrementa el
+   * contador cuando el usuario no había reaccionado ya.
+   *
+   * @param {string} messageId - ID del mensaje
+   * @param {string} emoji - Emoji de la reacción
+   * @param {string} userId - ID del usuario que reacciona
+   *
+   * @returns {Promise<Object[]>} Reacciones agregadas del mensaje (ver getReactions)
+   *
+   * Operaciones realizadas en Redis (EVAL ADD_REACTION_SCRIPT, atómico):
+   * 1. SADD chat:message_reactions:{id}:{emoji} userId
+   * 2. HINCRBY chat:message_reactions:{id} emoji 1 (solo si SADD añadió)
+   * 3. PEXPIRE de ambas claves → caducan con el mensaje, no una retención
+   *    completa después de la última reacción
+   */
+  async addReaction(messageId, emoji, userId) {
     try {
+      const reactionsKey = `${this.REACTIONS_KEY_PREFIX}${messageId}`;
+      const usersKey = `${reactionsKey}:${emoji}`;
+
+      const remaining = await this.getRemainingTTL(messageId);
+      await this.redis.eval(ADD_REACTION_SCRIPT, {
+        keys: [usersKey, reactionsKey],
+        arguments: [userId, emoji, String(remaining)]
+      });
+
+      return await this.getReactions(messageId);
+    } catch (error) {
+      console.error('Error añadiendo reacción:', error);
+      throw error;
+    }
+  }
+
+  // Quitar la reacción de un usuario (el emoji desaparece al llegar a 0)
+  async removeReaction(messageId, emoji, userId) {
+    try {
+      const reactionsKey = `${this.REACTIONS_KEY_PREFIX}${messageId}`;
+      const usersKey = `${reactionsKey}:${emoji}`;
+
+      const removed = await this.redis.sRem(usersKey, userId);
+      if (removed > 0) {
+        const count = await this.redis.hIncrBy(reactionsKey, emoji, -1);
+        if (count <= 0) {
+          await this.redis.hDel(reactionsKey, emoji);
+        }
+      }
+
+      return await this.getReactions(messageId);
+    } catch (error) {
+      console.error('Error quitando reacción:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene las reacciones agregadas de un mensaje
+   *
+   * @param {string} messageId - ID del mensaje
+   * @returns {Promise<Array<{emoji: string, count: number, userIds: string[]}>>}
+   *   Ordenadas de mayor a menor número de reacciones
+   */
+  async getReactions(messageId) {
+    const [reactions] = await this.getReactionsForMessages([messageId]);
+    return reactions;
+  }
+
+  /**
+   * Obtiene las reacciones de varios mensajes con dos pipelines
+   *
+   * 1. HGETALL de los contadores de todos los mensajes
+   * 2. SMEMBERS de los usuarios de cada emoji encontrado
+   *
+   * @param {string[]} messageIds - IDs de mensajes
+   * @returns {Promise<Array<Object[]>>} Reacciones de cada mensaje, en el
+   *   mismo orden que messageIds (ver getReactions)
+   */
+  async getReactionsForMessages(messageIds) {
+    try {
+      const countsPipeline = this.redis.multi();
+      messageIds.forEach(messageId => countsPipeline.hGetAll(`${this.REACTIONS_KEY_PREFIX}${messageId}`));
+      const allCounts = await countsPipeline.execAsPipeline();
+
+      const usersPipeline = this.redis.multi();
+      allCounts.forEach((counts, i) => {
+        Object.keys(counts).forEach(emoji => {
+          usersPipeline.sMembers(`${this.REACTIONS_KEY_PREFIX}${messageIds[i]}:${emoji}`);
+        });
+      });
+      const allUserIds = await usersPipeline.execAsPipeline();
+
+      return allCounts.map(counts =>
+        Object.entries(counts)
+          .map(([emoji, count]) => ({ emoji, count: parseInt(count), userIds: allUserIds.shift() }))
+          .sort((a, b) => b.count - a.count)
+      );
+    } catch (error) {
+      console.error('Error obteniendo reacciones:', error);
+      throw error;
+    }
+  }
+
+  // Eliminar todas las reacciones de un mensaje
+  async clearReactions(messageId) {
+    try {
+      const reactionsKey = `${this.REACTIONS_KEY_PREFIX}${messageId}`;
+      const emojis = Object.keys(await this.redis.hGetAll(reactionsKey));
+
+      for (const emoji of emojis) {
+        await this.redis.del(`${reactionsKey}:${emoji}`);
+      }
+      await this.redis.del(reactionsKey);
+
+      return true;
+    } catch (error) {
+      console.error('Error eliminando reacciones:', error);
+      throw error;
+    }
+  }
+
+  // Verificar si un usuario puede eliminar un mensaje (autor o 'message:delete_any')
+  async canUserDeleteMessage(message, userId) {
+    try {
+      const isAuthor = message.userId === userId;
+      if (!isAuthor && !(await this.roomService.hasPermission(message.roomId, userId, 'message:delete_any'))) {
+        return { canDelete: false, code: 'forbidden', reason: 'No tienes permiso para eliminar este mensaje' };
+      }
+
+      return { canDelete: true };
+    } catch (error) {
+      console.error('Error verificando borrado de mensaje:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Elimina un mensaje de forma lógica (tombstone) o definitiva
+   * 
+   * Borrado lógico (por defecto):
+   * - El ID se mantiene en la lista de la sala, así la paginación y
+   *   countRoomMessages siguen siendo coherentes y los clientes pueden
+   *   mostrar "mensaje eliminado" en su lugar
+   * - El contenido, el adjunto y el historial de ediciones se descartan
+   * 
+   * Borrado definitivo (hard):
+   * - Se eliminan el Hash, el historial y el ID de la lista de la sala
+   * 
+   * En ambos casos los archivos del adjunto se eliminan del almacenamiento.
+   * 
+   * @param {string} messageId - ID del mensaje
+   * @param {Object} [options]
+   * @param {boolean} [options.hard=false] - Borrado definitivo en vez de tombstone
+   * @param {string} [options.deletedBy] - ID de quien elimina (autor o moderador)
+   * 
+   * @returns {Promise<Message|null>} El mensaje eliminado (con deletedAt/deletedBy),
+   *   o null si no existe
+   * 
+   * Operaciones realizadas en Redis:
+   * - Lógico: HSET content '' attachment '' deletedAt deletedBy + DEL historial
+   * - Definitivo: DEL hash + DEL historial + LREM chat:room_messages:{roomId}
+   *   (XDEL chat:room_stream:{roomId} en modo 'stream')
+   */
+  async deleteMessage(messageId, options = {}) {
+    try {
+      const { hard = false, deletedBy = '' } = options;
+
+      const message = await this.getMessage(messageId);
+      if (!message) {
+        return null;
+      }
+
       const messageKey = `${this.MESSAGE_KEY_PREFIX}${messageId}`;
-      const result = await this.redis.del(messageKey);
-      return result > 0;
+      const historyKey = `${this.MESSAGE_HISTORY_KEY_PREFIX}${messageId}`;
+
+      if (message.attachment) {
+        await this.attachmentService.deleteAttachment(message.attachment.id);
+      }
+
+      message.content = '';
+      message.attachment = null;
+      message.deletedAt = new Date().toISOString();
+      message.deletedBy = deletedBy;
+
+      if (hard) {
+        if (message.parentId) {
+          // Respuesta: sacarla del hilo y descontarla en el mensaje raíz
+          await this.redis.del(messageKey);
+          const parentKey = `${this.MESSAGE_KEY_PREFIX}${message.parentId}`;
+          const removed = await this.redis.zRem(`${this.THREAD_MESSAGES_KEY_PREFIX}${message.parentId}`, messageId);
+          if (removed > 0 && await this.redis.exists(parentKey)) {
+            await this.redis.hIncrBy(parentKey, 'replyCount', -1);
+          }
+        } else {
+          // Mensaje raíz: sacarlo de la sala y descartar el índice de su hilo
+          await this.storage.remove(message);
+          await this.redis.del(`${this.THREAD_MESSAGES_KEY_PREFIX}${messageId}`);
+          await this.redis.del(`${this.THREAD_PARTICIPANTS_KEY_PREFIX}${messageId}`);
+        }
+      } else {
+        await this.redis.hSet(messageKey, {
+          content: message.content,
+          attachment: '',
+          deletedAt: message.deletedAt,
+          deletedBy: message.deletedBy
+        });
+        await this.storage.markUpdated(message, this.getMessageTTL());
+      }
+
+      // Las versiones anteriores, las reacciones y la entrada en el índice
+      // de búsqueda no sobreviven al borrado
+      await this.redis.del(historyKey);
+      await this.clearReactions(messageId);
+      await this.searchService.removeMessage(messageId);
+
+      return message;
     } catch (error) {
       console.error('Error eliminando mensaje:', error);
       throw error;
     }
   }
 
+  /**
+   * Busca mensajes por texto con resultados paginados
+   *
+   * El ranking y los filtros los resuelve SearchService.search; aquí se
+   * cargan los mensajes de los resultados y se construye el fragmento
+   * resaltado de los de la página pedida.
+   *
+   * Un mensaje del índice que ya no se puede mostrar (salió del stream o
+   * está eliminado) se desindexa y se descarta antes de paginar, de modo
+   * que el total y los offsets no dependen de la página consultada. Los
+   * resultados están acotados por SEARCH_MAX_CANDIDATES, y se cargan en
+   * bloques de SEARCH_LOAD_BATCH para no lanzar miles de lecturas a la vez.
+   *
+   * @param {string} query - Texto a buscar
+   * @param {Object} [options]
+   * @param {string} [options.roomId] - Solo mensajes de esta sala o conversación
+   * @param {string} [options.userId] - Solo mensajes de este autor
+   * @param {number} [options.from] - Desde este instante (ms)
+   * @param {number} [options.to] - Hasta este instante (ms)
+   * @param {Function} [options.canViewRoom] - async (roomId) → boolean
+   * @param {number} [options.limit=20] - Resultados por página
+   * @param {number} [options.offset=0] - Resultados a saltar
+   *
+   * @returns {Promise<{hits: Array<{message, snippet, score}>, total: number}>}
+   */
+  async searchMessages(query, { limit = 20, offset = 0, ...filters } = {}) {
+    try {
+      const { hits, terms } = await this.searchService.search(query, filters);
+
+      const visible = [];
+      const stale = [];
+      for (let start = 0; start < hits.length; start += SEARCH_LOAD_BATCH) {
+        const batch = hits.slice(start, start + SEARCH_LOAD_BATCH);
+        const messages = await Promise.all(batch.map(hit => this.getMessage(hit.messageId)));
+
+        batch.forEach((hit, i) => {
+          const message = messages[i];
+          if (!message || message.isDeleted()) {
+            stale.push(hit.messageId); // Salió del historial
+            return;
+          }
+          visible.push({ message, score: hit.score });
+        });
+      }
+
+      const results = visible.slice(offset, offset + limit).map(({ message, score }) => ({
+        message,
+        snippet: buildSnippet(message.content, terms),
+        score
+      }));
+
+      await Promise.all(stale.map(messageId => this.searchService.removeMessage(messageId)));
+
+      return { hits: results, total: visible.length };
+    } catch (error) {
+      console.error('Error buscando mensajes:', error);
+      throw error;
+    }
+  }
+
   // Contar mensajes en una sala
   async countRoomMessages(roomId) {
     try {
-      const roomMessagesKey = `${this.ROOM_MESSAGES_KEY_PREFIX}${roomId}`;
-      return await this.redis.lLen(roomMessagesKey);
+      return await this.storage.count(roomId);
     } catch (error) {
       console.error('Error contando mensajes:', error);
       throw error;
@@ -195,4 +852,16 @@ class MessageService {
   }
 }
 
+/**
+ * Crea el almacenamiento del historial de salas según MESSAGE_STORAGE
+ *
+ * @param {Object} redisClient - Cliente Redis ya conectado
+ * @param {string} [mode] - 'list' (por defecto) o 'stream'
+ */
+function createMessageStorage(redisClient, mode = process.env.MESSAGE_STORAGE) {
+  return mode === 'stream'
+    ? new StreamMessageStorage(redisClient)
+    : new ListMessageStorage(redisClient);
+}
+
 module.exports = MessageService;
\ No newline at end of file
@@ -0,0 +1,361 @@
+const { v4: uuidv4 } = require('uuid');
+const { normalizeTerm } = require('./SearchService');
+const { isSafeRegex } = require('../utils/validators');
+
+const WORD_REGEX = /[\p{L}\p{N}]+/gu;
+
+class ModerationService {
+  /**
+   * Constructor del servicio de moderación de contenido
+   *
+   * Cada mensaje pasa por moderate() antes de guardarse. Las reglas son
+   * globales (todas las salas y conversaciones directas) o de una sala, y
+   * cada una tiene una acción:
+   * - reject → El mensaje no se guarda; el emisor recibe el motivo
+   * - hold → Queda retenido hasta que un moderador lo apruebe o descarte
+   * - mask → Se guarda con las coincidencias sustituidas por asteriscos
+   * - flag → Se guarda tal cual y queda marcado para los moderadores
+   *
+   * Tipos de regla:
+   * - word → Palabra completa, sin distinguir mayúsculas ni tildes
+   * - regex → Expresión regular (flags 'iu') sobre el texto original. Solo
+   *   globales y sin construcciones que retrocedan sin límite (isSafeRegex):
+   *   cualquiera puede crear una sala, y una expresión así bloquearía el
+   *   servidor con cada mensaje
+   *
+   * @param {Object} redisClient - Cliente Redis ya conectado
+   *
+   * Estructura de datos en Redis:
+   * - chat:moderation_rules:global → Hash ruleId → regla (JSON)
+   * - chat:moderation_rules:{roomId} → Hash ruleId → regla (JSON)
+   * - chat:moderation_held:{roomId} → Hash heldId → mensaje retenido (JSON)
+   * - chat:moderation_flags:{roomId} → Hash messageId → marca (JSON)
+   */
+  constructor(redisClient) {
+    this.redis = redisClient;
+    this.RULES_KEY_PREFIX = 'chat:moderation_rules:';
+    this.HELD_KEY_PREFIX = 'chat:moderation_held:';
+    this.FLAGS_KEY_PREFIX = 'chat:moderation_flags:';
+    this.GLOBAL_SCOPE = 'global';
+  }
+
+  // Clave de las reglas globales (roomId null) o de una sala
+  getRulesKey(roomId) {
+    return `${this.RULES_KEY_PREFIX}${roomId || this.GLOBAL_SCOPE}`;
+  }
+
+  /**
+   * Crea una regla
+   *
+   * @param {string|null} roomId - Sala, o null para una regla global
+   * @param {Object} ruleData - { type, pattern, action, reason }
+   * @param {string} createdBy - ID del moderador
+   * @returns {Promise<Object>} La regla creada
+   */
+  async addRule(roomId, { type, pattern, action, reason }, createdBy) {
+    try {
+      const rule = {
+        id: uuidv4(),
+        scope: roomId || this.GLOBAL_SCOPE,
+        type,
+        // Las palabras se guardan normalizadas, como se comparan
+        pattern: type === 'word' ? normalizeTerm(pattern.trim()) : pattern,
+        action,
+        reason: reason || null,
+        createdBy,
+        createdAt: new Date().toISOString()
+      };
+
+      await this.redis.hSet(this.getRulesKey(roomId), rule.id, JSON.stringify(rule));
+      return rule;
+    } catch (error) {
+      console.error('Error creando regla de moderación:', error);
+      throw error;
+    }
+  }
+
+  // Eliminar una regla (false si no existía)
+  async removeRule(roomId, ruleId) {
+    try {
+      const removed = await this.redis.hDel(this.getRulesKey(roomId), ruleId);
+      return removed > 0;
+    } catch (error) {
+      console.error('Error eliminando regla de moderación:', error);
+      throw error;
+    }
+  }
+
+  // Obtener las reglas globales (roomId null) o de una sala, por fecha de creación
+  async getRules(roomId) {
+    try {
+      const rules = await this.redis.hVals(this.getRulesKey(roomId));
+      return rules
+        .map(rule => JSON.parse(rule))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    } catch (error) {
+      console.error('Error obteniendo reglas de moderación:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Pasa un mensaje por las reglas globales y de su sala
+   *
+   * @param {string} content - Contenido del mensaje
+   * @param {Object} [options]
+   * @param {string} [options.roomId] - Sala (sin ella solo se aplican las
+   *   reglas globales, como en las conversaciones directas)
+   * @param {boolean} [options.allowHold=false] - Si se puede retener; donde
+   *   no (ediciones, respuestas, mensajes directos) 'hold' rechaza
+   *
+   * @returns {Promise<Object>} { action, content, rule, match, flags }
+   *   - action: 'allow' | 'reject' | 'hold' | 'flag'
+   *   - content: contenido a guardar (con máscaras aplicadas)
+   *   - rule / match: regla decisiva y texto que la activó (reject y hold)
+   *   - flags: reglas 'flag' activadas
+   */
+  async moderate(content, { roomId, allowHold = false } = {}) {
+    try {
+      const pipeline = this.redis.multi().hVals(this.getRulesKey(null));
+      if (roomId) {
+        pipeline.hVals(this.getRulesKey(roomId));
+      }
+      const results = await pipeline.execAsPipeline();
+      // Las reglas regex de sala o inseguras guardadas antes de que se
+      // validaran no se ejecutan
+      const rules = results.flat()
+        .map(rule => JSON.parse(rule))
+        .filter(rule => rule.type !== 'regex' || (rule.scope === this.GLOBAL_SCOPE && isSafeRegex(rule.pattern)));
+
+      // Coincidencias de cada regla, agrupadas por acción. Si se activan
+      // varias, decide la más restrictiva: reject > hold > mask > flag
+      const matched = { reject: [], hold: [], mask: [], flag: [] };
+      for (const rule of rules) {
+        const ranges = findMatches(content, rule);
+        if (ranges.length > 0) {
+          const action = rule.action === 'hold' && !allowHold ? 'reject' : rule.action;
+          matched[action].push({ rule, ranges });
+        }
+      }
+
+      for (const action of ['reject', 'hold']) {
+        if (matched[action].length > 0) {
+          const [{ rule, ranges: [first] }] = matched[action];
+          return {
+            action,
+            content,
+            rule,
+            match: content.slice(first.start, first.end),
+            flags: []
+          };
+        }
+      }
+
+      const masked = maskRanges(content, matched.mask.flatMap(({ ranges }) => ranges));
+      const flags = matched.flag.map(({ rule }) => rule);
+
+      return {
+        action: flags.length > 0 ? 'flag' : 'allow',
+        content: masked,
+        rule: null,
+        match: null,
+        flags
+      };
+    } catch (error) {
+      console.error('Error moderando mensaje:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Retiene un mensaje de sala hasta que lo revise un moderador
+   *
+   * Los retenidos caducan con la retención de los mensajes (ttl): un
+   * mensaje que nadie revisa no se publica nunca.
+   *
+   * @param {Object} messageData - { roomId, messageId, userId, username,
+   *   content, type, attachment }: los datos con los que se guardará si se
+   *   aprueba (el adjunto ya está asignado a messageId)
+   * @param {Object} rule - Regla que lo retuvo
+   * @param {number} ttl - Retención de los mensajes en segundos
+   * @returns {Promise<Object>} El mensaje retenido, con su heldId
+   */
+  async holdMessage(messageData, rule, ttl) {
+    try {
+      const held = {
+        id: uuidv4(),
+        ...messageData,
+        ruleId: rule.id,
+        reason: rule.reason,
+        heldAt: new Date().toISOString()
+      };
+      const heldKey = `${this.HELD_KEY_PREFIX}${messageData.roomId}`;
+
+      await this.redis.multi()
+        .hSet(heldKey, held.id, JSON.stringify(held))
+        .expire(heldKey, ttl)
+        .exec();
+
+      return held;
+    } catch (error) {
+      console.error('Error reteniendo mensaje:', error);
+      throw error;
+    }
+  }
+
+  // Obtener los mensajes retenidos de una sala, los más antiguos primero
+  async getHeldMessages(roomId) {
+    try {
+      const held = await this.redis.hVals(`${this.HELD_KEY_PREFIX}${roomId}`);
+      return held
+        .map(message => JSON.parse(message))
+        .sort((a, b) => a.heldAt.localeCompare(b.heldAt));
+    } catch (error) {
+      console.error('Error obteniendo mensajes retenidos:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Saca un mensaje de la cola de retenidos (para aprobarlo o descartarlo)
+   *
+   * HGET + HDEL en una transacción: si dos moderadores lo revisan a la vez,
+   * solo uno lo recibe.
+   *
+   * @returns {Promise<Object|null>} El mensaje retenido, o null si ya no está
+   */
+  async takeHeldMessage(roomId, heldId) {
+    try {
+      const heldKey = `${this.HELD_KEY_PREFIX}${roomId}`;
+      const [held, removed] = await this.redis.multi()
+        .hGet(heldKey, heldId)
+        .hDel(heldKey, heldId)
+        .exec();
+
+      return removed > 0 ? JSON.parse(held) : null;
+    } catch (error) {
+      console.error('Error obteniendo mensaje retenido:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Marca un mensaje guardado para revisión (acción 'flag')
+   *
+   * @param {Message} message - Mensaje ya guardado
+   * @param {Object[]} rules - Reglas 'flag' que activó
+   * @param {number} ttl - Retención de los mensajes en segundos
+   * @returns {Promise<Object>} La marca guardada
+   */
+  async flagMessage(message, rules, ttl) {
+    try {
+      const flagsKey = `${this.FLAGS_KEY_PREFIX}${message.roomId}`;
+      const flag = {
+        messageId: message.id,
+        userId: message.userId,
+        username: message.username,
+        ruleIds: rules.map(rule => rule.id),
+        reasons: rules.map(rule => rule.reason).filter(Boolean),
+        flaggedAt: new Date().toISOString()
+      };
+
+      await this.redis.multi()
+        .hSet(flagsKey, message.id, JSON.stringify(flag))
+        .expire(flagsKey, ttl)
+        .exec();
+
+      return flag;
+    } catch (error) {
+      console.error('Error marcando mensaje:', error);
+      throw error;
+    }
+  }
+
+  // Obtener los mensajes marcados de una sala, los más recientes primero
+  async getFlags(roomId) {
+    try {
+      const flags = await this.redis.hVals(`${this.FLAGS_KEY_PREFIX}${roomId}`);
+      return flags
+        .map(flag => JSON.parse(flag))
+        .sort((a, b) => b.flaggedAt.localeCompare(a.flaggedAt));
+    } catch (error) {
+      console.error('Error obteniendo mensajes marcados:', error);
+      throw error;
+    }
+  }
+
+  // Quitar la marca de un mensaje (revisado); false si no estaba marcado
+  async clearFlag(roomId, messageId) {
+    try {
+      const removed = await this.redis.hDel(`${this.FLAGS_KEY_PREFIX}${roomId}`, messageId);
+      return removed > 0;
+    } catch (error) {
+      console.error('Error quitando marca de mensaje:', error);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Posiciones del contenido que activan una regla
+ *
+ * @returns {Array<{start, end}>} Rangos [start, end) en el texto original
+ */
+function findMatches(content, rule) {
+  const ranges = [];
+
+  if (rule.type === 'word') {
+    for (const match of content.matchAll(WORD_REGEX)) {
+      if (normalizeTerm(match[0]) === rule.pattern) {
+        ranges.push({ start: match.index, end: match.index + match[0].length });
+      }
+    }
+    return ranges;
+  }
+
+  for (const match of content.matchAll(new RegExp(rule.pattern, 'giu'))) {
+    if (match[0].length > 0) {
+      ranges.push({ start: match.index, end: match.index + match[0].length });
+    }
+  }
+  return ranges;
+}
+
+/**
+ * Explicación para el emisor de un mensaje rechazado o retenido
+ *
+ * Usa el motivo de la regla si el moderador lo escribió; si no, indica el
+ * texto que la activó y si la regla es de la sala o de todo el chat.
+ */
+function describeModeration({ action, rule, match }) {
+  const where = rule.scope === 'global' ? 'en el chat' : 'en esta sala';
+  const detail = rule.reason || `"${match}" no está permitido ${where}`;
+  return action === 'hold'
+    ? `Tu mensaje está pendiente de revisión: ${detail}`
+    : `Mensaje bloqueado: ${detail}`;
+}
+
+// Sustituir cada carácter de los rangos por un asterisco
+function maskRanges(content, ranges) {
+  if (ranges.length === 0) {
+    return content;
+  }
+
+  const chars = [...content];
+  // Los rangos son de unidades UTF-16: convertir a posiciones de carácter
+  const offsets = [];
+  let offset = 0;
+  chars.forEach((char, i) => {
+    offsets[i] = offset;
+    offset += char.length;
+  });
+
+  return chars
+    .map((char, i) => ranges.some(({ start, end }) => offsets[i] >= start && offsets[i] < end) ? '*' : char)
+    .join('');
+}
+
+module.exports = ModerationService;
+module.exports.describeModeration = describeModeration;
+module.exports.findMatches = findMatches;
+module.exports.maskRanges = maskRanges;
@@ -0,0 +1,60 @@
+const UserService = require('./UserService');
+const ConversationService = require('./ConversationService');
+const RoomService = require('./RoomService');
+
+class NotificationService {
+  /**
+   * Constructor del servicio de notificaciones en tiempo real
+   *
+   * Centraliza los emits que no dependen de un socket concreto, de modo
+   * que handlers de Socket.io y rutas REST notifiquen de la misma forma.
+   *
+   * @param {Object} redisClient - Cliente Redis ya conectado
+   * @param {Object} io - Instancia del servidor Socket.io
+   */
+  constructor(redisClient, io) {
+    this.io = io;
+    this.userService = new UserService(redisClient);
+    this.conversationService = new ConversationService(redisClient);
+    this.roomService = new RoomService(redisClient);
+  }
+
+  // Emitir a todos los sockets de un usuario (si está conectado)
+  async toUser(userId, event, payload) {
+    const socketIds = await this.userService.getUserSocketIds(userId);
+    if (socketIds.length > 0) {
+      this.io.to(socketIds).emit(event, payload);
+    }
+  }
+
+  /**
+   * Emitir a la audiencia de una sala o conversación directa
+   *
+   * Las salas usan el room de Socket.io; las conversaciones directas
+   * no tienen room, así que se entrega a los sockets de ambos participantes.
+   *
+   * @param {string} roomId - ID de sala o de conversación (dm:...)
+   * @param {string} event - Nombre del evento
+   * @param {Object} payload - Datos a emitir
+   */
+  async toRoom(roomId, event, payload) {
+    if (this.conversationService.isConversationId(roomId)) {
+      for (const userId of this.conversationService.getParticipants(roomId)) {
+        await this.toUser(userId, event, payload);
+      }
+      return;
+    }
+
+    this.io.to(roomId).emit(event, payload);
+  }
+
+  // Emitir al owner y a los moderadores de una sala (estén o no en ella)
+  async toRoomModerators(roomId, event, payload) {
+    const roles = await this.roomService.getRoomRoles(roomId);
+    for (const userId of Object.keys(roles)) {
+      await this.toUser(userId, event, payload);
+    }
+  }
+}
+
+module.exports = NotificationService;
@@ -0,0 +1,265 @@
+// Cada cuánto envía el cliente presence:heartbeat (segundos)
+const HEARTBEAT_INTERVAL = 25;
+
+class PresenceService {
+  /**
+   * Constructor del servicio de presencia
+   *
+   * Un usuario puede tener varias conexiones a la vez (pestañas,
+   * dispositivos), atendidas por instancias distintas. Está online
+   * mientras alguna de ellas siga enviando heartbeats: cada conexión
+   * guarda su último heartbeat y caduca si pasan PRESENCE_TTL segundos
+   * sin él, aunque su instancia haya caído sin ejecutar el disconnect.
+   *
+   * Además de online/offline, el usuario elige un estado (away, busy,
+   * idle) que comparten todas sus conexiones.
+   *
+   * @param {Object} redisClient - Cliente Redis ya conectado
+   *
+   * Estructura de datos en Redis:
+   * - chat:presence:{userId} → Sorted Set de sockets del usuario
+   *   (score = último heartbeat en ms)
+   * - chat:presence_online → Sorted Set de usuarios online
+   *   (score = último heartbeat de cualquiera de sus sockets)
+   * - chat:presence_status:{userId} → String con el estado elegido
+   */
+  constructor(redisClient) {
+    this.redis = redisClient;
+    this.SOCKETS_KEY_PREFIX = 'chat:presence:';
+    this.ONLINE_KEY = 'chat:presence_online';
+    this.STATUS_KEY_PREFIX = 'chat:presence_status:';
+    this.PRESENCE_TTL = 60; // Dos heartbeats perdidos y algo de margen
+    this.STATUS_TTL = 86400; // 24 horas, igual que chat:users
+  }
+
+  // Timestamp a partir del cual un heartbeat sigue vigente
+  getCutoff() {
+    return Date.now() - this.PRESENCE_TTL * 1000;
+  }
+
+  /**
+   * Registra una conexión nueva del usuario
+   *
+   * La primera conexión (el usuario estaba offline) empieza con el
+   * estado 'online': away/busy/idle no sobreviven a cerrar todas las
+   * conexiones.
+   *
+   * Operaciones realizadas en Redis (una sola transacción MULTI):
+   * 1. ZREMRANGEBYSCORE → Olvida los sockets sin heartbeat reciente
+   * 2. ZADD chat:presence:{userId} → Registra el socket
+   * 3. EXPIRE → El conjunto desaparece si todas las conexiones caducan
+   * 4. ZADD chat:presence_online → Marca al usuario como online
+   * 5. ZCARD → Conexiones activas
+   *
+   * @param {string} userId - ID del usuario
+   * @param {string} socketId - ID del socket
+   * @returns {Promise<{connections: number, firstConnection: boolean}>}
+   */
+  async addConnection(userId, socketId) {
+    try {
+      const now = Date.now();
+      const socketsKey = `${this.SOCKETS_KEY_PREFIX}${userId}`;
+
+      const [, , , , connections] = await this.redis.multi()
+        .zRemRangeByScore(socketsKey, '-inf', this.getCutoff())
+        .zAdd(socketsKey, { score: now, value: socketId })
+        .expire(socketsKey, this.PRESENCE_TTL)
+        .zAdd(this.ONLINE_KEY, { score: now, value: userId })
+        .zCard(socketsKey)
+        .exec();
+
+      const firstConnection = connections === 1;
+      if (firstConnection) {
+        await this.redis.del(`${this.STATUS_KEY_PREFIX}${userId}`);
+      }
+
+      return { connections, firstConnection };
+    } catch (error) {
+      console.error('Error registrando conexión:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Renueva la presencia de una conexión
+   *
+   * Si la limpieza periódica ya había dado al usuario por desconectado
+   * (heartbeats retrasados), vuelve a estar online.
+   *
+   * @returns {Promise<boolean>} true si el usuario vuelve a estar online
+   */
+  async heartbeat(userId, socketId) {
+    try {
+      const now = Date.now();
+      const socketsKey = `${this.SOCKETS_KEY_PREFIX}${userId}`;
+
+      const [, , revived] = await this.redis.multi()
+        .zAdd(socketsKey, { score: now, value: socketId })
+        .expire(socketsKey, this.PRESENCE_TTL)
+        .zAdd(this.ONLINE_KEY, { score: now, value: userId })
+        .exec();
+
+      return revived > 0;
+    } catch (error) {
+      console.error('Error renovando presencia:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Elimina una conexión del usuario
+   *
+   * @returns {Promise<{connections: number, lastConnection: boolean}>}
+   *   lastConnection es true si el usuario queda offline
+   */
+  async removeConnection(userId, socketId) {
+    try {
+      const socketsKey = `${this.SOCKETS_KEY_PREFIX}${userId}`;
+
+      const [, , connections] = await this.redis.multi()
+        .zRem(socketsKey, socketId)
+        .zRemRangeByScore(socketsKey, '-inf', this.getCutoff())
+        .zCard(socketsKey)
+        .exec();
+
+      if (connections > 0) {
+        return { connections, lastConnection: false };
+      }
+
+      // Solo una instancia saca al usuario del conjunto y anuncia el offline
+      const removed = await this.redis.zRem(this.ONLINE_KEY, userId);
+      return { connections: 0, lastConnection: removed > 0 };
+    } catch (error) {
+      console.error('Error eliminando conexión:', error);
+      throw error;
+    }
+  }
+
+  // Sockets del usuario con heartbeat vigente
+  async getSocketIds(userId) {
+    try {
+      return await this.redis.zRange(`${this.SOCKETS_KEY_PREFIX}${userId}`, this.getCutoff(), '+inf', {
+        BY: 'SCORE'
+      });
+    } catch (error) {
+      console.error('Error obteniendo conexiones:', error);
+      throw error;
+    }
+  }
+
+  // Guardar el estado elegido por el usuario ('online' vuelve al estado normal)
+  async setStatus(userId, status) {
+    try {
+      const statusKey = `${this.STATUS_KEY_PREFIX}${userId}`;
+      if (status === 'online') {
+        await this.redis.del(statusKey);
+      } else {
+        await this.redis.set(statusKey, status, { EX: this.STATUS_TTL });
+      }
+    } catch (error) {
+      console.error('Error guardando estado de presencia:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Estados de varios usuarios
+   *
+   * @param {string[]} userIds - IDs de usuarios
+   * @returns {Promise<Object>} userId → 'online' | 'away' | 'busy' | 'idle' | 'offline'
+   */
+  async getStatuses(userIds) {
+    try {
+      if (userIds.length === 0) {
+        return {};
+      }
+
+      const cutoff = this.getCutoff();
+      const [heartbeats, statuses] = await Promise.all([
+        this.redis.zmScore(this.ONLINE_KEY, userIds),
+        this.redis.mGet(userIds.map(userId => `${this.STATUS_KEY_PREFIX}${userId}`))
+      ]);
+
+      return Object.fromEntries(userIds.map((userId, i) => [
+        userId,
+        heartbeats[i] !== null && heartbeats[i] > cutoff ? (statuses[i] || 'online') : 'offline'
+      ]));
+    } catch (error) {
+      console.error('Error obteniendo estados de presencia:', error);
+      throw error;
+    }
+  }
+
+  // Estado de un usuario
+  async getStatus(userId) {
+    const statuses = await this.getStatuses([userId]);
+    return statuses[userId];
+  }
+
+  /**
+   * Usuarios online, el de actividad más reciente primero
+   *
+   * @returns {Promise<Array<{userId: string, status: string}>>}
+   */
+  async getOnlineUsers() {
+    try {
+      const userIds = await this.redis.zRange(this.ONLINE_KEY, '+inf', this.getCutoff(), {
+        BY: 'SCORE',
+        REV: true
+      });
+      const statuses = await this.getStatuses(userIds);
+
+      return userIds
+        .filter(userId => statuses[userId] !== 'offline')
+        .map(userId => ({ userId, status: statuses[userId] }));
+    } catch (error) {
+      console.error('Error obteniendo usuarios online:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Da por desconectados a los usuarios sin heartbeats recientes
+   *
+   * Cubre las conexiones de una instancia que cayó sin ejecutar sus
+   * disconnect. Todas las instancias lo ejecutan periódicamente: ZREM
+   * decide cuál anuncia cada usuario.
+   *
+   * @returns {Promise<string[]>} IDs de los usuarios que pasan a offline
+   */
+  async expireStale() {
+    try {
+      const userIds = await this.redis.zRange(this.ONLINE_KEY, '-inf', this.getCutoff(), { BY: 'SCORE' });
+
+      const expired = [];
+      for (const userId of userIds) {
+        const removed = await this.redis.zRem(this.ONLINE_KEY, userId);
+        if (removed === 0) {
+          continue;
+        }
+
+        await this.redis.del([`${this.SOCKETS_KEY_PREFIX}${userId}`, `${this.STATUS_KEY_PREFIX}${userId}`]);
+        expired.push(userId);
+      }
+
+      return expired;
+    } catch (error) {
+      console.error('Error expirando presencia:', error);
+      throw error;
+    }
+  }
+}
+
+// Datos de presencia que reciben los clientes en presence:update
+function toPresence(user, status) {
+  return {
+    userId: user.id,
+    username: user.username,
+    status,
+    lastSeen: user.lastSeen
+  };
+}
+
+module.exports = PresenceService;
+module.exports.HEARTBEAT_INTERVAL = HEARTBEAT_INTERVAL;
+module.exports.toPresence = toPresence;
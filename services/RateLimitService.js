@@ -0,0 +1,143 @@
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Límites por defecto: peticiones permitidas (limit) por ventana deslizante
+ * de `window` segundos, contadas por usuario autenticado ('user'), por IP
+ * ('ip', para rutas sin autenticación) o por conexión ('socket', para los
+ * eventos que cada dispositivo envía por su cuenta, como el heartbeat).
+ *
+ * Cada regla se puede cambiar con RATE_LIMIT_{NOMBRE}="limit/segundos",
+ * con el nombre en mayúsculas y ':' → '_' (por ejemplo
+ * RATE_LIMIT_MESSAGE_SEND=10/5), o desactivar con RATE_LIMIT_{NOMBRE}=off.
+ */
+const DEFAULT_RULES = {
+  // Eventos de Socket.io (message:edit, reaction:add y message:report
+  // también limitan sus rutas REST, con el mismo contador)
+  'message:send': { limit: 20, window: 10, by: 'user' },
+  'dm:send': { limit: 20, window: 10, by: 'user' },
+  'thread:reply': { limit: 20, window: 10, by: 'user' },
+  'message:edit': { limit: 10, window: 10, by: 'user' },
+  'reaction:add': { limit: 30, window: 10, by: 'user' },
+  'room:join': { limit: 10, window: 60, by: 'user' },
+  'history:load': { limit: 30, window: 60, by: 'user' },
+  'message:report': { limit: 10, window: 60, by: 'user' },
+  'presence:heartbeat': { limit: 10, window: 60, by: 'socket' },
+  'presence:set': { limit: 20, window: 60, by: 'user' },
+  'session:resume': { limit: 10, window: 60, by: 'user' },
+  // Rutas REST
+  'room:create': { limit: 5, window: 3600, by: 'user' },
+  'message:search': { limit: 30, window: 60, by: 'user' },
+  'attachment:upload': { limit: 10, window: 60, by: 'user' },
+  'auth:register': { limit: 5, window: 3600, by: 'ip' },
+  'auth:login': { limit: 10, window: 300, by: 'ip' },
+  'auth:guest': { limit: 10, window: 300, by: 'ip' },
+  'users:available': { limit: 30, window: 60, by: 'ip' }
+};
+
+class RateLimitService {
+  /**
+   * Constructor del servicio de rate limiting
+   *
+   * Ventana deslizante guardada en Redis, así que el límite se comparte
+   * entre todas las instancias del servidor: un cliente no lo evita
+   * reconectándose a otra.
+   *
+   * @param {Object} redisClient - Cliente Redis ya conectado
+   *
+   * Estructura de datos en Redis:
+   * - chat:rate_limit:{regla}:{usuario, IP o socket} → Sorted Set con una
+   *   entrada por petición aceptada (score = timestamp en ms); caduca con
+   *   la ventana. El evento y la ruta de una misma regla suman en él
+   */
+  constructor(redisClient) {
+    this.redis = redisClient;
+    this.RATE_LIMIT_KEY_PREFIX = 'chat:rate_limit:';
+  }
+
+  /**
+   * Obtiene la regla de un evento o ruta (con la configuración del entorno)
+   *
+   * @param {string} name - Nombre de la regla ('message:send', 'auth:login'...)
+   * @returns {Object|null} { limit, window, by }, o null si no tiene límite
+   */
+  getRule(name) {
+    const rule = DEFAULT_RULES[name];
+    if (!rule) {
+      return null;
+    }
+
+    const override = process.env[`RATE_LIMIT_${name.toUpperCase().replace(/[:-]/g, '_')}`];
+    if (!override) {
+      return rule;
+    }
+    if (override === 'off') {
+      return null;
+    }
+
+    const [limit, window] = override.split('/').map(value => parseInt(value));
+    return {
+      ...rule,
+      limit: limit > 0 ? limit : rule.limit,
+      window: window > 0 ? window : rule.window
+    };
+  }
+
+  /**
+   * Registra una petición y comprueba si entra en el límite
+   *
+   * Operaciones realizadas en Redis (una sola transacción MULTI):
+   * 1. ZREMRANGEBYSCORE → Descarta peticiones fuera de la ventana
+   * 2. ZADD → Registra esta petición
+   * 3. ZCARD → Peticiones en la ventana, incluida esta
+   * 4. ZRANGE 0 0 WITHSCORES → La más antigua, para calcular retryAfter
+   * 5. PEXPIRE → La clave desaparece si el cliente deja de enviar
+   *
+   * Si se supera el límite, la petición se retira (ZREM): las rechazadas
+   * no cuentan, así que insistir no alarga la espera.
+   *
+   * @param {string} name - Nombre de la regla
+   * @param {string} identity - ID de usuario, IP o ID de conexión, según rule.by
+   * @returns {Promise<Object>} { allowed, limit, remaining, retryAfter }
+   *   (retryAfter en segundos, 0 si se permite)
+   */
+  async consume(name, identity) {
+    try {
+      const rule = this.getRule(name);
+      if (!rule) {
+        return { allowed: true, limit: null, remaining: null, retryAfter: 0 };
+      }
+
+      const now = Date.now();
+      const windowMs = rule.window * 1000;
+      const key = `${this.RATE_LIMIT_KEY_PREFIX}${name}:${identity}`;
+      const member = `${now}:${uuidv4()}`;
+
+      const [, , count, [oldest]] = await this.redis.multi()
+        .zRemRangeByScore(key, '-inf', now - windowMs)
+        .zAdd(key, { score: now, value: member })
+        .zCard(key)
+        .zRangeWithScores(key, 0, 0)
+        .pExpire(key, windowMs)
+        .exec();
+
+      if (count <= rule.limit) {
+        return { allowed: true, limit: rule.limit, remaining: rule.limit - count, retryAfter: 0 };
+      }
+
+      await this.redis.zRem(key, member);
+
+      return {
+        allowed: false,
+        limit: rule.limit,
+        remaining: 0,
+        retryAfter: Math.max(1, Math.ceil((oldest.score + windowMs - now) / 1000))
+      };
+    } catch (error) {
+      console.error('Error comprobando rate limit:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = RateLimitService;
+module.exports.DEFAULT_RULES = DEFAULT_RULES;
@@ -0,0 +1,238 @@
+const { v4: uuidv4 } = require('uuid');
+const MessageService = require('./MessageService');
+const ConversationService = require('./ConversationService');
+
+class ReportService {
+  /**
+   * Constructor del servicio de reportes de mensajes
+   *
+   * Los usuarios reportan mensajes de sala; los reportes de un mismo
+   * mensaje se agrupan y forman la cola de moderación de su sala hasta
+   * que un moderador los resuelve (descartar, eliminar el mensaje o
+   * silenciar al autor). Cada resolución queda registrada.
+   *
+   * @param {Object} redisClient - Cliente Redis ya conectado
+   *
+   * Estructura de datos en Redis:
+   * - chat:message_reports:{messageId} → Hash reporterId → reporte (JSON)
+   * - chat:report_queue:{roomId} → Sorted Set de mensajes con reportes
+   *   abiertos (score = timestamp del último reporte)
+   * - chat:report_rooms → Sorted Set de salas con reportes abiertos
+   * - chat:report_log:{roomId} → Lista de resoluciones (JSON), la más reciente primero
+   */
+  constructor(redisClient) {
+    this.redis = redisClient;
+    this.messageService = new MessageService(redisClient);
+    this.conversationService = new ConversationService(redisClient);
+    this.REPORTS_KEY_PREFIX = 'chat:message_reports:';
+    this.QUEUE_KEY_PREFIX = 'chat:report_queue:';
+    this.QUEUE_ROOMS_KEY = 'chat:report_rooms';
+    this.LOG_KEY_PREFIX = 'chat:report_log:';
+    this.MAX_LOG_ENTRIES = 500;
+  }
+
+  /**
+   * Verifica si un usuario puede reportar un mensaje que puede ver
+   *
+   * Solo se reportan mensajes de sala publicados por otros usuarios: los
+   * mensajes directos no tienen moderadores que revisen la cola.
+   *
+   * @returns {{canReport: boolean, reason?: string}}
+   */
+  canUserReportMessage(message, userId) {
+    if (this.conversationService.isConversationId(message.roomId)) {
+      return { canReport: false, reason: 'Solo se pueden reportar mensajes de salas' };
+    }
+    if (message.type === 'system' || message.isDeleted()) {
+      return { canReport: false, reason: 'No se puede reportar este mensaje' };
+    }
+    if (message.userId === userId) {
+      return { canReport: false, reason: 'No puedes reportar tus propios mensajes' };
+    }
+    return { canReport: true };
+  }
+
+  /**
+   * Registra el reporte de un usuario sobre un mensaje
+   *
+   * Cada usuario cuenta una vez por mensaje: reportarlo de nuevo solo
+   * actualiza el motivo.
+   *
+   * Operaciones realizadas en Redis (una sola transacción MULTI):
+   * 1. HSET → Guarda el reporte (1 si es nuevo para este usuario)
+   * 2. EXPIRE → Los reportes caducan con el mensaje
+   * 3. ZADD → Sube el mensaje en la cola de su sala
+   * 4. ZADD → Marca la sala como pendiente
+   * 5. HLEN → Reportes abiertos del mensaje
+   *
+   * @param {Message} message - Mensaje reportado
+   * @param {Object} reporter - { id, username }
+   * @param {string} [reason] - Motivo indicado por el usuario
+   * @returns {Promise<Object>} { report, created, reportCount }
+   */
+  async reportMessage(message, reporter, reason) {
+    try {
+      const now = Date.now();
+      const report = {
+        reporterId: reporter.id,
+        reporterUsername: reporter.username,
+        reason: reason || null,
+        reportedAt: new Date(now).toISOString()
+      };
+      const reportsKey = `${this.REPORTS_KEY_PREFIX}${message.id}`;
+
+      const [created, , , , reportCount] = await this.redis.multi()
+        .hSet(reportsKey, reporter.id, JSON.stringify(report))
+        .expire(reportsKey, this.messageService.getMessageTTL())
+        .zAdd(`${this.QUEUE_KEY_PREFIX}${message.roomId}`, { score: now, value: message.id })
+        .zAdd(this.QUEUE_ROOMS_KEY, { score: now, value: message.roomId })
+        .hLen(reportsKey)
+        .exec();
+
+      return { report, created: created > 0, reportCount };
+    } catch (error) {
+      console.error('Error reportando mensaje:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cola de moderación de una sala: reportes abiertos agrupados por mensaje
+   *
+   * Los mensajes que ya no existen (caducados o borrados definitivamente)
+   * salen de la cola al consultarla.
+   *
+   * @param {string} roomId - ID de la sala
+   * @param {number} [limit=50] - Mensajes máximos, los reportados más recientemente primero
+   * @returns {Promise<Array<{message, reports, reportCount, lastReportedAt}>>}
+   */
+  async getRoomQueue(roomId, limit = 50) {
+    try {
+      const queueKey = `${this.QUEUE_KEY_PREFIX}${roomId}`;
+      const messageIds = await this.redis.zRange(queueKey, 0, limit - 1, { REV: true });
+      if (messageIds.length === 0) {
+        return [];
+      }
+
+      const pipeline = this.redis.multi();
+      messageIds.forEach(messageId => pipeline.hVals(`${this.REPORTS_KEY_PREFIX}${messageId}`));
+      const reportLists = await pipeline.execAsPipeline();
+
+      const queue = [];
+      const stale = [];
+      for (const [i, messageId] of messageIds.entries()) {
+        const message = await this.messageService.getMessage(messageId);
+        const reports = reportLists[i]
+          .map(report => JSON.parse(report))
+          .sort((a, b) => a.reportedAt.localeCompare(b.reportedAt));
+
+        if (!message || reports.length === 0) {
+          stale.push(messageId);
+          continue;
+        }
+
+        queue.push({
+          message,
+          reports,
+          reportCount: reports.length,
+          lastReportedAt: reports[reports.length - 1].reportedAt
+        });
+      }
+
+      if (stale.length > 0) {
+        await this.redis.zRem(queueKey, stale);
+        await this.removeRoomIfEmpty(roomId);
+      }
+
+      return queue;
+    } catch (error) {
+      console.error('Error obteniendo cola de moderación:', error);
+      throw error;
+    }
+  }
+
+  // Salas con reportes abiertos, la reportada más recientemente primero
+  async getQueueRooms() {
+    try {
+      return await this.redis.zRange(this.QUEUE_ROOMS_KEY, 0, -1, { REV: true });
+    } catch (error) {
+      console.error('Error obteniendo salas con reportes:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cierra los reportes abiertos de un mensaje y registra la resolución
+   *
+   * Los reportes se sacan de la cola antes de aplicar la acción (HGETALL
+   * + DEL + ZREM en una transacción): si dos moderadores resuelven a la
+   * vez, solo uno los recibe y el otro obtiene null.
+   *
+   * @param {Message} message - Mensaje reportado
+   * @param {Object} resolution - { action, note, duration }
+   * @param {string} resolvedBy - ID del moderador
+   * @returns {Promise<Object|null>} La resolución registrada, o null si no
+   *   había reportes abiertos
+   */
+  async resolveReports(message, { action, note, duration }, resolvedBy) {
+    try {
+      const [reports, removed] = await this.redis.multi()
+        .hGetAll(`${this.REPORTS_KEY_PREFIX}${message.id}`)
+        .del(`${this.REPORTS_KEY_PREFIX}${message.id}`)
+        .zRem(`${this.QUEUE_KEY_PREFIX}${message.roomId}`, message.id)
+        .exec();
+
+      if (removed === 0) {
+        return null;
+      }
+
+      const resolution = {
+        id: uuidv4(),
+        roomId: message.roomId,
+        messageId: message.id,
+        authorId: message.userId,
+        authorUsername: message.username,
+        action,
+        duration: action === 'mute' ? duration : null,
+        note: note || null,
+        reportCount: Object.keys(reports).length,
+        reporterIds: Object.keys(reports),
+        resolvedBy,
+        resolvedAt: new Date().toISOString()
+      };
+      const logKey = `${this.LOG_KEY_PREFIX}${message.roomId}`;
+
+      await this.redis.multi()
+        .lPush(logKey, JSON.stringify(resolution))
+        .lTrim(logKey, 0, this.MAX_LOG_ENTRIES - 1)
+        .exec();
+      await this.removeRoomIfEmpty(message.roomId);
+
+      return resolution;
+    } catch (error) {
+      console.error('Error resolviendo reportes:', error);
+      throw error;
+    }
+  }
+
+  // Resoluciones registradas de una sala, la más reciente primero
+  async getResolutions(roomId, limit = 50) {
+    try {
+      const resolutions = await this.redis.lRange(`${this.LOG_KEY_PREFIX}${roomId}`, 0, limit - 1);
+      return resolutions.map(resolution => JSON.parse(resolution));
+    } catch (error) {
+      console.error('Error obteniendo resoluciones:', error);
+      throw error;
+    }
+  }
+
+  // Quitar la sala de las pendientes si su cola quedó vacía
+  async removeRoomIfEmpty(roomId) {
+    const pending = await this.redis.zCard(`${this.QUEUE_KEY_PREFIX}${roomId}`);
+    if (pending === 0) {
+      await this.redis.zRem(this.QUEUE_ROOMS_KEY, roomId);
+    }
+  }
+}
+
+module.exports = ReportService;
@@ -0,0 +1,208 @@
+const UserService = require('./UserService');
+const RoomService = require('./RoomService');
+const MessageService = require('./MessageService');
+const NotificationService = require('./NotificationService');
+const SanctionService = require('./SanctionService');
+const { formatRemaining, DEFAULT_MUTE_DURATION } = SanctionService;
+
+// Evento que recibe el usuario sancionado, por tipo
+const SANCTION_EVENTS = {
+  kick: 'room:kicked',
+  mute: 'room:muted',
+  ban: 'room:banned'
+};
+
+class RoomModerationService {
+  /**
+   * Constructor del servicio de acciones de moderación sobre usuarios
+   *
+   * Aplica expulsiones, silencios y vetos desde los handlers de Socket.io
+   * y las rutas REST por igual: guarda la sanción (SanctionService), saca
+   * al usuario de la sala si corresponde, la anuncia con un mensaje del
+   * sistema y avisa al usuario sancionado.
+   *
+   * El usuario puede estar conectado a otra instancia: se le saca de la
+   * sala con io.in(socketIds).socketsLeave(), que el adaptador Redis aplica
+   * allí donde estén sus sockets.
+   *
+   * @param {Object} redisClient - Cliente Redis ya conectado
+   * @param {Object} io - Instancia del servidor Socket.io
+   */
+  constructor(redisClient, io) {
+    this.io = io;
+    this.userService = new UserService(redisClient);
+    this.roomService = new RoomService(redisClient);
+    this.messageService = new MessageService(redisClient);
+    this.notificationService = new NotificationService(redisClient, io);
+    this.sanctionService = new SanctionService(redisClient);
+  }
+
+  // El owner y los moderadores de la sala no se pueden sancionar
+  async canBeSanctioned(roomId, userId) {
+    return !(await this.roomService.hasPermission(roomId, userId, 'room:moderate'));
+  }
+
+  /**
+   * Expulsa, silencia o veta a un usuario de una sala
+   *
+   * @param {string} roomId - ID de la sala
+   * @param {Object} target - Usuario sancionado { id, username }
+   * @param {string} type - 'kick', 'mute' o 'ban'
+   * @param {Object} options - { duration (segundos), reason }
+   * @param {string} createdBy - ID del moderador
+   * @returns {Promise<Object>} La sanción aplicada
+   */
+  async applySanction(roomId, target, type, { duration, reason }, createdBy) {
+    try {
+      if (type === 'mute' && !duration) {
+        duration = DEFAULT_MUTE_DURATION;
+      }
+
+      const sanction = type === 'kick'
+        ? {
+          type,
+          roomId,
+          userId: target.id,
+          reason: reason || null,
+          createdBy,
+          createdAt: new Date().toISOString(),
+          expiresAt: null
+        }
+        : await this.sanctionService.addSanction(roomId, target.id, type, { duration, reason }, createdBy);
+
+      if (type !== 'mute') {
+        await this.removeFromRoom(roomId, target);
+      }
+
+      await this.announce(roomId, describeSanction(type, target.username, duration));
+      await this.notificationService.toUser(target.id, SANCTION_EVENTS[type], sanction);
+
+      return sanction;
+    } catch (error) {
+      console.error('Error aplicando sanción:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Levanta un silencio o veto antes de que caduque
+   *
+   * @returns {Promise<boolean>} false si no estaba activo
+   */
+  async liftSanction(roomId, target, type) {
+    try {
+      const lifted = await this.sanctionService.liftSanction(roomId, type, target.id);
+      if (!lifted) {
+        return false;
+      }
+
+      if (type === 'mute') {
+        await this.announce(roomId, `${target.username} puede volver a escribir`);
+      }
+      await this.notificationService.toUser(target.id, type === 'mute' ? 'room:unmuted' : 'room:unbanned', {
+        roomId,
+        userId: target.id
+      });
+
+      return true;
+    } catch (error) {
+      console.error('Error levantando sanción:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Retira la invitación de un usuario a una sala
+   *
+   * En una sala privada pierde el acceso: si está dentro, sale de ella en
+   * todas sus conexiones, como en una expulsión. El owner y los
+   * moderadores no necesitan invitación y se quedan.
+   *
+   * @param {Room} room - Sala
+   * @param {string} userId - Usuario que deja de estar invitado
+   * @param {string} by - Nombre de quien retira la invitación
+   * @returns {Promise<boolean>} false si no estaba invitado
+   */
+  async revokeInvitation(room, userId, by) {
+    try {
+      const removed = await this.roomService.uninviteUser(room.id, userId);
+      if (!removed) {
+        return false;
+      }
+
+      if (room.isPrivate && !(await this.roomService.isRoomMember(room.id, userId))) {
+        const user = await this.userService.getUser(userId);
+        await this.removeFromRoom(room.id, { id: userId, username: user ? user.username : userId });
+      }
+
+      await this.notificationService.toUser(userId, 'room:uninvited', {
+        roomId: room.id,
+        roomName: room.name,
+        by
+      });
+
+      return true;
+    } catch (error) {
+      console.error('Error retirando invitación:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Saca a un usuario de una sala, esté conectado a la instancia que esté
+   *
+   * Hace lo mismo que room:leave en los sockets del usuario (salir de la
+   * sala de Socket.io, quitarlo de la sala en Redis y actualizar el
+   * contador), salvo el mensaje de salida: lo sustituye el anuncio de la
+   * sanción.
+   */
+  async removeFromRoom(roomId, target) {
+    const socketIds = await this.userService.getUserSocketIds(target.id);
+    if (socketIds.length > 0) {
+      this.io.in(socketIds).socketsLeave(roomId);
+    }
+
+    const removed = await this.userService.removeUserFromRoom(target.id, roomId);
+    const userCount = await this.userService.countRoomUsers(roomId);
+    await this.roomService.updateUserCount(roomId, userCount);
+
+    if (!removed) {
+      return;
+    }
+
+    this.io.to(roomId).emit('user:left', {
+      roomId,
+      userId: target.id,
+      username: target.username,
+      userCount
+    });
+  }
+
+  // Anunciar una acción de moderación con un mensaje del sistema
+  async announce(roomId, content) {
+    const systemMessage = await this.messageService.saveMessage({
+      roomId,
+      userId: 'system',
+      username: 'Sistema',
+      content,
+      type: 'system'
+    });
+
+    this.io.to(roomId).emit('message:new', systemMessage);
+  }
+}
+
+// Texto del mensaje del sistema que anuncia una sanción
+function describeSanction(type, username, duration) {
+  const period = duration ? ` durante ${formatRemaining(duration)}` : '';
+  switch (type) {
+    case 'kick':
+      return `${username} fue expulsado de la sala`;
+    case 'mute':
+      return `${username} fue silenciado${period}`;
+    default:
+      return `${username} tiene vetada la entrada a la sala${period}`;
+  }
+}
+
+module.exports = RoomModerationService;
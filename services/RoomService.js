@@ -1,10 +1,133 @@
 const Room = require('../models/Room');
+const { ROLES, roleCan } = require('../utils/permissions');
+const { tokenize } = require('./SearchService');
+const SanctionService = require('./SanctionService');
+const { formatRemaining } = SanctionService;
+
+// Criterios de orden del directorio de salas
+const DIRECTORY_SORTS = ['newest', 'popular', 'active'];
+
+// popular ordena por usuarios y, a igualdad, por fecha de creación en
+// segundos: usuarios * 1e10 + segundos. Los segundos caben en 1e10 hasta
+// el año 2286 y, con los usuarios limitados a POPULAR_MAX_USERS, el score
+// no pasa de 2^53 (los doubles de Redis lo guardan sin perder precisión)
+const POPULAR_SCORE_FACTOR = 1e10;
+const POPULAR_MAX_USERS = 900000;
+
+// Máximo de salas candidatas por palabra en la búsqueda por prefijo
+const MAX_NAME_MATCHES = 1000;
+
+// Mayor carácter Unicode: "[{palabra}" a "[{palabra}{LEX_MAX}" en
+// ZRANGEBYLEX abarca todos los miembros que empiezan por la palabra
+const LEX_MAX = '\u{10ffff}';
 
 class RoomService {
+  /**
+   * Constructor del servicio de salas
+   *
+   * @param {Object} redisClient - Cliente Redis ya conectado
+   *
+   * Estructura de datos en Redis:
+   * - chat:rooms:{roomId} → Hash con datos de la sala
+   * - chat:rooms_list → Set con IDs de todas las salas
+   * - chat:room_roles:{roomId} → Hash userId → rol (owner/moderator)
+   * - chat:room_members:{roomId} → Set de invitados (allowlist de salas privadas)
+   * - chat:room_reads:{roomId} → Hash userId → último mensaje leído
+   *
+   * Directorio de salas públicas (índices secundarios, ver listRooms):
+   * - chat:room_directory:{sort} → Sorted Set roomId → score del criterio
+   *   (newest: creación, popular: usuarios, active: último mensaje)
+   * - chat:room_directory:{sort}:{tag} → Lo mismo, solo salas con esa etiqueta
+   * - chat:room_names → Sorted Set "{palabra}:{roomId}" (score 0) para
+   *   buscar por prefijo del nombre con ZRANGEBYLEX
+   *
+   * Las salas privadas no aparecen en el directorio.
+   */
   constructor(redisClient) {
     this.redis = redisClient;
     this.ROOM_KEY_PREFIX = 'chat:rooms:';
     this.ROOMS_LIST_KEY = 'chat:rooms_list';
+    this.ROOM_ROLES_KEY_PREFIX = 'chat:room_roles:'; // Hash userId → rol por sala
+    this.ROOM_MEMBERS_KEY_PREFIX = 'chat:room_members:'; // Set de invitados (salas privadas)
+    this.ROOM_READS_KEY_PREFIX = 'chat:room_reads:'; // Hash userId → último mensaje leído
+    this.DIRECTORY_KEY_PREFIX = 'chat:room_directory:'; // Índices ordenados del directorio
+    this.ROOM_NAMES_KEY = 'chat:room_names'; // Índice lexicográfico de palabras del nombre
+    this.sanctionService = new SanctionService(redisClient);
+  }
+
+  // Clave del índice del directorio para un criterio (y etiqueta opcional)
+  getDirectoryKey(sort, tag) {
+    return `${this.DIRECTORY_KEY_PREFIX}${sort}${tag ? `:${tag}` : ''}`;
+  }
+
+  // Score de una sala en cada índice del directorio
+  getDirectoryScores(room) {
+    const createdAt = new Date(room.createdAt).getTime();
+    return {
+      newest: createdAt,
+      popular: Math.min(room.userCount, POPULAR_MAX_USERS) * POPULAR_SCORE_FACTOR
+        + Math.floor(createdAt / 1000),
+      active: new Date(room.lastActivityAt).getTime()
+    };
+  }
+
+  // Añadir a una transacción los ZADD que publican la sala en el directorio
+  addToDirectory(transaction, room) {
+    if (room.isPrivate) {
+      return transaction;
+    }
+
+    const scores = this.getDirectoryScores(room);
+    for (const sort of DIRECTORY_SORTS) {
+      for (const tag of [null, ...room.tags]) {
+        transaction.zAdd(this.getDirectoryKey(sort, tag), { score: scores[sort], value: room.id });
+      }
+    }
+    tokenize(room.name).forEach(word => {
+      transaction.zAdd(this.ROOM_NAMES_KEY, { score: 0, value: `${word}:${room.id}` });
+    });
+    return transaction;
+  }
+
+  // Añadir a una transacción los ZREM que retiran la sala del directorio
+  removeFromDirectory(transaction, room) {
+    for (const sort of DIRECTORY_SORTS) {
+      for (const tag of [null, ...room.tags]) {
+        transaction.zRem(this.getDirectoryKey(sort, tag), room.id);
+      }
+    }
+    tokenize(room.name).forEach(word => {
+      transaction.zRem(this.ROOM_NAMES_KEY, `${word}:${room.id}`);
+    });
+    return transaction;
+  }
+
+  /**
+   * Actualiza el score de una sala en un criterio del directorio
+   *
+   * Usa ZADD XX: solo modifica salas que ya están en el índice, así que
+   * las salas privadas y las conversaciones directas no se añaden.
+   *
+   * @param {string} roomId - ID de la sala
+   * @param {string} sort - Criterio ('popular' o 'active')
+   * @param {Object} fields - Campos a guardar también en el Hash de la sala
+   * @param {Function} getScore - (room) → score con los campos ya aplicados
+   */
+  async updateDirectoryScore(roomId, sort, fields, getScore) {
+    const room = await this.getRoom(roomId);
+    if (!room) {
+      return;
+    }
+
+    Object.assign(room, fields);
+    const score = getScore(room);
+
+    const transaction = this.redis.multi()
+      .hSet(`${this.ROOM_KEY_PREFIX}${roomId}`, fields);
+    for (const tag of [null, ...room.tags]) {
+      transaction.zAdd(this.getDirectoryKey(sort, tag), { score, value: roomId }, { XX: true });
+    }
+    await transaction.exec();
   }
 
   // Crear una nueva sala
@@ -18,11 +141,16 @@ class RoomService {
 
       const roomKey = `${this.ROOM_KEY_PREFIX}${room.id}`;
 
-      // Guardar datos de la sala
-      await this.redis.hSet(roomKey, room.toRedisObject());
-      
-      // Añadir a la lista de salas
-      await this.redis.sAdd(this.ROOMS_LIST_KEY, room.id);
+      const transaction = this.redis.multi()
+        // Guardar datos de la sala
+        .hSet(roomKey, room.toRedisObject())
+        // Añadir a la lista de salas
+        .sAdd(this.ROOMS_LIST_KEY, room.id)
+        // El creador es el owner de la sala y miembro de su allowlist
+        .hSet(`${this.ROOM_ROLES_KEY_PREFIX}${room.id}`, room.createdBy, ROLES.OWNER)
+        .sAdd(`${this.ROOM_MEMBERS_KEY_PREFIX}${room.id}`, room.createdBy);
+      // Publicar en el directorio (si es pública)
+      await this.addToDirectory(transaction, room).exec();
 
       return room;
     } catch (error) {
@@ -48,18 +176,18 @@ class RoomService {
     }
   }
 
-  // Obtener todas las salas
+  // Obtener todas las salas (SMEMBERS + un pipeline con sus datos)
   async getAllRooms() {
     try {
       const roomIds = await this.redis.sMembers(this.ROOMS_LIST_KEY);
       
-      const rooms = [];
-      for (const roomId of roomIds) {
-        const room = await this.getRoom(roomId);
-        if (room) {
-          rooms.push(room);
-        }
-      }
+      const pipeline = this.redis.multi();
+      roomIds.forEach(roomId => pipeline.hGetAll(`${this.ROOM_KEY_PREFIX}${roomId}`));
+      const results = await pipeline.execAsPipeline();
+
+      const rooms = results
+        .filter(roomData => Object.keys(roomData).length > 0)
+        .map(roomData => Room.fromRedisObject(roomData));
 
       return rooms.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
     } catch (error) {
@@ -68,6 +196,163 @@ class RoomService {
     }
   }
 
+  /**
+   * Obtiene varias salas con un único pipeline de HGETALL
+   *
+   * @param {string[]} roomIds - IDs de salas
+   * @returns {Promise<Room[]>} Salas existentes, en el mismo orden
+   */
+  async getRooms(roomIds) {
+    try {
+      const pipeline = this.redis.multi();
+      roomIds.forEach(roomId => pipeline.hGetAll(`${this.ROOM_KEY_PREFIX}${roomId}`));
+      const results = await pipeline.execAsPipeline();
+
+      return results
+        .filter(roomData => Object.keys(roomData).length > 0)
+        .map(roomData => Room.fromRedisObject(roomData));
+    } catch (error) {
+      console.error('Error obteniendo salas:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lista el directorio de salas públicas con paginación por cursor
+   *
+   * Sin búsqueda, cada página es un ZRANGE sobre el índice del criterio
+   * (y etiqueta), sin leer el resto de salas. Con búsqueda, se buscan las
+   * salas cuyo nombre tiene palabras que empiezan por las de la consulta
+   * (ZRANGEBYLEX sobre chat:room_names) y se ordenan con sus scores.
+   *
+   * @param {Object} [options]
+   * @param {string} [options.tag] - Solo salas con esta etiqueta
+   * @param {string} [options.sort='newest'] - newest | popular | active
+   * @param {string} [options.search] - Prefijos de palabras del nombre
+   * @param {string} [options.cursor] - nextCursor de la página anterior
+   * @param {number} [options.limit=20] - Salas por página
+   *
+   * @returns {Promise<Object|null>} { rooms, nextCursor, hasMore }, o null
+   *   si el cursor no es válido
+   *
+   * El orden es siempre descendente por score y, a igualdad, por roomId
+   * (el mismo que ZRANGE ... REV), y el cursor es "{score}:{roomId}" de la
+   * última sala de la página: las salas que cambian de posición entre
+   * páginas no desplazan al resto.
+   */
+  async listRooms({ tag, sort = 'newest', search, cursor, limit = 20 } = {}) {
+    try {
+      let position = null;
+      if (cursor) {
+        position = parseDirectoryCursor(cursor);
+        if (!position) {
+          return null;
+        }
+      }
+
+      const normalizedTag = tag ? Room.normalizeTags([tag])[0] : null;
+      if (tag && !normalizedTag) {
+        return { rooms: [], nextCursor: null, hasMore: false };
+      }
+      const directoryKey = this.getDirectoryKey(sort, normalizedTag);
+
+      const entries = search
+        ? await this.searchDirectory(directoryKey, search, position, limit + 1)
+        : await this.rangeDirectory(directoryKey, position, limit + 1);
+
+      const page = entries.slice(0, limit);
+      const rooms = await this.getRooms(page.map(entry => entry.value));
+      const last = page[page.length - 1];
+
+      return {
+        rooms,
+        nextCursor: last ? `${last.score}:${last.value}` : null,
+        hasMore: entries.length > limit
+      };
+    } catch (error) {
+      console.error('Error listando salas:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lee entradas de un índice del directorio a partir de una posición
+   *
+   * Las salas con el mismo score que el cursor se piden aparte (suelen ser
+   * ninguna o una) y se quedan las que van detrás del roomId del cursor.
+   * Las dos lecturas van en un único pipeline.
+   */
+  async rangeDirectory(directoryKey, position, count) {
+    if (!position) {
+      return await this.redis.zRangeWithScores(directoryKey, '+inf', '-inf', {
+        BY: 'SCORE', REV: true, LIMIT: { offset: 0, count }
+      });
+    }
+
+    const [ties, lower] = await this.redis.multi()
+      .zRangeWithScores(directoryKey, position.score, position.score, { BY: 'SCORE', REV: true })
+      .zRangeWithScores(directoryKey, `(${position.score}`, '-inf', {
+        BY: 'SCORE', REV: true, LIMIT: { offset: 0, count }
+      })
+      .execAsPipeline();
+
+    return [...ties.filter(entry => entry.value < position.roomId), ...lower].slice(0, count);
+  }
+
+  /**
+   * Busca salas por prefijos de palabras del nombre dentro de un índice
+   *
+   * Cada palabra de la consulta debe ser prefijo de alguna palabra del
+   * nombre ("prog web" encuentra "Programación Web"). Los scores salen
+   * del índice del criterio con ZMSCORE, que además descarta las salas
+   * que no están en él (otra etiqueta).
+   */
+  async searchDirectory(directoryKey, search, position, count) {
+    const words = tokenize(search);
+    if (words.length === 0) {
+      return [];
+    }
+
+    const pipeline = this.redis.multi();
+    words.forEach(word => pipeline.zRangeByLex(
+      this.ROOM_NAMES_KEY, `[${word}`, `[${word}${LEX_MAX}`, { LIMIT: { offset: 0, count: MAX_NAME_MATCHES } }
+    ));
+    const results = await pipeline.execAsPipeline();
+
+    // Salas que coinciden con todas las palabras
+    const matchesPerWord = results.map(members => new Set(
+      members.map(member => member.slice(member.lastIndexOf(':') + 1))
+    ));
+    const roomIds = [...matchesPerWord[0]].filter(roomId => matchesPerWord.every(ids => ids.has(roomId)));
+    if (roomIds.length === 0) {
+      return [];
+    }
+
+    const scores = await this.redis.zmScore(directoryKey, roomIds);
+    return roomIds
+      .map((roomId, i) => ({ value: roomId, score: scores[i] }))
+      .filter(entry => entry.score !== null)
+      .filter(entry => !position || isAfterPosition(entry, position))
+      .sort((a, b) => b.score - a.score || (a.value < b.value ? 1 : -1))
+      .slice(0, count);
+  }
+
+  /**
+   * Registra actividad en una sala (criterio 'active' del directorio)
+   *
+   * MessageService lo llama con cada mensaje nuevo; para IDs que no son
+   * salas (conversaciones directas) no hace nada.
+   */
+  async touchRoom(roomId, timestamp) {
+    try {
+      await this.updateDirectoryScore(roomId, 'active', { lastActivityAt: timestamp },
+        room => this.getDirectoryScores(room).active);
+    } catch (error) {
+      console.error('Error registrando actividad de sala:', error);
+      throw error;
+    }
+  }
+
   // Obtener salas públicas
   async getPublicRooms() {
     try {
@@ -87,6 +372,9 @@ class RoomService {
         throw new Error('Sala no encontrada');
       }
 
+      // Copia antes de modificar, para retirarla del directorio
+      const previous = new Room(room.toRedisObject());
+
       // Actualizar campos permitidos
       const allowedFields = ['name', 'description', 'maxUsers', 'isPrivate'];
       for (const field of allowedFields) {
@@ -95,12 +383,21 @@ class RoomService {
         }
       }
 
+      if (updateData.tags !== undefined) {
+        room.tags = Room.normalizeTags(updateData.tags);
+      }
+
       if (!room.isValid()) {
         throw new Error('Datos de actualización inválidos');
       }
 
+      // Reindexar en el directorio: nombre, etiquetas o privacidad pueden
+      // haber cambiado, así que se retira la versión anterior y se publica
+      // la nueva en la misma transacción
       const roomKey = `${this.ROOM_KEY_PREFIX}${roomId}`;
-      await this.redis.hSet(roomKey, room.toRedisObject());
+      const transaction = this.removeFromDirectory(this.redis.multi(), previous)
+        .hSet(roomKey, room.toRedisObject());
+      await this.addToDirectory(transaction, room).exec();
 
       return room;
     } catch (error) {
@@ -112,13 +409,23 @@ class RoomService {
   // Eliminar sala
   async deleteRoom(roomId) {
     try {
+      const room = await this.getRoom(roomId);
+      if (!room) {
+        return false;
+      }
+
       const roomKey = `${this.ROOM_KEY_PREFIX}${roomId}`;
       
-      // Eliminar de la lista de salas
-      await this.redis.sRem(this.ROOMS_LIST_KEY, roomId);
-      
-      // Eliminar datos de la sala
-      const result = await this.redis.del(roomKey);
+      const transaction = this.redis.multi()
+        // Eliminar de la lista de salas
+        .sRem(this.ROOMS_LIST_KEY, roomId)
+        // Eliminar datos de la sala, sus roles, su allowlist y sus lecturas
+        .del(roomKey)
+        .del(`${this.ROOM_ROLES_KEY_PREFIX}${roomId}`)
+        .del(`${this.ROOM_MEMBERS_KEY_PREFIX}${roomId}`)
+        .del(`${this.ROOM_READS_KEY_PREFIX}${roomId}`);
+      // Retirar del directorio
+      const [, result] = await this.removeFromDirectory(transaction, room).exec();
       
       return result > 0;
     } catch (error) {
@@ -127,11 +434,11 @@ class RoomService {
     }
   }
 
-  // Actualizar contador de usuarios
+  // Actualizar contador de usuarios (y el criterio 'popular' del directorio)
   async updateUserCount(roomId, count) {
     try {
-      const roomKey = `${this.ROOM_KEY_PREFIX}${roomId}`;
-      await this.redis.hSet(roomKey, 'userCount', count);
+      await this.updateDirectoryScore(roomId, 'popular', { userCount: count },
+        room => this.getDirectoryScores(room).popular);
       return true;
     } catch (error) {
       console.error('Error actualizando contador de usuarios:', error);
@@ -139,6 +446,136 @@ class RoomService {
     }
   }
 
+  // Asignar rol a un usuario en una sala (member elimina el rol explícito)
+  async setUserRole(roomId, userId, role) {
+    try {
+      const rolesKey = `${this.ROOM_ROLES_KEY_PREFIX}${roomId}`;
+
+      if (role === ROLES.MEMBER) {
+        await this.redis.hDel(rolesKey, userId);
+      } else {
+        await this.redis.hSet(rolesKey, userId, role);
+      }
+
+      return true;
+    } catch (error) {
+      console.error('Error asignando rol:', error);
+      throw error;
+    }
+  }
+
+  // Obtener el rol de un usuario en una sala (member por defecto)
+  async getUserRole(roomId, userId) {
+    try {
+      const rolesKey = `${this.ROOM_ROLES_KEY_PREFIX}${roomId}`;
+      const role = await this.redis.hGet(rolesKey, userId);
+      return role || ROLES.MEMBER;
+    } catch (error) {
+      console.error('Error obteniendo rol:', error);
+      throw error;
+    }
+  }
+
+  // Obtener los roles explícitos de una sala (owner y moderadores)
+  async getRoomRoles(roomId) {
+    try {
+      const rolesKey = `${this.ROOM_ROLES_KEY_PREFIX}${roomId}`;
+      return await this.redis.hGetAll(rolesKey);
+    } catch (error) {
+      console.error('Error obteniendo roles de la sala:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Verifica si un usuario puede realizar una acción en una sala
+   *
+   * Consulta el rol del usuario en Redis y lo evalúa contra la
+   * matriz de permisos definida en utils/permissions.js.
+   *
+   * @param {string} roomId - ID de la sala
+   * @param {string} userId - ID del usuario
+   * @param {string} action - Acción de la matriz (ej. 'room:delete')
+   *
+   * @returns {Promise<boolean>} true si el rol del usuario permite la acción
+   */
+  async hasPermission(roomId, userId, action) {
+    try {
+      const role = await this.getUserRole(roomId, userId);
+      return roleCan(role, action);
+    } catch (error) {
+      console.error('Error verificando permisos:', error);
+      throw error;
+    }
+  }
+
+  // Invitar a un usuario (añadirlo a la allowlist de la sala)
+  async inviteUser(roomId, userId) {
+    try {
+      const membersKey = `${this.ROOM_MEMBERS_KEY_PREFIX}${roomId}`;
+      return (await this.redis.sAdd(membersKey, userId)) > 0;
+    } catch (error) {
+      console.error('Error invitando usuario:', error);
+      throw error;
+    }
+  }
+
+  // Retirar la invitación de un usuario
+  async uninviteUser(roomId, userId) {
+    try {
+      const membersKey = `${this.ROOM_MEMBERS_KEY_PREFIX}${roomId}`;
+      return (await this.redis.sRem(membersKey, userId)) > 0;
+    } catch (error) {
+      console.error('Error retirando invitación:', error);
+      throw error;
+    }
+  }
+
+  // Obtener los IDs de usuarios invitados a una sala
+  async getRoomMembers(roomId) {
+    try {
+      const membersKey = `${this.ROOM_MEMBERS_KEY_PREFIX}${roomId}`;
+      return await this.redis.sMembers(membersKey);
+    } catch (error) {
+      console.error('Error obteniendo miembros de la sala:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Verifica si un usuario es miembro de la allowlist de una sala
+   *
+   * El owner y los moderadores se consideran miembros aunque no
+   * estén en el Set, para que nunca queden fuera de su propia sala.
+   *
+   * @param {string} roomId - ID de la sala
+   * @param {string} userId - ID del usuario
+   *
+   * @returns {Promise<boolean>} true si el usuario está invitado o tiene rol
+   */
+  async isRoomMember(roomId, userId) {
+    try {
+      const membersKey = `${this.ROOM_MEMBERS_KEY_PREFIX}${roomId}`;
+      if (await this.redis.sIsMember(membersKey, userId)) {
+        return true;
+      }
+
+      const role = await this.getUserRole(roomId, userId);
+      return role !== ROLES.MEMBER;
+    } catch (error) {
+      console.error('Error verificando membresía:', error);
+      throw error;
+    }
+  }
+
+  // Verificar si un usuario puede ver los detalles de una sala
+  async canViewRoom(room, userId) {
+    if (!room.isPrivate) {
+      return true;
+    }
+    return await this.isRoomMember(room.id, userId);
+  }
+
   // Verificar si el usuario puede unirse a la sala
   async canUserJoinRoom(roomId, userId) {
     try {
@@ -147,6 +584,22 @@ class RoomService {
         return { canJoin: false, reason: 'Sala no encontrada' };
       }
 
+      // Las salas privadas solo admiten usuarios invitados
+      if (room.isPrivate && !(await this.isRoomMember(roomId, userId))) {
+        return { canJoin: false, reason: 'Sala privada: necesitas una invitación para unirte' };
+      }
+
+      // Un veto impide entrar hasta que caduque (o siempre, si es permanente)
+      const ban = await this.sanctionService.getSanction(roomId, 'ban', userId);
+      if (ban) {
+        return {
+          canJoin: false,
+          reason: ban.remaining
+            ? `Tienes vetada la entrada a esta sala: quedan ${formatRemaining(ban.remaining)}`
+            : 'Tienes vetada la entrada a esta sala'
+        };
+      }
+
       if (room.isFull()) {
         return { canJoin: false, reason: 'Sala llena' };
       }
@@ -158,16 +611,11 @@ class RoomService {
     }
   }
 
-  // Buscar salas por nombre
-  async searchRooms(query) {
+  // Buscar salas públicas por prefijos de palabras del nombre (ver listRooms)
+  async searchRooms(query, options = {}) {
     try {
-      const allRooms = await this.getPublicRooms();
-      const searchTerm = query.toLowerCase();
-      
-      return allRooms.filter(room => 
-        room.name.toLowerCase().includes(searchTerm) ||
-        room.description.toLowerCase().includes(searchTerm)
-      );
+      const { rooms } = await this.listRooms({ ...options, search: query });
+      return rooms;
     } catch (error) {
       console.error('Error buscando salas:', error);
       throw error;
@@ -175,4 +623,27 @@ class RoomService {
   }
 }
 
-module.exports = RoomService;
\ No newline at end of file
+/**
+ * Interpreta un cursor del directorio ("{score}:{roomId}")
+ *
+ * @returns {Object|null} { score, roomId }, o null si no es válido
+ */
+function parseDirectoryCursor(cursor) {
+  const separator = cursor.indexOf(':');
+  const score = Number(cursor.slice(0, separator));
+  const roomId = cursor.slice(separator + 1);
+  if (separator <= 0 || !Number.isFinite(score) || !roomId) {
+    return null;
+  }
+  return { score, roomId };
+}
+
+// ¿Va la entrada detrás del cursor en el orden del directorio?
+function isAfterPosition(entry, position) {
+  return entry.score < position.score ||
+    (entry.score === position.score && entry.value < position.roomId);
+}
+
+module.exports = RoomService;
+module.exports.DIRECTORY_SORTS = DIRECTORY_SORTS;
+module.exports.parseDirectoryCursor = parseDirectoryCursor;
\ No newline at end of file
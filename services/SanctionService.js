@@ -0,0 +1,174 @@
+// Duración de un silencio si el moderador no la indica (segundos)
+const DEFAULT_MUTE_DURATION = 3600;
+
+class SanctionService {
+  /**
+   * Constructor del servicio de sanciones por sala
+   *
+   * Una sanción limita lo que un usuario puede hacer en una sala durante un
+   * tiempo. Cada una es una clave con TTL: al caducar, Redis la elimina y
+   * la sanción termina sin que nadie tenga que levantarla.
+   *
+   * Tipos:
+   * - mute → No puede publicar en la sala (mensajes, respuestas ni ediciones)
+   * - ban → No puede unirse a la sala; sin duración es permanente
+   *
+   * La expulsión (kick) no es una sanción guardada: saca al usuario de la
+   * sala, pero puede volver a entrar (ver RoomModerationService).
+   *
+   * @param {Object} redisClient - Cliente Redis ya conectado
+   *
+   * Estructura de datos en Redis:
+   * - chat:room_sanctions:{roomId}:{tipo}:{userId} → Sanción (JSON), con TTL
+   * - chat:room_sanctions:{roomId} → Sorted Set `{tipo}:{userId}` de las
+   *   sanciones de la sala (score = expiración en ms, +inf si es permanente)
+   */
+  constructor(redisClient) {
+    this.redis = redisClient;
+    this.SANCTION_KEY_PREFIX = 'chat:room_sanctions:';
+  }
+
+  getSanctionKey(roomId, type, userId) {
+    return `${this.SANCTION_KEY_PREFIX}${roomId}:${type}:${userId}`;
+  }
+
+  getIndexKey(roomId) {
+    return `${this.SANCTION_KEY_PREFIX}${roomId}`;
+  }
+
+  /**
+   * Sanciona a un usuario en una sala
+   *
+   * Si ya tenía una sanción del mismo tipo, la nueva la sustituye.
+   *
+   * @param {string} roomId - ID de la sala
+   * @param {string} userId - Usuario sancionado
+   * @param {string} type - 'mute' o 'ban'
+   * @param {Object} options - { duration (segundos, null = permanente), reason }
+   * @param {string} createdBy - ID del moderador
+   * @returns {Promise<Object>} La sanción creada
+   *
+   * Operaciones realizadas en Redis (una sola transacción MULTI):
+   * 1. SET (con EX si tiene duración) → La sanción
+   * 2. ZADD → Índice de sanciones de la sala
+   */
+  async addSanction(roomId, userId, type, { duration, reason }, createdBy) {
+    try {
+      const now = Date.now();
+      const expiresAt = duration ? now + duration * 1000 : null;
+      const sanction = {
+        type,
+        roomId,
+        userId,
+        reason: reason || null,
+        createdBy,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null
+      };
+
+      await this.redis.multi()
+        .set(this.getSanctionKey(roomId, type, userId), JSON.stringify(sanction), duration ? { EX: duration } : {})
+        .zAdd(this.getIndexKey(roomId), { score: expiresAt || Infinity, value: `${type}:${userId}` })
+        .exec();
+
+      return sanction;
+    } catch (error) {
+      console.error('Error creando sanción:', error);
+      throw error;
+    }
+  }
+
+  // Levantar una sanción antes de que caduque (false si no estaba activa)
+  async liftSanction(roomId, type, userId) {
+    try {
+      const [removed] = await this.redis.multi()
+        .del(this.getSanctionKey(roomId, type, userId))
+        .zRem(this.getIndexKey(roomId), `${type}:${userId}`)
+        .exec();
+
+      return removed > 0;
+    } catch (error) {
+      console.error('Error levantando sanción:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene la sanción activa de un tipo, con los segundos que le quedan
+   *
+   * @returns {Promise<Object|null>} La sanción con `remaining` (null si es
+   *   permanente), o null si no tiene
+   */
+  async getSanction(roomId, type, userId) {
+    try {
+      const data = await this.redis.get(this.getSanctionKey(roomId, type, userId));
+      return data ? withRemaining(JSON.parse(data)) : null;
+    } catch (error) {
+      console.error('Error obteniendo sanción:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Sanciones activas de una sala, las que caducan antes primero
+   *
+   * Las caducadas salen del índice al consultarlo (sus claves ya las
+   * eliminó el TTL).
+   *
+   * @param {string} roomId - ID de la sala
+   * @returns {Promise<Object[]>} Sanciones con `remaining`
+   */
+  async getActiveSanctions(roomId) {
+    try {
+      const indexKey = this.getIndexKey(roomId);
+
+      await this.redis.zRemRangeByScore(indexKey, '-inf', Date.now());
+      const members = await this.redis.zRange(indexKey, 0, -1);
+      if (members.length === 0) {
+        return [];
+      }
+
+      const sanctions = await this.redis.mGet(members.map(member => {
+        const [type, userId] = member.split(':');
+        return this.getSanctionKey(roomId, type, userId);
+      }));
+
+      return sanctions
+        .filter(Boolean)
+        .map(sanction => withRemaining(JSON.parse(sanction)))
+        .filter(Boolean);
+    } catch (error) {
+      console.error('Error obteniendo sanciones:', error);
+      throw error;
+    }
+  }
+}
+
+// Añadir los segundos restantes (null si ya caducó)
+function withRemaining(sanction) {
+  if (!sanction.expiresAt) {
+    return { ...sanction, remaining: null };
+  }
+
+  const remaining = Math.ceil((new Date(sanction.expiresAt).getTime() - Date.now()) / 1000);
+  return remaining > 0 ? { ...sanction, remaining } : null;
+}
+
+// Tiempo restante legible ("45 s", "12 min", "3 h", "2 días")
+function formatRemaining(seconds) {
+  if (seconds < 60) {
+    return `${seconds} s`;
+  }
+  if (seconds < 3600) {
+    return `${Math.ceil(seconds / 60)} min`;
+  }
+  if (seconds < 86400) {
+    return `${Math.ceil(seconds / 3600)} h`;
+  }
+  const days = Math.ceil(seconds / 86400);
+  return days === 1 ? '1 día' : `${days} días`;
+}
+
+module.exports = SanctionService;
+module.exports.formatRemaining = formatRemaining;
+module.exports.DEFAULT_MUTE_DURATION = DEFAULT_MUTE_DURATION;
@@ -0,0 +1,273 @@
+const { sanitizeHtml } = require('../utils/validators');
+
+// Palabras vacías del español (ya sin tildes): no se indexan ni se buscan
+const STOPWORDS = new Set([
+  'a', 'al', 'algo', 'ante', 'con', 'como', 'cual', 'de', 'del', 'donde',
+  'e', 'el', 'ella', 'en', 'entre', 'era', 'es', 'esa', 'ese', 'eso', 'esta',
+  'este', 'esto', 'fue', 'ha', 'hay', 'la', 'las', 'le', 'les', 'lo', 'los',
+  'mas', 'me', 'mi', 'muy', 'ni', 'no', 'nos', 'o', 'os', 'para', 'pero',
+  'por', 'que', 'se', 'si', 'sin', 'sobre', 'su', 'sus', 'te', 'tu', 'u',
+  'un', 'una', 'uno', 'unos', 'unas', 'y', 'ya', 'yo'
+]);
+
+const WORD_REGEX = /[\p{L}\p{N}]+/gu;
+const SNIPPET_RADIUS = 60; // Caracteres de contexto a cada lado de la primera coincidencia
+const MAX_TERM_LENGTH = 50; // Palabras más largas no se indexan (URLs, ruido)
+
+class SearchService {
+  /**
+   * Constructor del servicio de búsqueda de mensajes
+   *
+   * Mantiene un índice invertido en Redis: para cada término, los mensajes
+   * que lo contienen ordenados por fecha. MessageService lo actualiza al
+   * guardar, editar y eliminar mensajes.
+   *
+   * @param {Object} redisClient - Cliente Redis ya conectado
+   *
+   * Estructura de datos en Redis:
+   * - chat:search_terms:{term} → Sorted Set messageId → timestamp (ms)
+   * - chat:search_docs:{messageId} → Hash { roomId, userId, terms } del mensaje indexado
+   *
+   * Los términos se normalizan con normalizeTerm: minúsculas y sin tildes
+   * ni diéresis, así que "canción" encuentra "cancion" y al revés.
+   *
+   * Limpieza:
+   * - Cada Hash de documento caduca con el mensaje (mismo TTL)
+   * - Al indexar se recortan del término las entradas fuera del periodo
+   *   de retención (ZREMRANGEBYSCORE), igual que XTRIM MINID en los streams
+   * - Los resultados cuyo documento ya no existe se descartan al buscar
+   */
+  constructor(redisClient) {
+    this.redis = redisClient;
+    this.TERMS_KEY_PREFIX = 'chat:search_terms:';
+    this.DOCS_KEY_PREFIX = 'chat:search_docs:';
+  }
+
+  // Máximo de mensajes candidatos leídos por término (SEARCH_MAX_CANDIDATES, 1000 por defecto)
+  getMaxCandidates() {
+    return parseInt(process.env.SEARCH_MAX_CANDIDATES) || 1000;
+  }
+
+  /**
+   * Indexa (o reindexa) un mensaje
+   *
+   * Los mensajes del sistema y los eliminados no se indexan.
+   *
+   * @param {Message} message - Mensaje a indexar
+   * @param {number} ttl - Retención de los mensajes en segundos
+   *
+   * Operaciones realizadas en Redis (una sola transacción MULTI):
+   * 1. ZADD chat:search_terms:{term} timestamp messageId → Por cada término
+   * 2. ZREMRANGEBYSCORE chat:search_terms:{term} -inf (ahora - TTL) → Descarta expirados
+   * 3. EXPIRE chat:search_terms:{term} TTL → Términos sin uso desaparecen solos
+   * 4. HSET + EXPIRE chat:search_docs:{messageId} → Datos para filtrar y desindexar
+   */
+  async indexMessage(message, ttl) {
+    try {
+      if (message.type === 'system' || message.isDeleted()) {
+        return;
+      }
+
+      const terms = tokenize(message.content);
+      if (terms.length === 0) {
+        return;
+      }
+
+      const score = new Date(message.timestamp).getTime();
+      const minScore = Date.now() - ttl * 1000;
+      const docKey = `${this.DOCS_KEY_PREFIX}${message.id}`;
+
+      const transaction = this.redis.multi();
+      terms.forEach(term => {
+        const termKey = `${this.TERMS_KEY_PREFIX}${term}`;
+        transaction
+          .zAdd(termKey, { score, value: message.id })
+          .zRemRangeByScore(termKey, '-inf', minScore)
+          .expire(termKey, ttl);
+      });
+      await transaction
+        .hSet(docKey, {
+          roomId: message.roomId,
+          userId: message.userId,
+          terms: terms.join(' ')
+        })
+        .expire(docKey, ttl)
+        .exec();
+    } catch (error) {
+      console.error('Error indexando mensaje:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Quita un mensaje del índice (edición o eliminación)
+   *
+   * Operaciones realizadas en Redis:
+   * 1. HGET chat:search_docs:{messageId} terms → Términos con los que se indexó
+   * 2. MULTI: ZREM de cada término + DEL del documento
+   */
+  async removeMessage(messageId) {
+    try {
+      const docKey = `${this.DOCS_KEY_PREFIX}${messageId}`;
+      const terms = await this.redis.hGet(docKey, 'terms');
+      if (!terms) {
+        return;
+      }
+
+      const transaction = this.redis.multi();
+      terms.split(' ').forEach(term => transaction.zRem(`${this.TERMS_KEY_PREFIX}${term}`, messageId));
+      await transaction.del(docKey).exec();
+    } catch (error) {
+      console.error('Error desindexando mensaje:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca mensajes que contengan alguno de los términos de la consulta
+   *
+   * Ranking: primero los mensajes que contienen más términos distintos de
+   * la consulta (los que tienen todos van arriba); a igualdad, los más
+   * recientes. Por cada término se leen como mucho getMaxCandidates()
+   * mensajes, los más recientes dentro del rango de fechas.
+   *
+   * @param {string} query - Texto a buscar
+   * @param {Object} [filters]
+   * @param {string} [filters.roomId] - Solo mensajes de esta sala o conversación
+   * @param {string} [filters.userId] - Solo mensajes de este autor
+   * @param {number} [filters.from] - Desde este instante (ms, incluido)
+   * @param {number} [filters.to] - Hasta este instante (ms, incluido)
+   * @param {Function} [filters.canViewRoom] - async (roomId) → boolean; se
+   *   llama una vez por sala para descartar las que el usuario no puede ver
+   *
+   * @returns {Promise<{hits: Array<{messageId, roomId, score}>, terms: string[]}>}
+   *   Todos los resultados ordenados (score = términos coincidentes) y los
+   *   términos normalizados de la consulta
+   */
+  async search(query, { roomId, userId, from, to, canViewRoom } = {}) {
+    try {
+      const terms = tokenize(query);
+      if (terms.length === 0) {
+        return { hits: [], terms };
+      }
+
+      // Los candidatos de todos los términos, en un único pipeline
+      const pipeline = this.redis.multi();
+      terms.forEach(term => pipeline.zRangeWithScores(
+        `${this.TERMS_KEY_PREFIX}${term}`,
+        to === undefined ? '+inf' : to,
+        from === undefined ? '-inf' : from,
+        { BY: 'SCORE', REV: true, LIMIT: { offset: 0, count: this.getMaxCandidates() } }
+      ));
+      const results = await pipeline.execAsPipeline();
+
+      const candidates = new Map(); // messageId → { score, timestamp }
+      results.forEach(entries => entries.forEach(({ value, score }) => {
+        const candidate = candidates.get(value) || { score: 0, timestamp: score };
+        candidate.score++;
+        candidates.set(value, candidate);
+      }));
+
+      // Datos de filtrado de los candidatos (un HMGET por documento, en pipeline)
+      const messageIds = [...candidates.keys()];
+      const docsPipeline = this.redis.multi();
+      messageIds.forEach(messageId => docsPipeline.hmGet(`${this.DOCS_KEY_PREFIX}${messageId}`, ['roomId', 'userId']));
+      const docs = await docsPipeline.execAsPipeline();
+
+      const visibleRooms = new Map(); // roomId → boolean, una comprobación por sala
+      const hits = [];
+      for (let i = 0; i < messageIds.length; i++) {
+        const [docRoomId, docUserId] = docs[i];
+        if (!docRoomId) continue; // Expirado o eliminado
+        if (roomId && docRoomId !== roomId) continue;
+        if (userId && docUserId !== userId) continue;
+
+        if (canViewRoom) {
+          if (!visibleRooms.has(docRoomId)) {
+            visibleRooms.set(docRoomId, await canViewRoom(docRoomId));
+          }
+          if (!visibleRooms.get(docRoomId)) continue;
+        }
+
+        const { score, timestamp } = candidates.get(messageIds[i]);
+        hits.push({ messageId: messageIds[i], roomId: docRoomId, score, timestamp });
+      }
+
+      hits.sort((a, b) => b.score - a.score || b.timestamp - a.timestamp);
+
+      return {
+        hits: hits.map(({ messageId, roomId: hitRoomId, score }) => ({ messageId, roomId: hitRoomId, score })),
+        terms
+      };
+    } catch (error) {
+      console.error('Error buscando mensajes:', error);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Normaliza un término: minúsculas y sin marcas diacríticas
+ *
+ * NFD separa "á" en "a" + tilde combinada, que luego se elimina. La "ñ"
+ * también pasa a "n", de modo que "año" y "ano" coinciden.
+ */
+function normalizeTerm(word) {
+  return word.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * Divide un texto en términos indexables (sin repetidos)
+ *
+ * @param {string} text - Contenido del mensaje o consulta
+ * @returns {string[]} Términos normalizados, sin palabras vacías ni demasiado largas
+ */
+function tokenize(text) {
+  const words = (text || '').match(WORD_REGEX) || [];
+  const terms = words
+    .map(normalizeTerm)
+    .filter(term => term.length <= MAX_TERM_LENGTH && !STOPWORDS.has(term));
+  return [...new Set(terms)];
+}
+
+/**
+ * Fragmento del contenido alrededor de la primera coincidencia
+ *
+ * El texto se escapa con sanitizeHtml y las palabras que coinciden con la
+ * consulta se envuelven en <mark>, así que el resultado se puede insertar
+ * como HTML directamente.
+ *
+ * @param {string} content - Contenido original del mensaje
+ * @param {string[]} terms - Términos normalizados de la consulta
+ * @returns {string} Fragmento con '…' si se recorta por algún lado
+ */
+function buildSnippet(content, terms) {
+  const matches = [];
+  for (const match of content.matchAll(WORD_REGEX)) {
+    if (terms.includes(normalizeTerm(match[0]))) {
+      matches.push({ start: match.index, end: match.index + match[0].length });
+    }
+  }
+
+  const first = matches.length > 0 ? matches[0].start : 0;
+  const start = Math.max(0, first - SNIPPET_RADIUS);
+  const end = Math.min(content.length, first + SNIPPET_RADIUS);
+
+  let snippet = '';
+  let position = start;
+  matches
+    .filter(match => match.start >= start && match.end <= end)
+    .forEach(match => {
+      snippet += sanitizeHtml(content.slice(position, match.start));
+      snippet += `<mark>${sanitizeHtml(content.slice(match.start, match.end))}</mark>`;
+      position = match.end;
+    });
+  snippet += sanitizeHtml(content.slice(position, end));
+
+  return `${start > 0 ? '…' : ''}${snippet}${end < content.length ? '…' : ''}`;
+}
+
+module.exports = SearchService;
+module.exports.normalizeTerm = normalizeTerm;
+module.exports.tokenize = tokenize;
+module.exports.buildSnippet = buildSnippet;
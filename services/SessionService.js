@@ -0,0 +1,138 @@
+const { v4: uuidv4 } = require('uuid');
+
+class SessionService {
+  /**
+   * Constructor del servicio de sesiones reanudables
+   *
+   * Cada conexión que hace user:join abre una sesión y recibe su token.
+   * Si el socket se cae (suspensión del portátil, cambio de red), la
+   * sesión queda en periodo de gracia: durante GRACE_PERIOD segundos el
+   * usuario sigue en su sala y una conexión nueva puede reanudarla con
+   * session:resume, sin mensajes de salida ni de entrada.
+   *
+   * Quien borra la marca de gracia se queda con la sesión: la conexión que
+   * la reanuda o el temporizador que, al acabar el periodo, completa la
+   * desconexión. DEL devuelve 1 solo a uno de los dos. La marca es del
+   * socket caído, no de la sesión: el temporizador de un socket anterior
+   * de la misma sesión no puede quedarse con la del actual.
+   *
+   * @param {Object} redisClient - Cliente Redis ya conectado
+   *
+   * Estructura de datos en Redis:
+   * - chat:sessions:{token} → Hash { userId, socketId, createdAt, disconnectedAt }
+   *   (socketId = conexión que tiene la sesión ahora)
+   * - chat:session_grace:{socketId} → Marca del socket caído en periodo de gracia
+   */
+  constructor(redisClient) {
+    this.redis = redisClient;
+    this.SESSION_KEY_PREFIX = 'chat:sessions:';
+    this.GRACE_KEY_PREFIX = 'chat:session_grace:';
+    this.SESSION_TTL = 86400; // 24 horas, igual que chat:users
+    // Debe ser menor que la caducidad de la presencia (PresenceService); 0 lo desactiva
+    const gracePeriod = parseInt(process.env.SESSION_GRACE_SECONDS);
+    this.GRACE_PERIOD = Number.isNaN(gracePeriod) ? 30 : gracePeriod;
+  }
+
+  // Abrir una sesión para una conexión y devolver su token
+  async createSession(userId, socketId) {
+    try {
+      const token = uuidv4();
+      const sessionKey = `${this.SESSION_KEY_PREFIX}${token}`;
+
+      await this.redis.multi()
+        .hSet(sessionKey, {
+          userId,
+          socketId,
+          createdAt: new Date().toISOString()
+        })
+        .expire(sessionKey, this.SESSION_TTL)
+        .exec();
+
+      return token;
+    } catch (error) {
+      console.error('Error creando sesión:', error);
+      throw error;
+    }
+  }
+
+  // Obtener una sesión por su token (null si no existe o caducó)
+  async getSession(token) {
+    try {
+      const session = await this.redis.hGetAll(`${this.SESSION_KEY_PREFIX}${token}`);
+      if (Object.keys(session).length === 0) {
+        return null;
+      }
+
+      return {
+        ...session,
+        disconnectedAt: session.disconnectedAt ? parseInt(session.disconnectedAt) : null
+      };
+    } catch (error) {
+      console.error('Error obteniendo sesión:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Pasa la sesión a una conexión nueva
+   *
+   * Desde este momento la conexión anterior ya no es dueña de la sesión:
+   * su disconnect no saca al usuario de la sala.
+   */
+  async attachSocket(token, socketId) {
+    try {
+      const sessionKey = `${this.SESSION_KEY_PREFIX}${token}`;
+
+      await this.redis.multi()
+        .hSet(sessionKey, 'socketId', socketId)
+        .hDel(sessionKey, 'disconnectedAt')
+        .expire(sessionKey, this.SESSION_TTL)
+        .exec();
+    } catch (error) {
+      console.error('Error reanudando sesión:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Deja la sesión en periodo de gracia tras caerse su conexión
+   *
+   * Operaciones realizadas en Redis (una sola transacción MULTI):
+   * 1. HSET disconnectedAt → Desde cuándo hay mensajes que reenviar
+   * 2. SET chat:session_grace:{socketId} EX → Marca de gracia (caduca sola
+   *    si la instancia cae antes de completar la desconexión)
+   */
+  async suspend(token, socketId) {
+    try {
+      await this.redis.multi()
+        .hSet(`${this.SESSION_KEY_PREFIX}${token}`, 'disconnectedAt', String(Date.now()))
+        .set(`${this.GRACE_KEY_PREFIX}${socketId}`, token, { EX: this.GRACE_PERIOD * 2 })
+        .exec();
+    } catch (error) {
+      console.error('Error suspendiendo sesión:', error);
+      throw error;
+    }
+  }
+
+  // Quedarse con la sesión de un socket en periodo de gracia (false si ya no lo estaba)
+  async claimGrace(socketId) {
+    try {
+      return (await this.redis.del(`${this.GRACE_KEY_PREFIX}${socketId}`)) > 0;
+    } catch (error) {
+      console.error('Error reclamando sesión:', error);
+      throw error;
+    }
+  }
+
+  // Cerrar una sesión definitivamente
+  async deleteSession(token) {
+    try {
+      await this.redis.del(`${this.SESSION_KEY_PREFIX}${token}`);
+    } catch (error) {
+      console.error('Error eliminando sesión:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = SessionService;
@@ -0,0 +1,86 @@
+const { getInstanceId } = require('../config/socketAdapter');
+
+class SocketStateService {
+  /**
+   * Constructor del servicio de estado de sockets
+   *
+   * Con varias instancias del servidor, el estado que cada handler guarda
+   * en el objeto socket (userId, username) vive solo en la memoria del
+   * proceso que aceptó la conexión. Este servicio lo replica en Redis para
+   * que otra instancia pueda recuperarlo si la primera cae y el cliente se
+   * reconecta contra ella. Las salas no forman parte del estado del socket:
+   * son del usuario (chat:user_rooms, ver UserService).
+   *
+   * @param {Object} redisClient - Cliente Redis ya conectado
+   *
+   * Estructura de datos en Redis:
+   * - chat:socket_state:{socketId} → Hash { userId, username, instanceId }
+   */
+  constructor(redisClient) {
+    this.redis = redisClient;
+    this.SOCKET_STATE_KEY_PREFIX = 'chat:socket_state:';
+    this.STATE_TTL = 86400; // 24 horas, igual que chat:socket_users
+  }
+
+  /**
+   * Guarda el estado completo de un socket
+   *
+   * Operaciones realizadas en Redis (una sola transacción MULTI):
+   * 1. HSET chat:socket_state:{socketId} → Estado del socket e instancia que lo atiende
+   * 2. EXPIRE chat:socket_state:{socketId} 24h → Limpieza si la instancia cae
+   */
+  async saveState(socketId, { userId, username }) {
+    try {
+      const stateKey = `${this.SOCKET_STATE_KEY_PREFIX}${socketId}`;
+
+      await this.redis.multi()
+        .hSet(stateKey, {
+          userId,
+          username,
+          instanceId: getInstanceId()
+        })
+        .expire(stateKey, this.STATE_TTL)
+        .exec();
+    } catch (error) {
+      console.error('Error guardando estado del socket:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene el estado guardado de un socket
+   *
+   * @param {string} socketId - ID del socket (puede ser de otra instancia)
+   * @returns {Promise<Object|null>} { userId, username, instanceId }, o null
+   *   si no hay estado
+   */
+  async getState(socketId) {
+    try {
+      const state = await this.redis.hGetAll(`${this.SOCKET_STATE_KEY_PREFIX}${socketId}`);
+      if (Object.keys(state).length === 0) {
+        return null;
+      }
+
+      return {
+        userId: state.userId,
+        username: state.username,
+        instanceId: state.instanceId
+      };
+    } catch (error) {
+      console.error('Error obteniendo estado del socket:', error);
+      throw error;
+    }
+  }
+
+  // Eliminar el estado de un socket (desconexión o estado ya recuperado)
+  async deleteState(socketId) {
+    try {
+      await this.redis.del(`${this.SOCKET_STATE_KEY_PREFIX}${socketId}`);
+    } catch (error) {
+      console.error('Error eliminando estado del socket:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = SocketStateService;
@@ -1,4 +1,45 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
 const User = require('../models/User');
+const PresenceService = require('./PresenceService');
+const { hashPassword, verifyPassword } = require('../utils/auth');
+
+// Reserva un nombre y guarda sus credenciales en un solo paso (los
+// scripts Lua se ejecutan de forma atómica). Un hash sin passwordHash no
+// es una cuenta: queda de un registro interrumpido y se reemplaza. Un
+// nombre reservado por un invitado tampoco se puede registrar.
+// KEYS: credenciales, identidad, reserva de invitado
+const REGISTER_CREDENTIALS_SCRIPT = `
+if redis.call('HEXISTS', KEYS[1], 'passwordHash') == 1 or redis.call('EXISTS', KEYS[3]) == 1 then
+  return 0
+end
+redis.call('DEL', KEYS[1])
+redis.call('HSET', KEYS[1], 'id', ARGV[1], 'username', ARGV[2], 'passwordHash', ARGV[3], 'createdAt', ARGV[4])
+redis.call('SET', KEYS[2], ARGV[2])
+return 1
+`;
+
+// Reserva un nombre para un invitado, o se lo devuelve si presenta el
+// secreto de reconexión de la reserva vigente. Devuelve { id, username }
+// de la reserva, o nil si el nombre es de una cuenta o de otro invitado.
+// KEYS: credenciales, reserva
+// ARGV: id nuevo, nombre, hash del secreto presentado ('' si ninguno),
+//       hash del secreto nuevo, TTL
+const RESERVE_GUEST_NAME_SCRIPT = `
+if redis.call('HEXISTS', KEYS[1], 'passwordHash') == 1 then
+  return nil
+end
+local secretHash = redis.call('HGET', KEYS[2], 'secretHash')
+if secretHash then
+  if secretHash ~= ARGV[3] then
+    return nil
+  end
+else
+  redis.call('HSET', KEYS[2], 'id', ARGV[1], 'username', ARGV[2], 'secretHash', ARGV[4])
+end
+redis.call('EXPIRE', KEYS[2], ARGV[5])
+return redis.call('HMGET', KEYS[2], 'id', 'username')
+`;
 
 class UserService {
   /**
@@ -12,7 +53,20 @@ class UserService {
    * Estructura de datos en Redis:
    * - chat:users:{userId} → Hash con datos completos del usuario
    * - chat:room_users:{roomId} → Set con IDs de usuarios en la sala
+   * - chat:user_rooms:{userId} → Set con IDs de las salas del usuario
    * - chat:socket_users:{socketId} → String que mapea socket a userID
+   * - chat:credentials:{username} → Hash con credenciales (username normalizado,
+   *   ver normalizeUsername): es el registro de nombres, uno por usuario
+   * - chat:identities:{userId} → String con el nombre visible; no expira,
+   *   a diferencia de chat:users:{userId}
+   * - chat:username_reservations:{username} → Hash con ID, nombre visible
+   *   y hash del secreto de reconexión de un invitado (username
+   *   normalizado); caduca como chat:users y cada user:join lo renueva
+   *
+   * Un usuario puede tener varias conexiones: `socketId` es la más reciente
+   * y PresenceService lleva el conjunto completo (isOnline es true mientras
+   * quede alguna). Las salas son del usuario, no de la conexión: todas
+   * sus conexiones están en todas sus salas.
    * 
    * Esta arquitectura permite:
    * - Lookup rápido de usuario por ID (O(1))
@@ -25,7 +79,192 @@ class UserService {
     this.redis = redisClient;
     this.USER_KEY_PREFIX = 'chat:users:';              // Datos completos de usuarios
     this.ROOM_USERS_KEY_PREFIX = 'chat:room_users:';   // Sets de usuarios por sala
+    this.USER_ROOMS_KEY_PREFIX = 'chat:user_rooms:';   // Sets de salas por usuario
     this.SOCKET_USER_KEY_PREFIX = 'chat:socket_users:'; // Mapeo socket → usuario
+    this.CREDENTIALS_KEY_PREFIX = 'chat:credentials:';  // Credenciales por username
+    this.IDENTITY_KEY_PREFIX = 'chat:identities:';      // Nombre por ID (permanente)
+    this.RESERVATION_KEY_PREFIX = 'chat:username_reservations:'; // Nombres de invitados
+    this.RESERVATION_TTL = 86400; // 24 horas, igual que chat:users
+    this.presenceService = new PresenceService(redisClient);
+  }
+
+  // Clave de credenciales (los nombres que se ven iguales comparten clave)
+  getCredentialsKey(username) {
+    return `${this.CREDENTIALS_KEY_PREFIX}${normalizeUsername(username)}`;
+  }
+
+  // Clave de credenciales anterior a normalizeUsername (ver migrate:credentials)
+  getLegacyCredentialsKey(username) {
+    return `${this.CREDENTIALS_KEY_PREFIX}${username.trim().toLowerCase()}`;
+  }
+
+  // Clave de la reserva de un nombre de invitado
+  getReservationKey(username) {
+    return `${this.RESERVATION_KEY_PREFIX}${normalizeUsername(username)}`;
+  }
+
+  /**
+   * Comprueba si un nombre de usuario está libre
+   *
+   * Usa la misma normalización que el registro, así que "ANA", "Ａｎａ"
+   * (ancho completo) o "ana" con espacios de más no están libres si
+   * existe "Ana". registerCredentials sigue reservando de forma atómica:
+   * un nombre libre aquí puede estar ocupado al registrarse.
+   *
+   * @param {string} username - Nombre a comprobar
+   * @returns {Promise<boolean>} true si no es de una cuenta ni está
+   *   reservado por un invitado
+   */
+  async isUsernameAvailable(username) {
+    try {
+      return !(await this.redis.exists([this.getCredentialsKey(username), this.getReservationKey(username)]));
+    } catch (error) {
+      console.error('Error comprobando nombre de usuario:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Registra credenciales para un nuevo usuario
+   *
+   * Las credenciales no expiran: el ID generado aquí es la identidad
+   * permanente del usuario y se reutiliza en cada conexión.
+   *
+   * @param {string} username - Nombre de usuario
+   * @param {string} password - Contraseña en texto plano
+   *
+   * @returns {Promise<{id: string, username: string}|null>} La identidad creada,
+   *   o null si el nombre ya está registrado
+   *
+   * Operaciones realizadas en Redis:
+   * 1. EVAL REGISTER_CREDENTIALS_SCRIPT → Reserva el nombre y guarda ID,
+   *    nombre visible y hash de contraseña de forma atómica, junto con
+   *    chat:identities:{id}. Falla si un invitado tiene el nombre reservado
+   */
+  async registerCredentials(username, password) {
+    try {
+      const credentialsKey = this.getCredentialsKey(username);
+      const id = uuidv4();
+      const passwordHash = await hashPassword(password);
+
+      // El script no escribe nada si otro registro ya tiene el nombre
+      const reserved = await this.redis.eval(REGISTER_CREDENTIALS_SCRIPT, {
+        keys: [credentialsKey, `${this.IDENTITY_KEY_PREFIX}${id}`, this.getReservationKey(username)],
+        arguments: [id, username.trim(), passwordHash, new Date().toISOString()]
+      });
+      if (!reserved) {
+        return null;
+      }
+
+      return { id, username: username.trim() };
+    } catch (error) {
+      console.error('Error registrando credenciales:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Verifica credenciales y devuelve la identidad, o null si no coinciden
+   *
+   * Las cuentas que aún no ha movido migrate:credentials se buscan también
+   * en su clave anterior (nombre en minúsculas, sin normalizar), igual que
+   * las que la migración no pudo mover porque su nombre normalizado ya era
+   * de otra cuenta.
+   */
+  async verifyCredentials(username, password) {
+    try {
+      const credentialsKey = this.getCredentialsKey(username);
+      const legacyKey = this.getLegacyCredentialsKey(username);
+      const keys = legacyKey === credentialsKey ? [credentialsKey] : [credentialsKey, legacyKey];
+
+      for (const key of keys) {
+        const credentials = await this.redis.hGetAll(key);
+        if (credentials.passwordHash && await verifyPassword(password, credentials.passwordHash)) {
+          return { id: credentials.id, username: credentials.username };
+        }
+      }
+
+      return null;
+    } catch (error) {
+      console.error('Error verificando credenciales:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reserva un nombre para un invitado (usuario sin cuenta)
+   *
+   * La reserva dura lo mismo que el perfil del usuario (RESERVATION_TTL) y
+   * cada user:join la renueva; al caducar el nombre queda libre. Mientras
+   * tanto el invitado lo recupera, con el mismo ID, presentando el secreto
+   * de reconexión que recibió al reservarlo. En Redis solo se guarda el
+   * hash SHA-256 del secreto: es aleatorio y largo, no hace falta scrypt.
+   *
+   * @param {string} username - Nombre a reservar
+   * @param {string} [reconnectSecret] - Secreto de una reserva anterior
+   *
+   * @returns {Promise<{id: string, username: string, reconnectSecret: string}|null>}
+   *   La identidad del invitado y su secreto, o null si el nombre es de una
+   *   cuenta o de otro invitado
+   *
+   * Operaciones realizadas en Redis:
+   * 1. EVAL RESERVE_GUEST_NAME_SCRIPT → Comprueba credenciales y reserva,
+   *    y crea o renueva la reserva de forma atómica
+   */
+  async reserveGuestName(username, reconnectSecret) {
+    try {
+      const secret = reconnectSecret || crypto.randomBytes(32).toString('base64url');
+
+      const reserved = await this.redis.eval(RESERVE_GUEST_NAME_SCRIPT, {
+        keys: [this.getCredentialsKey(username), this.getReservationKey(username)],
+        arguments: [
+          uuidv4(),
+          username.trim(),
+          reconnectSecret ? hashSecret(reconnectSecret) : '',
+          hashSecret(secret),
+          String(this.RESERVATION_TTL)
+        ]
+      });
+      if (!reserved) {
+        return null;
+      }
+
+      const [id, reservedUsername] = reserved;
+      return { id, username: reservedUsername, reconnectSecret: secret };
+    } catch (error) {
+      console.error('Error reservando nombre de invitado:', error);
+      throw error;
+    }
+  }
+
+  // Comprobar que el nombre de un invitado sigue reservado a su ID
+  async hasGuestReservation(user) {
+    try {
+      return await this.redis.hGet(this.getReservationKey(user.username), 'id') === user.id;
+    } catch (error) {
+      console.error('Error comprobando reserva de nombre:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Renueva la reserva del nombre de un invitado al conectarse (user:join)
+   *
+   * @param {{id: string, username: string}} user - Identidad del token
+   * @returns {Promise<boolean>} false si la reserva caducó o ya es de otro
+   */
+  async renewGuestReservation(user) {
+    try {
+      if (!(await this.hasGuestReservation(user))) {
+        return false;
+      }
+
+      await this.redis.expire(this.getReservationKey(user.username), this.RESERVATION_TTL);
+      return true;
+    } catch (error) {
+      console.error('Error renovando reserva de nombre:', error);
+      throw error;
+    }
   }
 
   /**
@@ -42,13 +281,12 @@ class UserService {
    * @param {string} [userData.id] - ID único del usuario (se genera si no existe)
    * @param {string} userData.username - Nombre visible del usuario
    * @param {string} userData.socketId - ID de la conexión WebSocket
-   * @param {string} [userData.roomId] - ID de la sala actual (opcional)
    * 
    * @returns {Promise<User>} El usuario creado/actualizado
    * 
    * @throws {Error} Si los datos del usuario son inválidos
    * 
-   * Operaciones realizadas en Redis:
+   * Operaciones realizadas en Redis (una sola transacción MULTI):
    * 1. HSET chat:users:{userId} → Guarda datos completos del usuario
    * 2. SET chat:socket_users:{socketId} → Mapea socket a user ID
    * 3. EXPIRE ambas claves con TTL de 24h → Limpieza automática
@@ -72,18 +310,18 @@ class UserService {
       const userKey = `${this.USER_KEY_PREFIX}${user.id}`;
       const socketUserKey = `${this.SOCKET_USER_KEY_PREFIX}${user.socketId}`;
 
-      // 1. Guardar datos completos del usuario como Hash
-      //    Permite acceso O(1) a todos los datos del usuario
-      await this.redis.hSet(userKey, user.toRedisObject());
-      
-      // 2. Crear mapeo bidireccional socket → user
-      //    Crucial para manejar eventos de Socket.io donde solo tenemos socketId
-      await this.redis.set(socketUserKey, user.id);
-      
-      // 3. Configurar TTL para limpieza automática
-      //    24 horas permite reconexiones pero evita acumulación
-      await this.redis.expire(userKey, 86400);
-      await this.redis.expire(socketUserKey, 86400);
+      await this.redis.multi()
+        // 1. Guardar datos completos del usuario como Hash
+        //    Permite acceso O(1) a todos los datos del usuario
+        .hSet(userKey, user.toRedisObject())
+        // 2. Crear mapeo bidireccional socket → user
+        //    Crucial para manejar eventos de Socket.io donde solo tenemos socketId
+        .set(socketUserKey, user.id)
+        // 3. Configurar TTL para limpieza automática
+        //    24 horas permite reconexiones pero evita acumulación
+        .expire(userKey, 86400)
+        .expire(socketUserKey, 86400)
+        .exec();
 
       return user;
     } catch (error) {
@@ -109,6 +347,54 @@ class UserService {
     }
   }
 
+  /**
+   * Obtiene la identidad permanente de un usuario registrado
+   *
+   * A diferencia de getUser, sirve para usuarios que llevan más de un día
+   * sin conectarse (destinatarios de mensajes directos, usuarios a los que
+   * se sanciona).
+   * Las cuentas anteriores a chat:identities solo se encuentran mientras
+   * tienen perfil.
+   *
+   * @param {string} userId - ID del usuario
+   * @returns {Promise<{id: string, username: string}|null>} null si no existe
+   */
+  async getIdentity(userId) {
+    try {
+      const username = await this.redis.get(`${this.IDENTITY_KEY_PREFIX}${userId}`);
+      if (username) {
+        return { id: userId, username };
+      }
+
+      const user = await this.getUser(userId);
+      return user ? { id: user.id, username: user.username } : null;
+    } catch (error) {
+      console.error('Error obteniendo identidad:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene varios usuarios con un único pipeline de HGETALL
+   *
+   * @param {string[]} userIds - IDs de usuarios
+   * @returns {Promise<User[]>} Usuarios existentes (los expirados se omiten)
+   */
+  async getUsers(userIds) {
+    try {
+      const pipeline = this.redis.multi();
+      userIds.forEach(userId => pipeline.hGetAll(`${this.USER_KEY_PREFIX}${userId}`));
+      const results = await pipeline.execAsPipeline();
+
+      return results
+        .filter(userData => Object.keys(userData).length > 0)
+        .map(userData => User.fromRedisObject(userData));
+    } catch (error) {
+      console.error('Error obteniendo usuarios:', error);
+      throw error;
+    }
+  }
+
   // Obtener usuario por socket ID
   async getUserBySocketId(socketId) {
     try {
@@ -126,11 +412,31 @@ class UserService {
     }
   }
 
+  // Eliminar el mapeo socket → usuario de una conexión que ya no existe
+  async deleteSocketMapping(socketId) {
+    try {
+      await this.redis.del(`${this.SOCKET_USER_KEY_PREFIX}${socketId}`);
+    } catch (error) {
+      console.error('Error eliminando mapeo de socket:', error);
+      throw error;
+    }
+  }
+
+  // Obtener los sockets activos de un usuario, de todas sus conexiones (vacío si está offline)
+  async getUserSocketIds(userId) {
+    try {
+      return await this.presenceService.getSocketIds(userId);
+    } catch (error) {
+      console.error('Error obteniendo sockets del usuario:', error);
+      throw error;
+    }
+  }
+
   /**
    * Añade un usuario a una sala usando Set de Redis
    * 
    * Esta función mantiene la integridad bidireccional:
-   * - El usuario conoce su sala actual
+   * - El usuario conoce todas sus salas
    * - La sala conoce todos sus usuarios
    * 
    * Usa Redis Set para prevenir duplicados automáticamente.
@@ -139,13 +445,13 @@ class UserService {
    * @param {string} userId - ID único del usuario
    * @param {string} roomId - ID único de la sala
    * 
-   * @returns {Promise<boolean>} true si la operación fue exitosa
+   * @returns {Promise<boolean>} true si el usuario no estaba ya en la sala
    * 
    * @throws {Error} Si hay error en las operaciones de Redis
    * 
-   * Operaciones realizadas en Redis:
+   * Operaciones realizadas en Redis (una sola transacción MULTI):
    * 1. SADD chat:room_users:{roomId} {userId} → Añade usuario al Set de la sala
-   * 2. HSET chat:users:{userId} roomId {roomId} → Actualiza sala actual del usuario
+   * 2. SADD chat:user_rooms:{userId} {roomId} → Añade la sala a las del usuario
    * 
    * Ventajas del uso de Set:
    * - No permite duplicados (operación idempotente)
@@ -159,57 +465,96 @@ class UserService {
   async addUserToRoom(userId, roomId) {
     try {
       const roomUsersKey = `${this.ROOM_USERS_KEY_PREFIX}${roomId}`;
+      const userRoomsKey = `${this.USER_ROOMS_KEY_PREFIX}${userId}`;
       
-      // Añadir usuario al Set de la sala
-      // SADD es idempotente - no crea duplicados si ya existe
-      await this.redis.sAdd(roomUsersKey, userId);
+      const [added] = await this.redis.multi()
+        // Añadir usuario al Set de la sala
+        // SADD es idempotente - no crea duplicados si ya existe
+        .sAdd(roomUsersKey, userId)
+        // Añadir la sala a las del usuario
+        // Esto permite saber rápidamente en qué salas está un usuario
+        .sAdd(userRoomsKey, roomId)
+        .exec();
       
-      // Actualizar la sala actual en el perfil del usuario
-      // Esto permite saber rápidamente en qué sala está un usuario
-      const userKey = `${this.USER_KEY_PREFIX}${userId}`;
-      await this.redis.hSet(userKey, 'roomId', roomId);
-      
-      return true;
+      return added > 0;
     } catch (error) {
       console.error('Error añadiendo usuario a sala:', error);
       throw error;
     }
   }
 
-  // Remover usuario de una sala
+  // Remover usuario de una sala (true si estaba en ella)
   async removeUserFromRoom(userId, roomId) {
     try {
       const roomUsersKey = `${this.ROOM_USERS_KEY_PREFIX}${roomId}`;
-      await this.redis.sRem(roomUsersKey, userId);
-      
-      // Limpiar el roomId del usuario
-      const userKey = `${this.USER_KEY_PREFIX}${userId}`;
-      await this.redis.hSet(userKey, 'roomId', '');
+      const userRoomsKey = `${this.USER_ROOMS_KEY_PREFIX}${userId}`;
+
+      // Sacar de la sala y quitarla de las del usuario en la misma transacción
+      const [removed] = await this.redis.multi()
+        .sRem(roomUsersKey, userId)
+        .sRem(userRoomsKey, roomId)
+        .exec();
       
-      return true;
+      return removed > 0;
     } catch (error) {
       console.error('Error removiendo usuario de sala:', error);
       throw error;
     }
   }
 
-  // Obtener usuarios de una sala
+  // Obtener los IDs de las salas en las que está un usuario
+  async getUserRooms(userId) {
+    try {
+      return await this.redis.sMembers(`${this.USER_ROOMS_KEY_PREFIX}${userId}`);
+    } catch (error) {
+      console.error('Error obteniendo salas del usuario:', error);
+      throw error;
+    }
+  }
+
+  // Comprobar si un usuario está en una sala
+  async isUserInRoom(userId, roomId) {
+    try {
+      return await this.redis.sIsMember(`${this.ROOM_USERS_KEY_PREFIX}${roomId}`, userId);
+    } catch (error) {
+      console.error('Error comprobando usuario en sala:', error);
+      throw error;
+    }
+  }
+
+  // Obtener usuarios de una sala (SMEMBERS + un pipeline con sus datos)
   async getRoomUsers(roomId) {
     try {
       const roomUsersKey = `${this.ROOM_USERS_KEY_PREFIX}${roomId}`;
       const userIds = await this.redis.sMembers(roomUsersKey);
       
-      const users = [];
-      for (const userId of userIds) {
-        const user = await this.getUser(userId);
-        if (user) {
-          users.push(user);
-        }
+      return await this.getUsers(userIds);
+    } catch (error) {
+      console.error('Error obteniendo usuarios de sala:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resuelve las menciones (@usuario) de un mensaje entre los usuarios de la sala
+   *
+   * Los nombres se comparan normalizados (ver normalizeUsername), así que
+   * "@ANA" menciona a "Ana", y pueden tener espacios ("@Ana María").
+   *
+   * @param {string} roomId - Sala del mensaje
+   * @param {string} content - Contenido del mensaje
+   * @returns {Promise<User[]>} Usuarios mencionados (sin repetir)
+   */
+  async resolveMentions(roomId, content) {
+    try {
+      if (!content || !content.includes('@')) {
+        return [];
       }
 
-      return users;
+      const users = await this.getRoomUsers(roomId);
+      return findMentions(content, users);
     } catch (error) {
-      console.error('Error obteniendo usuarios de sala:', error);
+      console.error('Error resolviendo menciones:', error);
       throw error;
     }
   }
@@ -225,13 +570,16 @@ class UserService {
     }
   }
 
-  // Marcar usuario como offline
+  // Marcar usuario como offline (sin tocar el mapeo de sus sockets)
   async setUserOffline(userId) {
     try {
       const user = await this.getUser(userId);
       if (user) {
         user.setOffline();
-        await this.saveUser(user);
+        await this.redis.hSet(`${this.USER_KEY_PREFIX}${userId}`, {
+          isOnline: 'false',
+          lastSeen: user.lastSeen
+        });
       }
       return user;
     } catch (error) {
@@ -240,6 +588,25 @@ class UserService {
     }
   }
 
+  // Volver a marcar como online (la limpieza de presencia lo había dado por desconectado)
+  async setUserOnline(userId, socketId) {
+    try {
+      const user = await this.getUser(userId);
+      if (user) {
+        user.setOnline(socketId);
+        await this.redis.hSet(`${this.USER_KEY_PREFIX}${userId}`, {
+          isOnline: 'true',
+          socketId,
+          lastSeen: user.lastSeen
+        });
+      }
+      return user;
+    } catch (error) {
+      console.error('Error marcando usuario online:', error);
+      throw error;
+    }
+  }
+
   /**
    * Limpia todos los datos relacionados con un usuario al desconectarse
    * 
@@ -253,12 +620,15 @@ class UserService {
    * 
    * @param {string} socketId - ID de la conexión WebSocket que se desconectó
    * 
-   * @returns {Promise<User|null>} El usuario que se limpió, o null si no se encontró
+   * @returns {Promise<User|null>} El usuario que se limpió (isOnline false si
+   *   era su última conexión), o null si no se encontró
    * 
    * Proceso de limpieza:
    * 1. Buscar usuario por socket ID
-   * 2. Si está en una sala, removerlo del Set de usuarios de la sala
-   * 3. Marcar usuario como offline (actualizar estado y lastSeen)
+   * 2. Quitar la conexión de su presencia (PresenceService)
+   * 3. Si era su última conexión: marcarlo como offline (actualizar
+   *    estado y lastSeen). Sus salas las deja el handler de disconnect,
+   *    que anuncia la salida en cada una
    * 4. Eliminar mapeo socket → usuario
    * 5. Los datos del usuario se conservan (para historial)
    * 
@@ -274,16 +644,16 @@ class UserService {
       const user = await this.getUserBySocketId(socketId);
       
       if (user) {
-        // Si el usuario está en una sala, removerlo
-        // Esto actualiza el contador de usuarios y notifica a otros
-        if (user.roomId) {
-          await this.removeUserFromRoom(user.id, user.roomId);
+        // Con otras conexiones abiertas el usuario sigue online
+        const { lastConnection } = await this.presenceService.removeConnection(user.id, socketId);
+
+        if (lastConnection) {
+          // Marcar como offline y actualizar timestamp de última conexión
+          // Preserva el perfil del usuario para historial
+          await this.setUserOffline(user.id);
+          user.setOffline();
         }
         
-        // Marcar como offline y actualizar timestamp de última conexión
-        // Preserva el perfil del usuario para historial
-        await this.setUserOffline(user.id);
-        
         // Eliminar el mapeo socket → usuario
         // Esto libera el socket ID para futuros usuarios
         const socketUserKey = `${this.SOCKET_USER_KEY_PREFIX}${socketId}`;
@@ -298,4 +668,66 @@ class UserService {
   }
 }
 
-module.exports = UserService;
\ No newline at end of file
+/**
+ * Normaliza un nombre de usuario para compararlo con los registrados
+ *
+ * NFKC unifica las variantes de compatibilidad ("Ａｎａ" → "Ana", ligaduras,
+ * superíndices); después se quitan caracteres de control e invisibles, se
+ * colapsan los espacios y se pasa a minúsculas.
+ */
+function normalizeUsername(username) {
+  return String(username)
+    .normalize('NFKC')
+    .replace(/\p{C}/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Busca en un texto las menciones (@nombre) de una lista de usuarios
+ *
+ * Una mención termina donde acaba el nombre: "@ana," o "@ana!" mencionan
+ * a "ana", pero "@anabel" no. Si dos nombres se solapan ("@Ana María" con
+ * "Ana" y "Ana María" en la sala) gana el más largo.
+ *
+ * @param {string} content - Texto del mensaje
+ * @param {Array<{username: string}>} users - Candidatos
+ * @returns {Array} Los usuarios mencionados, en el orden de la lista
+ */
+function findMentions(content, users) {
+  const text = normalizeUsername(content);
+
+  const matches = [];
+  users.forEach((user, index) => {
+    const name = normalizeUsername(user.username);
+    if (!name) return;
+
+    const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}_])@${escaped}(?![\\p{L}\\p{N}_])`, 'gu');
+    for (const match of text.matchAll(pattern)) {
+      matches.push({ index, start: match.index, end: match.index + match[0].length });
+    }
+  });
+
+  // Los nombres más largos primero; uno más corto dentro de otro no cuenta
+  matches.sort((a, b) => (b.end - b.start) - (a.end - a.start));
+  const accepted = [];
+  for (const match of matches) {
+    if (!accepted.some(other => match.start < other.end && other.start < match.end)) {
+      accepted.push(match);
+    }
+  }
+
+  const mentioned = new Set(accepted.map(match => match.index));
+  return users.filter((user, index) => mentioned.has(index));
+}
+
+// Hash de un secreto de reconexión
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+module.exports = UserService;
+module.exports.normalizeUsername = normalizeUsername;
+module.exports.findMentions = findMentions;
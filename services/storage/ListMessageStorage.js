@@ -0,0 +1,228 @@
+const Message = require('../../models/Message');
+
+class ListMessageStorage {
+  /**
+   * Almacenamiento del historial de salas con Lista + Hash (modo 'list')
+   *
+   * Es el modo original y el que se usa por defecto (MESSAGE_STORAGE=list).
+   *
+   * @param {Object} redisClient - Cliente Redis ya conectado
+   *
+   * Estructura de datos en Redis:
+   * - chat:messages:{messageId} → Hash con datos completos del mensaje (con TTL)
+   * - chat:room_messages:{roomId} → Lista de IDs [más_reciente, ..., más_antiguo]
+   *
+   * Limitaciones conocidas:
+   * - Cuando un Hash expira por TTL su ID queda colgando en la lista
+   *   hasta que LTRIM lo descarta
+   * - Leer una página cuesta un HGETALL por mensaje (agrupados en un pipeline)
+   */
+  constructor(redisClient) {
+    this.redis = redisClient;
+    this.MESSAGE_KEY_PREFIX = 'chat:messages:';
+    this.ROOM_MESSAGES_KEY_PREFIX = 'chat:room_messages:';
+    this.MAX_ROOM_MESSAGES = 1000; // Tamaño máximo de la lista de cada sala
+  }
+
+  /**
+   * Guarda un mensaje nuevo de una sala
+   *
+   * Operaciones realizadas en Redis (una sola transacción MULTI):
+   * 1. HSET chat:messages:{id} → Almacena datos completos del mensaje
+   * 2. LPUSH chat:room_messages:{roomId} → Añade ID a lista cronológica de la sala
+   * 3. LTRIM chat:room_messages:{roomId} 0 999 → Mantiene solo últimos 1000 mensajes
+   * 4. EXPIRE chat:messages:{id} TTL → Programa eliminación automática
+   */
+  async append(message, ttl) {
+    const messageKey = `${this.MESSAGE_KEY_PREFIX}${message.id}`;
+    const roomMessagesKey = `${this.ROOM_MESSAGES_KEY_PREFIX}${message.roomId}`;
+
+    await this.redis.multi()
+      .hSet(messageKey, message.toRedisObject())
+      .lPush(roomMessagesKey, message.id)
+      .lTrim(roomMessagesKey, 0, this.MAX_ROOM_MESSAGES - 1)
+      .expire(messageKey, ttl)
+      .exec();
+  }
+
+  // Obtener un mensaje por ID (null si no existe o expiró)
+  async getMessage(messageId) {
+    const messageData = await this.redis.hGetAll(`${this.MESSAGE_KEY_PREFIX}${messageId}`);
+    return Object.keys(messageData).length > 0 ? Message.fromRedisObject(messageData) : null;
+  }
+
+  // Los cambios se escriben directamente en el Hash: no hay nada que registrar
+  async markUpdated() {}
+
+  /**
+   * Obtiene mensajes por offset, en orden cronológico (más antiguos primero)
+   *
+   * LRANGE es O(N) donde N = limit, no el total de mensajes
+   */
+  async getMessages(roomId, limit, offset) {
+    const roomMessagesKey = `${this.ROOM_MESSAGES_KEY_PREFIX}${roomId}`;
+    const messageIds = await this.redis.lRange(roomMessagesKey, offset, offset + limit - 1);
+
+    const messages = await this.loadMessages(messageIds);
+    return messages.reverse();
+  }
+
+  /**
+   * Obtiene una página de mensajes a partir de un cursor
+   *
+   * @returns {Promise<Object|null>} { messages, nextCursor, hasMore }, o
+   *   null si el cursor no es válido (ver MessageService.getRoomMessagesPage)
+   */
+  async getPage(roomId, { limit, before, after }) {
+    const roomMessagesKey = `${this.ROOM_MESSAGES_KEY_PREFIX}${roomId}`;
+    const total = await this.redis.lLen(roomMessagesKey);
+
+    // La lista está ordenada [más_reciente, ..., más_antiguo], así que
+    // "anteriores" son índices mayores y "posteriores" índices menores
+    let start;
+    let end;
+    if (after) {
+      const boundary = await this.resolveCursor(roomMessagesKey, total, after);
+      if (boundary === null) return null;
+      end = boundary.newerEnd;
+      start = Math.max(0, end - limit + 1);
+    } else {
+      let from = 0;
+      if (before) {
+        const boundary = await this.resolveCursor(roomMessagesKey, total, before);
+        if (boundary === null) return null;
+        from = boundary.olderStart;
+      }
+      start = from;
+      end = from + limit - 1;
+    }
+
+    const messageIds = end >= start
+      ? await this.redis.lRange(roomMessagesKey, start, end)
+      : [];
+    const hasMore = after ? start > 0 : end + 1 < total;
+
+    // El cursor siguiente sale de los IDs de la lista y no de los
+    // mensajes cargados, para no atascarse si alguno expiró
+    let nextCursor = null;
+    if (messageIds.length > 0) {
+      nextCursor = after ? messageIds[0] : messageIds[messageIds.length - 1];
+    }
+
+    const messages = await this.loadMessages(messageIds);
+
+    return {
+      messages: messages.reverse(),
+      nextCursor,
+      hasMore
+    };
+  }
+
+  /**
+   * Traduce un cursor a posiciones de la lista de mensajes de una sala
+   *
+   * - ID de mensaje: LPOS da su índice directamente
+   * - Timestamp: búsqueda binaria sobre la lista (O(log N) lecturas),
+   *   aprovechando que está ordenada por fecha
+   *
+   * @returns {Promise<Object|null>} { olderStart, newerEnd }: primer índice
+   *   con mensajes más antiguos que el cursor y último índice con mensajes
+   *   más recientes; null si el cursor no es un ID de la sala ni una fecha
+   */
+  async resolveCursor(roomMessagesKey, total, cursor) {
+    const index = await this.redis.lPos(roomMessagesKey, cursor);
+    if (index !== null) {
+      return { olderStart: index + 1, newerEnd: index - 1 };
+    }
+
+    const time = parseCursorTime(cursor);
+    if (time === null) {
+      return null;
+    }
+
+    // Primer índice cuyo mensaje cumple la condición (la lista va de más
+    // reciente a más antiguo, así que la condición es monótona)
+    const firstIndexWhere = async (predicate) => {
+      let low = 0;
+      let high = total;
+      while (low < high) {
+        const middle = Math.floor((low + high) / 2);
+        const [messageId] = await this.redis.lRange(roomMessagesKey, middle, middle);
+        const timestamp = await this.redis.hGet(`${this.MESSAGE_KEY_PREFIX}${messageId}`, 'timestamp');
+        // Un mensaje expirado por TTL es de los más antiguos de la lista
+        if (!timestamp || predicate(new Date(timestamp).getTime())) {
+          high = middle;
+        } else {
+          low = middle + 1;
+        }
+      }
+      return low;
+    };
+
+    return {
+      olderStart: await firstIndexWhere(messageTime => messageTime < time),
+      newerEnd: (await firstIndexWhere(messageTime => messageTime <= time)) - 1
+    };
+  }
+
+  /**
+   * Carga los mensajes de una lista de IDs, omitiendo los que expiraron
+   *
+   * Todos los HGETALL van en un único pipeline: un viaje de ida y vuelta
+   * a Redis en vez de uno por mensaje.
+   */
+  async loadMessages(messageIds) {
+    const pipeline = this.redis.multi();
+    messageIds.forEach(messageId => pipeline.hGetAll(`${this.MESSAGE_KEY_PREFIX}${messageId}`));
+    const results = await pipeline.execAsPipeline();
+
+    return results
+      .filter(messageData => Object.keys(messageData).length > 0)
+      .map(messageData => Message.fromRedisObject(messageData));
+  }
+
+  // Borrado definitivo de un mensaje de la sala (Hash + ID de la lista, en MULTI)
+  async remove(message) {
+    await this.redis.multi()
+      .del(`${this.MESSAGE_KEY_PREFIX}${message.id}`)
+      .lRem(`${this.ROOM_MESSAGES_KEY_PREFIX}${message.roomId}`, 0, message.id)
+      .exec();
+  }
+
+  // Contar mensajes en el historial de una sala
+  async count(roomId) {
+    return await this.redis.lLen(`${this.ROOM_MESSAGES_KEY_PREFIX}${roomId}`);
+  }
+
+  // ID del mensaje más reciente de la sala (null si está vacía)
+  async getLatestId(roomId) {
+    const [latestId] = await this.redis.lRange(`${this.ROOM_MESSAGES_KEY_PREFIX}${roomId}`, 0, 0);
+    return latestId || null;
+  }
+
+  /**
+   * Cuenta los mensajes posteriores a uno dado
+   *
+   * Como la lista está ordenada del más reciente al más antiguo, la
+   * posición del mensaje es exactamente ese número.
+   *
+   * @returns {Promise<number|null>} null si el mensaje ya no está en la lista
+   */
+  async countNewer(roomId, messageId) {
+    return await this.redis.lPos(`${this.ROOM_MESSAGES_KEY_PREFIX}${roomId}`, messageId);
+  }
+}
+
+/**
+ * Interpreta un cursor como instante (milisegundos o fecha ISO 8601)
+ *
+ * @param {string} cursor - Cursor recibido del cliente
+ * @returns {number|null} Milisegundos desde epoch, o null si no es una fecha
+ */
+function parseCursorTime(cursor) {
+  const time = /^\d+$/.test(cursor) ? parseInt(cursor) : Date.parse(cursor);
+  return Number.isNaN(time) ? null : time;
+}
+
+module.exports = ListMessageStorage;
+module.exports.parseCursorTime = parseCursorTime;
@@ -0,0 +1,58 @@
+const fs = require('fs');
+const path = require('path');
+
+class LocalFileStorage {
+  /**
+   * Almacenamiento de archivos adjuntos en disco local (FILE_STORAGE=local)
+   *
+   * Es el driver por defecto. Cualquier otro (S3, GCS...) debe ofrecer los
+   * mismos métodos: put, get y remove, con claves como '{attachmentId}/original'.
+   *
+   * @param {string} [directory] - Carpeta raíz (UPLOAD_DIR, 'uploads' por defecto)
+   *
+   * Limitaciones conocidas:
+   * - Con varias instancias la carpeta debe estar compartida (volumen de
+   *   red) o cada una solo servirá lo que se subió a ella
+   */
+  constructor(directory = process.env.UPLOAD_DIR || 'uploads') {
+    this.root = path.resolve(directory);
+  }
+
+  // Ruta absoluta de una clave, sin salir de la carpeta raíz
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Clave de almacenamiento no válida: ${key}`);
+    }
+    return filePath;
+  }
+
+  // Guardar el contenido de un archivo
+  async put(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+  }
+
+  // Stream de lectura de un archivo (null si no existe)
+  async get(key) {
+    const filePath = this.resolve(key);
+    try {
+      await fs.promises.access(filePath);
+    } catch (error) {
+      return null;
+    }
+    return fs.createReadStream(filePath);
+  }
+
+  // Eliminar un archivo (no falla si ya no existe)
+  async remove(key) {
+    const filePath = this.resolve(key);
+    await fs.promises.rm(filePath, { force: true });
+
+    // La carpeta del adjunto se elimina al quedarse vacía
+    await fs.promises.rmdir(path.dirname(filePath)).catch(() => {});
+  }
+}
+
+module.exports = LocalFileStorage;
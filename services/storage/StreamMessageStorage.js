@@ -0,0 +1,275 @@
+const Message = require('../../models/Message');
+const { parseCursorTime } = require('./ListMessageStorage');
+
+class StreamMessageStorage {
+  /**
+   * Almacenamiento del historial de salas con Redis Streams (modo 'stream')
+   *
+   * Se activa con MESSAGE_STORAGE=stream. Requiere Redis >= 6.2 (MINID y
+   * rangos exclusivos en XRANGE). Para pasar datos existentes del modo
+   * 'list' a este modo: npm run migrate:streams
+   *
+   * @param {Object} redisClient - Cliente Redis ya conectado
+   *
+   * Estructura de datos en Redis:
+   * - chat:room_stream:{roomId} → Stream con los mensajes completos de la sala
+   * - chat:messages:{messageId} → Hash { roomId, streamId } + campos modificados
+   *   después de enviar el mensaje (edición, borrado, contadores de hilo)
+   * - chat:room_stream_updated:{roomId} → Set de IDs de mensajes con campos modificados
+   *
+   * Ventajas frente al modo 'list':
+   * - La retención se aplica al propio stream (XADD MAXLEN ~ y XTRIM MINID ~),
+   *   así que no quedan IDs colgando de mensajes expirados
+   * - Una página de historial es un XREVRANGE más un SMISMEMBER; solo los
+   *   mensajes modificados necesitan además su HGETALL (en un pipeline)
+   */
+  constructor(redisClient) {
+    this.redis = redisClient;
+    this.MESSAGE_KEY_PREFIX = 'chat:messages:';
+    this.STREAM_KEY_PREFIX = 'chat:room_stream:';
+    this.UPDATED_KEY_PREFIX = 'chat:room_stream_updated:';
+  }
+
+  // Longitud máxima aproximada de cada stream (MESSAGE_STREAM_MAXLEN, 1000 por defecto)
+  getMaxLength() {
+    return parseInt(process.env.MESSAGE_STREAM_MAXLEN) || 1000;
+  }
+
+  /**
+   * Guarda un mensaje nuevo de una sala
+   *
+   * Operaciones realizadas en Redis (dos transacciones MULTI, la segunda
+   * necesita el streamId generado por la primera):
+   * 1. XADD chat:room_stream:{roomId} MAXLEN ~ N * → Mensaje completo
+   * 2. XTRIM MINID ~ (ahora - TTL) → Descarta mensajes fuera del periodo de retención
+   * 3. HSET chat:messages:{id} roomId streamId → Localizar el mensaje por ID
+   * 4. EXPIRE del stream y del Hash → Salas inactivas desaparecen solas
+   */
+  async append(message, ttl) {
+    const streamKey = `${this.STREAM_KEY_PREFIX}${message.roomId}`;
+    const messageKey = `${this.MESSAGE_KEY_PREFIX}${message.id}`;
+
+    const [streamId] = await this.redis.multi()
+      .xAdd(streamKey, '*', toStreamFields(message), {
+        TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold: this.getMaxLength() }
+      })
+      .xTrim(streamKey, 'MINID', Date.now() - ttl * 1000, { strategyModifier: '~' })
+      .expire(streamKey, ttl)
+      .exec();
+
+    await this.redis.multi()
+      .hSet(messageKey, { roomId: message.roomId, streamId })
+      .expire(messageKey, ttl)
+      .exec();
+  }
+
+  /**
+   * Obtiene un mensaje por ID (null si no existe o salió del stream)
+   *
+   * Las respuestas de hilos no van al stream de la sala: su Hash
+   * contiene el mensaje completo, igual que en el modo 'list'.
+   */
+  async getMessage(messageId) {
+    const data = await this.redis.hGetAll(`${this.MESSAGE_KEY_PREFIX}${messageId}`);
+    if (Object.keys(data).length === 0) {
+      return null;
+    }
+
+    if (!data.streamId) {
+      return Message.fromRedisObject(data);
+    }
+
+    const [entry] = await this.redis.xRange(
+      `${this.STREAM_KEY_PREFIX}${data.roomId}`, data.streamId, data.streamId
+    );
+    return entry ? toMessage(entry, data) : null;
+  }
+
+  /**
+   * Registra que un mensaje tiene campos modificados en su Hash
+   *
+   * Las entradas de un stream son inmutables: ediciones, borrados lógicos
+   * y contadores de hilo se guardan en chat:messages:{id} y se aplican
+   * encima de la entrada al leer.
+   */
+  async markUpdated(message, ttl) {
+    if (message.parentId) {
+      return; // Las respuestas viven solo en su Hash
+    }
+
+    const updatedKey = `${this.UPDATED_KEY_PREFIX}${message.roomId}`;
+    await this.redis.multi()
+      .sAdd(updatedKey, message.id)
+      .expire(updatedKey, ttl)
+      .exec();
+  }
+
+  // Obtener mensajes por offset, en orden cronológico (más antiguos primero)
+  async getMessages(roomId, limit, offset) {
+    const entries = await this.redis.xRevRange(
+      `${this.STREAM_KEY_PREFIX}${roomId}`, '+', '-', { COUNT: offset + limit }
+    );
+
+    const messages = await this.loadEntries(roomId, entries.slice(offset));
+    return messages.reverse();
+  }
+
+  /**
+   * Obtiene una página de mensajes a partir de un cursor
+   *
+   * Se pide un elemento de más para saber si hay más páginas sin
+   * necesidad de contar el stream.
+   *
+   * @returns {Promise<Object|null>} { messages, nextCursor, hasMore }, o
+   *   null si el cursor no es válido (ver MessageService.getRoomMessagesPage)
+   */
+  async getPage(roomId, { limit, before, after }) {
+    const streamKey = `${this.STREAM_KEY_PREFIX}${roomId}`;
+
+    if (after) {
+      const start = await this.resolveCursor(roomId, after, 'after');
+      if (start === null) return null;
+
+      const entries = await this.redis.xRange(streamKey, start, '+', { COUNT: limit + 1 });
+      const page = entries.slice(0, limit);
+
+      return {
+        messages: await this.loadEntries(roomId, page),
+        nextCursor: page.length > 0 ? page[page.length - 1].message.id : null,
+        hasMore: entries.length > limit
+      };
+    }
+
+    let end = '+';
+    if (before) {
+      end = await this.resolveCursor(roomId, before, 'before');
+      if (end === null) return null;
+    }
+
+    const entries = await this.redis.xRevRange(streamKey, end, '-', { COUNT: limit + 1 });
+    const page = entries.slice(0, limit);
+    const messages = await this.loadEntries(roomId, page);
+
+    return {
+      messages: messages.reverse(),
+      nextCursor: page.length > 0 ? page[page.length - 1].message.id : null,
+      hasMore: entries.length > limit
+    };
+  }
+
+  /**
+   * Traduce un cursor a un límite de rango del stream
+   *
+   * - ID de mensaje: su streamId, exclusivo ("(" de Redis 6.2)
+   * - Timestamp: los IDs del stream empiezan por los milisegundos de
+   *   inserción, así que basta con un ID incompleto
+   *
+   * @returns {Promise<string|null>} Límite para XRANGE/XREVRANGE, o null
+   *   si el cursor no es un mensaje de la sala ni una fecha
+   */
+  async resolveCursor(roomId, cursor, direction) {
+    const streamId = await this.getStreamId(roomId, cursor);
+    if (streamId) {
+      return `(${streamId}`;
+    }
+
+    const time = parseCursorTime(cursor);
+    if (time === null) {
+      return null;
+    }
+
+    // before: hasta el último ID del milisegundo anterior
+    // after: desde el primer ID del milisegundo siguiente
+    return direction === 'before' ? `${Math.max(time - 1, 0)}` : `${time + 1}`;
+  }
+
+  // streamId de un mensaje de la sala (null si no está en su stream)
+  async getStreamId(roomId, messageId) {
+    const [messageRoomId, streamId] = await this.redis.hmGet(
+      `${this.MESSAGE_KEY_PREFIX}${messageId}`, ['roomId', 'streamId']
+    );
+    return messageRoomId === roomId && streamId ? streamId : null;
+  }
+
+  // Convertir entradas del stream en mensajes, aplicando los campos modificados
+  async loadEntries(roomId, entries) {
+    if (entries.length === 0) {
+      return [];
+    }
+
+    const messageIds = entries.map(entry => entry.message.id);
+    const updated = await this.redis.smIsMember(`${this.UPDATED_KEY_PREFIX}${roomId}`, messageIds);
+
+    // Los cambios de todos los mensajes modificados, en un único pipeline
+    const pipeline = this.redis.multi();
+    messageIds
+      .filter((messageId, i) => updated[i])
+      .forEach(messageId => pipeline.hGetAll(`${this.MESSAGE_KEY_PREFIX}${messageId}`));
+    const changes = await pipeline.execAsPipeline();
+
+    return entries.map((entry, i) => toMessage(entry, updated[i] ? changes.shift() : {}));
+  }
+
+  // Borrado definitivo de un mensaje de la sala (entrada del stream + Hash)
+  async remove(message) {
+    const streamId = await this.getStreamId(message.roomId, message.id);
+
+    const transaction = this.redis.multi();
+    if (streamId) {
+      transaction.xDel(`${this.STREAM_KEY_PREFIX}${message.roomId}`, streamId);
+    }
+    await transaction
+      .del(`${this.MESSAGE_KEY_PREFIX}${message.id}`)
+      .sRem(`${this.UPDATED_KEY_PREFIX}${message.roomId}`, message.id)
+      .exec();
+  }
+
+  // Contar mensajes en el historial de una sala
+  async count(roomId) {
+    return await this.redis.xLen(`${this.STREAM_KEY_PREFIX}${roomId}`);
+  }
+
+  // ID del mensaje más reciente de la sala (null si está vacía)
+  async getLatestId(roomId) {
+    const [entry] = await this.redis.xRevRange(
+      `${this.STREAM_KEY_PREFIX}${roomId}`, '+', '-', { COUNT: 1 }
+    );
+    return entry ? entry.message.id : null;
+  }
+
+  /**
+   * Cuenta los mensajes posteriores a uno dado
+   *
+   * Streams no tiene un equivalente a LPOS: se recorren las entradas
+   * posteriores, como máximo la longitud del stream.
+   *
+   * @returns {Promise<number|null>} null si el mensaje no pertenece a la sala
+   */
+  async countNewer(roomId, messageId) {
+    const streamId = await this.getStreamId(roomId, messageId);
+    if (!streamId) {
+      return null;
+    }
+
+    const entries = await this.redis.xRange(
+      `${this.STREAM_KEY_PREFIX}${roomId}`, `(${streamId}`, '+', { COUNT: this.getMaxLength() }
+    );
+    return entries.length;
+  }
+}
+
+// XADD solo acepta strings como valores
+function toStreamFields(message) {
+  return Object.fromEntries(
+    Object.entries(message.toRedisObject()).map(([field, value]) => [field, String(value)])
+  );
+}
+
+// Mensaje a partir de una entrada del stream y los campos modificados de su Hash
+function toMessage(entry, changes) {
+  const { streamId, ...fields } = changes;
+  return Message.fromRedisObject({ ...entry.message, ...fields });
+}
+
+module.exports = StreamMessageStorage;
+module.exports.toStreamFields = toStreamFields;
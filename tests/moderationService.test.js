@@ -0,0 +1,47 @@
+const { findMatches, maskRanges } = require('../services/ModerationService');
+
+describe('findMatches', () => {
+  test('las reglas word coinciden con palabras completas sin tildes ni mayúsculas', () => {
+    const rule = { type: 'word', pattern: 'tonto' };
+    expect(findMatches('Eres un TONTO, tontó', rule)).toEqual([
+      { start: 8, end: 13 },
+      { start: 15, end: 20 }
+    ]);
+  });
+
+  test('las reglas word no coinciden dentro de otra palabra', () => {
+    expect(findMatches('tontos', { type: 'word', pattern: 'tonto' })).toEqual([]);
+  });
+
+  test('las reglas regex no distinguen mayúsculas', () => {
+    const rule = { type: 'regex', pattern: 'spam\\.com' };
+    expect(findMatches('visita spam.com y SPAM.com', rule)).toEqual([
+      { start: 7, end: 15 },
+      { start: 18, end: 26 }
+    ]);
+  });
+
+  test('ignora las coincidencias vacías', () => {
+    expect(findMatches('abc', { type: 'regex', pattern: 'x*' })).toEqual([]);
+  });
+});
+
+describe('maskRanges', () => {
+  test('sustituye cada carácter de los rangos por un asterisco', () => {
+    expect(maskRanges('eres tonto', [{ start: 5, end: 10 }])).toBe('eres *****');
+  });
+
+  test('sin rangos devuelve el texto tal cual', () => {
+    expect(maskRanges('hola', [])).toBe('hola');
+  });
+
+  test('cuenta los emojis como un solo carácter', () => {
+    expect(maskRanges('😀 mal 😀', [{ start: 3, end: 6 }])).toBe('😀 *** 😀');
+  });
+
+  test('aplica varios rangos', () => {
+    const content = 'tonto y tonto';
+    const ranges = findMatches(content, { type: 'word', pattern: 'tonto' });
+    expect(maskRanges(content, ranges)).toBe('***** y *****');
+  });
+});
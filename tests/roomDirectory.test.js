@@ -0,0 +1,39 @@
+const Room = require('../models/Room');
+const { parseDirectoryCursor } = require('../services/RoomService');
+
+describe('parseDirectoryCursor', () => {
+  test('separa el score y el ID de la sala', () => {
+    expect(parseDirectoryCursor('1700000000:abc')).toEqual({ score: 1700000000, roomId: 'abc' });
+  });
+
+  test('solo corta en los primeros dos puntos', () => {
+    expect(parseDirectoryCursor('1.5e3:a:b')).toEqual({ score: 1500, roomId: 'a:b' });
+  });
+
+  test.each(['abc', ':abc', 'x:abc', '12:', 'Infinity:abc'])('rechaza el cursor "%s"', (cursor) => {
+    expect(parseDirectoryCursor(cursor)).toBeNull();
+  });
+});
+
+describe('Room.normalizeTags', () => {
+  test('quita tildes, pasa a minúsculas y usa guiones en lugar de espacios', () => {
+    expect(Room.normalizeTags(['Programación Web', 'a_b c'])).toEqual(['programacion-web', 'a-b-c']);
+  });
+
+  test('acepta el string separado por comas que se guarda en Redis', () => {
+    expect(Room.normalizeTags('js, Web ,,css')).toEqual(['js', 'web', 'css']);
+  });
+
+  test('descarta vacías y repetidas', () => {
+    expect(Room.normalizeTags(['js', ' JS ', '!!!', ''])).toEqual(['js']);
+  });
+
+  test('conserva como mucho MAX_TAGS', () => {
+    expect(Room.normalizeTags(['a', 'b', 'c', 'd', 'e', 'f', 'g'])).toHaveLength(Room.MAX_TAGS);
+  });
+
+  test('sin etiquetas devuelve un array vacío', () => {
+    expect(Room.normalizeTags(null)).toEqual([]);
+    expect(Room.normalizeTags('')).toEqual([]);
+  });
+});
@@ -0,0 +1,54 @@
+const { normalizeUsername, findMentions } = require('../services/UserService');
+
+describe('normalizeUsername', () => {
+  test('pasa a minúsculas y quita los espacios de los extremos', () => {
+    expect(normalizeUsername('  Ana  ')).toBe('ana');
+  });
+
+  test('unifica las variantes de compatibilidad (NFKC)', () => {
+    expect(normalizeUsername('\uFF21\uFF4E\uFF41')).toBe('ana');
+    expect(normalizeUsername('\uFB01ona')).toBe('fiona');
+  });
+
+  test('quita caracteres invisibles y de control', () => {
+    expect(normalizeUsername('a\u200Bna')).toBe('ana');
+    expect(normalizeUsername('a\u0000na')).toBe('ana');
+  });
+
+  test('colapsa los espacios interiores', () => {
+    expect(normalizeUsername('Ana   María')).toBe('ana maría');
+  });
+
+  test('conserva las tildes', () => {
+    expect(normalizeUsername('José')).not.toBe(normalizeUsername('Jose'));
+  });
+});
+
+describe('findMentions', () => {
+  const users = [{ username: 'Ana' }, { username: 'Ana María' }, { username: 'bob' }];
+
+  test('encuentra las menciones sin distinguir mayúsculas', () => {
+    expect(findMentions('@ANA, ¿vienes?', users)).toEqual([{ username: 'Ana' }]);
+  });
+
+  test('la mención termina donde acaba el nombre', () => {
+    expect(findMentions('hola @bob!', users)).toEqual([{ username: 'bob' }]);
+    expect(findMentions('hola @bobby', users)).toEqual([]);
+  });
+
+  test('no cuenta una @ en mitad de una palabra', () => {
+    expect(findMentions('escribe a mail@bob', users)).toEqual([]);
+  });
+
+  test('si dos nombres se solapan gana el más largo', () => {
+    expect(findMentions('@Ana María y @bob', users)).toEqual([{ username: 'Ana María' }, { username: 'bob' }]);
+  });
+
+  test('devuelve los usuarios en el orden de la lista', () => {
+    expect(findMentions('@bob y @ana', users)).toEqual([{ username: 'Ana' }, { username: 'bob' }]);
+  });
+
+  test('sin menciones devuelve un array vacío', () => {
+    expect(findMentions('hola a todos', users)).toEqual([]);
+  });
+});
@@ -0,0 +1,154 @@
+const {
+  validateMessage,
+  validateCreateRoom,
+  validateUpdateRoom,
+  validateCredentials,
+  validateGuest,
+  validateDirectHistory,
+  validateHistoryQuery,
+  validateSearchQuery,
+  validateModerationRule,
+  validateRoomModerationRule,
+  validateSanction,
+  validateReportResolution,
+  isSafeRegex
+} = require('../utils/validators');
+
+describe('validateMessage', () => {
+  test('acepta un mensaje de texto', () => {
+    expect(validateMessage({ roomId: 'r1', content: 'hola' }).isValid).toBe(true);
+  });
+
+  test('exige contenido si no hay adjunto', () => {
+    expect(validateMessage({ roomId: 'r1' }).isValid).toBe(false);
+    expect(validateMessage({ roomId: 'r1', content: '   ' }).isValid).toBe(false);
+  });
+
+  test('con adjunto el texto es opcional', () => {
+    expect(validateMessage({ roomId: 'r1', attachmentId: 'a1' }).isValid).toBe(true);
+    expect(validateMessage({ roomId: 'r1', attachmentId: 'a1', content: '' }).isValid).toBe(true);
+  });
+
+  test('limita el contenido a 500 caracteres', () => {
+    expect(validateMessage({ roomId: 'r1', content: 'a'.repeat(501) }).isValid).toBe(false);
+  });
+});
+
+describe('validateCreateRoom / validateUpdateRoom', () => {
+  test('al crear el nombre es obligatorio', () => {
+    expect(validateCreateRoom({}).isValid).toBe(false);
+    expect(validateCreateRoom({ name: 'Sala', tags: ['js'] }).isValid).toBe(true);
+  });
+
+  test('al actualizar todos los campos son opcionales', () => {
+    expect(validateUpdateRoom({}).isValid).toBe(true);
+    expect(validateUpdateRoom({ isPrivate: true }).isValid).toBe(true);
+  });
+
+  test('al actualizar se aplican los mismos límites que al crear', () => {
+    expect(validateUpdateRoom({ name: '' }).isValid).toBe(false);
+    expect(validateUpdateRoom({ maxUsers: 0 }).isValid).toBe(false);
+    expect(validateUpdateRoom({ tags: 'js,web' }).isValid).toBe(false);
+    expect(validateUpdateRoom({ tags: ['a', 'b', 'c', 'd', 'e', 'f'] }).isValid).toBe(false);
+    expect(validateUpdateRoom({ owner: 'u1' }).isValid).toBe(false);
+  });
+});
+
+describe('validateCredentials / validateGuest', () => {
+  test('la contraseña tiene al menos 8 caracteres', () => {
+    expect(validateCredentials({ username: 'ana', password: '1234567' }).isValid).toBe(false);
+    expect(validateCredentials({ username: 'ana', password: '12345678' }).isValid).toBe(true);
+  });
+
+  test('rechaza nombres con caracteres de control', () => {
+    const result = validateGuest({ username: 'a\u200Bna' });
+    expect(result.isValid).toBe(false);
+    expect(result.error).toBe('El nombre de usuario contiene caracteres no permitidos');
+  });
+
+  test('el invitado puede presentar su secreto de reconexión', () => {
+    expect(validateGuest({ username: 'ana', reconnectSecret: 'secreto' }).isValid).toBe(true);
+  });
+});
+
+describe('validateDirectHistory / validateHistoryQuery', () => {
+  test('el historial directo exige el otro participante', () => {
+    expect(validateDirectHistory({ limit: 10 }).isValid).toBe(false);
+    expect(validateDirectHistory({ userId: 'u2', limit: '10', offset: '0' }).isValid).toBe(true);
+  });
+
+  test('limit admite como máximo 100', () => {
+    expect(validateDirectHistory({ userId: 'u2', limit: 101 }).isValid).toBe(false);
+    expect(validateHistoryQuery({ roomId: 'r1', limit: 101 }).isValid).toBe(false);
+  });
+
+  test('before, after y offset son excluyentes', () => {
+    expect(validateHistoryQuery({ roomId: 'r1', before: 'm1', after: 'm2' }).isValid).toBe(false);
+    expect(validateHistoryQuery({ roomId: 'r1', before: 'm1' }).isValid).toBe(true);
+  });
+});
+
+describe('validateSearchQuery', () => {
+  test('convierte from y to en fechas', () => {
+    const result = validateSearchQuery({ q: 'hola', from: '2024-01-01T00:00:00Z', to: '1704153600000' });
+    expect(result.isValid).toBe(true);
+    expect(result.value.from).toBeInstanceOf(Date);
+    expect(result.value.to).toBeInstanceOf(Date);
+  });
+
+  test('exige la consulta', () => {
+    expect(validateSearchQuery({ q: '  ' }).isValid).toBe(false);
+  });
+});
+
+describe('validateModerationRule / validateRoomModerationRule', () => {
+  test('una regla word es una sola palabra', () => {
+    expect(validateModerationRule({ type: 'word', pattern: 'spam', action: 'reject' }).isValid).toBe(true);
+    expect(validateModerationRule({ type: 'word', pattern: 'dos palabras', action: 'reject' }).isValid).toBe(false);
+  });
+
+  test('una regla regex tiene que compilar', () => {
+    const result = validateModerationRule({ type: 'regex', pattern: '(abc', action: 'flag' });
+    expect(result.isValid).toBe(false);
+    expect(result.error).toBe('Expresión regular no válida');
+  });
+
+  test('rechaza expresiones regulares con retroceso catastrófico', () => {
+    expect(validateModerationRule({ type: 'regex', pattern: '(a+)+$', action: 'flag' }).isValid).toBe(false);
+  });
+
+  test('las reglas de sala solo pueden ser de tipo word', () => {
+    const result = validateRoomModerationRule({ type: 'regex', pattern: 'spam', action: 'reject' });
+    expect(result.isValid).toBe(false);
+    expect(result.error).toBe('Las reglas de sala solo pueden ser de tipo word');
+    expect(validateRoomModerationRule({ type: 'word', pattern: 'spam', action: 'hold' }).isValid).toBe(true);
+  });
+});
+
+describe('isSafeRegex', () => {
+  test.each(['spam+', '(ab)+', 'a{2,5}b', 'v[i1]agra', 'https?://\\S+', '[(a+)+]'])('acepta %s', (pattern) => {
+    expect(isSafeRegex(pattern)).toBe(true);
+  });
+
+  test.each(['(a+)+', '(a|aa)*', '(?:a*b?)+', '((ab)+)+', '(a)\\1', '(?<x>a)\\k<x>'])('rechaza %s', (pattern) => {
+    expect(isSafeRegex(pattern)).toBe(false);
+  });
+});
+
+describe('validateSanction / validateReportResolution', () => {
+  test('kick no admite duración', () => {
+    expect(validateSanction({ userId: 'u1', type: 'kick' }).isValid).toBe(true);
+    expect(validateSanction({ userId: 'u1', type: 'kick', duration: 60 }).isValid).toBe(false);
+  });
+
+  test('mute admite como máximo 7 días y ban un año', () => {
+    expect(validateSanction({ userId: 'u1', type: 'mute', duration: 604801 }).isValid).toBe(false);
+    expect(validateSanction({ userId: 'u1', type: 'ban', duration: 604801 }).isValid).toBe(true);
+    expect(validateSanction({ userId: 'u1', type: 'ban', duration: 31536001 }).isValid).toBe(false);
+  });
+
+  test('solo la resolución mute lleva duración', () => {
+    expect(validateReportResolution({ action: 'mute', duration: 3600 }).isValid).toBe(true);
+    expect(validateReportResolution({ action: 'dismiss', duration: 3600 }).isValid).toBe(false);
+  });
+});
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// Configuración de tokens
+const JWT_SECRET = process.env.JWT_SECRET || 'dev-secret-cambiar-en-produccion';
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';
+
+if (!process.env.JWT_SECRET && process.env.NODE_ENV === 'production') {
+  throw new Error('JWT_SECRET es obligatorio en producción');
+}
+
+// Parámetros de scrypt para el hash de contraseñas
+const SALT_BYTES = 16;
+const KEY_LENGTH = 64;
+
+/**
+ * Genera el hash de una contraseña con scrypt y sal aleatoria
+ *
+ * @param {string} password - Contraseña en texto plano
+ * @returns {Promise<string>} Hash con formato `scrypt$<sal>$<hash>` (hex)
+ */
+const hashPassword = (password) => {
+  return new Promise((resolve, reject) => {
+    const salt = crypto.randomBytes(SALT_BYTES).toString('hex');
+    crypto.scrypt(password, salt, KEY_LENGTH, (err, derivedKey) => {
+      if (err) return reject(err);
+      resolve(`scrypt$${salt}$${derivedKey.toString('hex')}`);
+    });
+  });
+};
+
+/**
+ * Compara una contraseña con un hash generado por hashPassword
+ * Usa comparación en tiempo constante para evitar ataques de timing.
+ *
+ * @param {string} password - Contraseña en texto plano
+ * @param {string} storedHash - Hash almacenado en Redis
+ * @returns {Promise<boolean>} true si la contraseña coincide
+ */
+const verifyPassword = (password, storedHash) => {
+  return new Promise((resolve, reject) => {
+    const [scheme, salt, hash] = (storedHash || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+      return resolve(false);
+    }
+
+    crypto.scrypt(password, salt, KEY_LENGTH, (err, derivedKey) => {
+      if (err) return reject(err);
+      const expected = Buffer.from(hash, 'hex');
+      resolve(expected.length === derivedKey.length && crypto.timingSafeEqual(expected, derivedKey));
+    });
+  });
+};
+
+// Firmar token para un usuario autenticado (guest: invitado sin cuenta)
+const signToken = (user) => {
+  return jwt.sign(
+    { sub: user.id, username: user.username, ...(user.guest && { guest: true }) },
+    JWT_SECRET,
+    { expiresIn: JWT_EXPIRES_IN }
+  );
+};
+
+// Verificar token y devolver la identidad, o null si no es válido
+const verifyToken = (token) => {
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    return { id: payload.sub, username: payload.username, ...(payload.guest && { guest: true }) };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Firma una ruta de descarga con caducidad
+ *
+ * Las etiquetas <img> y los enlaces del navegador no envían la cabecera
+ * Authorization, así que las descargas usan URLs firmadas de corta
+ * duración que solo se entregan a quien tiene acceso (ver attachmentRoutes).
+ *
+ * @param {string} path - Ruta a firmar (sin query string)
+ * @param {number} expires - Caducidad en milisegundos desde epoch
+ * @returns {string} Firma HMAC-SHA256 en hex
+ */
+const signDownload = (path, expires) => {
+  return crypto.createHmac('sha256', JWT_SECRET).update(`${path}:${expires}`).digest('hex');
+};
+
+// Verificar la firma de una ruta de descarga y que no haya caducado
+const verifyDownload = (path, expires, signature) => {
+  const expiresAt = parseInt(expires);
+  if (!expiresAt || expiresAt < Date.now() || typeof signature !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(signDownload(path, expiresAt), 'hex');
+  const received = Buffer.from(signature, 'hex');
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  signToken,
+  verifyToken,
+  signDownload,
+  verifyDownload
+};
@@ -0,0 +1,57 @@
+/**
+ * Roles por sala y matriz de permisos
+ *
+ * Cada usuario tiene un rol dentro de cada sala:
+ * - owner → Creador de la sala (createdBy), control total
+ * - moderator → Designado por el owner, modera mensajes
+ * - member → Rol por defecto de cualquier otro usuario
+ *
+ * La matriz asocia cada acción con los roles que pueden realizarla.
+ * Tanto las rutas REST como los handlers de Socket.io consultan
+ * esta matriz a través de RoomService.hasPermission().
+ *
+ * Fuera de las salas, los moderadores globales (GLOBAL_MODERATORS, IDs de
+ * usuario separados por comas) gestionan las reglas de moderación que se
+ * aplican a todo el chat.
+ */
+
+const ROLES = {
+  OWNER: 'owner',
+  MODERATOR: 'moderator',
+  MEMBER: 'member'
+};
+
+const PERMISSIONS = {
+  'room:update': [ROLES.OWNER],
+  'room:delete': [ROLES.OWNER],
+  'room:manage_roles': [ROLES.OWNER],
+  'room:invite': [ROLES.OWNER, ROLES.MODERATOR],
+  'message:send': [ROLES.OWNER, ROLES.MODERATOR, ROLES.MEMBER],
+  'message:edit_any': [ROLES.OWNER, ROLES.MODERATOR],
+  'message:delete_any': [ROLES.OWNER, ROLES.MODERATOR],
+  'room:moderate': [ROLES.OWNER, ROLES.MODERATOR],
+  'room:sanction': [ROLES.OWNER, ROLES.MODERATOR]
+};
+
+// Roles que el owner puede asignar (la propiedad no se transfiere)
+const ASSIGNABLE_ROLES = [ROLES.MODERATOR, ROLES.MEMBER];
+
+// Verificar si un rol puede realizar una acción
+const roleCan = (role, action) => {
+  const allowedRoles = PERMISSIONS[action];
+  return !!allowedRoles && allowedRoles.includes(role);
+};
+
+// Verificar si un usuario es moderador global
+const isGlobalModerator = (userId) => {
+  const moderators = (process.env.GLOBAL_MODERATORS || '').split(',').map(id => id.trim());
+  return moderators.includes(userId);
+};
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  ASSIGNABLE_ROLES,
+  roleCan,
+  isGlobalModerator
+};
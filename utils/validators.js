@@ -1,8 +1,22 @@
 const Joi = require('joi');
+const { ASSIGNABLE_ROLES } = require('./permissions');
+
+// Nombre de usuario: sin caracteres de control ni invisibles (espacios de
+// ancho cero, marcas de dirección...), que permitirían nombres que se ven
+// iguales que otro ya registrado
+const usernameField = Joi.string().trim().min(1).max(50).pattern(/^[^\p{C}]+$/u)
+  .messages({ 'string.pattern.base': 'El nombre de usuario contiene caracteres no permitidos' });
 
 // Esquemas de validación
 const messageSchema = Joi.object({
-  content: Joi.string().trim().min(1).max(500).required()
+  roomId: Joi.string().required(),
+  // Con adjunto, el texto es opcional (pie de foto)
+  content: Joi.string().trim().min(1).max(500).when('attachmentId', {
+    is: Joi.exist(),
+    then: Joi.optional().allow(''),
+    otherwise: Joi.required()
+  }),
+  attachmentId: Joi.string().optional() // Devuelto por POST /api/attachments
 });
 
 const joinRoomSchema = Joi.object({
@@ -14,11 +28,246 @@ const createRoomSchema = Joi.object({
   description: Joi.string().trim().max(500).optional().allow(''),
   isPrivate: Joi.boolean().optional(),
   maxUsers: Joi.number().integer().min(1).max(200).optional(),
-  createdBy: Joi.string().required()
+  tags: Joi.array().items(Joi.string().trim().min(1).max(30)).max(5).optional()
 });
 
+// Los mismos campos que al crear, todos opcionales: solo cambia lo que se envía
+const updateRoomSchema = createRoomSchema.fork(['name'], field => field.optional());
+
 const userJoinSchema = Joi.object({
-  username: Joi.string().trim().min(1).max(50).required()
+  username: usernameField.required()
+});
+
+const usernameAvailabilitySchema = Joi.object({
+  username: usernameField.required()
+});
+
+const credentialsSchema = Joi.object({
+  username: usernameField.required(),
+  password: Joi.string().min(8).max(128).required()
+});
+
+const guestSchema = Joi.object({
+  username: usernameField.required(),
+  reconnectSecret: Joi.string().max(128).optional() // Devuelto por POST /api/auth/guest
+});
+
+const roleUpdateSchema = Joi.object({
+  role: Joi.string().valid(...ASSIGNABLE_ROLES).required()
+});
+
+const invitationSchema = Joi.object({
+  userId: Joi.string().required()
+});
+
+const directMessageSchema = Joi.object({
+  toUserId: Joi.string().required(),
+  content: Joi.string().trim().min(1).max(500).required()
+});
+
+// Historial de una conversación directa (userId = el otro participante)
+const directHistorySchema = Joi.object({
+  userId: Joi.string().required(),
+  limit: Joi.number().integer().min(1).max(100),
+  offset: Joi.number().integer().min(0)
+});
+
+const editMessageSchema = Joi.object({
+  messageId: Joi.string().required(),
+  content: Joi.string().trim().min(1).max(500).required()
+});
+
+// Un emoji (con modificadores de tono, ZWJ y selectores de variación)
+const reactionSchema = Joi.object({
+  messageId: Joi.string().required(),
+  emoji: Joi.string()
+    .max(16)
+    .pattern(/^(?=.*\p{Extended_Pictographic})[\p{Extended_Pictographic}\p{Emoji_Component}\u200d\ufe0f]+$/u)
+    .required()
+});
+
+const threadReplySchema = Joi.object({
+  parentId: Joi.string().required(),
+  content: Joi.string().trim().min(1).max(500).required()
+});
+
+// Paginación del historial: cursor (before/after) u offset, nunca ambos
+const historyQuerySchema = Joi.object({
+  roomId: Joi.string(),
+  limit: Joi.number().integer().min(1).max(100),
+  offset: Joi.number().integer().min(0),
+  before: Joi.string(),
+  after: Joi.string()
+}).oxor('before', 'after', 'offset');
+
+// from/to aceptan fecha ISO 8601 o milisegundos
+const searchQuerySchema = Joi.object({
+  q: Joi.string().trim().min(1).max(200).required(),
+  roomId: Joi.string(),
+  userId: Joi.string(),
+  from: Joi.date(),
+  to: Joi.date().when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) }),
+  limit: Joi.number().integer().min(1).max(50),
+  offset: Joi.number().integer().min(0)
+});
+
+/**
+ * Comprueba que una expresión regular no pueda bloquear el servidor
+ *
+ * El motor de V8 retrocede: un grupo repetido que contiene otro
+ * cuantificador o alternativas ("(a+)+", "(a|aa)*") o una referencia hacia
+ * atrás pueden tardar un tiempo exponencial con un texto de unas decenas de
+ * caracteres, y las reglas se ejecutan con cada mensaje. Esas expresiones
+ * se rechazan aunque sean válidas.
+ */
+const isSafeRegex = (pattern) => {
+  // Por cada grupo abierto: si contiene cuantificadores o alternativas
+  const groups = [];
+  // El elemento anterior es un grupo con cuantificadores o alternativas
+  let afterRiskyGroup = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '\\') {
+      if (/[1-9k]/.test(pattern[i + 1] || '')) {
+        return false;
+      }
+      i++;
+    } else if (char === '[') {
+      // Clase de caracteres: su contenido es literal
+      for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') i++;
+      }
+    } else if (char === '(') {
+      groups.push(false);
+      // Prefijo del grupo: (?:, (?=, (?!, (?<=, (?<! o (?<nombre>
+      if (pattern[i + 1] === '?') {
+        const prefix = pattern.slice(i + 1).match(/^\?(?:<[^=!>]*>|<[=!]|[:=!])/);
+        i += prefix ? prefix[0].length : 1;
+      }
+      continue;
+    } else if (char === ')') {
+      const risky = groups.pop();
+      if (risky && groups.length > 0) {
+        groups[groups.length - 1] = true;
+      }
+      afterRiskyGroup = risky;
+      continue;
+    } else if (char === '|') {
+      if (groups.length > 0) {
+        groups[groups.length - 1] = true;
+      }
+    } else if ('*+?{'.includes(char)) {
+      if (afterRiskyGroup) {
+        return false;
+      }
+      if (groups.length > 0) {
+        groups[groups.length - 1] = true;
+      }
+      if (char === '{') {
+        i = pattern.indexOf('}', i);
+      }
+    }
+
+    afterRiskyGroup = false;
+  }
+
+  return true;
+};
+
+// type 'regex' solo para las reglas globales (ver roomModerationRuleSchema)
+const moderationRuleSchema = Joi.object({
+  type: Joi.string().valid('word', 'regex').required(),
+  pattern: Joi.when('type', {
+    is: 'word',
+    then: Joi.string().trim().max(50).pattern(/^[\p{L}\p{N}]+$/u)
+      .messages({ 'string.pattern.base': 'Una regla de tipo word debe ser una sola palabra' }),
+    otherwise: Joi.string().max(200).custom((value, helpers) => {
+      try {
+        new RegExp(value, 'iu');
+      } catch (error) {
+        return helpers.error('any.invalid');
+      }
+      return isSafeRegex(value) ? value : helpers.error('regex.unsafe');
+    }).messages({
+      'any.invalid': 'Expresión regular no válida',
+      'regex.unsafe': 'Expresión regular no permitida: sin grupos repetidos con cuantificadores o alternativas ni referencias hacia atrás'
+    })
+  }).required(),
+  action: Joi.string().valid('reject', 'hold', 'mask', 'flag').required(),
+  reason: Joi.string().trim().max(200).allow('')
+});
+
+// Las salas las crea cualquiera: sus reglas solo pueden ser palabras
+const roomModerationRuleSchema = moderationRuleSchema.keys({
+  type: Joi.string().valid('word').required()
+    .messages({ 'any.only': 'Las reglas de sala solo pueden ser de tipo word' })
+});
+
+const reportSchema = Joi.object({
+  messageId: Joi.string().required(),
+  reason: Joi.string().trim().max(300).allow('')
+});
+
+// duration (segundos) solo se usa al silenciar: de 1 minuto a 7 días
+const reportResolutionSchema = Joi.object({
+  action: Joi.string().valid('dismiss', 'delete', 'mute').required(),
+  duration: Joi.number().integer().min(60).max(604800)
+    .when('action', { not: 'mute', then: Joi.forbidden() }),
+  note: Joi.string().trim().max(300).allow('')
+});
+
+// Expulsión, silencio o veto. kick no admite duración; mute la necesita
+// (1 hora por defecto) y ban sin duración es permanente
+const sanctionSchema = Joi.object({
+  userId: Joi.string().required(),
+  type: Joi.string().valid('kick', 'mute', 'ban').required(),
+  duration: Joi.number().integer().min(60)
+    .when('type', {
+      switch: [
+        { is: 'mute', then: Joi.number().max(604800) },
+        { is: 'ban', then: Joi.number().max(31536000) }
+      ],
+      otherwise: Joi.forbidden()
+    }),
+  reason: Joi.string().trim().max(300).allow('')
+});
+
+// Estado elegido por el usuario ('offline' lo calcula el servidor)
+const presenceSchema = Joi.object({
+  status: Joi.string().valid('online', 'away', 'busy', 'idle').required()
+});
+
+const sessionResumeSchema = Joi.object({
+  resumeToken: Joi.string().required(),
+  // Último mensaje recibido en cada sala (roomId → messageId)
+  lastMessageIds: Joi.object().pattern(Joi.string(), Joi.string())
+});
+
+// Campos de texto del formulario de subida (el archivo va en 'file')
+const attachmentUploadSchema = Joi.object({
+  roomId: Joi.string().required()
+});
+
+// Bandeja de menciones: ?unread=true para ver solo las no leídas
+const mentionsQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100),
+  offset: Joi.number().integer().min(0),
+  unread: Joi.boolean()
+});
+
+// Sin messageIds se marcan todas
+const mentionsReadSchema = Joi.object({
+  messageIds: Joi.array().items(Joi.string()).max(200)
+});
+
+const roomDirectoryQuerySchema = Joi.object({
+  tag: Joi.string().trim().max(30),
+  sort: Joi.string().valid('newest', 'popular', 'active'),
+  search: Joi.string().trim().max(100),
+  cursor: Joi.string().max(100),
+  limit: Joi.number().integer().min(1).max(100)
 });
 
 // Funciones de validación
@@ -46,6 +295,14 @@ const validateCreateRoom = (data) => {
   };
 };
 
+const validateUpdateRoom = (data) => {
+  const { error } = updateRoomSchema.validate(data);
+  return {
+    isValid: !error,
+    error: error ? error.details[0].message : null
+  };
+};
+
 const validateUserJoin = (data) => {
   const { error } = userJoinSchema.validate(data);
   return {
@@ -54,11 +311,194 @@ const validateUserJoin = (data) => {
   };
 };
 
-// Validador para nombres de usuario únicos (simulado)
-const isUsernameAvailable = async (username, excludeUserId = null) => {
-  // En una implementación real, consultarías Redis aquí
-  // Por ahora, simulamos que todos los nombres están disponibles
-  return true;
+const validateCredentials = (data) => {
+  const { error } = credentialsSchema.validate(data);
+  return {
+    isValid: !error,
+    error: error ? error.details[0].message : null
+  };
+};
+
+const validateGuest = (data) => {
+  const { error, value } = guestSchema.validate(data);
+  return {
+    isValid: !error,
+    error: error ? error.details[0].message : null,
+    value
+  };
+};
+
+const validateRoleUpdate = (data) => {
+  const { error } = roleUpdateSchema.validate(data);
+  return {
+    isValid: !error,
+    error: error ? error.details[0].message : null
+  };
+};
+
+const validateInvitation = (data) => {
+  const { error } = invitationSchema.validate(data);
+  return {
+    isValid: !error,
+    error: error ? error.details[0].message : null
+  };
+};
+
+const validateDirectMessage = (data) => {
+  const { error } = directMessageSchema.validate(data);
+  return {
+    isValid: !error,
+    error: error ? error.details[0].message : null
+  };
+};
+
+const validateDirectHistory = (data) => {
+  const { error } = directHistorySchema.validate(data);
+  return {
+    isValid: !error,
+    error: error ? error.details[0].message : null
+  };
+};
+
+const validateEditMessage = (data) => {
+  const { error } = editMessageSchema.validate(data);
+  return {
+    isValid: !error,
+    error: error ? error.details[0].message : null
+  };
+};
+
+const validateReaction = (data) => {
+  const { error } = reactionSchema.validate(data);
+  return {
+    isValid: !error,
+    error: error ? error.details[0].message : null
+  };
+};
+
+const validateThreadReply = (data) => {
+  const { error } = threadReplySchema.validate(data);
+  return {
+    isValid: !error,
+    error: error ? error.details[0].message : null
+  };
+};
+
+const validateHistoryQuery = (data) => {
+  const { error } = historyQuerySchema.validate(data);
+  return {
+    isValid: !error,
+    error: error ? error.details[0].message : null
+  };
+};
+
+// Devuelve también los valores convertidos (from/to como Date)
+const validateSearchQuery = (data) => {
+  const { error, value } = searchQuerySchema.validate(data);
+  return {
+    isValid: !error,
+    error: error ? error.details[0].message : null,
+    value
+  };
+};
+
+const validateModerationRule = (data) => {
+  const { error } = moderationRuleSchema.validate(data);
+  return {
+    isValid: !error,
+    error: error ? error.details[0].message : null
+  };
+};
+
+const validateRoomModerationRule = (data) => {
+  const { error } = roomModerationRuleSchema.validate(data);
+  return {
+    isValid: !error,
+    error: error ? error.details[0].message : null
+  };
+};
+
+const validateReport = (data) => {
+  const { error } = reportSchema.validate(data);
+  return {
+    isValid: !error,
+    error: error ? error.details[0].message : null
+  };
+};
+
+const validateReportResolution = (data) => {
+  const { error } = reportResolutionSchema.validate(data);
+  return {
+    isValid: !error,
+    error: error ? error.details[0].message : null
+  };
+};
+
+const validateSanction = (data) => {
+  const { error } = sanctionSchema.validate(data);
+  return {
+    isValid: !error,
+    error: error ? error.details[0].message : null
+  };
+};
+
+const validatePresence = (data) => {
+  const { error } = presenceSchema.validate(data);
+  return {
+    isValid: !error,
+    error: error ? error.details[0].message : null
+  };
+};
+
+const validateSessionResume = (data) => {
+  const { error } = sessionResumeSchema.validate(data);
+  return {
+    isValid: !error,
+    error: error ? error.details[0].message : null
+  };
+};
+
+const validateAttachmentUpload = (data) => {
+  const { error } = attachmentUploadSchema.validate(data);
+  return {
+    isValid: !error,
+    error: error ? error.details[0].message : null
+  };
+};
+
+const validateMentionsQuery = (data) => {
+  const { error, value } = mentionsQuerySchema.validate(data);
+  return {
+    isValid: !error,
+    error: error ? error.details[0].message : null,
+    value
+  };
+};
+
+const validateMentionsRead = (data) => {
+  const { error } = mentionsReadSchema.validate(data);
+  return {
+    isValid: !error,
+    error: error ? error.details[0].message : null
+  };
+};
+
+const validateRoomDirectoryQuery = (data) => {
+  const { error, value } = roomDirectoryQuerySchema.validate(data);
+  return {
+    isValid: !error,
+    error: error ? error.details[0].message : null,
+    value
+  };
+};
+
+const validateUsernameAvailability = (data) => {
+  const { error, value } = usernameAvailabilitySchema.validate(data);
+  return {
+    isValid: !error,
+    error: error ? error.details[0].message : null,
+    value
+  };
 };
 
 // Sanitizar contenido HTML
@@ -83,28 +523,37 @@ const isValidMessageLength = (content) => {
   return content && content.trim().length > 0 && content.length <= maxLength;
 };
 
-// Filtrar palabras prohibidas (básico)
-const containsProfanity = (content) => {
-  const profanityList = ['spam', 'malware']; // Lista básica, expándela según necesites
-  const lowerContent = content.toLowerCase();
-  return profanityList.some(word => lowerContent.includes(word));
-};
-
-// Validar rate limiting (mensajes por minuto)
-const validateRateLimit = (userId, messagesInLastMinute) => {
-  const maxMessagesPerMinute = 30; // Límite de mensajes por minuto
-  return messagesInLastMinute < maxMessagesPerMinute;
-};
-
 module.exports = {
   validateMessage,
   validateJoinRoom,
   validateCreateRoom,
+  validateUpdateRoom,
   validateUserJoin,
-  isUsernameAvailable,
+  validateCredentials,
+  validateGuest,
+  validateRoleUpdate,
+  validateInvitation,
+  validateDirectMessage,
+  validateDirectHistory,
+  validateEditMessage,
+  validateReaction,
+  validateThreadReply,
+  validateHistoryQuery,
+  validateSearchQuery,
+  validateRoomDirectoryQuery,
+  validateModerationRule,
+  validateRoomModerationRule,
+  validateReport,
+  validateReportResolution,
+  validateSanction,
+  validatePresence,
+  validateSessionResume,
+  validateAttachmentUpload,
+  validateMentionsQuery,
+  validateMentionsRead,
+  validateUsernameAvailability,
   sanitizeHtml,
   isValidUUID,
   isValidMessageLength,
-  containsProfanity,
-  validateRateLimit
+  isSafeRegex
 };
\ No newline at end of file